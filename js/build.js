@@ -1,17 +1,24 @@
 const path = require('path');
 const fs = require('fs');
-const { stackHashFromDirs, resolveStackDirs, resolveDirs, resolveBuildPaths, validateDirs } = require('./stack_paths');
+const { stackHashFromDirs, stackHashFromContents, resolveStackDirs, resolveDirs, resolveBuildPaths, resolveDefaultsDir, validateDirs, withDefaultsLayer } = require('./stack_paths');
 const { createLogger } = require('./logger');
-const { loadStack, loadInstancesOnly } = require('./stack_loader');
+const { loadStack, loadInstancesOnly, refreshGlobalMetadata } = require('./stack_loader');
 const { mapLikeToObject } = require('./core/object_utils');
 const { validateStack } = require('./validation');
 const { createIssueCollector } = require('./issue_collector');
 const { createHandlebarsEngine } = require('./templates/handlebars_engine');
 const { createServices } = require('./core/services');
+const { cloneCanonical } = require('./core/canonical_api');
+const { createHookRunner } = require('./hooks');
+const { packageBuildDir } = require('./packaging');
+const { createProvenanceRecorder, explainField, formatExplain } = require('./provenance');
+const { locateIssues } = require('./issue_locations');
+const { displayPath } = require('./core/fs_utils');
+const { incrementalKey, pruneStaleOutputs, readIncrementalState, reusableOutputs, trackedPaths, writeIncrementalState } = require('./incremental');
 const {
   fmt, step, loadEnv, buildClassHierarchy, cleanBuildDir, isReservedId,
   CANONICAL, OUTPUT_TYPES, logSourceDirs,
-  writeCanonical, writeClassDefinitions, writeInstances, writeSchemas, writeValidation
+  writeCanonical, writeClassDefinitions, writeInstances, writeManifest, writeProvenance, writeSchemas, writeValidation
 } = require('./core/build_helpers');
 
 const repoRoot = path.join(__dirname, '..');
@@ -23,35 +30,98 @@ function initBuildEnv({ quiet, silent } = {}) {
   return createLogger({ quiet, silent });
 }
 
+// End a command after errors: the CLI exits with status 1, in-process rebuilds (watch) only print the summary.
+function endWithSummary(log, exitOnError = true) {
+  if (exitOnError) {
+    log.summarizeAndExitIfNeeded();
+  } else {
+    log.summarize();
+  }
+}
+
 /**
  * Validate and resolve source directories with early error collection.
  * Logs all path errors before failing, showing resolution attempts.
  */
-function resolveSourceDirs(inputs, label, log) {
+function resolveSourceDirs(inputs, label, log, exitOnError) {
   const { valid, errors } = validateDirs(inputs, label);
   if (errors.length) {
     for (const err of errors) {
       const details = err.context.tried ? `\n  Tried:\n  ${err.context.tried}` : '';
       log.error(`${err.message}${details}`);
     }
-    log.summarizeAndExitIfNeeded();
+    endWithSummary(log, exitOnError);
     return null;
   }
   if (!valid.length) {
     log.error(`At least one ${label} source is required.`);
-    log.summarizeAndExitIfNeeded();
+    endWithSummary(log, exitOnError);
     return null;
   }
   return valid;
 }
 
-function prepareBuildDir(buildDir, buildRoot, log) {
+/**
+ * Resolve the --defaults layer. Returns { defaultsDir } (null when disabled), or null after
+ * logging a path error so callers can bail out like resolveSourceDirs.
+ */
+function resolveDefaultsSource(input, log, exitOnError) {
+  try {
+    return { defaultsDir: resolveDefaultsDir(input) };
+  } catch (err) {
+    const details = err.context && err.context.tried ? `\n  Tried:\n  ${err.context.tried}` : '';
+    log.error(`Defaults ${err.message.charAt(0).toLowerCase()}${err.message.slice(1)}${details}`);
+    endWithSummary(log, exitOnError);
+    return null;
+  }
+}
+
+// buildMeta entries describing the merge layers per source type: defaults first, then stack roots in order.
+function layerMeta(defaultsDir, sources) {
+  const layers = {};
+  const orders = {};
+  Object.entries(sources).forEach(([type, dirs]) => {
+    const ordered = withDefaultsLayer(defaultsDir, dirs);
+    layers[type] = ordered.map(dir => ({ layer: dir === defaultsDir ? 'defaults' : 'stack', dir }));
+    orders[type] = ordered;
+  });
+  return { defaultsDir: defaultsDir || null, layers, orders };
+}
+
+/**
+ * Compute buildMeta.stackHash: path-based by default, or (contentHash) from the normalized contents of
+ * every class/schema/instance/template file plus the tool version. Returns null after logging a failure.
+ */
+function computeStackHash({ contentHash, stackDirs, classDirs, instanceDirs, templateDirs, defaultsDir }, log, exitOnError) {
+  if (!contentHash) {
+    return { stackHash: stackHashFromDirs(stackDirs), hashMode: 'path' };
+  }
+  try {
+    return { stackHash: stackHashFromContents({ classDirs, instanceDirs, templateDirs, defaultsDir }), hashMode: 'content' };
+  } catch (err) {
+    log.error(`Unable to compute content hash: ${err.message}`);
+    endWithSummary(log, exitOnError);
+    return null;
+  }
+}
+
+// previousState (incremental builds): keep the outputs it records so unchanged files survive the clean.
+function prepareBuildDir(buildDir, buildRoot, log, previousState) {
   log.info(`  • target: ${fmt(buildDir, 'dim')}`);
-  cleanBuildDir(buildDir, buildRoot);
+  cleanBuildDir(buildDir, buildRoot, { keep: previousState ? trackedPaths(buildDir, previousState) : null });
   fs.mkdirSync(buildDir, { recursive: true });
 }
 
-function buildCanonicalBase(mode, { stackHash, buildDirName, buildRoot }) {
+// Step 4 bookkeeping for incremental builds: prune outputs the render no longer produced and record
+// the new per-output state for the next build.
+function finishIncremental({ buildDir, previousState, key, result, log }) {
+  const { outputs, reusedCount } = result.incremental;
+  const pruned = pruneStaleOutputs(buildDir, previousState, outputs);
+  writeIncrementalState(buildDir, key, outputs);
+  log.info(`  • incremental: ${fmt(reusedCount, 'green')} reused, ${fmt(pruned.length, pruned.length ? 'yellow' : 'dim')} stale outputs pruned`);
+}
+
+function buildCanonicalBase(mode, { stackHash, hashMode = 'path', buildDirName, buildRoot }) {
   return {
     canonicalVersion: CANONICAL.version,
     canonicalStability: CANONICAL.stability,
@@ -60,19 +130,82 @@ function buildCanonicalBase(mode, { stackHash, buildDirName, buildRoot }) {
       generatedAt: new Date().toISOString(),
       mode,
       stackHash,
+      hashMode,
       buildDirName,
       buildRoot
     }
   };
 }
 
+// Assemble the canonical data sections from loaded (or hook-committed) stack data.
+function assembleCanonical(base, { global, resolvedClasses, stackObjects, instancesById }) {
+  const byId = mapLikeToObject(instancesById);
+  return {
+    ...base,
+    global,
+    classes: Array.from(resolvedClasses.values()),
+    classesById: mapLikeToObject(resolvedClasses),
+    classHierarchy: buildClassHierarchy(resolvedClasses),
+    instances: stackObjects.filter(Boolean),
+    instancesById: byId,
+    referencedBy: (byId.global && byId.global.referencedBy) || {}
+  };
+}
+
+// Run onLoadComplete hooks; when any ran, rebuild stack data from the committed snapshot so
+// validation, canonical.json, and rendering all consume the mutated model.
+function applyLoadHooks(hooks, loaded, canonicalBase, contextOptions, log) {
+  const services = createServices(assembleCanonical(canonicalBase, loaded));
+  const { snapshot, ran } = hooks.runLoadComplete(services, contextOptions);
+  if (!snapshot) {
+    return loaded;
+  }
+  log.info(`  • hooks: ${fmt(ran, 'green')} onLoadComplete handlers`);
+  const data = cloneCanonical(snapshot);
+  const resolvedClasses = new Map(Object.entries(data.classesById || {}));
+  const { stackObjects, instancesById } = refreshGlobalMetadata(data.instances || [], resolvedClasses, loaded.schemas);
+  return { stackObjects, instancesById, resolvedClasses, global: data.global };
+}
+
+// Provenance for the final model: instances by id with global as declared (no derived indexes).
+// Values that changed after loading are attributed to onLoadComplete hooks when any committed.
+function finalizeProvenance(provenance, stackData, hooksRan) {
+  const instances = Object.fromEntries(
+    stackData.stackObjects.filter(obj => obj && obj.id && obj.id !== 'global').map(obj => [obj.id, obj])
+  );
+  instances.global = stackData.global;
+  return provenance.finalize({ instances, classes: stackData.resolvedClasses, hooksRan });
+}
+
+// Step 5: write the manifest, run onFinalizeBuild hooks, then package the build dir when requested.
+// Returns false when a finalize hook failed (the build is not packaged).
+function finalizeBuild({ hooks, services, hookContextOptions, issues, manifest, buildDir, outputs, packageOptions, log }) {
+  if (outputs.has(OUTPUT_TYPES.MANIFEST)) writeManifest(path.join(buildDir, 'meta'), manifest, log);
+  const packageBuild = (options = {}) => packageBuildDir(buildDir, options);
+  const ran = hooks.runFinalizeBuild(services, hookContextOptions, { manifest, packageBuild });
+  if (ran) {
+    log.info(`  • hooks: ${fmt(ran, 'green')} onFinalizeBuild handlers`);
+  }
+  if (issues.hasErrors()) {
+    log.error('onFinalizeBuild hooks reported errors; build failed.');
+    return false;
+  }
+  if (packageOptions) {
+    const result = packageBuild(packageOptions);
+    log.info(`  • package: ${fmt(result.file, 'dim')} (${result.fileCount} files, ${result.bytes} bytes)`);
+  }
+  return true;
+}
+
 // --- Build commands ---
 
 // Main build routine (used by CLI).
-// Execution order is intentionally linear and stable to support future hook points:
-// 1) load templates, 2) load + validate stack, 3) prepare build dir and metadata,
-// 4) render outputs, 5) finalize/log. Keep this sequencing unchanged unless
+// Execution order is intentionally linear and stable to support hook points:
+// 1) load templates, 2) load stack, run onLoadComplete hooks, validate, 3) prepare build dir and metadata,
+// 4) render outputs (onPreRender/onRenderInstance/onPostRenderFile hooks), 5) manifest, onFinalizeBuild hooks, packaging, log. Keep this sequencing unchanged unless
 // explicitly coordinating a hook/breaking change.
+// Returns { ok, buildDir, issues, manifest, errors, warnings }; with exitOnError: false (watch) a failed
+// build returns instead of exiting the process.
 function runBuild(options) {
   const {
     classDirs: classDirInputs,
@@ -86,42 +219,60 @@ function runBuild(options) {
     warningsAsErrors = false,
     warnExtraFields = false,
     failOnCollisions = false,
+    packageFormat,
+    packageFile,
+    defaultsDir: defaultsDirInput,
+    contentHash = false,
+    incremental = false,
+    exitOnError = true,
     quiet = false,
     silent = false
   } = options || {};
 
   const log = initBuildEnv({ quiet, silent });
+  // Returned to in-process callers (watch): validation issues, rendered files, and logged messages.
+  const result = { ok: false, buildDir: null, issues: [], manifest: [], errors: log.errors, warnings: log.warnings };
+  const defaultsSource = resolveDefaultsSource(defaultsDirInput, log, exitOnError);
+  if (!defaultsSource) return result;
+  const { defaultsDir } = defaultsSource;
+  const packageOptions = packageFormat || packageFile ? { format: packageFormat || 'tar.gz', outFile: packageFile } : null;
   
-  const classDirs = resolveSourceDirs(classDirInputs, 'class', log);
-  if (!classDirs) return;
+  const classDirs = resolveSourceDirs(classDirInputs, 'class', log, exitOnError);
+  if (!classDirs) return result;
   
-  const instanceDirs = resolveSourceDirs(instanceDirInputs, 'instance', log);
-  if (!instanceDirs) return;
+  const instanceDirs = resolveSourceDirs(instanceDirInputs, 'instance', log, exitOnError);
+  if (!instanceDirs) return result;
 
   // Resolve template dirs: explicit --templates-from, or union of class/instance sources
   let templateDirs;
   if (templateDirInputs && templateDirInputs.length) {
-    templateDirs = resolveSourceDirs(templateDirInputs, 'template', log);
-    if (!templateDirs) return;
+    templateDirs = resolveSourceDirs(templateDirInputs, 'template', log, exitOnError);
+    if (!templateDirs) return result;
   } else {
     templateDirs = [...new Set([...classDirs, ...instanceDirs])];
   }
 
   // stackDirs for hash computation uses all sources
   const stackDirs = [...new Set([...classDirs, ...instanceDirs, ...templateDirs])];
+  const hashInfo = computeStackHash({ contentHash, stackDirs, classDirs, instanceDirs, templateDirs, defaultsDir }, log, exitOnError);
+  if (!hashInfo) return result;
 
   const { buildRoot, buildDir } = resolveBuildPaths({
     buildRootInput,
     buildDirInput,
     buildNameInput,
     stackDirs,
-    includeHash
+    includeHash,
+    stackHash: hashInfo.stackHash
   });
+  result.buildDir = buildDir;
+
+  const { layers, orders } = layerMeta(defaultsDir, { classes: classDirs, instances: instanceDirs, templates: templateDirs });
 
   try {
-    const templateEngine = createHandlebarsEngine({ stackDirs: templateDirs, log, quiet });
+    const templateEngine = createHandlebarsEngine({ stackDirs: templateDirs, defaultsDir, log, quiet });
     log.info(`${step('Step 1/5')} ${fmt('Templates', 'cyan')}`);
-    logSourceDirs(templateDirs, 'templates', log);
+    logSourceDirs(orders.templates, 'templates', log, { defaultsDir });
     const prepared = templateEngine.prepare();
     const templateStats = prepared && prepared.templateStats ? prepared.templateStats : templateEngine.templateStats;
     if (templateStats) {
@@ -129,46 +280,57 @@ function runBuild(options) {
     }
 
     log.info(`${step('Step 2/5')} ${fmt('Stack data', 'cyan')}`);
-    logSourceDirs(classDirs, 'classes', log);
-    logSourceDirs(instanceDirs, 'instances', log);
+    logSourceDirs(orders.classes, 'classes', log, { defaultsDir });
+    logSourceDirs(orders.instances, 'instances', log, { defaultsDir });
     const issues = createIssueCollector({ log, warningsAsErrors });
-    const { stackObjects, instancesById, resolvedClasses, global } = loadStack({ stackDirs, classDirs, instanceDirs, log, issues });
+    const hookDirs = { stackDirs: withDefaultsLayer(defaultsDir, stackDirs), classDirs: orders.classes, instanceDirs: orders.instances };
+    const hooks = createHookRunner({ ...hookDirs, log, issues });
+    hooks.prepare();
+    // Provenance is recorded for meta/provenance.json only; issues are otherwise placed in their
+    // source files by searching the files themselves.
+    const provenance = outputs.has(OUTPUT_TYPES.PROVENANCE) ? createProvenanceRecorder() : null;
+    const loaded = loadStack({ stackDirs, classDirs, instanceDirs, defaultsDir, log, issues, provenance });
+
+    const canonicalBase = buildCanonicalBase('full', { ...hashInfo, buildDirName: path.basename(buildDir), buildRoot });
+    const metaBase = {
+      ...canonicalBase,
+      buildMeta: {
+        ...canonicalBase.buildMeta,
+        classDirs,
+        instanceDirs,
+        templateDirs,
+        defaultsDir,
+        layers,
+        schemaDraft: loaded.schemas.draft,
+        classOrder: orders.classes,
+        instanceOrder: orders.instances,
+        templateOrder: orders.templates
+      }
+    };
+    const hookContextOptions = { log, buildDir, ...hookDirs };
+    const stackData = applyLoadHooks(hooks, loaded, metaBase, hookContextOptions, log);
+    const { stackObjects, resolvedClasses } = stackData;
     const stack = stackObjects;
     const instanceCount = stackObjects.filter(obj => obj && obj.id && !isReservedId(obj.id)).length;
     log.info(`  • loaded ${fmt(instanceCount, 'green')} objects (+global)`);
     log.info(`  • loaded ${fmt(resolvedClasses.size, 'green')} classes`);
-    const validationResult = validateStack(stackObjects, resolvedClasses, { warningsAsErrors, warnExtraFields, log, issues });
-    const allIssues = validationResult.issues;
+    const validationResult = validateStack(stackObjects, resolvedClasses, { warningsAsErrors, warnExtraFields, log, issues, schemas: loaded.schemas, rules: loaded.rules });
+    const finalProvenance = provenance && finalizeProvenance(provenance, stackData, stackData !== loaded);
+    const allIssues = locateIssues(validationResult.issues, finalProvenance, { instanceDirs: orders.instances, classDirs: orders.classes, instances: stackData.instancesById });
+    result.issues = allIssues;
     const warnCount = allIssues.filter(issue => issue.level === 'warn').length;
     const errorCount = allIssues.filter(issue => issue.level === 'error').length;
     log.info(`  • validation: ${fmt(warnCount, warnCount ? 'yellow' : 'dim')} warnings, ${fmt(errorCount, errorCount ? 'yellow' : 'dim')} errors`);
 
-    const buildHash = stackHashFromDirs(stackDirs);
-    const canonicalBase = buildCanonicalBase('full', { stackHash: buildHash, buildDirName: path.basename(buildDir), buildRoot });
-    const canonical = {
-      ...canonicalBase,
-      buildMeta: {
-        ...canonicalBase.buildMeta,
-        classDirs,
-        instanceDirs,
-        templateDirs,
-        classOrder: classDirs,
-        instanceOrder: instanceDirs,
-        templateOrder: templateDirs
-      },
-      global,
-      classes: Array.from(resolvedClasses.values()),
-      classesById: mapLikeToObject(resolvedClasses),
-      classHierarchy: buildClassHierarchy(resolvedClasses),
-      instances: stackObjects.filter(Boolean),
-      instancesById: mapLikeToObject(instancesById)
-    };
+    const canonical = assembleCanonical(metaBase, stackData);
     const services = createServices(canonical);
     const canonicalSnapshot = services.snapshot;
     const buildItemCount = stack.reduce((sum, obj) => sum + (Array.isArray(obj.build) ? obj.build.length : 0), 0);
 
     log.info(`${step('Step 3/5')} ${fmt('Prepare build dir', 'cyan')}`);
-    prepareBuildDir(buildDir, buildRoot, log);
+    // Incremental mode keeps previously rendered outputs; everything else is regenerated as in a clean build.
+    const previousState = incremental && outputs.has(OUTPUT_TYPES.TEMPLATES) ? readIncrementalState(buildDir, log) : null;
+    prepareBuildDir(buildDir, buildRoot, log, previousState);
 
     // Write outputs based on --output flags
     const metaDir = path.join(buildDir, 'meta');
@@ -177,37 +339,68 @@ function runBuild(options) {
     if (outputs.has(OUTPUT_TYPES.CLASS_DEFINITIONS)) writeClassDefinitions(metaDir, resolvedClasses, log);
     if (outputs.has(OUTPUT_TYPES.SCHEMAS)) writeSchemas(metaDir, resolvedClasses, log);
     if (outputs.has(OUTPUT_TYPES.INSTANCES)) writeInstances(metaDir, stackObjects, log);
+    if (outputs.has(OUTPUT_TYPES.PROVENANCE)) writeProvenance(metaDir, finalProvenance, log);
 
     if (validationResult.hasErrors) {
       log.error('Validation failed; skipping render.');
-      return;
+      return result;
     }
 
+    const finalizeOptions = { hooks, services, hookContextOptions, issues, buildDir, outputs, packageOptions, log };
     if (!outputs.has(OUTPUT_TYPES.TEMPLATES)) {
       log.info(`${step('Step 4/5')} ${fmt('Render outputs', 'cyan')} (skipped, not in --output)`);
       log.info(`${step('Step 5/5')} ${fmt('Complete', 'cyan')}`);
+      if (!finalizeBuild({ ...finalizeOptions, manifest: [] })) {
+        return result;
+      }
       log.info(`${fmt('Build succeeded', 'green')}`);
-      return;
+      result.ok = true;
+      return result;
     }
 
     log.info(`${step('Step 4/5')} ${fmt('Render outputs', 'cyan')}`);
     log.info(`  • items: ${fmt(buildItemCount, 'green')} across ${instanceCount} objects (+global)`);
     log.info(`  • root:  ${fmt(buildDir, 'dim')}`);
-    const renderResult = templateEngine.renderAll({ snapshot: canonicalSnapshot, buildDir, failOnCollisions, canonical: canonicalSnapshot, services });
+    const renderHooks = hooks.createRenderHooks(services, hookContextOptions);
+    const key = incremental ? incrementalKey({ renderHooks }) : null;
+    const renderResult = templateEngine.renderAll({
+      snapshot: canonicalSnapshot,
+      buildDir,
+      failOnCollisions,
+      canonical: canonicalSnapshot,
+      services,
+      hooks: renderHooks,
+      incremental: incremental ? { previous: reusableOutputs(previousState, key) } : undefined
+    });
     if (renderResult.collisionFatal) {
-      return;
+      return result;
+    }
+    if (issues.hasErrors()) {
+      log.error('Render hooks reported errors; build failed.');
+      return result;
+    }
+    if (incremental) {
+      finishIncremental({ buildDir, previousState, key, result: renderResult, log });
     }
-    const renderedCount = renderResult.renderedCount || 0;
+    result.manifest = renderResult.manifest || [];
+    // Reused outputs (incremental builds) are reported by finishIncremental, not as rendered.
+    const renderedCount = (renderResult.renderedCount || 0) - (renderResult.incremental ? renderResult.incremental.reusedCount : 0);
 
     log.info(`${step('Step 5/5')} ${fmt('Complete', 'cyan')}`);
     log.info(`  • rendered: ${fmt(renderedCount, 'green')} outputs`);
     log.info(`  • canonical: ${fmt(path.join(buildDir, 'canonical.json'), 'dim')}`);
+    if (!finalizeBuild({ ...finalizeOptions, manifest: result.manifest })) {
+      return result;
+    }
     log.info(`${fmt('Build succeeded', 'green')}`);
+    result.ok = true;
   } catch (e) {
     log.error(e.message);
   } finally {
-    log.summarizeAndExitIfNeeded();
+    result.ok = result.ok && !log.hasErrors();
+    endWithSummary(log, exitOnError);
   }
+  return result;
 }
 
 // Classes-only build: merges and outputs class definitions and schemas without loading instances or rendering templates.
@@ -219,6 +412,8 @@ function runClassesBuild(options) {
     buildDir: buildDirInput,
     buildName: buildNameInput,
     includeHash = true,
+    defaultsDir: defaultsDirInput,
+    contentHash = false,
     quiet = false,
     silent = false
   } = options || {};
@@ -226,32 +421,43 @@ function runClassesBuild(options) {
   const log = initBuildEnv({ quiet, silent });
   const classDirs = resolveSourceDirs(classDirInputs, 'class', log);
   if (!classDirs) return;
+  const defaultsSource = resolveDefaultsSource(defaultsDirInput, log);
+  if (!defaultsSource) return;
+  const { defaultsDir } = defaultsSource;
+  const { layers, orders } = layerMeta(defaultsDir, { classes: classDirs });
+  const hashInfo = computeStackHash({ contentHash, stackDirs: classDirs, classDirs, defaultsDir }, log);
+  if (!hashInfo) return;
 
   const { buildRoot, buildDir } = resolveBuildPaths({
     buildRootInput,
     buildDirInput,
     buildNameInput,
     stackDirs: classDirs,
-    includeHash
+    includeHash,
+    stackHash: hashInfo.stackHash
   });
 
   try {
     const { loadResolvedClasses } = require('./class_loader');
 
     log.info(`${step('Step 1/2')} ${fmt('Load classes', 'cyan')}`);
-    logSourceDirs(classDirs, 'classes', log);
+    logSourceDirs(orders.classes, 'classes', log, { defaultsDir });
 
-    const { resolvedClasses } = loadResolvedClasses(classDirs, log);
+    const issues = createIssueCollector({ log });
+    const { resolvedClasses, schemas } = loadResolvedClasses(orders.classes, log, null, issues);
+    locateIssues(issues.list(), null, { classDirs: orders.classes });
     log.info(`  • loaded ${fmt(resolvedClasses.size, 'green')} classes`);
 
-    const buildHash = stackHashFromDirs(classDirs);
-    const canonicalBase = buildCanonicalBase('classes-only', { stackHash: buildHash, buildDirName: path.basename(buildDir), buildRoot });
+    const canonicalBase = buildCanonicalBase('classes-only', { ...hashInfo, buildDirName: path.basename(buildDir), buildRoot });
     const canonical = {
       ...canonicalBase,
       buildMeta: {
         ...canonicalBase.buildMeta,
         classDirs,
-        classOrder: classDirs
+        defaultsDir,
+        layers,
+        schemaDraft: schemas.draft,
+        classOrder: orders.classes
       },
       classes: Array.from(resolvedClasses.values()),
       classesById: mapLikeToObject(resolvedClasses),
@@ -265,6 +471,7 @@ function runClassesBuild(options) {
     if (outputs.has(OUTPUT_TYPES.CANONICAL)) writeCanonical(buildDir, canonical, log);
     if (outputs.has(OUTPUT_TYPES.CLASS_DEFINITIONS)) writeClassDefinitions(metaDir, resolvedClasses, log);
     if (outputs.has(OUTPUT_TYPES.SCHEMAS)) writeSchemas(metaDir, resolvedClasses, log);
+    if (outputs.has(OUTPUT_TYPES.VALIDATION)) writeValidation(metaDir, issues.list(), log);
 
     log.info(`${fmt('Classes build succeeded', 'green')}`);
   } catch (e) {
@@ -283,6 +490,7 @@ function runValidate(options) {
     outputs = new Set([OUTPUT_TYPES.SUMMARY]),
     warningsAsErrors = false,
     warnExtraFields = false,
+    defaultsDir: defaultsDirInput,
     quiet = false,
     silent = false
   } = options || {};
@@ -294,10 +502,11 @@ function runValidate(options) {
   // Helper for JSON error output
   const jsonError = (msg) => console.log(JSON.stringify({ error: msg, issues: [] }, null, 2));
 
-  let classDirs, instanceDirs;
+  let classDirs, instanceDirs, defaultsDir;
   try {
     classDirs = resolveStackDirs(classDirInputs);
     instanceDirs = resolveStackDirs(instanceDirInputs);
+    defaultsDir = resolveDefaultsDir(defaultsDirInput);
   } catch (e) {
     if (outputJson) jsonError(e.message);
     else log.error(e.message);
@@ -319,23 +528,30 @@ function runValidate(options) {
   }
 
   try {
+    const { layers, orders } = layerMeta(defaultsDir, { classes: classDirs, instances: instanceDirs });
     log.info(`${step('Step 1/3')} ${fmt('Load classes', 'cyan')}`);
-    logSourceDirs(classDirs, 'classes', log);
+    logSourceDirs(orders.classes, 'classes', log, { defaultsDir });
     const issues = createIssueCollector({ log, warningsAsErrors });
 
     // Use a dummy stackDirs that covers both sources for loadStack compatibility
     const allDirs = [...new Set([...classDirs, ...instanceDirs])];
-    const { stackObjects, resolvedClasses } = loadStack({ stackDirs: allDirs, classDirs, instanceDirs, log, issues });
+    const hookDirs = { stackDirs: withDefaultsLayer(defaultsDir, allDirs), classDirs: orders.classes, instanceDirs: orders.instances };
+    const hooks = createHookRunner({ ...hookDirs, log, issues });
+    hooks.prepare();
+    const loaded = loadStack({ stackDirs: allDirs, classDirs, instanceDirs, defaultsDir, log, issues });
+    const metaBase = { buildMeta: { mode: 'validate', classDirs, instanceDirs, defaultsDir, layers } };
+    const stackData = applyLoadHooks(hooks, loaded, metaBase, { log, ...hookDirs }, log);
+    const { stackObjects, resolvedClasses } = stackData;
     log.info(`  • loaded ${fmt(resolvedClasses.size, 'green')} classes`);
 
     log.info(`${step('Step 2/3')} ${fmt('Load instances', 'cyan')}`);
-    logSourceDirs(instanceDirs, 'instances', log);
+    logSourceDirs(orders.instances, 'instances', log, { defaultsDir });
     const instanceCount = stackObjects.filter(obj => obj && obj.id && !isReservedId(obj.id)).length;
     log.info(`  • loaded ${fmt(instanceCount, 'green')} objects (+global)`);
 
     log.info(`${step('Step 3/3')} ${fmt('Validate', 'cyan')}`);
-    const validationResult = validateStack(stackObjects, resolvedClasses, { warningsAsErrors, warnExtraFields, log, issues });
-    const allIssues = validationResult.issues;
+    const validationResult = validateStack(stackObjects, resolvedClasses, { warningsAsErrors, warnExtraFields, log, issues, schemas: loaded.schemas, rules: loaded.rules });
+    const allIssues = locateIssues(validationResult.issues, null, { instanceDirs: orders.instances, classDirs: orders.classes, instances: stackData.instancesById });
     const warnCount = allIssues.filter(issue => issue.level === 'warn').length;
     const errorCount = allIssues.filter(issue => issue.level === 'error').length;
 
@@ -344,6 +560,7 @@ function runValidate(options) {
         passed: !validationResult.hasErrors,
         classDirs,
         instanceDirs,
+        defaultsDir,
         classCount: resolvedClasses.size,
         instanceCount,
         warningCount: warnCount,
@@ -357,7 +574,7 @@ function runValidate(options) {
       if (validationResult.hasErrors) {
         log.error('Validation failed.');
         allIssues.filter(i => i.level === 'error').forEach(issue => {
-          log.error(`  ${issue.message}`);
+          log.error(`  ${issue.message}${issue.line ? ` (${displayPath(issue.file)}:${issue.line}:${issue.column})` : ''}`);
         });
       } else {
         log.info(`${fmt('Validation passed', 'green')}`);
@@ -375,6 +592,55 @@ function runValidate(options) {
   }
 }
 
+// Explain: loads classes and instances (with onLoadComplete hooks) while recording provenance, then
+// prints where the fields of one instance (or class, with kind 'classes') at or below a path came from.
+function runExplain(options) {
+  const {
+    classDirs: classDirInputs,
+    instanceDirs: instanceDirInputs,
+    defaultsDir: defaultsDirInput,
+    id,
+    path: fieldPath = '',
+    kind = 'instances',
+    format = 'text',
+    silent = false
+  } = options || {};
+
+  // Only the explanation goes to stdout; pipeline progress is suppressed.
+  const log = initBuildEnv({ quiet: true, silent });
+  try {
+    const classDirs = resolveStackDirs(classDirInputs);
+    const instanceDirs = resolveStackDirs(instanceDirInputs);
+    const defaultsDir = resolveDefaultsDir(defaultsDirInput);
+    const { layers, orders } = layerMeta(defaultsDir, { classes: classDirs, instances: instanceDirs });
+    const issues = createIssueCollector({ log });
+
+    const allDirs = [...new Set([...classDirs, ...instanceDirs])];
+    const hookDirs = { stackDirs: withDefaultsLayer(defaultsDir, allDirs), classDirs: orders.classes, instanceDirs: orders.instances };
+    const hooks = createHookRunner({ ...hookDirs, log, issues });
+    hooks.prepare();
+    const provenance = createProvenanceRecorder();
+    const loaded = loadStack({ stackDirs: allDirs, classDirs, instanceDirs, defaultsDir, log, issues, provenance });
+    const metaBase = { buildMeta: { mode: 'explain', classDirs, instanceDirs, defaultsDir, layers } };
+    const stackData = applyLoadHooks(hooks, loaded, metaBase, { log, ...hookDirs }, log);
+
+    const result = explainField(finalizeProvenance(provenance, stackData, stackData !== loaded), { id, path: fieldPath, kind });
+    if (!result) {
+      log.error(`Unknown ${kind === 'classes' ? 'class' : 'instance'} '${id}'.`);
+    } else if (!Object.keys(result.fields).length) {
+      log.error(`No fields recorded at '${fieldPath}' for ${kind === 'classes' ? 'class' : 'instance'} '${id}'.`);
+    } else if (format === 'json') {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      console.log(formatExplain(result).join('\n'));
+    }
+  } catch (e) {
+    log.error(e.message);
+  } finally {
+    log.summarizeAndExitIfNeeded();
+  }
+}
+
 // Instances-only build: merges instances without class resolution or validation.
 // Outputs raw merged instance data for external processing or validation.
 function runInstancesBuild(options) {
@@ -385,6 +651,8 @@ function runInstancesBuild(options) {
     buildDir: buildDirInput,
     buildName: buildNameInput,
     includeHash = true,
+    defaultsDir: defaultsDirInput,
+    contentHash = false,
     quiet = false,
     silent = false
   } = options || {};
@@ -392,30 +660,38 @@ function runInstancesBuild(options) {
   const log = initBuildEnv({ quiet, silent });
   const instanceDirs = resolveSourceDirs(instanceDirInputs, 'instance', log);
   if (!instanceDirs) return;
+  const defaultsSource = resolveDefaultsSource(defaultsDirInput, log);
+  if (!defaultsSource) return;
+  const { defaultsDir } = defaultsSource;
+  const { layers, orders } = layerMeta(defaultsDir, { instances: instanceDirs });
+  const hashInfo = computeStackHash({ contentHash, stackDirs: instanceDirs, instanceDirs, defaultsDir }, log);
+  if (!hashInfo) return;
 
   const { buildRoot, buildDir } = resolveBuildPaths({
     buildRootInput,
     buildDirInput,
     buildNameInput,
     stackDirs: instanceDirs,
-    includeHash
+    includeHash,
+    stackHash: hashInfo.stackHash
   });
 
   try {
     log.info(`${step('Step 1/2')} ${fmt('Load instances', 'cyan')}`);
-    logSourceDirs(instanceDirs, 'instances', log);
-    const { stackObjects, instancesById, global } = loadInstancesOnly({ instanceDirs, log });
+    logSourceDirs(orders.instances, 'instances', log, { defaultsDir });
+    const { stackObjects, instancesById, global } = loadInstancesOnly({ instanceDirs, defaultsDir, log });
     const instanceCount = stackObjects.filter(obj => obj && obj.id && !isReservedId(obj.id)).length;
     log.info(`  • loaded ${fmt(instanceCount, 'green')} objects (+global)`);
 
-    const buildHash = stackHashFromDirs(instanceDirs);
-    const canonicalBase = buildCanonicalBase('instances-only', { stackHash: buildHash, buildDirName: path.basename(buildDir), buildRoot });
+    const canonicalBase = buildCanonicalBase('instances-only', { ...hashInfo, buildDirName: path.basename(buildDir), buildRoot });
     const canonical = {
       ...canonicalBase,
       buildMeta: {
         ...canonicalBase.buildMeta,
         instanceDirs,
-        instanceOrder: instanceDirs
+        defaultsDir,
+        layers,
+        instanceOrder: orders.instances
       },
       global,
       instances: stackObjects.filter(Boolean),
@@ -440,6 +716,7 @@ function runInstancesBuild(options) {
 module.exports = {
   runBuild,
   runClassesBuild,
+  runExplain,
   runInstancesBuild,
   runValidate
 };
@@ -1,7 +1,12 @@
 const path = require('path');
-const { deepMerge, mergeValue, unwrapResets } = require('./core/merge_utils');
+const { deepMerge, isPlainObject, isUnsetMarker, mergeValue, propertyStrategies, schemaMergeStrategies, settleMerged, withMergeContext } = require('./core/merge_utils');
 const { findJsonFiles, readJsonFile } = require('./core/fs_utils');
-const { parentsFor } = require('./core/canonical_helpers');
+const { classLineage, classListLineage, classNames, classParentConflicts, parentsFor, setsPath } = require('./core/canonical_helpers');
+const { parsePointer } = require('./core/patch_utils');
+const { jsonPointer } = require('./core/diff_utils');
+const { classDefaultErrors, createClassValidators } = require('./validation');
+const { schemaIncompatibilities } = require('./core/schema_compat');
+const { loadSchemaSet } = require('./schema_registry');
 const { asArray } = require('./core/object_utils');
 const { RESERVED_CLASS_KEYS } = require('./core/build_helpers');
 
@@ -79,17 +84,111 @@ function compareEntries(a, b) {
   return srcCmp !== 0 ? srcCmp : (a.__file || '').localeCompare(b.__file || '');
 }
 
+// Keys a resolved class takes from its own definition only (not inherited).
+const OWN_CLASS_KEYS = Object.freeze(['parent', 'abstract', 'final', 'sealed', 'permits']);
+// Schema property keywords locking an inherited value: final against subclasses and instances,
+// readonly against instances.
+const FINAL_KEYWORD = 'x-terrible-final';
+const READONLY_KEYWORD = 'x-terrible-readonly';
+
+// Top-level properties a schema marks with a lock keyword.
+function lockedProperties(schema, keyword) {
+  const properties = isPlainObject(schema) && isPlainObject(schema.properties) ? schema.properties : {};
+  return Object.keys(properties).filter(key => isPlainObject(properties[key]) && properties[key][keyword] === true);
+}
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Paths (as segments) where a value holds an $unset marker on a property the schema requires, at
+// any depth of nested `properties`.
+function unsetRequiredPaths(schema, value, segments = []) {
+  if (!isPlainObject(schema) || !isPlainObject(value)) return [];
+  const properties = isPlainObject(schema.properties) ? schema.properties : {};
+  return Object.keys(value).flatMap(key => {
+    const at = [...segments, key];
+    if (isUnsetMarker(value[key])) return asArray(schema.required).includes(key) ? [at] : [];
+    return unsetRequiredPaths(properties[key], value[key], at);
+  });
+}
+
+// Merge a list of schemas (ancestors first) like class schemas.
+function mergeSchemas(schemas) {
+  return schemas.filter(isPlainObject).reduce((acc, schema) => deepMerge(acc, schema), {});
+}
+
+// x-terrible-merge strategies from a list of schemas (ancestors first).
+function classMergeStrategies(schemas) {
+  return schemaMergeStrategies(mergeSchemas(schemas));
+}
+
+// Own (unresolved) class definitions behind each map returned by resolveClasses, and the class
+// lists (mixins) resolved from them: { classes, lineages, lists }.
+const classSources = new WeakMap();
+
+/**
+ * The class an instance's `class` resolves to. A single name gives its resolved class. A list
+ * (mixins) merges the listed classes like the parents of a class: own definitions along the
+ * list's C3 lineage, later classes taking precedence, and schemas merged the same way.
+ * @param {string|string[]} value - An instance's `class`; unknown names are skipped
+ * @param {Map<string, Object>} resolvedClasses
+ * @returns {{def: Object, lineage: string[]}|null} def's `class` is the list; null when no class is known
+ */
+function resolveClassList(value, resolvedClasses) {
+  const names = classNames(value).filter(name => resolvedClasses.has(name));
+  if (names.length < 2) {
+    return names.length ? { def: resolvedClasses.get(names[0]), lineage: [names[0]] } : null;
+  }
+  const sources = classSources.get(resolvedClasses);
+  const key = names.join('\n');
+  if (sources && sources.lists.has(key)) return sources.lists.get(key);
+
+  // Without the own definitions (a map not built by resolveClasses), merge the listed classes in order.
+  const where = `classes ${names.map(name => `'${name}'`).join(', ')}`;
+  const lineage = sources
+    ? withMergeContext(where, { class: names }, () => classListLineage(sources.classes, names, sources.lineages))
+    : names;
+  const defs = lineage.map(name => (sources ? sources.classes[name] : resolvedClasses.get(name)));
+  const schema = mergeSchemas(defs.map(def => def.schema));
+  const strategies = schemaMergeStrategies(schema);
+  const merged = withMergeContext(where, { class: names }, () => settleMerged(defs.reduce((acc, def) => deepMerge(acc, def, strategies), {}), strategies));
+  OWN_CLASS_KEYS.forEach(key => delete merged[key]);
+  const resolved = { def: { ...merged, class: names, schema }, lineage };
+  if (sources) sources.lists.set(key, resolved);
+  return resolved;
+}
+
+// The resolved class (or merged class list) for an instance's `class`; null when none is known.
+function effectiveClass(value, resolvedClasses) {
+  const resolved = resolveClassList(value, resolvedClasses);
+  return resolved ? resolved.def : null;
+}
+
+/**
+ * Merge strategies declared by a resolved class's schema (`x-terrible-merge`, `x-terrible-merge-by`), for merging
+ * instance data of that class.
+ * @param {string|string[]} className - A class name or an instance's class list
+ * @returns {Object|null} schemaMergeStrategies() node
+ */
+function mergeStrategiesForClass(resolvedClasses, className) {
+  const resolved = className ? resolveClassList(className, resolvedClasses) : null;
+  return resolved ? classMergeStrategies([resolved.def.schema]) : null;
+}
+
 // Merge class definitions from an ordered list of class directories (later entries override).
-function mergeClassDefinitions(classDirs, log) {
+// provenance (optional): recorder fed every class and schema file in merge order.
+// fileLayers (optional Map): filled with each class's definition files, { file, data } in merge order.
+function mergeClassDefinitions(classDirs, log, provenance, fileLayers = new Map()) {
   const rawEntries = asArray(classDirs)
     .flatMap((dir, index) => loadRawClassEntries(dir, log, `stack_${String(index).padStart(4, '0')}`))
     .sort(compareEntries);
 
   const classMap = new Map();
-  rawEntries.forEach(entry => {
+  const dataLayers = fileLayers;
+  rawEntries.forEach(entry => withMergeContext(entry.__file, { filePath: entry.__file }, () => {
     const existing = classMap.get(entry.class);
 
     if (entry.type === 'schema') {
+      if (provenance) provenance.classFile(entry.class, entry.schema, { file: entry.__file, kind: 'schema' }, ['schema']);
       const next = existing ? { ...existing } : { class: entry.class };
       next.schema = next.schema ? deepMerge(next.schema, entry.schema) : entry.schema;
       next.__source = entry.__source || next.__source;
@@ -99,114 +198,298 @@ function mergeClassDefinitions(classDirs, log) {
     }
 
     if (entry.type === 'class') {
+      if (provenance) provenance.classFile(entry.class, entry.data, { file: entry.__file, kind: 'class' });
+      dataLayers.set(entry.class, [...(dataLayers.get(entry.class) || []), { file: entry.__file, data: entry.data }]);
       const merged = existing ? deepMerge(existing, entry.data) : entry.data;
       classMap.set(entry.class, merged);
     }
-  });
+  }));
 
   // Normalize parent/parents to a single ordered array form for determinism.
   classMap.forEach((def, name) => {
     classMap.set(name, stripInternalFields(normalizeParents(def)));
   });
 
+  // Strategies are only known once every schema is merged: re-merge classes defined in several
+  // files when their schemas (or their parents') declare any.
+  const classes = Object.fromEntries(classMap);
+  dataLayers.forEach((layers, name) => {
+    if (layers.length < 2) return;
+    const strategies = classMergeStrategies(classLineage(classes, name).map(className => classes[className].schema));
+    if (!strategies) return;
+    const { schema } = classMap.get(name);
+    const merged = withMergeContext(`class '${name}'`, { class: name }, () => layers.map(layer => layer.data).reduce((acc, data) => deepMerge(acc, data, strategies)));
+    classMap.set(name, normalizeParents(schema ? { ...merged, schema } : merged));
+  });
+
   return classMap;
 }
 
-// Recursively resolve inheritance for a class, caching results.
-function resolveClass(name, classMap, memo, stack, path, log) {
+// Resolve a class by merging the own definitions along its C3 lineage (ancestors first, the
+// class last), so an ancestor shared by several parents applies once. Parents resolve first
+// (memoized) so conflicts between them can be reported.
+function resolveClass(name, classes, memo, lineages, log, provenance, issues) {
   if (memo.has(name)) {
     return memo.get(name);
   }
-  if (stack.has(name)) {
-    const cyclePath = [...path, name].join(' -> ');
-    throw new Error(`Detected circular class inheritance: ${cyclePath}`);
-  }
-
-  const def = classMap.get(name);
+  const def = classes[name];
   if (!def) {
     return null;
   }
 
-  stack.add(name);
-  const nextPath = [...path, name];
-  let resolved = {};
-  const parentList = parentsFor(def);
-  parentList.forEach(parentName => {
-    if (nextPath.includes(parentName)) {
-      const cyclePath = [...nextPath, parentName].join(' -> ');
-      throw new Error(`Detected circular class inheritance: ${cyclePath}`);
-    }
-    const parentResolved = resolveClass(parentName, classMap, memo, stack, nextPath, log);
-    if (!parentResolved && log) {
+  const where = `class '${name}'`;
+  const warn = (msg, meta) => issues ? issues.warn(msg, meta) : log && log.warn(msg);
+  const fail = (msg, meta) => issues ? issues.error(msg, meta) : log && log.error(msg);
+  const lineage = classLineage(classes, name, lineages);
+  parentsFor(def).forEach(parentName => {
+    if (!resolveClass(parentName, classes, memo, lineages, log, provenance, issues) && log) {
       log.warn(`Class '${name}' references unknown parent '${parentName}'.`);
     }
-    if (parentResolved) {
-      resolved = deepMerge(resolved, parentResolved);
+    const parent = classes[parentName];
+    if (parent && parent.final === true) {
+      fail(`Class '${name}' extends final class '${parentName}'.`, { code: 'final_class_extended', class: name, parent: parentName });
+    } else if (parent && parent.sealed === true && !asArray(parent.permits).includes(name)) {
+      // A sealed class names its direct subclasses in `permits`; without one, it is as good as final.
+      const permits = asArray(parent.permits);
+      fail(`Class '${name}' extends sealed class '${parentName}', which permits ${permits.length ? permits.map(permitted => `'${permitted}'`).join(', ') : 'no subclasses'}.`, {
+        code: 'sealed_class_extended', class: name, parent: parentName, permits
+      });
     }
   });
-  resolved = deepMerge(resolved, def);
-  resolved = unwrapResets(resolved);  // Unwrap any remaining $reset after all merging
+  // Strategies declared anywhere in the lineage apply to every step of the merge.
+  const ancestors = lineage.slice(0, -1);
+  const strategies = withMergeContext(where, { class: name }, () => classMergeStrategies(lineage.map(className => classes[className].schema)));
+  const { inherited, resolved } = withMergeContext(where, { class: name }, () => {
+    const merged = ancestors.reduce((acc, className) => deepMerge(acc, classes[className], strategies), {});
+    // Unwrap any remaining $reset/$merge after all merging
+    return { inherited: settleMerged(merged, strategies), resolved: settleMerged(deepMerge(merged, def, strategies), strategies) };
+  });
+  OWN_CLASS_KEYS.forEach(key => {
+    if (def[key] === undefined) delete resolved[key];
+    else resolved[key] = def[key];
+  });
+
+  // Values an ancestor's schema marks final keep the inherited value.
+  const finalKeys = lockedProperties(mergeSchemas(ancestors.map(className => classes[className].schema)), FINAL_KEYWORD);
+  finalKeys
+    .filter(key => def[key] !== undefined && inherited[key] !== undefined && !sameJson(resolved[key], inherited[key]))
+    .forEach(key => {
+      fail(`Class '${name}' overrides final property '${key}'; keeping the inherited value.`, { code: 'final_property_overridden', class: name, field: key });
+      resolved[key] = inherited[key];
+    });
+  // A class unsetting a required value leaves every instance to supply it.
+  unsetRequiredPaths(mergeSchemas(lineage.map(className => classes[className].schema)), def).forEach(segments => {
+    const instancePath = jsonPointer(segments);
+    warn(`Class '${name}' unsets required field ${instancePath}; instances must set it or fail schema validation.`, {
+      code: 'required_unset', class: name, field: segments[segments.length - 1], instancePath
+    });
+  });
   memo.set(name, resolved);
-  stack.delete(name);
+
+  const resolvedParents = Object.fromEntries(memo);
+  classParentConflicts({ ...resolvedParents, [name]: def }, name, def, Array.from(RESERVED_CLASS_KEYS)).forEach(conflict => {
+    const [left, right] = conflict.parents;
+    warn(`Class '${name}' inherits conflicting values for ${conflict.path} from '${left}' (${JSON.stringify(conflict.values[0])}) and '${right}' (${JSON.stringify(conflict.values[1])}); '${conflict.winner}' wins by MRO. Set it on '${name}' to choose.`, {
+      code: 'class_parent_conflict', class: name, ...conflict
+    });
+  });
+  if (provenance) provenance.resolveClass(name, lineage, strategies);
   return resolved;
 }
 
 // Resolve every class definition, expanding inheritance.
-function resolveClasses(classMap, log) {
+function resolveClasses(classMap, log, provenance, issues) {
+  const classes = Object.fromEntries(classMap);
   const memo = new Map();
+  const lineages = new Map();
   Array.from(classMap.keys()).forEach(name => {
-    resolveClass(name, classMap, memo, new Set(), [], log);
+    resolveClass(name, classes, memo, lineages, log, provenance, issues);
   });
-  return memo;
+  const resolvedClasses = new Map(Array.from(classMap.keys()).map(name => [name, memo.get(name)]));
+  classSources.set(resolvedClasses, { classes, lineages, lists: new Map() });
+  return resolvedClasses;
 }
 
 // Apply resolved class defaults onto an object, respecting append/reset semantics.
-function applyClassDefaults(obj, resolvedClasses, log, issues) {
-  if (!obj || typeof obj.class !== 'string') return;
+// `class` may list several classes (mixins); their defaults apply in list order (resolveClassList).
+// $unset markers are left in place for the loader to settle.
+function applyClassDefaults(obj, resolvedClasses, log, issues, provenance) {
+  const names = obj ? classNames(obj.class) : [];
+  if (!names.length) return;
 
   const warn = (msg, meta) => issues ? issues.warn(msg, meta) : log.warn(msg);
+  const fail = (msg, meta) => issues ? issues.error(msg, meta) : log.error(msg);
 
-  const classDef = resolvedClasses.get(obj.class);
-  if (!classDef) {
-    warn(`Object '${obj.id}' references unknown class '${obj.class}'.`, {
-      code: 'unknown_class', id: obj.id, class: obj.class
+  names.filter(name => !resolvedClasses.has(name)).forEach(name => {
+    warn(`Object '${obj.id}' references unknown class '${name}'.`, {
+      code: 'unknown_class', id: obj.id, class: name
     });
-    return;
-  }
+  });
+  const resolved = resolveClassList(names, resolvedClasses);
+  if (!resolved) return;
+  const { def: classDef } = resolved;
+  const classLabel = classNames(classDef.class).join(', ');
+  names.filter(name => resolvedClasses.has(name) && resolvedClasses.get(name).abstract === true).forEach(name => {
+    fail(`Object '${obj.id}' references abstract class '${name}'; use a concrete subclass.`, {
+      code: 'abstract_class_instance', id: obj.id, class: name
+    });
+  });
 
   // Warn if required fields (from class schema) are missing before defaults apply.
-  const requiredFields = asArray(classDef.schema?.required);
+  const requiredFields = Array.from(new Set(asArray(classDef.schema?.required)));
   const requiredSet = new Set(requiredFields);
   
   requiredFields
     .filter(field => obj[field] === undefined)
     .forEach(field => {
-      warn(`Object '${obj.id}' is missing required field '${field}' (class '${obj.class}') before defaults; validation will fail unless the instance provides it.`, {
+      warn(`Object '${obj.id}' is missing required field '${field}' (class '${classLabel}') before defaults; validation will fail unless the instance provides it.`, {
         code: 'required_missing_pre_defaults', id: obj.id, class: obj.class, field
       });
     });
 
   // Apply class defaults to non-reserved fields
+  const strategies = classMergeStrategies([classDef.schema]);
+  const locks = new Map([
+    ...lockedProperties(classDef.schema, READONLY_KEYWORD).map(key => [key, 'readonly']),
+    ...lockedProperties(classDef.schema, FINAL_KEYWORD).map(key => [key, 'final'])
+  ]);
+  const applied = [];
   Object.entries(classDef)
     .filter(([key, value]) => !RESERVED_CLASS_KEYS.has(key) && value != null)
     .forEach(([key, value]) => {
       // Leave required fields untouched so validation can catch truly missing data
       if (requiredSet.has(key) && obj[key] === undefined) return;
-      obj[key] = mergeValue(value, obj[key]);
+      const overridden = obj[key] !== undefined;
+      obj[key] = mergeValue(value, obj[key], propertyStrategies(strategies, key));
+      applied.push(key);
+      // Locked values stay as the class sets them.
+      if (overridden && locks.has(key) && !sameJson(obj[key], value)) {
+        const lock = locks.get(key);
+        fail(`Object '${obj.id}' overrides ${lock} property '${key}' of class '${classLabel}'; keeping the class value.`, {
+          code: `${lock}_property_overridden`, id: obj.id, class: obj.class, field: key
+        });
+        obj[key] = value;
+      }
+    });
+
+  // $unset on a required field, at any depth, removes it for good; name the unset, as validation
+  // only reports it missing.
+  unsetRequiredPaths(classDef.schema, obj).forEach(segments => {
+    const instancePath = jsonPointer(segments);
+    warn(`Object '${obj.id}' unsets required field ${instancePath} (class '${classLabel}'); schema validation will report it missing.`, {
+      code: 'required_unset', id: obj.id, class: obj.class, field: segments[segments.length - 1], instancePath
     });
+  });
+  if (provenance) {
+    if (resolved.lineage.length > 1) provenance.resolveClass(classLabel, resolved.lineage, strategies);
+    provenance.classDefaults(obj.id, classLabel, applied, strategies);
+  }
+}
+
+// Check every resolved class's defaults against its merged schema. Each invalid value is reported
+// once, as class_default_invalid naming the class file that set it, rather than on every class and
+// instance inheriting it. Schemas Ajv rejects are left to validateStack, which shares getValidator.
+function checkClassDefaults(resolvedClasses, fileLayers, log, issues, getValidator) {
+  const classes = Object.fromEntries(resolvedClasses);
+  // One entry per file, path and error; the class that set the value wins when its schema rejects it too.
+  const invalid = new Map();
+  resolvedClasses.forEach((classDef, name) => {
+    const lineage = classLineage(classes, name);
+    classDefaultErrors(getValidator(name), classDef).forEach(error => {
+      const segments = parsePointer(error.path);
+      const source = lineage
+        .flatMap(className => (fileLayers.get(className) || []).map(layer => ({ ...layer, class: className })))
+        .reverse()
+        .find(layer => setsPath(layer.data, segments)) || { class: name };
+      const key = [source.file || name, error.path, error.message].join('\n');
+      if (!invalid.has(key) || source.class === name) invalid.set(key, { name, source, error });
+    });
+  });
+  invalid.forEach(({ name, source, error }) => {
+    const message = `Invalid default in class '${name}' (${JSON.stringify(error.value)}): ${error.message}${source.file ? `; set by class '${source.class}' in ${source.file}` : ''}.`;
+    const meta = {
+      code: 'class_default_invalid',
+      class: name,
+      definedBy: source.class,
+      file: source.file,
+      instancePath: error.path,
+      keyword: error.keyword,
+      value: error.value
+    };
+    if (issues) issues.add(issues.warnLevel(), message, meta);
+    else if (log) log.warn(message);
+  });
 }
 
-// Load, merge, and resolve classes from ordered stack directories.
-function loadResolvedClasses(stackDirs, log) {
+const INCOMPATIBILITY_DESCRIPTIONS = Object.freeze({
+  widened_type: 'widens the type',
+  conflicting_type: 'contradicts the type',
+  widened_enum: 'allows values outside the enum',
+  conflicting_enum: 'shares no enum value',
+  widened_const: 'drops the const',
+  conflicting_const: 'contradicts the const',
+  dropped_required: 'drops required fields',
+  widened_bound: 'loosens a bound',
+  widened_additional_properties: 'allows additional properties'
+});
+
+// Compare every class's merged schema with each parent's. A child may narrow what its parent
+// accepts, not loosen or contradict it; each finding is a schema_incompatible issue. The class's
+// own `class` const is expected to differ and is skipped. Inherited findings are reported on the
+// class that introduced them only, since a child's schema matches its parent's there.
+function checkSchemaCompatibility(resolvedClasses, log, issues) {
+  resolvedClasses.forEach((classDef, name) => {
+    parentsFor(classDef).forEach(parentName => {
+      const parentDef = resolvedClasses.get(parentName);
+      if (!parentDef || !classDef.schema || !parentDef.schema) return;
+      schemaIncompatibilities(parentDef.schema, classDef.schema, { ignore: ['/properties/class'] }).forEach(finding => {
+        const detail = finding.kind === 'dropped_required'
+          ? finding.child.join(', ')
+          : `${finding.keyword} ${JSON.stringify(finding.parent)} -> ${finding.child === undefined ? '(none)' : JSON.stringify(finding.child)}`;
+        const message = `Schema of class '${name}' ${INCOMPATIBILITY_DESCRIPTIONS[finding.kind]} of parent '${parentName}' at ${finding.path || '/'}: ${detail}.`;
+        if (issues) issues.add(issues.warnLevel(), message, {
+          code: 'schema_incompatible',
+          class: name,
+          parent: parentName,
+          kind: finding.kind,
+          schemaPath: finding.path,
+          keyword: finding.keyword,
+          parentValue: finding.parent,
+          childValue: finding.child
+        });
+        else if (log) log.warn(message);
+      });
+    });
+  });
+}
+
+// Load, merge, and resolve classes from ordered stack directories, along with the shared schemas in
+// their schemas/ directories, the build's JSON Schema draft, and the class validators (`schemas`,
+// for validateStack).
+// issues (optional): collector for class issues such as class_parent_conflict,
+// class_default_invalid, schema_incompatible, and schema_draft_conflict (logged without one).
+function loadResolvedClasses(stackDirs, log, provenance, issues) {
   const classDirs = asArray(stackDirs).map(dir => path.join(dir, 'classes'));
-  const classMap = mergeClassDefinitions(classDirs, log);
-  const resolvedClasses = resolveClasses(classMap, log);
-  return { classMap, resolvedClasses };
+  const fileLayers = new Map();
+  const classMap = mergeClassDefinitions(classDirs, log, provenance, fileLayers);
+  const resolvedClasses = resolveClasses(classMap, log, provenance, issues);
+  const { problems, ...schemas } = loadSchemaSet(asArray(stackDirs), resolvedClasses);
+  problems.forEach(({ message, ...meta }) => {
+    if (issues) issues.error(message, meta);
+    else if (log) log.error(message);
+  });
+  // One set of validators for the build: class defaults here, instances in validateStack.
+  schemas.validators = createClassValidators(resolvedClasses, schemas);
+  checkClassDefaults(resolvedClasses, fileLayers, log, issues, schemas.validators);
+  checkSchemaCompatibility(resolvedClasses, log, issues);
+  return { classMap, resolvedClasses, schemas };
 }
 
 module.exports = {
   applyClassDefaults,
+  effectiveClass,
   loadResolvedClasses,
   mergeClassDefinitions,
+  mergeStrategiesForClass,
   resolveClasses
 };
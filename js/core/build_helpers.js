@@ -2,7 +2,7 @@
 
 const path = require('path');
 const fs = require('fs');
-const { parentsFor } = require('./canonical_helpers');
+const { classMro, parentsFor } = require('./canonical_helpers');
 const { fmt, step } = require('./format');
 
 const repoRoot = path.join(__dirname, '..', '..');
@@ -13,10 +13,10 @@ const repoRoot = path.join(__dirname, '..', '..');
 const RESERVED_IDS = Object.freeze(['global']);
 
 /** Reserved keys on stack objects (instances) */
-const RESERVED_INSTANCE_KEYS = Object.freeze(new Set(['id', 'build', 'class']));
+const RESERVED_INSTANCE_KEYS = Object.freeze(new Set(['id', 'build', 'class', 'hooks', 'extends']));
 
 /** Reserved keys on class definitions */
-const RESERVED_CLASS_KEYS = Object.freeze(new Set(['class', 'parent', 'id', 'schema']));
+const RESERVED_CLASS_KEYS = Object.freeze(new Set(['class', 'parent', 'id', 'schema', 'hooks', 'abstract', 'final', 'sealed', 'permits']));
 
 /** Check if an instance ID is reserved */
 function isReservedId(id) {
@@ -48,20 +48,40 @@ function loadEnv(envPath = path.join(repoRoot, '.env')) {
   }
 }
 
-// Remove and recreate a build directory, ensuring it stays inside build root.
-function cleanBuildDir(buildDir, buildRoot) {
+// Remove a build directory (or, with `keep`, everything in it but those absolute paths), ensuring it stays inside build root.
+function cleanBuildDir(buildDir, buildRoot, { keep } = {}) {
   const buildDirRelative = path.relative(buildRoot, buildDir);
   if (buildDirRelative.startsWith('..') || path.isAbsolute(buildDirRelative)) {
     throw new Error(`Refusing to delete build directory outside build root: ${buildDir}`);
   }
-  if (fs.existsSync(buildDir)) {
+  if (!fs.existsSync(buildDir)) {
+    return;
+  }
+  if (!keep || !keep.size) {
     fs.rmSync(buildDir, { recursive: true, force: true });
+    return;
   }
+  // Incremental builds: delete everything except the kept files, then drop emptied directories.
+  const sweep = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const abs = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        sweep(abs);
+        if (!fs.readdirSync(abs).length) fs.rmdirSync(abs);
+      } else if (!keep.has(abs)) {
+        fs.rmSync(abs, { force: true });
+      }
+    });
+  };
+  sweep(buildDir);
 }
 
 // Build a DAG-style view of class inheritance, respecting declared parent order.
+// Each node carries the class's C3 method resolution order (`mro`, the class first).
 function buildClassHierarchy(resolvedClasses) {
   const names = Array.from(resolvedClasses.keys());
+  const classes = Object.fromEntries(resolvedClasses);
+  const mros = new Map();
   const parentMap = new Map();
   const childMap = new Map();
 
@@ -84,7 +104,7 @@ function buildClassHierarchy(resolvedClasses) {
     const cycle = seen.has(name);
     const nextSeen = new Set(seen).add(name);
     const children = Array.from(childMap.get(name) || []).sort().map(child => buildNode(child, nextSeen));
-    return { class: name, parents, children, cycle };
+    return { class: name, parents, children, cycle, mro: cycle ? [] : classMro(classes, name, mros) };
   }
 
   return roots.map(root => buildNode(root));
@@ -104,6 +124,8 @@ const OUTPUT_TYPES = {
   INSTANCES: 'instances',
   VALIDATION: 'validation',
   TEMPLATES: 'templates',
+  MANIFEST: 'manifest',
+  PROVENANCE: 'provenance',
   JSON: 'json',
   SUMMARY: 'summary'
 };
@@ -123,6 +145,20 @@ function writeValidation(metaDir, issues, log) {
   log.info(`  • validation report: ${fmt(filePath, 'dim')}`);
 }
 
+function writeManifest(metaDir, manifest, log) {
+  fs.mkdirSync(metaDir, { recursive: true });
+  const filePath = path.join(metaDir, 'manifest.json');
+  fs.writeFileSync(filePath, JSON.stringify({ files: manifest }, null, 2));
+  log.info(`  • manifest: ${fmt(manifest.length, manifest.length ? 'green' : 'dim')} files in ${fmt(filePath, 'dim')}`);
+}
+
+function writeProvenance(metaDir, provenance, log) {
+  fs.mkdirSync(metaDir, { recursive: true });
+  const filePath = path.join(metaDir, 'provenance.json');
+  fs.writeFileSync(filePath, JSON.stringify(provenance, null, 2));
+  log.info(`  • provenance: ${fmt(filePath, 'dim')}`);
+}
+
 function writeClassDefinitions(metaDir, resolvedClasses, log) {
   const classDefsDir = path.join(metaDir, 'class-definitions');
   let count = 0;
@@ -168,10 +204,11 @@ function writeInstances(metaDir, stackObjects, log) {
   return count;
 }
 
-// Log source directories with consistent formatting
-function logSourceDirs(dirs, type, log) {
+// Log source directories with consistent formatting; the defaults layer is tagged.
+function logSourceDirs(dirs, type, log, { defaultsDir } = {}) {
   dirs.forEach((dir, idx) => {
-    log.info(`  ${fmt(`${idx + 1}.`, 'dim')} ${type}:${fmt(path.join(dir, type), 'dim')}`);
+    const tag = defaultsDir && dir === defaultsDir ? ` ${fmt('(defaults)', 'dim')}` : '';
+    log.info(`  ${fmt(`${idx + 1}.`, 'dim')} ${type}:${fmt(path.join(dir, type), 'dim')}${tag}`);
   });
 }
 
@@ -193,6 +230,8 @@ module.exports = {
   writeCanonical,
   writeClassDefinitions,
   writeInstances,
+  writeManifest,
+  writeProvenance,
   writeSchemas,
   writeValidation
 };
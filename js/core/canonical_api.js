@@ -1,5 +1,7 @@
 'use strict';
 
+const { classNames } = require('./canonical_helpers');
+
 // Internal API for manipulating and reading canonical data.
 // Read-only views are used by the templating stage; mutator is a draft
 // for future hook/enrichment phases.
@@ -48,20 +50,33 @@ function createMutator(initialCanonical, { validate } = {}) {
   function upsertInstance(instance) {
     assertHasId(instance, 'instance');
     const existingIdx = working.instances.findIndex((i) => i && i.id === instance.id);
+    let next = instance;
     if (existingIdx === -1) {
-      working.instances.push(instance);
+      working.instances.push(next);
     } else {
-      working.instances[existingIdx] = { ...working.instances[existingIdx], ...instance };
+      next = { ...working.instances[existingIdx], ...instance };
+      working.instances[existingIdx] = next;
+    }
+    // Keep the keyed index readable between mutations; commit() rebuilds it fully.
+    if (working.instancesById) {
+      working.instancesById[next.id] = next;
     }
   }
 
   function removeInstance(id) {
     working.instances = working.instances.filter((inst) => inst.id !== id);
+    if (working.instancesById) {
+      delete working.instancesById[id];
+    }
   }
 
   function upsertClass(def) {
-    assertHasId(def, 'class');
-    working.classesById[def.id] = { ...working.classesById[def.id], ...def };
+    // Class definitions are keyed by their `class` name; `id` is accepted as an alias.
+    const key = def && (def.class || def.id);
+    if (!key) {
+      throw new Error('class requires a class name');
+    }
+    working.classesById[key] = { ...working.classesById[key], ...def };
     // Rebuild classes array
     working.classes = Object.values(working.classesById);
   }
@@ -73,6 +88,11 @@ function createMutator(initialCanonical, { validate } = {}) {
 
   function setGlobal(update) {
     working.global = { ...working.global, ...update };
+    // Mirror onto the global stack object so templates resolving via instancesById see the update.
+    const idx = working.instances.findIndex((inst) => inst && inst.id === 'global');
+    if (idx !== -1) {
+      working.instances[idx] = { ...working.instances[idx], ...update };
+    }
   }
 
   function commit() {
@@ -110,7 +130,8 @@ function createReadOnlyView(canonical) {
   const listInstances = () => snapshot.instances.slice();
   const getClass = (id) => snapshot.classesById[id] || null;
   const listClasses = () => snapshot.classes.slice();
-  const findByClass = (classId) => snapshot.instances.filter((inst) => inst.class === classId);
+  const findByClass = (classId) => snapshot.instances.filter((inst) => classNames(inst.class).includes(classId));
+  const findReferrers = (id) => ((snapshot.referencedBy || {})[id] || []).map((ref) => snapshot.instancesById[ref.id]).filter(Boolean);
 
   return {
     getCanonicalSnapshot,
@@ -119,6 +140,7 @@ function createReadOnlyView(canonical) {
     getClass,
     listClasses,
     findByClass,
+    findReferrers,
   };
 }
 
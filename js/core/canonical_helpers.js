@@ -1,6 +1,8 @@
 'use strict';
 
-const { deepMerge } = require('./merge_utils');
+const { deepMerge, isPlainObject } = require('./merge_utils');
+const { jsonPointer } = require('./diff_utils');
+const { MergeError } = require('./errors');
 
 // Shared, pure helpers that operate on canonical shapes (classes map + instances array).
 
@@ -25,26 +27,136 @@ function parentsFor(def) {
   return out;
 }
 
-function classLineage(classes, classId) {
+// C3 linearization: the class, then its ancestors, each once, children before parents. Later
+// parents take precedence (they merge last, as with a plain parent list). Unknown parents are skipped.
+function linearize(classes, classId, memo, path) {
+  if (memo.has(classId)) return memo.get(classId);
+  if (path.includes(classId)) {
+    throw new Error(`Detected circular class inheritance: ${[...path, classId].join(' -> ')}`);
+  }
+  const parents = parentsFor(classes[classId]).filter(parent => classes[parent]);
+  const precedence = [...parents].reverse();
+  const sequences = [...precedence.map(parent => [...linearize(classes, parent, memo, [...path, classId])]), [...precedence]];
+  const mro = [classId];
+  while (sequences.some(sequence => sequence.length)) {
+    const next = sequences
+      .map(sequence => sequence[0])
+      .find(head => head !== undefined && sequences.every(sequence => sequence.indexOf(head) < 1));
+    if (next === undefined) {
+      const pending = Array.from(new Set(sequences.filter(sequence => sequence.length).map(sequence => sequence[0])));
+      throw new MergeError(
+        `Cannot linearize class '${classId}': parents ${parents.join(', ')} require conflicting orders of ${pending.join(', ')}`,
+        { class: classId, parents, pending }
+      );
+    }
+    mro.push(next);
+    sequences.forEach(sequence => {
+      if (sequence[0] === next) sequence.shift();
+    });
+  }
+  memo.set(classId, mro);
+  return mro;
+}
+
+/**
+ * Method resolution order of a class (C3): the class first, then ancestors by precedence (later
+ * parents first); a shared ancestor appears once, after every class that inherits from it.
+ * @param {Object} classes - Class definitions by name
+ * @param {string} classId
+ * @param {Map} [memo] - Reused across calls for the same classes
+ * @returns {string[]}
+ * @throws {MergeError} For hierarchies with no consistent order; Error for cycles
+ */
+function classMro(classes, classId, memo = new Map()) {
   if (!classId || !classes || !classes[classId]) return [];
-  const result = [];
-  const seen = new Set();
-  function walk(name) {
-    if (!name || seen.has(name)) return;
-    const def = classes[name];
-    if (!def || typeof def !== 'object') return;
-    parentsFor(def).forEach(walk);
-    result.push(name);
-    seen.add(name);
+  return [...linearize(classes, classId, memo, [])];
+}
+
+// Merge order: the reversed MRO (most distant ancestors first, the class last).
+function classLineage(classes, classId, memo) {
+  return classMro(classes, classId, memo).reverse();
+}
+
+// Class names an instance's `class` lists: a single name or an array of names (mixins).
+function classNames(value) {
+  const names = Array.isArray(value) ? value : [value];
+  return Array.from(new Set(names.filter(name => typeof name === 'string' && name)));
+}
+
+/**
+ * Merge order for an instance's `class`. A list is linearized like the parents of a class: later
+ * classes take precedence (they merge last) and an ancestor shared by several applies once.
+ * @param {Object} classes - Class definitions by name
+ * @param {string|string[]} value - A class name or a list of names; unknown names are skipped
+ * @param {Map} [memo] - Reused across calls for the same classes
+ * @returns {string[]} Ancestors first, the listed classes last
+ * @throws {MergeError} For lists with no consistent order
+ */
+function classListLineage(classes, value, memo = new Map()) {
+  const names = classNames(value).filter(name => classes && classes[name]);
+  if (names.length < 2) return names.length ? classLineage(classes, names[0], memo) : [];
+  const key = `[${names.join(', ')}]`;
+  return [...linearize({ ...classes, [key]: { parent: names } }, key, new Map(memo), [])].slice(1).reverse();
+}
+
+// Leaf paths where two values disagree; objects are walked, two arrays combine rather than conflict.
+function conflictingPaths(left, right, segments = []) {
+  if (isPlainObject(left) && isPlainObject(right)) {
+    return Object.keys(left)
+      .filter(key => Object.prototype.hasOwnProperty.call(right, key))
+      .sort()
+      .flatMap(key => conflictingPaths(left[key], right[key], [...segments, key]));
   }
-  walk(classId);
-  return result;
+  if (Array.isArray(left) && Array.isArray(right)) return [];
+  return JSON.stringify(left) === JSON.stringify(right) ? [] : [segments];
+}
+
+const valueAtPath = (value, segments) => segments.reduce((node, key) => (isPlainObject(node) ? node[key] : undefined), value);
+
+// Whether a definition sets a path itself: a value at the path, or a non-object above it.
+function setsPath(def, segments) {
+  return segments.some((_key, index) => {
+    const value = valueAtPath(def, segments.slice(0, index + 1));
+    return value !== undefined && (!isPlainObject(value) || index === segments.length - 1);
+  });
+}
+
+/**
+ * Properties that two unrelated parents of a class (neither inherits from the other) define with
+ * different values, skipping paths the class sets itself. The parent later in the lineage wins.
+ * @param {Object} classes - Resolved classes by name
+ * @param {string} classId
+ * @param {Object} [ownDef] - The class's own (unresolved) definition
+ * @param {string[]} [ignoreKeys] - Top-level keys that are not data (class, parent, schema, ...)
+ * @returns {Array<{path: string, parents: string[], values: Array, winner: string}>}
+ */
+function classParentConflicts(classes, classId, ownDef = {}, ignoreKeys = []) {
+  const parents = parentsFor(classes && classes[classId]).filter(parent => classes[parent]);
+  if (parents.length < 2) return [];
+  const lineage = classLineage(classes, classId);
+  const dataOf = (def) => Object.fromEntries(Object.entries(def || {}).filter(([key]) => !ignoreKeys.includes(key)));
+  const conflicts = [];
+  parents.forEach((left, index) => {
+    parents.slice(index + 1).forEach(right => {
+      if (classInheritsFrom(classes, left, right) || classInheritsFrom(classes, right, left)) return;
+      conflictingPaths(dataOf(classes[left]), dataOf(classes[right]))
+        .filter(segments => !setsPath(ownDef, segments))
+        .forEach(segments => conflicts.push({
+          path: jsonPointer(segments),
+          parents: [left, right],
+          values: [valueAtPath(classes[left], segments), valueAtPath(classes[right], segments)],
+          winner: lineage.indexOf(left) > lineage.indexOf(right) ? left : right
+        }));
+    });
+  });
+  return conflicts;
 }
 
+// childId may be a list of classes (an instance's mixins): true when any of them inherits.
 function classInheritsFrom(classes, childId, ancestorId) {
   if (!childId || !ancestorId || !classes) return false;
-  if (childId === ancestorId) return true;
-  const stack = [childId];
+  if (classNames(childId).includes(ancestorId)) return true;
+  const stack = classNames(childId).reverse();
   const seen = new Set();
   while (stack.length) {
     const current = stack.pop();
@@ -62,9 +174,11 @@ function filterInstancesByClass(canonical, classId) {
   return canonical.instances.filter(inst => classInheritsFrom(canonical.classesById, inst.class, classId));
 }
 
+// classId may be a list of classes (an instance's mixins).
 function mergedSchemaFor(classes, classId) {
-  if (!classId || !classes || !classes[classId]) return null;
-  const lineage = classLineage(classes, classId); // parents before child
+  if (!classId || !classes) return null;
+  const lineage = classListLineage(classes, classId); // parents before child
+  if (!lineage.length) return null;
   return lineage.reduce((acc, name) => {
     const def = classes[name];
     if (!def || !def.schema) return acc;
@@ -86,7 +200,12 @@ function filterEntriesByInheritance(entries, targetClass, classes) {
 module.exports = {
   parentsFor,
   classLineage,
+  classListLineage,
+  classNames,
+  classMro,
+  classParentConflicts,
   classInheritsFrom,
+  setsPath,
   filterInstancesByClass,
   filterEntriesByInheritance,
   mergedSchemaFor,
@@ -0,0 +1,166 @@
+'use strict';
+
+const hasOwn = (value, key) => Object.prototype.hasOwnProperty.call(value, key);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Format path segments as an RFC 6901 JSON Pointer ('' is the document root).
+ * @param {Array<string|number>} segments
+ * @returns {string}
+ */
+function jsonPointer(segments) {
+  return segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Structural difference between two JSON values.
+ * Objects are compared key by key (sorted), arrays index by index; anything else by value.
+ * @returns {Array<{path: string, change: 'added'|'removed'|'changed', before?: *, after?: *}>} Leaf-most changes in path order
+ */
+function diffJson(before, after, segments = []) {
+  const bothArrays = Array.isArray(before) && Array.isArray(after);
+  if (!bothArrays && !(isObject(before) && isObject(after))) {
+    if (before === after || JSON.stringify(before) === JSON.stringify(after)) return [];
+    return [{ path: jsonPointer(segments), change: 'changed', before, after }];
+  }
+
+  const keys = bothArrays
+    ? Array.from({ length: Math.max(before.length, after.length) }, (_value, index) => index)
+    : Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort();
+  return keys.flatMap(key => {
+    const childSegments = [...segments, key];
+    if (!hasOwn(before, key)) return [{ path: jsonPointer(childSegments), change: 'added', after: after[key] }];
+    if (!hasOwn(after, key)) return [{ path: jsonPointer(childSegments), change: 'removed', before: before[key] }];
+    return diffJson(before[key], after[key], childSegments);
+  });
+}
+
+// Myers shortest edit script over two arrays of comparable keys.
+// Returns ops in order: [' ', aIndex, bIndex] (kept), ['-', aIndex], ['+', null, bIndex].
+function editScript(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const trace = [];
+  let v = new Map([[1, 0]]);
+  let found = n === 0 && m === 0;
+
+  for (let d = 0; d <= n + m && !found; d += 1) {
+    const next = new Map();
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v.get(k - 1) < v.get(k + 1)) ? v.get(k + 1) : v.get(k - 1) + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      next.set(k, x);
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+    trace.push(next);
+    v = next;
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d -= 1) {
+    const previous = trace[d - 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && previous.get(k - 1) < previous.get(k + 1)) ? k + 1 : k - 1;
+    const prevX = previous.get(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      x -= 1;
+      y -= 1;
+      ops.push([' ', x, y]);
+    }
+    if (x === prevX) {
+      y -= 1;
+      ops.push(['+', null, y]);
+    } else {
+      x -= 1;
+      ops.push(['-', x, null]);
+    }
+  }
+  while (x > 0 && y > 0) {
+    x -= 1;
+    y -= 1;
+    ops.push([' ', x, y]);
+  }
+  return ops.reverse();
+}
+
+// Split text into lines; the comparison key of a final line without a newline is marked so
+// "a" and "a\n" differ.
+function splitLines(text) {
+  if (text === '') return { lines: [], keys: [], noFinalNewline: false };
+  const lines = text.split('\n');
+  const noFinalNewline = !text.endsWith('\n');
+  if (!noFinalNewline) lines.pop();
+  const keys = lines.map((line, index) => (noFinalNewline && index === lines.length - 1 ? `${line}\0` : line));
+  return { lines, keys, noFinalNewline: noFinalNewline && lines.length > 0 };
+}
+
+const rangeLabel = (start, count) => (count === 1 ? `${start}` : `${count === 0 ? start - 1 : start},${count}`);
+
+/**
+ * Unified diff of two texts (GNU diff -u layout).
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {Object} [options]
+ * @param {string} [options.fromLabel='a'] - Label on the `---` line
+ * @param {string} [options.toLabel='b'] - Label on the `+++` line
+ * @param {number} [options.context=3] - Unchanged lines shown around each change
+ * @returns {string} '' when the texts are equal
+ */
+function unifiedDiff(oldText, newText, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+  if (oldText === newText) return '';
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const ops = editScript(a.keys, b.keys);
+
+  // Group changed ops with their context; changes closer than 2 * context share a hunk.
+  const hunks = [];
+  ops.forEach((op, index) => {
+    if (op[0] === ' ') return;
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= 2 * context + 1) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  });
+
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  hunks.forEach(hunk => {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(ops.length - 1, hunk.end + context);
+    const slice = ops.slice(from, to + 1);
+    // Lines consumed before the hunk give its start positions.
+    const before = ops.slice(0, from);
+    const aStart = before.filter(op => op[0] !== '+').length + 1;
+    const bStart = before.filter(op => op[0] !== '-').length + 1;
+    const aCount = slice.filter(op => op[0] !== '+').length;
+    const bCount = slice.filter(op => op[0] !== '-').length;
+    out.push(`@@ -${rangeLabel(aStart, aCount)} +${rangeLabel(bStart, bCount)} @@`);
+    slice.forEach(([marker, aIndex, bIndex]) => {
+      const fromA = marker !== '+';
+      const line = fromA ? a.lines[aIndex] : b.lines[bIndex];
+      out.push(`${marker}${line}`);
+      const lastOfA = fromA && a.noFinalNewline && aIndex === a.lines.length - 1;
+      const lastOfB = marker !== '-' && b.noFinalNewline && bIndex === b.lines.length - 1;
+      if (lastOfA || lastOfB) out.push('\\ No newline at end of file');
+    });
+  });
+  return `${out.join('\n')}\n`;
+}
+
+module.exports = {
+  diffJson,
+  jsonPointer,
+  unifiedDiff
+};
@@ -66,6 +66,20 @@ class TemplateError extends TerribleError {
   }
 }
 
+class HookError extends TerribleError {
+  constructor(message, context = {}) {
+    super(message, 'HOOK_ERROR', context);
+    this.name = 'HookError';
+  }
+}
+
+class PatchError extends TerribleError {
+  constructor(message, context = {}) {
+    super(message, 'PATCH_ERROR', context);
+    this.name = 'PatchError';
+  }
+}
+
 module.exports = {
   TerribleError,
   ConfigError,
@@ -73,5 +87,7 @@ module.exports = {
   ParseError,
   ValidationError,
   MergeError,
-  TemplateError
+  TemplateError,
+  HookError,
+  PatchError
 };
@@ -0,0 +1,81 @@
+'use strict';
+
+const net = require('net');
+
+// Built-in string formats for schema validation (`"format": "hostname"`). Each is a predicate on a
+// string; Ajv only applies formats to strings. Stacks can add or replace formats with modules in
+// their validation/ directory.
+
+const DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME = /^([01]\d|2[0-3]):([0-5]\d):([0-5]\d|60)(\.\d+)?(z|[+-]([01]\d|2[0-3]):[0-5]\d)?$/i;
+const HOSTNAME_LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i;
+const EMAIL = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@([^@\s]+)$/i;
+const URI = /^[a-z][a-z0-9+.-]*:[^\s]*$/i;
+const UUID = /^(?:urn:uuid:)?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// https://semver.org/#is-there-a-suggested-regular-expression-regex-to-check-a-semver-string
+const SEMVER = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+const JSON_POINTER = /^(?:\/(?:[^~/]|~[01])*)*$/;
+
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+function date(value) {
+  const match = DATE.exec(value);
+  if (!match) return false;
+  const [year, month, day] = match.slice(1).map(Number);
+  const leap = year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+  return month >= 1 && month <= 12 && day >= 1 && day <= (month === 2 && !leap ? 28 : DAYS_IN_MONTH[month - 1]);
+}
+
+const time = (value) => TIME.test(value);
+
+// RFC 3339 date-time: the offset is required.
+function dateTime(value) {
+  const parts = value.split(/[T\s]/i);
+  return parts.length === 2 && date(parts[0]) && time(parts[1]) && /(z|[+-]\d{2}:\d{2})$/i.test(parts[1]);
+}
+
+// RFC 1123 host name: dot-separated labels of letters, digits, and inner hyphens, 253 characters at most.
+function hostname(value) {
+  const name = value.endsWith('.') ? value.slice(0, -1) : value;
+  return name.length > 0 && name.length <= 253 && name.split('.').every(label => HOSTNAME_LABEL.test(label));
+}
+
+function email(value) {
+  const match = EMAIL.exec(value);
+  return Boolean(match) && hostname(match[1]);
+}
+
+// An IPv4 or IPv6 network in CIDR notation (`10.0.0.0/8`, `fd00::/8`).
+function cidr(value) {
+  const [address, prefix, ...rest] = value.split('/');
+  if (rest.length || prefix === undefined || !/^\d{1,3}$/.test(prefix)) return false;
+  const version = net.isIP(address);
+  return version !== 0 && Number(prefix) <= (version === 4 ? 32 : 128);
+}
+
+function regex(value) {
+  try {
+    return RegExp(value, 'u') instanceof RegExp;
+  } catch (_err) {
+    return false;
+  }
+}
+
+const BUILTIN_FORMATS = Object.freeze({
+  date,
+  time,
+  'date-time': dateTime,
+  email,
+  hostname,
+  ipv4: (value) => net.isIPv4(value),
+  ipv6: (value) => net.isIPv6(value),
+  cidr,
+  uri: (value) => URI.test(value),
+  'uri-reference': (value) => !/\s/.test(value),
+  uuid: (value) => UUID.test(value),
+  semver: (value) => SEMVER.test(value),
+  regex,
+  'json-pointer': (value) => JSON_POINTER.test(value)
+});
+
+module.exports = { BUILTIN_FORMATS };
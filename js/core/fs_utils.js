@@ -68,6 +68,12 @@ function sortByDepthThenName(files, baseDir) {
     .map(entry => entry.abs);
 }
 
+// Paths inside the working directory are shown relative to it (posix separators), others as-is.
+function displayPath(filePath) {
+  const rel = path.relative(process.cwd(), filePath);
+  return (rel.startsWith('..') || path.isAbsolute(rel) ? filePath : rel).split(path.sep).join('/');
+}
+
 // Recursively scan a directory for files matching a glob pattern.
 function scanDir(dir, { pattern = '**/*', absolute = true } = {}) {
   if (!dir || !fs.existsSync(dir)) {
@@ -109,6 +115,8 @@ function findJsonFiles(dir, { required = false } = {}) {
 }
 
 module.exports = {
+  displayPath,
+  positionToLineCol,
   readJsonFile,
   findJsonFiles,
   normalizeDirPath,
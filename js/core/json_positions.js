@@ -0,0 +1,112 @@
+'use strict';
+
+const { jsonPointer } = require('./diff_utils');
+const { parsePointer } = require('./patch_utils');
+const { positionToLineCol } = require('./fs_utils');
+
+// Source positions inside JSON text: where each value starts, by JSON Pointer. Used to point
+// issues at the line and column of the value a file supplied.
+
+const WHITESPACE = /\s/;
+const SCALAR_END = /[\s,\]}]/;
+
+/**
+ * Offset of every value in a JSON text, keyed by JSON Pointer ('' for the root). A duplicate key
+ * keeps its last occurrence, as JSON.parse does. Scanning stops at malformed input, keeping what
+ * was found so far.
+ * @param {string} text - JSON text
+ * @returns {Map<string, number>}
+ */
+function jsonValueOffsets(text) {
+  const offsets = new Map();
+  let index = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const skipWhitespace = () => {
+    while (index < text.length && WHITESPACE.test(text[index])) index += 1;
+  };
+  const expect = (char) => {
+    if (text[index] !== char) throw new SyntaxError(`expected '${char}' at ${index}`);
+    index += 1;
+  };
+  const readString = () => {
+    const start = index;
+    expect('"');
+    while (index < text.length && text[index] !== '"') index += text[index] === '\\' ? 2 : 1;
+    expect('"');
+    return JSON.parse(text.slice(start, index));
+  };
+  // Members of an object or items of an array, up to the closing bracket.
+  const readEntries = (close, readEntry) => {
+    skipWhitespace();
+    if (text[index] === close) {
+      index += 1;
+      return;
+    }
+    for (;;) {
+      readEntry();
+      skipWhitespace();
+      if (text[index] === close) {
+        index += 1;
+        return;
+      }
+      expect(',');
+    }
+  };
+  const readValue = (segments) => {
+    skipWhitespace();
+    const char = text[index];
+    if (char === undefined || SCALAR_END.test(char)) {
+      throw new SyntaxError(`unexpected ${char === undefined ? 'end of input' : `'${char}'`} at ${index}`);
+    }
+    offsets.set(jsonPointer(segments), index);
+    if (char === '{') {
+      index += 1;
+      readEntries('}', () => {
+        skipWhitespace();
+        const key = readString();
+        skipWhitespace();
+        expect(':');
+        readValue([...segments, key]);
+      });
+    } else if (char === '[') {
+      index += 1;
+      let item = 0;
+      readEntries(']', () => {
+        readValue([...segments, item]);
+        item += 1;
+      });
+    } else if (char === '"') {
+      readString();
+    } else {
+      while (index < text.length && !SCALAR_END.test(text[index])) index += 1;
+    }
+  };
+
+  try {
+    readValue([]);
+  } catch (_err) {
+    // Malformed JSON fails when the file is read; keep the positions found before the error.
+  }
+  return offsets;
+}
+
+/**
+ * Line and column of the value at a JSON Pointer, or of its deepest ancestor present in the text.
+ * @param {string} text - JSON text
+ * @param {string} pointer - JSON Pointer
+ * @param {Map<string, number>} [offsets] - jsonValueOffsets(text), when already computed
+ * @returns {{line: number, column: number, pointer: string}|null} pointer is the one located; null
+ *   when not even the root is found
+ */
+function jsonPointerPosition(text, pointer, offsets = jsonValueOffsets(text)) {
+  const segments = parsePointer(pointer);
+  for (let length = segments.length; length >= 0; length -= 1) {
+    const located = jsonPointer(segments.slice(0, length));
+    if (offsets.has(located)) {
+      return { ...positionToLineCol(text, offsets.get(located)), pointer: located };
+    }
+  }
+  return null;
+}
+
+module.exports = { jsonPointerPosition, jsonValueOffsets };
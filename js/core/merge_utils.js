@@ -1,3 +1,13 @@
+const { MergeError } = require('./errors');
+
+// Strategies for `{"$merge": "<strategy>", "value": ...}` directives and `x-terrible-merge` schema keywords.
+const MERGE_STRATEGIES = Object.freeze(['append', 'prepend', 'unique', 'union', 'merge', 'replace', 'override-scalar-only']);
+// Keyed merging of arrays of objects: `{"$mergeBy": "<field>", "value": [...]}` or `x-terrible-merge-by`.
+const KEYED_STRATEGY = 'merge-by';
+const ARRAY_STRATEGIES = Object.freeze(['prepend', 'unique', 'union', KEYED_STRATEGY]);
+const MERGE_KEYWORD = 'x-terrible-merge';
+const MERGE_BY_KEYWORD = 'x-terrible-merge-by';
+
 // Minimal object check to avoid treating arrays/functions as plain objects.
 function isPlainObject(value) {
   return Object.prototype.toString.call(value) === '[object Object]';
@@ -26,20 +36,187 @@ function mergeArrays(base = [], override = []) {
   return Array.isArray(base) ? [...base] : [];
 }
 
-// Deep merge objects with array append-or-reset behavior.
-function deepMerge(base = {}, override = {}) {
-  if (Array.isArray(base) && Array.isArray(override)) {
-    return mergeArrays(base, override);
+const hasOwn = (value, key) => Object.prototype.hasOwnProperty.call(value, key);
+
+/**
+ * `{"$unset": true}` or `{"$delete": true}`: removes the key it is set on from every layer below.
+ * The marker stays in merged data (so it can still meet a parent class or class default) until
+ * unwrapResets / settleMerged drop the key.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isUnsetMarker(value) {
+  return isPlainObject(value) && Object.keys(value).length === 1 && (value.$unset === true || value.$delete === true);
+}
+
+// Interpret a {"$merge": "<strategy>", "value": ...} or {"$mergeBy": "<field>", "value": [...]} directive.
+// Returns { strategy, key?, value } or null.
+function mergeDirective(value) {
+  if (!isPlainObject(value) || !(hasOwn(value, '$merge') || hasOwn(value, '$mergeBy'))) {
+    return null;
   }
-  if (Array.isArray(base)) {
-    const reset = arrayResetValue(override);
-    if (reset !== null) {
-      return [...reset];
-    }
-    if (Array.isArray(override)) {
-      return mergeArrays(base, override);
+  if (hasOwn(value, '$merge') && hasOwn(value, '$mergeBy')) {
+    throw new MergeError('Use either $merge or $mergeBy, not both', { value });
+  }
+  const keyed = hasOwn(value, '$mergeBy');
+  const label = keyed ? '$mergeBy' : `$merge '${value.$merge}'`;
+  const rule = keyed
+    ? { strategy: KEYED_STRATEGY, key: checkMergeKey(value.$mergeBy, '$mergeBy') }
+    : { strategy: checkStrategy(value.$merge, '$merge') };
+  if (value.value === undefined) {
+    throw new MergeError(`${label} requires a 'value'`, { ...rule });
+  }
+  if (!strategyAccepts(rule.strategy, value.value)) {
+    throw new MergeError(`${label} requires an array 'value'`, { ...rule, value: value.value });
+  }
+  return { ...rule, value: value.value };
+}
+
+// The directive form of a rule, for directives that stay pending.
+const directiveFor = (rule, value) => (rule.strategy === KEYED_STRATEGY ? { $mergeBy: rule.key, value } : { $merge: rule.strategy, value });
+
+function checkMergeKey(key, where) {
+  if (typeof key !== 'string' || !key) {
+    throw new MergeError(`${where} must name the key field as a non-empty string`, { key });
+  }
+  return key;
+}
+
+function checkStrategy(strategy, where) {
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new MergeError(`Unknown merge strategy ${JSON.stringify(strategy)} in ${where}; expected one of: ${MERGE_STRATEGIES.join(', ')}`, { strategy });
+  }
+  return strategy;
+}
+
+const strategyAccepts = (strategy, value) => !ARRAY_STRATEGIES.includes(strategy) || Array.isArray(value);
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Items not already present (by JSON value) appended to `seed`.
+function withoutDuplicates(items, seed = []) {
+  return items.reduce((kept, item) => (kept.some(existing => sameJson(existing, item)) ? kept : [...kept, item]), [...seed]);
+}
+
+// 'override-scalar-only': scalars from the override win and nested objects merge the same way,
+// while arrays and objects already in the base are kept.
+function overrideScalars(base, value, strategies) {
+  if (isPlainObject(base) && isPlainObject(value)) {
+    const result = { ...base };
+    Object.entries(value).forEach(([key, val]) => {
+      if (val === undefined) {
+        return;
+      }
+      result[key] = overrideScalars(base[key], val, propertyStrategies(strategies, key));
+    });
+    return result;
+  }
+  return base !== null && typeof base === 'object' ? base : unwrapResets(value);
+}
+
+const isDeleteMarker = (item) => isPlainObject(item) && item.$delete === true;
+
+// Merge arrays of objects element by element: an element whose key field matches a base element
+// merges into it (with the `items` strategies), `{"<key>": ..., "$delete": true}` removes the
+// match, and anything else is appended. A $delete with no match is kept for a later base (a
+// parent class or class default) until settleMerged drops it.
+function mergeByKey(base, items, key, itemStrategies) {
+  const result = Array.isArray(base) ? [...base] : [];
+  items.forEach(item => {
+    const keyed = isPlainObject(item) && item[key] !== undefined;
+    const index = keyed
+      ? result.findIndex(existing => isPlainObject(existing) && !isDeleteMarker(existing) && sameJson(existing[key], item[key]))
+      : -1;
+    if (index === -1) {
+      result.push(item);
+    } else if (isDeleteMarker(item)) {
+      result.splice(index, 1);
+    } else {
+      result[index] = mergeField(result[index], item, itemStrategies);
     }
-    return mergeArrays(base, []);
+  });
+  return result;
+}
+
+// rule: { strategy, key? } from a directive or a schemaMergeStrategies() node.
+function applyStrategy(rule, base, value, strategies) {
+  const baseItems = Array.isArray(base) ? base : [];
+  switch (rule.strategy) {
+    case KEYED_STRATEGY:
+      return mergeByKey(base, value, rule.key, strategies && strategies.items);
+    case 'replace':
+      return unwrapResets(value);
+    case 'prepend':
+      return [...value, ...baseItems];
+    case 'unique':
+      return withoutDuplicates([...baseItems, ...value]);
+    case 'union':
+      return withoutDuplicates(value, baseItems);
+    case 'override-scalar-only':
+      return overrideScalars(base, value, strategies);
+    default:
+      // 'append' and 'merge' are the default behavior, spelled out to opt out of a schema strategy.
+      return defaultMerge(base, value, strategies);
+  }
+}
+
+function defaultMerge(baseVal, value, strategies) {
+  if (Array.isArray(baseVal)) {
+    return mergeArrays(baseVal, value);
+  }
+  if (isPlainObject(value) && isPlainObject(baseVal)) {
+    return deepMerge(baseVal, value, strategies);
+  }
+  // Handle $reset on fields that don't exist in base
+  const reset = arrayResetValue(value);
+  if (reset !== null) {
+    return [...reset];
+  }
+  return value;
+}
+
+// Merge one value onto its base: an $unset marker wins, then an inline $merge directive, then
+// $reset, then the schema-declared strategy, then the default append/deep-merge behavior.
+// A directive with nothing below it stays pending (later layers merge into its value) until it
+// meets a base, e.g. a parent class or class default, or is unwrapped by unwrapResets.
+function mergeField(baseVal, value, strategies) {
+  if (isUnsetMarker(value)) {
+    return value;
+  }
+  if (isUnsetMarker(baseVal)) {
+    return mergeField(undefined, value, strategies);
+  }
+  const directive = mergeDirective(value);
+  const pending = mergeDirective(baseVal);
+  if (pending) {
+    const merged = directive
+      ? applyStrategy(directive, pending.value, directive.value, strategies)
+      : mergeField(pending.value, value, strategies);
+    return directiveFor(pending, merged);
+  }
+  if (directive) {
+    return baseVal === undefined ? value : applyStrategy(directive, baseVal, directive.value, strategies);
+  }
+  const declared = strategies && strategies.strategy;
+  if (declared && arrayResetValue(value) === null && strategyAccepts(declared, value)) {
+    return applyStrategy(strategies, baseVal, value, strategies);
+  }
+  return defaultMerge(baseVal, value, strategies);
+}
+
+/**
+ * Strategy node for one property of a node returned by schemaMergeStrategies.
+ * @returns {Object|null}
+ */
+function propertyStrategies(strategies, key) {
+  return (strategies && strategies.properties && strategies.properties[key]) || null;
+}
+
+// Deep merge objects with array append-or-reset behavior.
+// strategies (optional): schemaMergeStrategies() node selecting per-property merge strategies.
+function deepMerge(base = {}, override = {}, strategies = null) {
+  if (Array.isArray(base)) {
+    return mergeField(base, override, strategies);
   }
 
   const result = { ...base };
@@ -47,69 +224,165 @@ function deepMerge(base = {}, override = {}) {
     if (value === undefined) {
       return;
     }
-    const baseVal = base[key];
-    if (Array.isArray(baseVal)) {
-      result[key] = mergeArrays(baseVal, value);
-      return;
-    }
-    if (isPlainObject(value) && isPlainObject(baseVal)) {
-      result[key] = deepMerge(baseVal, value);
-      return;
-    }
-    // Handle $reset on fields that don't exist in base
-    const reset = arrayResetValue(value);
-    if (reset !== null) {
-      result[key] = [...reset];
-      return;
-    }
-    result[key] = value;
+    result[key] = mergeField(base[key], value, propertyStrategies(strategies, key));
   });
   return result;
 }
 
 // Merge a single field value with append-or-reset behavior for arrays.
-function mergeValue(defaultValue, overrideValue) {
+// strategies (optional): the schemaMergeStrategies() node for this field.
+function mergeValue(defaultValue, overrideValue, strategies = null) {
   if (overrideValue === undefined) {
     return defaultValue;
   }
+  if (isUnsetMarker(overrideValue)) {
+    return overrideValue;
+  }
   const reset = arrayResetValue(overrideValue);
   if (reset !== null) {
     return [...reset];
   }
+  if (mergeDirective(overrideValue) || (strategies && strategies.strategy)) {
+    return mergeField(defaultValue, overrideValue, strategies);
+  }
   if (Array.isArray(defaultValue) && Array.isArray(overrideValue)) {
     return mergeArrays(defaultValue, overrideValue);
   }
   if (isPlainObject(defaultValue) && isPlainObject(overrideValue)) {
-    return deepMerge(defaultValue, overrideValue);
+    return deepMerge(defaultValue, overrideValue, strategies);
   }
   return overrideValue;
 }
 
-// Recursively unwrap any remaining $reset objects in a value.
-// Used for objects that were never merged (first occurrence).
-function unwrapResets(value) {
+/**
+ * Run a merge, re-throwing a MergeError with where the merged data came from.
+ * @param {string} where - e.g. a file path or "class 'api'"
+ * @param {Object} context - Added to the error context
+ * @param {Function} fn
+ */
+function withMergeContext(where, context, fn) {
+  try {
+    return fn();
+  } catch (err) {
+    if (err instanceof MergeError) {
+      throw new MergeError(`${err.message} (${where})`, { ...err.context, ...context });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Merge strategies declared in a class schema with `x-terrible-merge` (or `x-terrible-merge-by`
+ * for keyed arrays) on properties, nested `properties` and array `items` included, as the node
+ * tree deepMerge and mergeValue accept.
+ * @param {Object} schema
+ * @returns {Object|null} `{ strategy?, key?, properties?, items? }`, or null when the schema declares none
+ */
+function schemaMergeStrategies(schema, at = '') {
+  if (!isPlainObject(schema)) {
+    return null;
+  }
+  const node = {};
+  const where = (keyword) => `${keyword} at ${at || '/'}`;
+  if (schema[MERGE_KEYWORD] !== undefined && schema[MERGE_BY_KEYWORD] !== undefined) {
+    throw new MergeError(`Use either ${MERGE_KEYWORD} or ${MERGE_BY_KEYWORD} at ${at || '/'}, not both`, { at });
+  }
+  if (schema[MERGE_KEYWORD] !== undefined) {
+    node.strategy = checkStrategy(schema[MERGE_KEYWORD], where(MERGE_KEYWORD));
+  }
+  if (schema[MERGE_BY_KEYWORD] !== undefined) {
+    node.strategy = KEYED_STRATEGY;
+    node.key = checkMergeKey(schema[MERGE_BY_KEYWORD], where(MERGE_BY_KEYWORD));
+  }
+  if (isPlainObject(schema.properties)) {
+    const properties = {};
+    Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+      const child = schemaMergeStrategies(propertySchema, `${at}/properties/${key}`);
+      if (child) {
+        properties[key] = child;
+      }
+    });
+    if (Object.keys(properties).length) {
+      node.properties = properties;
+    }
+  }
+  const items = schemaMergeStrategies(schema.items, `${at}/items`);
+  if (items) {
+    node.items = items;
+  }
+  return Object.keys(node).length ? node : null;
+}
+
+/**
+ * Finish a merged value: unwrap what no merge met (see unwrapResets) and drop `$delete` elements
+ * left in schema-keyed arrays that had nothing to delete from.
+ * @param {*} value
+ * @param {Object|null} [strategies] - schemaMergeStrategies() node for the value
+ */
+function settleMerged(value, strategies = null) {
+  const settled = unwrapResets(value);
+  if (!strategies) {
+    return settled;
+  }
+  if (strategies.strategy === KEYED_STRATEGY && Array.isArray(settled)) {
+    return mergeByKey([], settled, strategies.key, strategies.items)
+      .filter(item => !isDeleteMarker(item))
+      .map(item => settleMerged(item, strategies.items));
+  }
+  if (isPlainObject(settled) && strategies.properties) {
+    return Object.fromEntries(Object.entries(settled).map(([key, val]) => [key, settleMerged(val, propertyStrategies(strategies, key))]));
+  }
+  return settled;
+}
+
+// Recursively unwrap any remaining $reset objects and pending $merge directives in a value, and
+// drop keys set to $unset markers.
+// Used for objects that were never merged (first occurrence); keepDirectives leaves $merge
+// directives and $unset markers pending for a later merge (instance files before class defaults).
+function unwrapResets(value, { keepDirectives = false } = {}) {
   if (value === null || typeof value !== 'object') {
     return value;
   }
+  const directive = mergeDirective(value);
+  if (directive && keepDirectives) {
+    return directiveFor(directive, unwrapResets(directive.value, { keepDirectives }));
+  }
+  if (directive) {
+    const applied = unwrapResets(applyStrategy(directive, undefined, directive.value, null));
+    return directive.strategy === KEYED_STRATEGY ? applied.filter(item => !isDeleteMarker(item)) : applied;
+  }
   const reset = arrayResetValue(value);
   if (reset !== null) {
     return [...reset];
   }
   if (Array.isArray(value)) {
-    return value.map(unwrapResets);
+    return value.map(item => unwrapResets(item, { keepDirectives }));
   }
   const result = {};
   for (const [key, val] of Object.entries(value)) {
-    result[key] = unwrapResets(val);
+    if (!keepDirectives && isUnsetMarker(val)) {
+      continue;
+    }
+    result[key] = unwrapResets(val, { keepDirectives });
   }
   return result;
 }
 
 module.exports = {
+  ARRAY_STRATEGIES,
+  MERGE_BY_KEYWORD,
+  MERGE_KEYWORD,
+  MERGE_STRATEGIES,
   arrayResetValue,
   isPlainObject,
+  isUnsetMarker,
   mergeArrays,
+  mergeDirective,
   deepMerge,
   mergeValue,
-  unwrapResets
+  propertyStrategies,
+  schemaMergeStrategies,
+  settleMerged,
+  unwrapResets,
+  withMergeContext
 };
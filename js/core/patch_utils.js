@@ -0,0 +1,198 @@
+'use strict';
+
+const { isDeepStrictEqual } = require('util');
+const { PatchError } = require('./errors');
+const { jsonPointer } = require('./diff_utils');
+
+// Patch overlay files in instances/: `{ "id": "<instance>", "patch": ... }` holding RFC 6902
+// operations (*.patch.json) or an RFC 7386 merge patch (*.merge-patch.json).
+const PATCH_SUFFIX = '.patch.json';
+const MERGE_PATCH_SUFFIX = '.merge-patch.json';
+const PATCH_OPS = Object.freeze(['add', 'remove', 'replace', 'move', 'copy', 'test']);
+// The one key a patch may not name: assigning it would replace the object's prototype, not add a member.
+const PROTO_KEY = '__proto__';
+
+const hasOwn = (value, key) => Object.prototype.hasOwnProperty.call(value, key);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Patch kind of an instances/ file name, or null for plain overlays.
+ * @param {string} filePath
+ * @returns {'json-patch'|'merge-patch'|null}
+ */
+function patchKind(filePath) {
+  if (filePath.endsWith(MERGE_PATCH_SUFFIX)) return 'merge-patch';
+  if (filePath.endsWith(PATCH_SUFFIX)) return 'json-patch';
+  return null;
+}
+
+/**
+ * Split an RFC 6901 JSON Pointer into unescaped segments ('' is the document root).
+ * @param {string} pointer
+ * @returns {string[]}
+ */
+function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new PatchError(`Invalid JSON Pointer ${JSON.stringify(pointer)}`, { pointer });
+  }
+  return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+const arrayIndex = (segment) => (/^(0|[1-9]\d*)$/.test(segment) ? Number(segment) : null);
+
+// The container a pointer's last segment lives in.
+function parentOf(doc, segments, fail) {
+  return segments.slice(0, -1).reduce((node, segment) => {
+    if (Array.isArray(node)) {
+      const index = arrayIndex(segment);
+      if (index === null || index >= node.length) fail('path does not exist');
+      return node[index];
+    }
+    if (!isObject(node) || !hasOwn(node, segment)) fail('path does not exist');
+    return node[segment];
+  }, doc);
+}
+
+function getValue(doc, segments, fail) {
+  if (!segments.length) return doc;
+  const parent = parentOf(doc, segments, fail);
+  const last = segments[segments.length - 1];
+  if (Array.isArray(parent)) {
+    const index = arrayIndex(last);
+    if (index === null || index >= parent.length) fail('path does not exist');
+    return parent[index];
+  }
+  if (!isObject(parent) || !hasOwn(parent, last)) fail('path does not exist');
+  return parent[last];
+}
+
+function addValue(doc, segments, value, fail) {
+  if (!segments.length) return value;
+  const parent = parentOf(doc, segments, fail);
+  const last = segments[segments.length - 1];
+  if (Array.isArray(parent)) {
+    const index = last === '-' ? parent.length : arrayIndex(last);
+    if (index === null || index > parent.length) fail('array index out of range');
+    parent.splice(index, 0, value);
+  } else if (isObject(parent)) {
+    parent[last] = value;
+  } else {
+    fail('parent is not an object or array');
+  }
+  return doc;
+}
+
+function removeValue(doc, segments, fail) {
+  if (!segments.length) fail('cannot remove the document root');
+  getValue(doc, segments, fail);
+  const parent = parentOf(doc, segments, fail);
+  const last = segments[segments.length - 1];
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(last), 1);
+  } else {
+    delete parent[last];
+  }
+  return doc;
+}
+
+function applyOperation(doc, operation, index) {
+  const op = isObject(operation) ? operation.op : undefined;
+  const where = isObject(operation) ? `${op} ${JSON.stringify(operation.path)}` : JSON.stringify(operation);
+  const fail = (reason, extra = {}) => {
+    throw new PatchError(`JSON Patch operation ${index} (${where}): ${reason}`, { index, op, path: isObject(operation) ? operation.path : undefined, ...extra });
+  };
+  if (!PATCH_OPS.includes(op)) fail(`op must be one of: ${PATCH_OPS.join(', ')}`);
+  let segments;
+  let from;
+  try {
+    segments = parsePointer(operation.path);
+    from = op === 'move' || op === 'copy' ? parsePointer(operation.from) : null;
+  } catch (err) {
+    fail(err.message);
+  }
+  if ([...segments, ...(from || [])].includes(PROTO_KEY)) fail(`'${PROTO_KEY}' is not allowed in a path`);
+  if (['add', 'replace', 'test'].includes(op) && !hasOwn(operation, 'value')) fail("missing 'value'");
+
+  switch (op) {
+    case 'add':
+      return addValue(doc, segments, clone(operation.value), fail);
+    case 'remove':
+      return removeValue(doc, segments, fail);
+    case 'replace':
+      if (!segments.length) return clone(operation.value);
+      getValue(doc, segments, fail);
+      return addValue(removeValue(doc, segments, fail), segments, clone(operation.value), fail);
+    case 'move': {
+      if (isDeepStrictEqual(from, segments)) return doc;
+      if (from.length < segments.length && isDeepStrictEqual(segments.slice(0, from.length), from)) fail('cannot move a value into itself');
+      const value = getValue(doc, from, fail);
+      return addValue(removeValue(doc, from, fail), segments, value, fail);
+    }
+    case 'copy':
+      return addValue(doc, segments, clone(getValue(doc, from, fail)), fail);
+    default: {
+      // Structural equality (RFC 6902 §4.6): object members compare regardless of order.
+      const actual = getValue(doc, segments, fail);
+      if (!isDeepStrictEqual(actual, operation.value)) fail('test failed', { expected: operation.value, actual });
+      return doc;
+    }
+  }
+}
+
+/**
+ * Apply RFC 6902 operations to a copy of `document`; all or nothing.
+ * @param {*} document
+ * @param {Array<Object>} operations
+ * @returns {*} The patched copy
+ * @throws {PatchError} context `{ index, op, path }`, plus `expected`/`actual` for a failed test
+ */
+function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw new PatchError('A JSON Patch must be an array of operations', {});
+  }
+  return operations.reduce((doc, operation, index) => applyOperation(doc, operation, index), clone(document));
+}
+
+function mergeValue(target, patch, segments) {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+  const result = isObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (key === PROTO_KEY) {
+      const pointer = jsonPointer([...segments, key]);
+      throw new PatchError(`Merge patch key '${key}' at ${pointer} is not allowed`, { path: pointer });
+    }
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergeValue(result[key], value, [...segments, key]);
+    }
+  });
+  return result;
+}
+
+/**
+ * Apply an RFC 7386 merge patch: objects merge, null removes a key, anything else replaces.
+ * @param {*} target
+ * @param {*} patch
+ * @returns {*} A new value
+ * @throws {PatchError} for a `__proto__` key (context `{ path }`)
+ */
+function applyMergePatch(target, patch) {
+  return mergeValue(target, patch, []);
+}
+
+module.exports = {
+  MERGE_PATCH_SUFFIX,
+  PATCH_OPS,
+  PATCH_SUFFIX,
+  applyJsonPatch,
+  applyMergePatch,
+  parsePointer,
+  patchKind
+};
@@ -0,0 +1,150 @@
+'use strict';
+
+const { classNames } = require('./canonical_helpers');
+const { jsonPointer } = require('./diff_utils');
+const { isReservedId } = require('./build_helpers');
+const { parsePointer } = require('./patch_utils');
+
+// Cross-instance references: a schema property annotated with `x-ref` holds the id of another
+// instance (a string) or a list of ids. `"x-ref": {"class": "database"}` requires the target to
+// inherit from `database`; `"x-ref": "database"` is the same, and `"x-ref": true` accepts any instance.
+// Annotations are found through `$ref` too: local fragments directly, other schemas (shared or
+// class schemas) through a resolver from schema_registry's createRefResolver.
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Normalized `x-ref` annotation, or null when the schema has none.
+ * @param {*} annotation - The `x-ref` value
+ * @returns {{class: string|null}|null}
+ */
+function refSpec(annotation) {
+  if (annotation === undefined || annotation === false || annotation === null) return null;
+  if (typeof annotation === 'string') return { class: annotation || null };
+  if (isObject(annotation) && typeof annotation.class === 'string' && annotation.class) return { class: annotation.class };
+  return { class: null };
+}
+
+/**
+ * The schema at a URI fragment of a schema document (`''` is the document itself); null for a
+ * plain-name anchor or a pointer that leads nowhere.
+ * @param {Object} document - Schema document
+ * @param {string} fragment - Fragment without `#`
+ * @returns {*}
+ */
+function resolveFragment(document, fragment) {
+  if (!fragment) return document;
+  if (!fragment.startsWith('/')) return null;
+  let segments;
+  try {
+    segments = parsePointer(decodeURIComponent(fragment));
+  } catch (_err) {
+    return null;
+  }
+  return segments.reduce((node, key) => (node !== null && typeof node === 'object' && Object.prototype.hasOwnProperty.call(node, key) ? node[key] : null), document);
+}
+
+// The schema a `$ref` names and the scope to go on in, or null when it cannot be followed (unknown,
+// or already followed for this value: a `$ref` loop).
+function followRef(ref, scope, followed) {
+  const target = ref.startsWith('#')
+    ? { schema: resolveFragment(scope.root, ref.slice(1)), root: scope.root, baseId: scope.baseId }
+    : scope.resolveRef && scope.resolveRef(ref, scope.baseId);
+  if (!target || !isObject(target.schema) || followed.includes(target.schema)) return null;
+  return { schema: target.schema, scope: { ...scope, root: target.root, baseId: target.baseId } };
+}
+
+function walkRefs(value, schema, segments, scope, followed = []) {
+  if (!isObject(schema) || value === null || value === undefined) return [];
+  const viaRef = typeof schema.$ref === 'string' ? followRef(schema.$ref, scope, followed) : null;
+  const fromRef = viaRef ? walkRefs(value, viaRef.schema, segments, viaRef.scope, [...followed, viaRef.schema]) : [];
+  const spec = refSpec(schema['x-ref']);
+  if (spec) {
+    if (typeof value === 'string') return [...fromRef, { path: jsonPointer(segments), target: value, class: spec.class }];
+    if (Array.isArray(value)) {
+      return [...fromRef, ...value
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => typeof item === 'string')
+        .map(({ item, index }) => ({ path: jsonPointer([...segments, index]), target: item, class: spec.class }))];
+    }
+    return fromRef;
+  }
+  if (Array.isArray(value)) {
+    return [...fromRef, ...(isObject(schema.items) ? value.flatMap((item, index) => walkRefs(item, schema.items, [...segments, index], scope)) : [])];
+  }
+  if (!isObject(value)) return fromRef;
+  const properties = isObject(schema.properties) ? schema.properties : {};
+  return [...fromRef, ...Object.keys(value).flatMap(key => {
+    if (Object.prototype.hasOwnProperty.call(properties, key)) return walkRefs(value[key], properties[key], [...segments, key], scope);
+    if (isObject(schema.additionalProperties)) return walkRefs(value[key], schema.additionalProperties, [...segments, key], scope);
+    return [];
+  })];
+}
+
+/**
+ * References in a value according to its schema: every string under an `x-ref` property (the value
+ * itself or the items of an array), found through `properties`, `items`, object
+ * `additionalProperties`, and `$ref`. Combinators are not followed.
+ * @param {*} value - Instance data
+ * @param {Object} schema - Schema for the value
+ * @param {Function} [resolveRef] - (ref, baseId) => {schema, root, baseId}|null for `$ref`s outside
+ *   the schema (see schema_registry's createRefResolver); without it only local fragments are followed
+ * @returns {Array<{path: string, target: string, class: string|null}>} path is a JSON Pointer
+ */
+function collectRefs(value, schema, resolveRef = null) {
+  const baseId = isObject(schema) && typeof schema.$id === 'string' ? schema.$id : null;
+  return walkRefs(value, schema, [], { root: schema, baseId, resolveRef });
+}
+
+/**
+ * References an instance holds under the schemas of its classes (each listed class for mixins).
+ * A path annotated by several schemas counts once per target class.
+ * @param {Object} obj - Instance
+ * @param {Map<string, Object>} resolvedClasses - Resolved classes (with merged schemas)
+ * @param {Function} [resolveRef] - `$ref` resolver (see collectRefs)
+ * @returns {Array<{path: string, target: string, class: string|null}>}
+ */
+function instanceRefs(obj, resolvedClasses, resolveRef = null) {
+  if (!obj || !obj.class) return [];
+  const seen = new Set();
+  return classNames(obj.class)
+    .map(name => resolvedClasses.get(name))
+    .filter(def => def && isObject(def.schema))
+    .flatMap(def => collectRefs(obj, def.schema, resolveRef))
+    .filter(ref => {
+      const key = [ref.path, ref.target, ref.class].join('\n');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Reverse reference index: for every instance some other instance references, the referrers in
+ * instance order. Targets are sorted by id; references to unknown ids are left out (validation
+ * reports them).
+ * @param {Object[]} stackObjects - Instances (reserved ids are skipped)
+ * @param {Map<string, Object>} resolvedClasses - Resolved classes
+ * @param {Function} [resolveRef] - `$ref` resolver (see collectRefs)
+ * @returns {Object<string, Array<{id: string, class: string|string[], path: string}>>}
+ */
+function referenceIndex(stackObjects, resolvedClasses, resolveRef = null) {
+  const instances = stackObjects.filter(obj => obj && obj.id && !isReservedId(obj.id));
+  const ids = new Set(instances.map(obj => obj.id));
+  const index = {};
+  instances.forEach(obj => {
+    const paths = new Map();
+    instanceRefs(obj, resolvedClasses, resolveRef)
+      .filter(ref => ids.has(ref.target))
+      .forEach(ref => {
+        if (!paths.has(ref.target)) paths.set(ref.target, new Set());
+        paths.get(ref.target).add(ref.path);
+      });
+    paths.forEach((refPaths, target) => {
+      (index[target] = index[target] || []).push(...Array.from(refPaths, refPath => ({ id: obj.id, class: obj.class, path: refPath })));
+    });
+  });
+  return Object.fromEntries(Object.keys(index).sort().map(target => [target, index[target]]));
+}
+
+module.exports = { collectRefs, instanceRefs, referenceIndex, refSpec, resolveFragment };
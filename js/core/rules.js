@@ -0,0 +1,168 @@
+'use strict';
+
+const { isDeepStrictEqual } = require('util');
+const { classInheritsFrom, classNames } = require('./canonical_helpers');
+const { parsePointer } = require('./patch_utils');
+const { isReservedId } = require('./build_helpers');
+const { instanceRefs } = require('./refs');
+
+// Stack-wide rules: constraints across instances that a schema, which sees one object at a time,
+// cannot express. Rules come from `global.rules` and from JSON files in an instance root's rules/
+// directory (a rule or a list of rules per file):
+//   { "type": "unique", "class": "service", "path": "/port" }            (or a list of paths; `each`)
+//   { "type": "cardinality", "class": "database", "where": { "/primary": true }, "count": 1 }
+//   { "type": "referenced", "class": "database", "by": "service" }       (optionally at `path`)
+// Every rule may have a `name`, a `message`, and a `level` (`error`, the default, or `warn`).
+
+const RULE_TYPES = Object.freeze(['unique', 'cardinality', 'referenced']);
+const RULE_LEVELS = Object.freeze(['error', 'warn']);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isPointer = (value) => typeof value === 'string' && (value === '' || value.startsWith('/'));
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// JSON text with object keys sorted, so equal values get equal keys whatever their key order.
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (isObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const valueAt = (value, pointer) => parsePointer(pointer).reduce((node, key) => (node !== null && typeof node === 'object' ? node[key] : undefined), value);
+
+// Problem with a rule definition, or null when it is well-formed.
+function ruleProblem(rule) {
+  if (!isObject(rule)) return 'a rule must be an object';
+  if (!RULE_TYPES.includes(rule.type)) return `type must be one of ${RULE_TYPES.join(', ')}`;
+  if (typeof rule.class !== 'string' || !rule.class) return 'class must name a class';
+  if (rule.name !== undefined && (typeof rule.name !== 'string' || !rule.name)) return 'name must be a non-empty string';
+  if (rule.message !== undefined && typeof rule.message !== 'string') return 'message must be a string';
+  if (rule.level !== undefined && !RULE_LEVELS.includes(rule.level)) return `level must be one of ${RULE_LEVELS.join(', ')}`;
+  if (rule.type === 'unique') {
+    const paths = Array.isArray(rule.path) ? rule.path : [rule.path];
+    if (!paths.length || !paths.every(isPointer)) return 'path must be a JSON Pointer or a list of them';
+    if (rule.each !== undefined && typeof rule.each !== 'boolean') return 'each must be a boolean';
+    if (rule.each && paths.length > 1) return 'each applies to a single path';
+  }
+  if (rule.type === 'cardinality') {
+    if (rule.where !== undefined && (!isObject(rule.where) || !Object.keys(rule.where).every(isPointer))) return 'where must map JSON Pointers to values';
+    if (rule.count !== undefined && (rule.min !== undefined || rule.max !== undefined)) return 'use count or min/max, not both';
+    if (![rule.count, rule.min, rule.max].some(value => value !== undefined)) return 'count, min, or max is required';
+    if (![rule.count, rule.min, rule.max].every(value => value === undefined || isCount(value))) return 'count, min, and max must be non-negative integers';
+    if (rule.min !== undefined && rule.max !== undefined && rule.min > rule.max) return 'min must not exceed max';
+  }
+  if (rule.type === 'referenced') {
+    if (typeof rule.by !== 'string' || !rule.by) return 'by must name a class';
+    if (rule.path !== undefined && !isPointer(rule.path)) return 'path must be a JSON Pointer';
+  }
+  return null;
+}
+
+function uniqueViolations(rule, instances) {
+  const paths = Array.isArray(rule.path) ? rule.path : [rule.path];
+  const seen = new Map();
+  const violations = [];
+  instances.forEach(obj => {
+    const values = paths.map(pointer => valueAt(obj, pointer));
+    if (values.some(value => value === undefined)) return;
+    const entries = rule.each && Array.isArray(values[0])
+      ? values[0].map((item, index) => ({ value: item, instancePath: `${paths[0]}/${index}` }))
+      : [{ value: paths.length > 1 ? values : values[0], instancePath: paths[0] }];
+    const keys = new Set();
+    entries.forEach(({ value, instancePath }) => {
+      const key = canonicalJson(value);
+      if (keys.has(key)) return; // repeats inside one instance are left to `uniqueItems`
+      keys.add(key);
+      const first = seen.get(key);
+      if (!first) {
+        seen.set(key, { id: obj.id, ids: [obj.id] });
+        return;
+      }
+      first.ids.push(obj.id);
+      violations.push({
+        code: 'rule_unique_violation',
+        details: `'${obj.id}' repeats ${paths.join(' + ')} = ${key} of '${first.id}'`,
+        meta: { id: obj.id, class: obj.class, instancePath, path: rule.path, value, duplicateOf: first.id, ids: first.ids }
+      });
+    });
+  });
+  return violations;
+}
+
+function cardinalityViolations(rule, instances) {
+  const where = Object.entries(rule.where || {});
+  const ids = instances
+    .filter(obj => where.every(([pointer, expected]) => isDeepStrictEqual(valueAt(obj, pointer), expected)))
+    .map(obj => obj.id);
+  const min = rule.count !== undefined ? rule.count : rule.min;
+  const max = rule.count !== undefined ? rule.count : rule.max;
+  if ((min === undefined || ids.length >= min) && (max === undefined || ids.length <= max)) return [];
+  const expected = min === max ? `exactly ${min}` : [min !== undefined && `at least ${min}`, max !== undefined && `at most ${max}`].filter(Boolean).join(' and ');
+  const matching = where.length ? ` matching ${JSON.stringify(rule.where)}` : '';
+  return [{
+    code: 'rule_cardinality_violation',
+    details: `expects ${expected} instance(s) of '${rule.class}'${matching}, found ${ids.length}${ids.length ? ` (${ids.join(', ')})` : ''}`,
+    meta: { class: rule.class, where: rule.where || {}, min, max, count: ids.length, ids }
+  }];
+}
+
+function referencedViolations(rule, instances, allInstances, resolvedClasses, classes, resolveRef) {
+  const underPath = (refPath) => rule.path === undefined || refPath === rule.path || refPath.startsWith(`${rule.path}/`);
+  const referenced = new Set(allInstances
+    .filter(obj => classInheritsFrom(classes, obj.class, rule.by))
+    .flatMap(obj => instanceRefs(obj, resolvedClasses, resolveRef).filter(ref => underPath(ref.path)).map(ref => ref.target)));
+  return instances
+    .filter(obj => !referenced.has(obj.id))
+    .map(obj => ({
+      code: 'rule_unreferenced',
+      details: `'${obj.id}' (class '${classNames(obj.class).join(', ')}') is not referenced by any '${rule.by}'${rule.path !== undefined ? ` at ${rule.path}` : ''}`,
+      meta: { id: obj.id, class: obj.class, by: rule.by, ...(rule.path !== undefined ? { path: rule.path } : {}) }
+    }));
+}
+
+/**
+ * Check stack-wide rules against the instances of a stack.
+ * @param {Object[]} stackObjects - Instances (reserved ids such as `global` are skipped)
+ * @param {Map<string, Object>} resolvedClasses - Resolved classes (for inheritance and `x-ref`s)
+ * @param {Array<{rule: *, source: string, path: string}>} rules - Rule definitions with where they
+ *   came from: the rule file (or `global`) and the JSON Pointer of the rule inside it
+ * @param {Function} [resolveRef] - `$ref` resolver for finding `x-ref`s (see core/refs.js)
+ * @returns {Array<{code: string, level: string, message: string}>} one entry per violation, with
+ *   the rule's `name` (as `rule`), `ruleType`, `ruleSource`, and `rulePath` plus per-type fields;
+ *   malformed rules come back as `rule_invalid` errors
+ */
+function checkRules(stackObjects, resolvedClasses, rules, resolveRef = null) {
+  const classes = Object.fromEntries(resolvedClasses);
+  const instances = stackObjects.filter(obj => obj && obj.id && !isReservedId(obj.id));
+  return rules.flatMap(({ rule, source, path }) => {
+    const origin = { ruleSource: source, rulePath: path };
+    const unknown = isObject(rule) && [rule.class, rule.type === 'referenced' ? rule.by : undefined]
+      .find(name => typeof name === 'string' && name && !resolvedClasses.has(name));
+    const problem = ruleProblem(rule) || (unknown ? `unknown class '${unknown}'` : null);
+    if (problem) {
+      return [{ code: 'rule_invalid', level: 'error', message: `Invalid rule ${source}#${path}: ${problem}`, ...origin }];
+    }
+    const members = instances.filter(obj => classInheritsFrom(classes, obj.class, rule.class));
+    const violations = {
+      unique: () => uniqueViolations(rule, members),
+      cardinality: () => cardinalityViolations(rule, members),
+      referenced: () => referencedViolations(rule, members, instances, resolvedClasses, classes, resolveRef)
+    }[rule.type]();
+    const label = rule.name ? `Rule '${rule.name}'` : `Rule ${source}#${path}`;
+    return violations.map(({ code, details, meta }) => ({
+      code,
+      level: rule.level || 'error',
+      message: rule.message ? `${label}: ${rule.message} (${details})` : `${label}: ${details}`,
+      ...(rule.name ? { rule: rule.name } : {}),
+      ruleType: rule.type,
+      ...origin,
+      ...meta
+    }));
+  });
+}
+
+module.exports = { RULE_TYPES, checkRules };
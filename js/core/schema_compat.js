@@ -0,0 +1,129 @@
+'use strict';
+
+const { jsonPointer } = require('./diff_utils');
+
+// Parent/child schema compatibility: a child class's schema may narrow its parent's constraints,
+// but not loosen or contradict them. Only the keywords below are compared; combinators
+// (anyOf/oneOf/allOf), $ref, and patternProperties are left alone.
+
+const LOWER_BOUNDS = Object.freeze(['minimum', 'exclusiveMinimum', 'minLength', 'minItems', 'minProperties']);
+const UPPER_BOUNDS = Object.freeze(['maximum', 'exclusiveMaximum', 'maxLength', 'maxItems', 'maxProperties']);
+
+const isSchemaObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const typesOf = (schema) => (Array.isArray(schema.type) ? schema.type : [schema.type]);
+
+// `integer` values are numbers, so a parent allowing `number` covers a child's `integer`.
+const typeCovered = (type, allowed) => allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+
+function compareType(parent, child, path, report) {
+  if (parent.type === undefined) return;
+  if (child.type === undefined) {
+    report('widened_type', path, 'type', parent.type, undefined);
+    return;
+  }
+  const allowed = typesOf(parent);
+  const childTypes = typesOf(child);
+  if (childTypes.every(type => typeCovered(type, allowed))) return;
+  const overlaps = childTypes.some(type => typeCovered(type, allowed) || (type === 'number' && allowed.includes('integer')));
+  report(overlaps ? 'widened_type' : 'conflicting_type', path, 'type', parent.type, child.type);
+}
+
+function compareEnum(parent, child, path, report) {
+  if (!Array.isArray(parent.enum)) return;
+  if (!Array.isArray(child.enum)) {
+    // A const inside the parent's enum narrows it.
+    if (child.const !== undefined && parent.enum.some(value => sameJson(value, child.const))) return;
+    report('widened_enum', path, 'enum', parent.enum, child.enum);
+    return;
+  }
+  const allowed = (value) => parent.enum.some(entry => sameJson(entry, value));
+  if (child.enum.every(allowed)) return;
+  report(child.enum.some(allowed) ? 'widened_enum' : 'conflicting_enum', path, 'enum', parent.enum, child.enum);
+}
+
+function compareConst(parent, child, path, report) {
+  if (parent.const === undefined) return;
+  if (child.const === undefined) {
+    report('widened_const', path, 'const', parent.const, undefined);
+  } else if (!sameJson(parent.const, child.const)) {
+    report('conflicting_const', path, 'const', parent.const, child.const);
+  }
+}
+
+function compareRequired(parent, child, path, report) {
+  if (!Array.isArray(parent.required)) return;
+  const required = Array.isArray(child.required) ? child.required : [];
+  const dropped = parent.required.filter(field => !required.includes(field));
+  if (dropped.length) report('dropped_required', path, 'required', parent.required, dropped);
+}
+
+function compareBounds(parent, child, path, report) {
+  LOWER_BOUNDS.forEach(keyword => {
+    if (typeof parent[keyword] !== 'number') return;
+    if (typeof child[keyword] !== 'number' || child[keyword] < parent[keyword]) {
+      report('widened_bound', path, keyword, parent[keyword], child[keyword]);
+    }
+  });
+  UPPER_BOUNDS.forEach(keyword => {
+    if (typeof parent[keyword] !== 'number') return;
+    if (typeof child[keyword] !== 'number' || child[keyword] > parent[keyword]) {
+      report('widened_bound', path, keyword, parent[keyword], child[keyword]);
+    }
+  });
+}
+
+function compareAdditional(parent, child, path, report) {
+  if (parent.additionalProperties === false && child.additionalProperties !== false) {
+    report('widened_additional_properties', path, 'additionalProperties', false, child.additionalProperties);
+  }
+}
+
+function compareSchemas(parent, child, segments, ignore, report) {
+  if (!isSchemaObject(parent) || !isSchemaObject(child) || ignore.has(jsonPointer(segments))) return;
+  const path = jsonPointer(segments);
+  compareType(parent, child, path, report);
+  compareEnum(parent, child, path, report);
+  compareConst(parent, child, path, report);
+  compareRequired(parent, child, path, report);
+  compareBounds(parent, child, path, report);
+  compareAdditional(parent, child, path, report);
+
+  // A property the child no longer declares was removed on purpose ($unset) and falls under
+  // additionalProperties; only properties both declare are compared.
+  if (isSchemaObject(parent.properties) && isSchemaObject(child.properties)) {
+    Object.keys(parent.properties)
+      .filter(key => Object.prototype.hasOwnProperty.call(child.properties, key))
+      .forEach(key => compareSchemas(parent.properties[key], child.properties[key], [...segments, 'properties', key], ignore, report));
+  }
+  if (isSchemaObject(parent.items) && isSchemaObject(child.items)) {
+    compareSchemas(parent.items, child.items, [...segments, 'items'], ignore, report);
+  }
+  if (isSchemaObject(parent.additionalProperties) && isSchemaObject(child.additionalProperties)) {
+    compareSchemas(parent.additionalProperties, child.additionalProperties, [...segments, 'additionalProperties'], ignore, report);
+  }
+}
+
+/**
+ * Constraints of a parent schema that a child schema loosens or contradicts.
+ * Kinds: `widened_type`, `conflicting_type`, `widened_enum`, `conflicting_enum`, `widened_const`,
+ * `conflicting_const`, `dropped_required`, `widened_bound`, and `widened_additional_properties`.
+ * @param {Object} parent - Parent schema
+ * @param {Object} child - Child schema
+ * @param {Object} [options]
+ * @param {string[]} [options.ignore] - Schema JSON Pointers to skip (with everything below them)
+ * @returns {Array<{kind: string, path: string, keyword: string, parent: *, child: *}>} path is the
+ *   JSON Pointer of the subschema; for dropped_required, child lists the dropped fields
+ */
+function schemaIncompatibilities(parent, child, options = {}) {
+  const findings = [];
+  const report = (kind, path, keyword, parentValue, childValue) => {
+    findings.push({ kind, path, keyword, parent: parentValue, child: childValue });
+  };
+  compareSchemas(parent, child, [], new Set(options.ignore || []), report);
+  return findings;
+}
+
+module.exports = { schemaIncompatibilities };
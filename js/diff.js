@@ -0,0 +1,290 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { runBuild } = require('./build');
+const { createLogger } = require('./logger');
+const { fmt } = require('./core/format');
+const { PathError } = require('./core/errors');
+const { normalizeDirPath } = require('./core/fs_utils');
+const { OUTPUT_TYPES } = require('./core/build_helpers');
+const { diffJson, unifiedDiff } = require('./core/diff_utils');
+
+// Build dir entries that are build metadata rather than rendered outputs.
+const NON_OUTPUT_PATHS = Object.freeze(['canonical.json', 'meta']);
+
+// Outputs needed on each side when diffing from sources.
+const SOURCE_BUILD_OUTPUTS = [OUTPUT_TYPES.CANONICAL, OUTPUT_TYPES.TEMPLATES];
+
+const MAX_VALUE_LENGTH = 80;
+
+const hasOwn = (value, key) => Object.prototype.hasOwnProperty.call(value, key);
+
+function renderedFiles(buildDir) {
+  const files = [];
+  const walk = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const abs = path.join(dir, entry.name);
+      const rel = path.relative(buildDir, abs).split(path.sep).join('/');
+      if (NON_OUTPUT_PATHS.includes(rel)) return;
+      if (entry.isDirectory()) walk(abs);
+      else if (entry.isFile()) files.push(rel);
+    });
+  };
+  walk(buildDir);
+  return files.sort();
+}
+
+/**
+ * Read what a diff compares from a build dir: canonical.json and the rendered files
+ * (everything except canonical.json and meta/).
+ * @returns {{buildDir: string, canonical: Object, outputs: Map<string, Buffer>}}
+ */
+function readBuildSide(buildDirInput) {
+  const buildDir = normalizeDirPath(buildDirInput);
+  const canonicalPath = path.join(buildDir, 'canonical.json');
+  if (!fs.existsSync(canonicalPath)) {
+    throw new PathError(`Not a build dir (no canonical.json): ${buildDirInput}`, { input: buildDirInput, resolved: buildDir });
+  }
+  const canonical = JSON.parse(fs.readFileSync(canonicalPath, 'utf8'));
+  const outputs = new Map(renderedFiles(buildDir).map(rel => [rel, fs.readFileSync(path.join(buildDir, rel))]));
+  return { buildDir, canonical, outputs };
+}
+
+// Entries keyed by id, diffed with diffJson; `idKey` names the id field in the report.
+function diffEntries(before, after, idKey) {
+  const report = { added: [], removed: [], changed: [] };
+  Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).sort().forEach(id => {
+    if (!hasOwn(before, id)) report.added.push(id);
+    else if (!hasOwn(after, id)) report.removed.push(id);
+    else {
+      const changes = diffJson(before[id], after[id]);
+      if (changes.length) report.changed.push({ [idKey]: id, changes });
+    }
+  });
+  return report;
+}
+
+// instancesById carries a global entry extended with derived indexes; compare the declared global instead.
+const instancesOf = (canonical) => ({
+  ...(canonical.instancesById || {}),
+  ...(canonical.global ? { global: canonical.global } : {})
+});
+
+const withoutSchema = (classesById) => Object.fromEntries(
+  Object.entries(classesById || {}).map(([name, def]) => {
+    const { schema: _schema, ...rest } = def;
+    return [name, rest];
+  })
+);
+
+const schemasOf = (classesById) => Object.fromEntries(
+  Object.entries(classesById || {}).filter(([, def]) => def.schema).map(([name, def]) => [name, def.schema])
+);
+
+// Property names touched by schema changes, from paths under /properties/<name>.
+function propertyChanges(changes) {
+  const properties = { added: [], removed: [], changed: [] };
+  changes.forEach(({ path: pointer, change }) => {
+    const match = /^\/properties\/([^/]+)(\/.*)?$/.exec(pointer);
+    if (!match) return;
+    const name = match[1].replace(/~1/g, '/').replace(/~0/g, '~');
+    const kind = match[2] ? 'changed' : change;
+    if (!properties[kind].includes(name)) properties[kind].push(name);
+  });
+  return properties;
+}
+
+const isBinary = (buffer) => buffer.includes(0);
+
+function diffOutputs(before, after, { context }) {
+  const report = { added: [], removed: [], changed: [] };
+  Array.from(new Set([...before.keys(), ...after.keys()])).sort().forEach(file => {
+    if (!before.has(file)) report.added.push(file);
+    else if (!after.has(file)) report.removed.push(file);
+    else if (!before.get(file).equals(after.get(file))) {
+      const binary = isBinary(before.get(file)) || isBinary(after.get(file));
+      report.changed.push({
+        path: file,
+        binary,
+        diff: binary ? null : unifiedDiff(before.get(file).toString('utf8'), after.get(file).toString('utf8'), { fromLabel: `a/${file}`, toLabel: `b/${file}`, context })
+      });
+    }
+  });
+  return report;
+}
+
+/**
+ * Compare two build sides (readBuildSide results).
+ * Instances (global included, without its derived indexes) and classes are compared by id, schemas
+ * per class; changes carry JSON Pointer paths relative to the entry. Rendered outputs are compared
+ * by content, with a unified diff for changed text files.
+ * @param {Object} left
+ * @param {Object} right
+ * @param {Object} [options]
+ * @param {number} [options.context=3] - Context lines in output diffs
+ * @returns {Object} { left, right, identical, instances, classes, schemas, outputs }
+ */
+function diffBuilds(left, right, { context = 3 } = {}) {
+  const instances = diffEntries(instancesOf(left.canonical), instancesOf(right.canonical), 'id');
+  const classes = diffEntries(withoutSchema(left.canonical.classesById), withoutSchema(right.canonical.classesById), 'class');
+  const schemas = diffEntries(schemasOf(left.canonical.classesById), schemasOf(right.canonical.classesById), 'class');
+  schemas.changed.forEach(entry => {
+    entry.properties = propertyChanges(entry.changes);
+  });
+  const outputs = diffOutputs(left.outputs, right.outputs, { context });
+  const identical = [instances, classes, schemas, outputs]
+    .every(section => !section.added.length && !section.removed.length && !section.changed.length);
+  return {
+    left: left.label || left.buildDir,
+    right: right.label || right.buildDir,
+    identical,
+    instances,
+    classes,
+    schemas,
+    outputs
+  };
+}
+
+function formatValue(value) {
+  const text = value === undefined ? 'undefined' : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
+
+function changeLine({ path: pointer, change, before, after }) {
+  const at = pointer || '(root)';
+  if (change === 'added') return `      ${fmt('+', 'green')} ${at}: ${formatValue(after)}`;
+  if (change === 'removed') return `      ${fmt('-', 'red')} ${at}: ${formatValue(before)}`;
+  return `      ${fmt('~', 'yellow')} ${at}: ${formatValue(before)} → ${formatValue(after)}`;
+}
+
+function sectionLines(title, section, idKey, extraLines = () => []) {
+  const counts = `${section.added.length} added, ${section.removed.length} removed, ${section.changed.length} changed`;
+  const lines = [`${fmt(title, 'bold')}: ${counts}`];
+  section.added.forEach(id => lines.push(`  ${fmt('+', 'green')} ${id}`));
+  section.removed.forEach(id => lines.push(`  ${fmt('-', 'red')} ${id}`));
+  section.changed.forEach(entry => {
+    lines.push(`  ${fmt('~', 'yellow')} ${entry[idKey]}`);
+    lines.push(...extraLines(entry));
+    entry.changes.forEach(change => lines.push(changeLine(change)));
+  });
+  return lines;
+}
+
+function propertySummary({ properties }) {
+  const parts = [
+    ...properties.added.map(name => `+${name}`),
+    ...properties.removed.map(name => `-${name}`),
+    ...properties.changed.map(name => `~${name}`)
+  ];
+  return parts.length ? [`      properties: ${parts.join(' ')}`] : [];
+}
+
+/** Render a diffBuilds report as text lines: a section per kind, then output diffs. */
+function formatDiffText(report) {
+  const lines = [`Comparing ${report.left} → ${report.right}`];
+  if (report.identical) {
+    lines.push(fmt('No differences.', 'green'));
+    return lines;
+  }
+  lines.push('');
+  lines.push(...sectionLines('Instances', report.instances, 'id'));
+  lines.push(...sectionLines('Classes', report.classes, 'class'));
+  lines.push(...sectionLines('Schemas', report.schemas, 'class', propertySummary));
+
+  const { outputs } = report;
+  lines.push(`${fmt('Outputs', 'bold')}: ${outputs.added.length} added, ${outputs.removed.length} removed, ${outputs.changed.length} changed`);
+  outputs.added.forEach(file => lines.push(`  ${fmt('+', 'green')} ${file}`));
+  outputs.removed.forEach(file => lines.push(`  ${fmt('-', 'red')} ${file}`));
+  outputs.changed.forEach(entry => lines.push(`  ${fmt('~', 'yellow')} ${entry.path}${entry.binary ? ' (binary)' : ''}`));
+  outputs.changed.filter(entry => entry.diff).forEach(entry => {
+    lines.push('');
+    lines.push(...entry.diff.replace(/\n$/, '').split('\n').map(line => {
+      if (line.startsWith('@@')) return fmt(line, 'cyan');
+      if (line.startsWith('+') && !line.startsWith('+++')) return fmt(line, 'green');
+      if (line.startsWith('-') && !line.startsWith('---')) return fmt(line, 'red');
+      return line;
+    }));
+  });
+  return lines;
+}
+
+// Build one side from source options into a temporary build dir.
+function buildSide(side, shared, label, log) {
+  const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'terrible-diff-'));
+  const result = runBuild({
+    ...shared,
+    classDirs: side.classDirs,
+    instanceDirs: side.instanceDirs,
+    templateDirs: side.templateDirs,
+    outputs: new Set(SOURCE_BUILD_OUTPUTS),
+    buildDir: path.join(tempRoot, label),
+    exitOnError: false,
+    quiet: true,
+    silent: true
+  });
+  if (!result.ok) {
+    log.error(`Building the ${label} side failed:`);
+    result.errors.forEach(message => log.error(`  ${message}`));
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+    return null;
+  }
+  return { tempRoot, buildDir: result.buildDir };
+}
+
+const sourceLabel = (side) => {
+  const dirs = Array.from(new Set([...(side.classDirs || []), ...(side.instanceDirs || [])]));
+  return dirs.join(' + ');
+};
+
+/**
+ * CLI entry. `left`/`right` are each `{ buildDir }` (an existing build) or source options
+ * (`{ classDirs, instanceDirs, templateDirs }`, built into a temporary dir).
+ * Other options: `defaultsDir`, `warnExtraFields` (source builds), `format` ('text'|'json'),
+ * `context`, `exitCode` (exit 1 when the sides differ), `quiet`.
+ */
+function runDiff(options) {
+  const { left, right, format = 'text', context = 3, exitCode = false, quiet = false, ...shared } = options;
+  const log = createLogger({ quiet });
+  const tempRoots = [];
+  let report = null;
+  try {
+    const sides = [['left', left], ['right', right]].map(([label, side]) => {
+      if (side.buildDir) {
+        return readBuildSide(side.buildDir);
+      }
+      const built = buildSide(side, shared, label, log);
+      if (!built) return null;
+      tempRoots.push(built.tempRoot);
+      return { ...readBuildSide(built.buildDir), label: sourceLabel(side) };
+    });
+    if (sides.every(Boolean)) {
+      report = diffBuilds(sides[0], sides[1], { context });
+    }
+  } catch (err) {
+    log.error(err.message);
+  } finally {
+    tempRoots.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  }
+
+  if (!report) {
+    process.exit(1);
+  }
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${formatDiffText(report).join('\n')}\n`);
+  }
+  if (exitCode && !report.identical) {
+    process.exit(1);
+  }
+  return report;
+}
+
+module.exports = {
+  diffBuilds,
+  formatDiffText,
+  readBuildSide,
+  runDiff
+};
@@ -0,0 +1,349 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const { scanDir } = require('./core/fs_utils');
+const { asArray } = require('./core/object_utils');
+const { HookError } = require('./core/errors');
+const { isReservedId } = require('./core/build_helpers');
+const { classNames } = require('./core/canonical_helpers');
+
+/** Hook phases supported by the runtime, in pipeline order. */
+const HOOK_PHASES = Object.freeze(['onLoadComplete', 'onPreRender', 'onRenderInstance', 'onPostRenderFile', 'onFinalizeBuild']);
+
+/** Read-only phases driven by the template engine. */
+const RENDER_PHASES = Object.freeze(['onPreRender', 'onRenderInstance', 'onPostRenderFile']);
+
+// Load a hook module fresh from disk (bypassing the require cache) so rebuilds see edits.
+function loadHookModule(filePath) {
+  const resolved = require.resolve(filePath);
+  delete require.cache[resolved];
+  const mod = require(resolved);
+  if (!mod || (typeof mod !== 'object' && typeof mod !== 'function')) {
+    throw new HookError(`Hook module ${filePath} must export an object of phase handlers`, { filePath });
+  }
+  return mod;
+}
+
+// Discover global hook modules under <root>/hooks/**/*.js; later roots override the same relative path.
+function discoverHookFiles(roots, log) {
+  const files = new Map();
+  asArray(roots).forEach(root => {
+    const hooksDir = path.join(root, 'hooks');
+    scanDir(hooksDir, { pattern: '**/*.js' }).forEach(filePath => {
+      const name = path.relative(hooksDir, filePath).replace(/\\/g, '/').replace(/\.js$/, '');
+      if (files.has(name) && log && log.warn) {
+        log.warn(`Hook override: '${name}' from ${hooksDir} shadows an earlier hook of the same path.`);
+      }
+      files.set(name, filePath);
+    });
+  });
+  return files;
+}
+
+// Resolve a `hooks` field entry (path relative to a source root) against ordered roots; later roots win.
+function resolveHookRef(ref, roots) {
+  const relPath = path.extname(ref) ? ref : `${ref}.js`;
+  const candidates = asArray(roots).slice().reverse();
+  for (const root of candidates) {
+    const filePath = path.resolve(root, relPath);
+    const rel = path.relative(root, filePath);
+    if (rel.startsWith('..') || path.isAbsolute(rel)) {
+      continue;
+    }
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+  }
+  return null;
+}
+
+// Find an object in a mutator working copy by id (the keyed index may lag behind mutations).
+function workingInstance(mutator, id) {
+  const working = mutator.getWorkingCopy();
+  return (working.instances || []).find(inst => inst && inst.id === id) || null;
+}
+
+/**
+ * Hook runtime: discovers hook modules and runs phase handlers in global → class → instance order.
+ * - Global hooks: every `.js` module under a stack root's `hooks/` dir (name order), plus `global.hooks` refs.
+ * - Class hooks: `hooks` refs on a class (inherited refs included), run once per instance of that class.
+ * - Instance hooks: `hooks` refs on the instance itself.
+ * Handlers run synchronously; failures are recorded as issues and never abort the remaining hooks.
+ */
+function createHookRunner({ stackDirs, classDirs, instanceDirs, log, issues } = {}) {
+  const modules = new Map();
+  let globalFiles = new Map();
+
+  const report = (message, meta) => (issues ? issues.error(message, meta) : log.error(message));
+
+  function moduleFor(filePath) {
+    if (modules.has(filePath)) {
+      return modules.get(filePath);
+    }
+    let mod = null;
+    try {
+      mod = loadHookModule(filePath);
+    } catch (err) {
+      report(`Failed to load hook module ${filePath}: ${err.message}`, { code: 'hook_load_failed', file: filePath });
+    }
+    modules.set(filePath, mod);
+    return mod;
+  }
+
+  function prepare() {
+    modules.clear();
+    globalFiles = discoverHookFiles(stackDirs, log);
+    return { hookCount: globalFiles.size };
+  }
+
+  function refsFor(owner, roots, label, meta) {
+    return asArray(owner && owner.hooks)
+      .map(ref => {
+        if (typeof ref !== 'string' || !ref) {
+          report(`Invalid hook reference on ${label}: ${JSON.stringify(ref)} (expected a module path string).`, { code: 'hook_invalid_ref', ...meta });
+          return null;
+        }
+        const file = resolveHookRef(ref, roots);
+        if (!file) {
+          report(`Hook '${ref}' referenced by ${label} was not found in any source root.`, { code: 'hook_not_found', hook: ref, ...meta });
+          return null;
+        }
+        return { hook: ref, file };
+      })
+      .filter(Boolean);
+  }
+
+  // Resolve `hooks` bindings once per canonical snapshot: global refs, class refs by name, instance refs by id.
+  const bindingCache = new WeakMap();
+  function bindingsFor(canonical) {
+    if (bindingCache.has(canonical)) {
+      return bindingCache.get(canonical);
+    }
+    const classesById = canonical.classesById || {};
+    const instancesById = canonical.instancesById || {};
+    const globalObj = instancesById.global || canonical.global || {};
+    const globalRefs = refsFor(globalObj, instanceDirs, "'global'", { scope: 'global', id: 'global' });
+
+    const classRefs = new Map();
+    const instanceRefs = new Map();
+    const instances = (canonical.instances || []).filter(inst => inst && inst.id && !isReservedId(inst.id));
+    instances.forEach(inst => {
+      classNames(inst.class).filter(name => !classRefs.has(name)).forEach(name => {
+        classRefs.set(name, refsFor(classesById[name], classDirs, `class '${name}'`, { scope: 'class', class: name }));
+      });
+      instanceRefs.set(inst.id, refsFor(inst, instanceDirs, `'${inst.id}'`, { scope: 'instance', id: inst.id, class: inst.class }));
+    });
+
+    // Modules bound through a `hooks` field do not also run as auto-discovered global hooks.
+    const bound = new Set(globalRefs.map(ref => ref.file));
+    [...classRefs.values(), ...instanceRefs.values()].forEach(refs => refs.forEach(ref => bound.add(ref.file)));
+    const discovered = Array.from(globalFiles.keys())
+      .sort()
+      .map(name => ({ hook: name, file: globalFiles.get(name) }))
+      .filter(ref => !bound.has(ref.file));
+
+    const bindings = { global: [...discovered, ...globalRefs], classRefs, instanceRefs, instances };
+    bindingCache.set(canonical, bindings);
+    return bindings;
+  }
+
+  // Keep refs whose module implements the phase, de-duplicated per scope.
+  function invocationsFor(phase, refs, invocation) {
+    const seen = new Set();
+    return refs
+      .filter(ref => {
+        if (seen.has(ref.file)) return false;
+        seen.add(ref.file);
+        const mod = moduleFor(ref.file);
+        return Boolean(mod && typeof mod[phase] === 'function');
+      })
+      .map(ref => ({ ...invocation, hook: ref.hook, file: ref.file }));
+  }
+
+  // Class and instance invocations bound to a single stack object.
+  function objectInvocations(phase, bindings, obj) {
+    if (!obj || !obj.id || isReservedId(obj.id)) {
+      return [];
+    }
+    const base = { id: obj.id, class: obj.class || null };
+    // Mixins: the hooks of every listed class, in list order.
+    const classRefs = classNames(obj.class).flatMap(name => bindings.classRefs.get(name) || []);
+    return [
+      ...invocationsFor(phase, classRefs, { ...base, scope: 'class' }),
+      ...invocationsFor(phase, bindings.instanceRefs.get(obj.id) || [], { ...base, scope: 'instance' })
+    ];
+  }
+
+  // Ordered invocation list for a whole-stack phase: global hooks once, then class → instance per object.
+  function plan(phase, canonical) {
+    const bindings = bindingsFor(canonical);
+    return [
+      ...invocationsFor(phase, bindings.global, { scope: 'global', id: 'global', class: null }),
+      ...bindings.instances.flatMap(inst => objectInvocations(phase, bindings, inst))
+    ];
+  }
+
+  // Ordered invocation list for a per-object phase: global hooks, then the object's class and instance hooks.
+  function planForObject(phase, canonical, obj) {
+    const bindings = bindingsFor(canonical);
+    const id = obj && obj.id ? obj.id : 'global';
+    return [
+      ...invocationsFor(phase, bindings.global, { scope: 'global', id, class: (obj && obj.class) || null }),
+      ...objectInvocations(phase, bindings, obj)
+    ];
+  }
+
+  // Run planned invocations; createContext(invocation) supplies the per-call hook context and
+  // onResult(result, invocation) receives each handler's return value.
+  function run(phase, invocations, createContext, onResult) {
+    let ran = 0;
+    invocations.forEach(invocation => {
+      const mod = modules.get(invocation.file);
+      const meta = { code: 'hook_failed', phase, hook: invocation.hook, scope: invocation.scope, id: invocation.id };
+      try {
+        const result = mod[phase].call(mod, createContext(invocation));
+        if (result && typeof result.then === 'function') {
+          result.then(null, () => {});
+          report(`Hook '${invocation.hook}' returned a promise from ${phase}; hooks must run synchronously.`, { ...meta, code: 'hook_async_unsupported' });
+          return;
+        }
+        ran += 1;
+        if (onResult) {
+          onResult(result, invocation);
+        }
+      } catch (err) {
+        report(`Hook '${invocation.hook}' failed during ${phase} (${invocation.scope} '${invocation.id}'): ${err.message}`, meta);
+      }
+    });
+    return ran;
+  }
+
+  const scopeFields = (phase, invocation) => ({
+    phase,
+    scope: invocation.scope,
+    hook: invocation.hook,
+    className: invocation.class
+  });
+
+  // onLoadComplete: every handler shares one mutator; returns the committed snapshot (null when no hooks apply).
+  function runLoadComplete(services, contextOptions = {}) {
+    const invocations = plan('onLoadComplete', services.snapshot);
+    if (!invocations.length) {
+      return { snapshot: null, ran: 0 };
+    }
+    const base = services.createHookContext({ ...contextOptions, allowMutation: true });
+    const ran = run('onLoadComplete', invocations, invocation => ({
+      ...base,
+      ...scopeFields('onLoadComplete', invocation),
+      instance: workingInstance(base.mutator, invocation.id)
+    }));
+    return { snapshot: base.mutator.commit(), ran };
+  }
+
+  /**
+   * Build read-only render callbacks for the template engine:
+   * - onPreRender(): once before any template renders (global → class → instance).
+   * - onRenderInstance(obj): before an object's build items render; returns view-only data for its templates.
+   * - onPostRenderFile(file): after a file is written; returns the (possibly rewritten) content.
+   * Returns null when no module implements a render phase so the engine skips the callbacks entirely.
+   * `files` lists the module paths implementing a render phase (incremental builds fingerprint them).
+   */
+  function createRenderHooks(services, contextOptions = {}) {
+    const canonical = services.snapshot;
+    const bindings = bindingsFor(canonical);
+    const allRefs = [...bindings.global, ...[...bindings.classRefs.values(), ...bindings.instanceRefs.values()].flat()];
+    const renderFiles = RENDER_PHASES.flatMap(phase => invocationsFor(phase, allRefs, {}).map(invocation => invocation.file));
+    if (!renderFiles.length) {
+      return null;
+    }
+    const base = services.createHookContext(contextOptions);
+    const instanceFor = (id) => (canonical.instancesById && canonical.instancesById[id]) || null;
+    const planCache = new Map();
+    const cachedPlan = (phase, obj) => {
+      const key = `${phase}:${obj && obj.id}`;
+      if (!planCache.has(key)) {
+        planCache.set(key, planForObject(phase, canonical, obj));
+      }
+      return planCache.get(key);
+    };
+
+    return {
+      files: Array.from(new Set(renderFiles)).sort(),
+      onPreRender() {
+        return run('onPreRender', plan('onPreRender', canonical), invocation => ({
+          ...base,
+          ...scopeFields('onPreRender', invocation),
+          instance: instanceFor(invocation.id)
+        }));
+      },
+      onRenderInstance(obj) {
+        const view = {};
+        run('onRenderInstance', cachedPlan('onRenderInstance', obj), invocation => ({
+          ...base,
+          ...scopeFields('onRenderInstance', invocation),
+          instance: obj,
+          view
+        }), result => {
+          if (result && typeof result === 'object' && !Array.isArray(result)) {
+            Object.assign(view, result);
+          }
+        });
+        return view;
+      },
+      onPostRenderFile({ obj, templateKey, outputPath, content }) {
+        let current = content;
+        run('onPostRenderFile', cachedPlan('onPostRenderFile', obj), invocation => ({
+          ...base,
+          ...scopeFields('onPostRenderFile', invocation),
+          instance: obj,
+          templateKey,
+          outputPath,
+          content: current
+        }), result => {
+          if (typeof result === 'string') {
+            current = result;
+          }
+        });
+        return current;
+      }
+    };
+  }
+
+  /**
+   * onFinalizeBuild: read-only, after rendering and before packaging (global → class → instance).
+   * `finalize` carries the render `manifest` and a `packageBuild(options)` function exposed on the context.
+   */
+  function runFinalizeBuild(services, contextOptions = {}, finalize = {}) {
+    const canonical = services.snapshot;
+    const invocations = plan('onFinalizeBuild', canonical);
+    if (!invocations.length) {
+      return 0;
+    }
+    const base = services.createHookContext(contextOptions);
+    const manifest = Object.freeze((finalize.manifest || []).map(entry => Object.freeze({ ...entry })));
+    return run('onFinalizeBuild', invocations, invocation => ({
+      ...base,
+      ...scopeFields('onFinalizeBuild', invocation),
+      instance: (canonical.instancesById && canonical.instancesById[invocation.id]) || null,
+      manifest,
+      packageBuild: finalize.packageBuild
+    }));
+  }
+
+  return {
+    prepare,
+    plan,
+    planForObject,
+    run,
+    runLoadComplete,
+    createRenderHooks,
+    runFinalizeBuild
+  };
+}
+
+module.exports = {
+  createHookRunner,
+  HOOK_PHASES,
+  RENDER_PHASES
+};
@@ -0,0 +1,116 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { version: toolVersion } = require('../package.json');
+
+/** Incremental build state, relative to the build dir. */
+const INCREMENTAL_STATE_FILE = 'meta/incremental.json';
+const STATE_VERSION = 1;
+
+// Stable fingerprint for a list of files: sha256 over each path and its contents.
+function fingerprintFiles(filePaths) {
+  const hash = crypto.createHash('sha256');
+  Array.from(new Set(filePaths)).sort().forEach(filePath => {
+    hash.update(`${filePath}\0`);
+    hash.update(fs.existsSync(filePath) ? fs.readFileSync(filePath) : '');
+    hash.update('\0');
+  });
+  return hash.digest('hex');
+}
+
+/**
+ * Key that must match for previous output records to be reused: the tool version (helpers and
+ * engine behavior) and a fingerprint of the render hook modules (they can rewrite any output).
+ */
+function incrementalKey({ renderHooks } = {}) {
+  return {
+    tool: toolVersion,
+    renderHooks: renderHooks && renderHooks.files ? fingerprintFiles(renderHooks.files) : null
+  };
+}
+
+/**
+ * Read meta/incremental.json from a previous build.
+ * @returns {{key: Object, outputs: Object<string, Object>}|null} null when absent, unreadable or from another state version
+ */
+function readIncrementalState(buildDir, log) {
+  const statePath = path.join(buildDir, INCREMENTAL_STATE_FILE);
+  if (!fs.existsSync(statePath)) {
+    return null;
+  }
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    if (!state || state.stateVersion !== STATE_VERSION || !state.outputs || typeof state.outputs !== 'object') {
+      log.info('  • incremental: previous state has an unknown format; rendering everything');
+      return null;
+    }
+    return state;
+  } catch (err) {
+    log.warn(`Ignoring unreadable incremental state ${statePath}: ${err.message}`);
+    return null;
+  }
+}
+
+// Output records from a previous state that may be reused under the current key.
+function reusableOutputs(state, key) {
+  if (!state || JSON.stringify(state.key) !== JSON.stringify(key)) {
+    return {};
+  }
+  return state.outputs;
+}
+
+// Absolute paths of every file a state records (outputs plus the state file itself).
+function trackedPaths(buildDir, state) {
+  const paths = new Set([path.join(buildDir, INCREMENTAL_STATE_FILE)]);
+  Object.values((state && state.outputs) || {}).forEach(record => {
+    (record.files || []).forEach(file => paths.add(path.join(buildDir, file.path)));
+  });
+  return paths;
+}
+
+// Remove now-empty directories from a deleted file up to (not including) the build dir.
+function removeEmptyParents(filePath, buildDir) {
+  let dir = path.dirname(filePath);
+  while (dir !== buildDir && dir.startsWith(buildDir) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Delete outputs recorded by the previous state that the current render no longer produced
+ * (removed instances, build entries or helper-emitted files). Only recorded files are touched.
+ * @returns {string[]} Removed paths, relative to the build dir
+ */
+function pruneStaleOutputs(buildDir, previousState, currentOutputs) {
+  const current = trackedPaths(buildDir, { outputs: currentOutputs });
+  const removed = [];
+  trackedPaths(buildDir, previousState).forEach(filePath => {
+    if (current.has(filePath) || !fs.existsSync(filePath)) {
+      return;
+    }
+    fs.rmSync(filePath, { force: true });
+    removeEmptyParents(filePath, buildDir);
+    removed.push(path.relative(buildDir, filePath).split(path.sep).join('/'));
+  });
+  return removed.sort();
+}
+
+function writeIncrementalState(buildDir, key, outputs) {
+  const statePath = path.join(buildDir, INCREMENTAL_STATE_FILE);
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify({ stateVersion: STATE_VERSION, key, outputs }, null, 2), 'utf8');
+  return statePath;
+}
+
+module.exports = {
+  INCREMENTAL_STATE_FILE,
+  incrementalKey,
+  pruneStaleOutputs,
+  readIncrementalState,
+  reusableOutputs,
+  trackedPaths,
+  writeIncrementalState
+};
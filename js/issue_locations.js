@@ -0,0 +1,283 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parsePointer, patchKind } = require('./core/patch_utils');
+const { jsonPointer } = require('./core/diff_utils');
+const { jsonPointerPosition, jsonValueOffsets } = require('./core/json_positions');
+const { findJsonFiles, positionToLineCol } = require('./core/fs_utils');
+
+// Source locations for issues: the JSON file, line, and column of the value an issue is about.
+// Merge provenance, when the build recorded it, names the file that supplied each winning value (an
+// instance or global file, a patch, the base instance of `extends`, or the class file of a class
+// default). Without it, the files declaring the instance (or class schema) are searched from the
+// last merged one back, and the value is placed in the last file that sets it. Either way the
+// position is found by scanning that file.
+
+const isWithin = (pointer, prefix) => prefix === '' || pointer === prefix || pointer.startsWith(`${prefix}/`);
+
+// The contribution of an appended array holding the item a pointer names, with the pointer into
+// that file's array. Only used when the items line up with the final array (plain appends).
+function contributionSource(record, key, pointer) {
+  if (!record.contributions || pointer === key || !Array.isArray(record.value)) return null;
+  const total = record.contributions.reduce((sum, item) => sum + item.items.length, 0);
+  if (total !== record.value.length) return null;
+  const [head, ...rest] = parsePointer(pointer.slice(key.length));
+  let index = Number(head);
+  if (!Number.isInteger(index)) return null;
+  for (const item of record.contributions) {
+    if (index < item.items.length) {
+      return { source: item.source, pointer: `${key}${jsonPointer([index, ...rest])}` };
+    }
+    index -= item.items.length;
+  }
+  return null;
+}
+
+// Where the value at a pointer came from: the field record at the pointer or its nearest ancestor,
+// or, for a container without one (a missing required field), the first value below it that the
+// entity's own files set.
+function fieldSource(fields, pointer) {
+  const keys = Object.keys(fields);
+  const ancestor = keys.filter(key => key && isWithin(pointer, key)).sort((a, b) => b.length - a.length)[0];
+  if (ancestor !== undefined) {
+    const record = fields[ancestor];
+    return contributionSource(record, ancestor, pointer) || { source: record.source, pointer };
+  }
+  const below = keys.filter(key => isWithin(key, pointer)).map(key => fields[key]).filter(record => record.source && record.source.file);
+  const own = below.find(record => !record.source.via) || below[0];
+  return own ? { source: own.source, pointer } : null;
+}
+
+// The pointer inside a patch file's data for a model pointer, or null when the patch does not touch
+// it: merge patches mirror the instance under `patch`; JSON Patch has the last operation touching the path.
+function patchPointer(file, patch, pointer) {
+  if (patchKind(file) === 'merge-patch') return `/patch${pointer}`;
+  const ops = Array.isArray(patch) ? patch : [];
+  const index = ops.map((op, opIndex) => ({ op, opIndex }))
+    .filter(({ op }) => op && typeof op.path === 'string' && (isWithin(pointer, op.path) || isWithin(op.path, pointer)))
+    .map(({ opIndex }) => opIndex)
+    .pop();
+  if (index === undefined) return null;
+  const op = ops[index];
+  const rest = isWithin(pointer, op.path) ? pointer.slice(op.path.length) : '';
+  return op.value !== undefined ? `/patch/${index}/value${rest}` : `/patch/${index}`;
+}
+
+const readJson = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (_err) {
+    return null;
+  }
+};
+
+const listJsonFiles = (dir) => {
+  try {
+    return findJsonFiles(dir);
+  } catch (_err) {
+    return [];
+  }
+};
+
+const valueAt = (value, segments) => segments.reduce((node, key) => (node !== null && typeof node === 'object' && Object.prototype.hasOwnProperty.call(node, key) ? node[key] : undefined), value);
+
+// Files declaring each instance (global.json, instance files, patches), in merge order.
+function instanceSourceFiles(instanceDirs) {
+  const files = new Map();
+  const add = (id, source) => files.set(id, [...(files.get(id) || []), source]);
+  instanceDirs.forEach(root => {
+    const globalPath = path.join(root, 'global.json');
+    if (fs.existsSync(globalPath)) add('global', { file: globalPath, kind: 'global' });
+    listJsonFiles(path.join(root, 'instances')).forEach(file => {
+      const data = readJson(file);
+      if (!data || typeof data !== 'object') return;
+      if (patchKind(file)) {
+        if (typeof data.id === 'string') add(data.id, { file, kind: 'patch' });
+        return;
+      }
+      const id = typeof data.id === 'string' && data.id ? data.id : 'global';
+      add(id, { file, kind: id === 'global' ? 'global' : 'instance' });
+    });
+  });
+  return files;
+}
+
+// Schema files of each class, in merge order.
+function classSchemaFiles(classDirs) {
+  const files = new Map();
+  classDirs.forEach(dir => listJsonFiles(dir).filter(file => file.endsWith('.schema.json')).forEach(file => {
+    const data = readJson(file);
+    const name = data && typeof data.class === 'string' ? data.class : path.basename(file, '.schema.json');
+    files.set(name, [...(files.get(name) || []), { file, kind: 'schema' }]);
+  }));
+  return files;
+}
+
+/**
+ * Locate issues in their source files.
+ * @param {Object} [provenance] - Finalized merge provenance ({ instances, classes }), if recorded
+ * @param {{instanceDirs?: string[], classDirs?: string[], instances?: Map}} [sources] - Without
+ *   provenance: the source roots in merge order and the final instances by id, to search the files
+ *   themselves (listed on the first issue that needs them)
+ * @returns {Function} (issue) => {file, line, column}|null
+ */
+function createIssueLocator(provenance = {}, sources = {}) {
+  const { instanceDirs = [], classDirs = [], instances = new Map() } = sources;
+  const texts = new Map();
+  const entity = (kind, id) => (provenance && provenance[kind] && Object.prototype.hasOwnProperty.call(provenance[kind], id) ? provenance[kind][id] : null);
+  let instanceFiles = null;
+  let schemaFiles = null;
+
+  // File text, with its value offsets and parsed data computed on first use.
+  const readText = (file) => {
+    if (!texts.has(file)) {
+      let text = null;
+      try {
+        text = fs.readFileSync(file, 'utf8');
+      } catch (_err) {
+        // A file that went away since loading has no position.
+      }
+      texts.set(file, text === null ? null : { text });
+    }
+    return texts.get(file);
+  };
+  const offsetsOf = (entry) => {
+    if (!entry.offsets) entry.offsets = jsonValueOffsets(entry.text);
+    return entry.offsets;
+  };
+  const dataOf = (file) => {
+    const entry = readText(file);
+    if (!entry) return null;
+    if (!('data' in entry)) {
+      try {
+        entry.data = JSON.parse(entry.text);
+      } catch (_err) {
+        entry.data = null;
+      }
+    }
+    return entry.data;
+  };
+
+  const position = (file, pointer) => {
+    const entry = file && file.endsWith('.json') ? readText(file) : null;
+    const found = entry && jsonPointerPosition(entry.text, pointer, offsetsOf(entry));
+    return found ? { file, line: found.line, column: found.column } : null;
+  };
+
+  // Position of exactly the value at a pointer, or null when the file does not set it.
+  const exactPosition = (file, pointer) => {
+    const entry = readText(file);
+    if (!entry || !offsetsOf(entry).has(pointer)) return null;
+    return { file, ...positionToLineCol(entry.text, offsetsOf(entry).get(pointer)) };
+  };
+
+  // The pointer inside a source file for a model pointer (null for a patch that does not touch it).
+  const sourcePointer = (source, pointer) => {
+    if (source.kind !== 'patch') return pointer;
+    const data = dataOf(source.file);
+    return data && data.patch !== undefined ? patchPointer(source.file, data.patch, pointer) : null;
+  };
+
+  // The pointer inside the file provenance names; patch files fall back to the patch itself.
+  const filePointer = (source, pointer) => {
+    if (source.kind === 'schema') return pointer.replace(/^\/schema(?=\/|$)/, '');
+    if (source.kind !== 'patch') return pointer;
+    const data = dataOf(source.file);
+    if (!data || data.patch === undefined) return '';
+    return patchPointer(source.file, data.patch, pointer) || '/patch';
+  };
+
+  const fromProvenance = (fields, pointer) => {
+    const found = fieldSource(fields, pointer);
+    if (!found || !found.source || !found.source.file) return null;
+    return position(found.source.file, filePointer(found.source, found.pointer));
+  };
+
+  // The last file setting the value at the pointer, or else its nearest ancestor. The root of an
+  // instance is its own file, not a patch.
+  const fromFiles = (files, pointer) => {
+    const segments = parsePointer(pointer);
+    for (let length = segments.length; length >= 0; length -= 1) {
+      const located = jsonPointer(segments.slice(0, length));
+      for (const source of [...files].reverse()) {
+        const inFile = source.kind === 'patch' && located === '' ? null : sourcePointer(source, located);
+        const found = inFile === null ? null : exactPosition(source.file, inFile);
+        if (found) return found;
+      }
+    }
+    return null;
+  };
+
+  // An item of an array the files append to: when their arrays add up to the final one (plain
+  // appends), the item is in the file that contributed it.
+  const fromContributions = (files, value, pointer) => {
+    const segments = parsePointer(pointer);
+    const index = segments.map((_segment, at) => at).reverse()
+      .find(at => /^\d+$/.test(String(segments[at])) && Array.isArray(valueAt(value, segments.slice(0, at))));
+    if (index === undefined) return null;
+    const key = segments.slice(0, index);
+    const final = valueAt(value, key);
+    const contributions = files
+      .filter(source => source.kind !== 'patch')
+      .map(source => ({ source, items: valueAt(dataOf(source.file), key) }))
+      .filter(({ items }) => Array.isArray(items));
+    if (contributions.reduce((sum, { items }) => sum + items.length, 0) !== final.length) return null;
+    let item = Number(segments[index]);
+    for (const { source, items } of contributions) {
+      if (item < items.length) return fromFiles([source], jsonPointer([...key, item, ...segments.slice(index + 1)]));
+      item -= items.length;
+    }
+    return null;
+  };
+
+  const fromInstanceFiles = (id, pointer) => {
+    if (!instanceFiles) instanceFiles = instanceSourceFiles(instanceDirs);
+    const files = instanceFiles.get(id) || [];
+    return fromContributions(files, instances.get(id), pointer) || fromFiles(files, pointer);
+  };
+
+  const fromSchemaFiles = (name, pointer) => {
+    if (!schemaFiles) schemaFiles = classSchemaFiles(classDirs);
+    return fromFiles(schemaFiles.get(name) || [], pointer);
+  };
+
+  return (issue) => {
+    if (!issue || issue.line !== undefined) return null;
+    // Issues naming their file already (class defaults, hooks, patches) keep it.
+    if (issue.file) {
+      return typeof issue.instancePath === 'string' ? position(issue.file, issue.instancePath) : null;
+    }
+    const instancePath = typeof issue.instancePath === 'string' ? issue.instancePath : '';
+    const instance = typeof issue.id === 'string' ? entity('instances', issue.id) : null;
+    if (instance) return fromProvenance(instance.fields, instancePath);
+    if (typeof issue.id === 'string' && instances.has(issue.id)) return fromInstanceFiles(issue.id, instancePath);
+    if (typeof issue.ruleSource === 'string') {
+      if (issue.ruleSource !== 'global') return position(issue.ruleSource, issue.rulePath || '');
+      const global = entity('instances', 'global');
+      return global ? fromProvenance(global.fields, issue.rulePath || '') : fromInstanceFiles('global', issue.rulePath || '');
+    }
+    if (typeof issue.class !== 'string' || typeof issue.schemaPath !== 'string') return null;
+    const schemaPath = `${issue.schemaPath.replace(/^#/, '')}${issue.keyword ? `/${issue.keyword}` : ''}`;
+    const classEntry = entity('classes', issue.class);
+    return classEntry ? fromProvenance(classEntry.fields, `/schema${schemaPath}`) : fromSchemaFiles(issue.class, schemaPath);
+  };
+}
+
+/**
+ * Add `file`, `line`, and `column` to the issues that can be traced to a JSON source file.
+ * @param {Object[]} issues - Issue entries (updated in place)
+ * @param {Object} [provenance] - Finalized merge provenance, if recorded
+ * @param {Object} [sources] - Source roots and final instances (see createIssueLocator)
+ * @returns {Object[]} issues
+ */
+function locateIssues(issues, provenance, sources) {
+  const locate = createIssueLocator(provenance, sources);
+  issues.forEach(issue => {
+    const location = locate(issue);
+    if (location) Object.assign(issue, location);
+  });
+  return issues;
+}
+
+module.exports = { createIssueLocator, locateIssues };
@@ -0,0 +1,167 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const { ConfigError, PathError } = require('./core/errors');
+
+/** Archive formats supported by packageBuildDir. */
+const PACKAGE_FORMATS = Object.freeze(['tar.gz', 'zip']);
+
+// Fixed metadata so identical build dirs always produce byte-identical archives.
+const FILE_MODE = 0o644;
+const ZIP_DOS_TIME = 0;
+const ZIP_DOS_DATE = (0 << 9) | (1 << 5) | 1; // 1980-01-01, the DOS epoch
+
+// List regular files under a directory as sorted posix-relative paths.
+function listFiles(rootDir, exclude) {
+  const files = [];
+  const walk = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const abs = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(abs);
+      } else if (entry.isFile() && abs !== exclude) {
+        files.push(path.relative(rootDir, abs).split(path.sep).join('/'));
+      }
+    });
+  };
+  walk(rootDir);
+  return files.sort();
+}
+
+// Write an ASCII/octal field into a tar header block.
+function writeField(block, value, offset, length) {
+  block.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+function octal(value, length) {
+  return `${value.toString(8).padStart(length - 1, '0')}\0`;
+}
+
+// Split a path into ustar name (<=100 bytes) and prefix (<=155 bytes).
+function ustarName(name) {
+  if (Buffer.byteLength(name) <= 100) {
+    return { name, prefix: '' };
+  }
+  for (let idx = name.indexOf('/'); idx !== -1; idx = name.indexOf('/', idx + 1)) {
+    const prefix = name.slice(0, idx);
+    const rest = name.slice(idx + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+      return { name: rest, prefix };
+    }
+  }
+  throw new PathError(`Path too long for tar archive: ${name}`, { path: name });
+}
+
+function tarHeader(name, size) {
+  const block = Buffer.alloc(512);
+  const parts = ustarName(name);
+  writeField(block, parts.name, 0, 100);
+  writeField(block, octal(FILE_MODE, 8), 100, 8);
+  writeField(block, octal(0, 8), 108, 8);
+  writeField(block, octal(0, 8), 116, 8);
+  writeField(block, octal(size, 12), 124, 12);
+  writeField(block, octal(0, 12), 136, 12);
+  writeField(block, '        ', 148, 8);
+  writeField(block, '0', 156, 1);
+  writeField(block, 'ustar\0', 257, 6);
+  writeField(block, '00', 263, 2);
+  writeField(block, parts.prefix, 345, 155);
+  let checksum = 0;
+  for (const byte of block) checksum += byte;
+  writeField(block, `${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8);
+  return block;
+}
+
+function createTarGz(rootDir, files) {
+  const chunks = [];
+  files.forEach(rel => {
+    const data = fs.readFileSync(path.join(rootDir, rel));
+    chunks.push(tarHeader(rel, data.length), data);
+    const padding = (512 - (data.length % 512)) % 512;
+    if (padding) chunks.push(Buffer.alloc(padding));
+  });
+  chunks.push(Buffer.alloc(1024));
+  // gzipSync writes a zero mtime and no file name, so the output depends only on the tar bytes.
+  return zlib.gzipSync(Buffer.concat(chunks), { level: 9 });
+}
+
+function createZip(rootDir, files) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  files.forEach(rel => {
+    const data = fs.readFileSync(path.join(rootDir, rel));
+    const name = Buffer.from(rel, 'utf8');
+    const compressed = zlib.deflateRawSync(data, { level: 9 });
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(ZIP_DOS_TIME, 10);
+    local.writeUInt16LE(ZIP_DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE((3 << 8) | 20, 4); // made by: unix
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt16LE(ZIP_DOS_TIME, 12);
+    entry.writeUInt16LE(ZIP_DOS_DATE, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(((0o100000 | FILE_MODE) << 16) >>> 0, 38);
+    entry.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, compressed);
+    central.push(entry, name);
+    offset += local.length + name.length + compressed.length;
+  });
+
+  const centralDir = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralDir, end]);
+}
+
+/**
+ * Package a build directory into a deterministic archive.
+ * Entries are sorted by path with fixed timestamps, owners and modes, so the same
+ * build contents always produce the same archive bytes.
+ * @param {string} buildDir - Directory to package
+ * @param {{format?: string, outFile?: string}} [options] - format is 'tar.gz' (default) or 'zip';
+ *   outFile defaults to `<buildDir>.<format>` beside the build dir
+ * @returns {{file: string, format: string, fileCount: number, bytes: number}}
+ */
+function packageBuildDir(buildDir, { format = 'tar.gz', outFile } = {}) {
+  if (!PACKAGE_FORMATS.includes(format)) {
+    throw new ConfigError(`Unsupported package format '${format}' (expected one of: ${PACKAGE_FORMATS.join(', ')})`, { format });
+  }
+  const target = path.resolve(outFile || `${buildDir}.${format}`);
+  const files = listFiles(buildDir, target);
+  const archive = format === 'zip' ? createZip(buildDir, files) : createTarGz(buildDir, files);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, archive);
+  return { file: target, format, fileCount: files.length, bytes: archive.length };
+}
+
+module.exports = {
+  packageBuildDir,
+  PACKAGE_FORMATS
+};
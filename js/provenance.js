@@ -0,0 +1,411 @@
+'use strict';
+
+const { ARRAY_STRATEGIES, arrayResetValue, deepMerge, isPlainObject, isUnsetMarker, mergeDirective, propertyStrategies } = require('./core/merge_utils');
+const { diffJson, jsonPointer } = require('./core/diff_utils');
+const { classNames } = require('./core/canonical_helpers');
+const { parsePointer } = require('./core/patch_utils');
+const { displayPath } = require('./core/fs_utils');
+
+// Merge provenance: which file set every field of every class and instance.
+//
+// The loaders feed the recorder the same layers they merge (class and schema files, instance and
+// global files, resolved parents, class defaults), in the same order. Each entity keeps a trace:
+// its merged value (for deepMerge's shape decisions) plus a record per leaf path. Arrays are
+// leaves with per-file contributions, since layers append to them unless `$reset` is used.
+// finalize() reads the values from the final model, so the recorder never decides a value itself.
+
+const hasOwn = (value, key) => Object.prototype.hasOwnProperty.call(value, key);
+
+function valueAt(root, segments) {
+  let current = root;
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object' || !hasOwn(current, segment)) return undefined;
+    current = current[segment];
+  }
+  return current;
+}
+
+const createTrace = () => ({ value: {}, records: new Map() });
+
+// Remove the records at a path and below; returns the one at the path itself.
+function removeSubtree(trace, segments) {
+  const key = jsonPointer(segments);
+  const own = trace.records.get(key) || null;
+  trace.records.forEach((_record, recordKey) => {
+    if (recordKey === key || recordKey.startsWith(`${key}/`)) trace.records.delete(recordKey);
+  });
+  return own;
+}
+
+// Replace whatever was at a path; the previous value joins the history.
+function setLeaf(trace, segments, incoming) {
+  const previous = removeSubtree(trace, segments);
+  const history = previous ? [...previous.overridden, { value: previous.value, source: previous.source }] : [];
+  trace.records.set(jsonPointer(segments), {
+    segments,
+    source: incoming.source,
+    value: incoming.value,
+    overridden: [...history, ...incoming.overridden],
+    reset: incoming.reset || null,
+    contributions: incoming.contributions || null
+  });
+}
+
+// Append array items to the record at a path (deepMerge array semantics).
+function appendLeaf(trace, segments, incoming) {
+  const existing = trace.records.get(jsonPointer(segments));
+  if (!existing || !Array.isArray(existing.value)) {
+    setLeaf(trace, segments, incoming);
+    return;
+  }
+  existing.value = [...existing.value, ...incoming.value];
+  existing.contributions = [...(existing.contributions || []), ...(incoming.contributions || [])];
+  existing.overridden = [...existing.overridden, ...incoming.overridden];
+  existing.reset = incoming.reset || existing.reset;
+  if (incoming.value.length) existing.source = incoming.source;
+}
+
+const isContainer = (value) => value !== null && typeof value === 'object';
+
+// Walk `override` against `base` the way deepMerge does (with the same $merge directives and
+// schema strategies), recording each leaf it sets. scalarOnly: inside 'override-scalar-only'.
+function walk(trace, base, override, segments, incomingFor, strategies = null, scalarOnly = false) {
+  Object.entries(override).forEach(([key, raw]) => {
+    if (raw === undefined) return;
+    const childSegments = [...segments, key];
+    if (isUnsetMarker(raw)) {
+      removeSubtree(trace, childSegments);
+      return;
+    }
+    const childStrategies = propertyStrategies(strategies, key);
+    // A pending $merge directive in the base stands for its value.
+    const rawBase = isPlainObject(base) ? base[key] : undefined;
+    const baseVal = mergeDirective(rawBase) ? rawBase.value : rawBase;
+    const directive = mergeDirective(raw);
+    const value = directive ? directive.value : raw;
+    const declared = childStrategies && childStrategies.strategy;
+    const usesDeclared = declared && arrayResetValue(raw) === null && (!ARRAY_STRATEGIES.includes(declared) || Array.isArray(raw));
+    const strategy = directive ? directive.strategy : (usesDeclared ? declared : null);
+
+    if (scalarOnly || strategy === 'override-scalar-only') {
+      if (isPlainObject(baseVal) && isPlainObject(value)) {
+        walk(trace, baseVal, value, childSegments, incomingFor, childStrategies, true);
+        return;
+      }
+      if (isContainer(baseVal)) return;
+    }
+    if (strategy === 'replace') {
+      if (isPlainObject(value) && Object.keys(value).length) {
+        removeSubtree(trace, childSegments);
+        walk(trace, undefined, value, childSegments, incomingFor, childStrategies);
+      } else {
+        setLeaf(trace, childSegments, incomingFor(childSegments, value));
+      }
+      return;
+    }
+    if (ARRAY_STRATEGIES.includes(strategy)) {
+      appendLeaf(trace, childSegments, incomingFor(childSegments, value));
+      return;
+    }
+    if (Array.isArray(baseVal)) {
+      // deepMerge keeps the base array when the override is neither an array nor a $reset.
+      if (arrayResetValue(value) !== null) setLeaf(trace, childSegments, incomingFor(childSegments, value));
+      else if (Array.isArray(value)) appendLeaf(trace, childSegments, incomingFor(childSegments, value));
+      return;
+    }
+    if (isPlainObject(value) && arrayResetValue(value) === null) {
+      if (!isPlainObject(baseVal)) removeSubtree(trace, childSegments);
+      if (Object.keys(value).length === 0 && !isPlainObject(baseVal)) {
+        setLeaf(trace, childSegments, incomingFor(childSegments, value));
+        return;
+      }
+      walk(trace, baseVal, value, childSegments, incomingFor, childStrategies);
+      return;
+    }
+    setLeaf(trace, childSegments, incomingFor(childSegments, value));
+  });
+}
+
+// Incoming records for a raw file layer.
+const fileIncoming = (source) => (_segments, value) => {
+  const reset = arrayResetValue(value);
+  if (reset !== null) {
+    return { source, value: [...reset], overridden: [], reset: source, contributions: [{ source, items: [...reset], reset: true }] };
+  }
+  return { source, value, overridden: [], contributions: Array.isArray(value) ? [{ source, items: value }] : null };
+};
+
+// Incoming records copied from another entity's trace (parent class, class defaults).
+const traceIncoming = (fromTrace, mapSource) => (segments, value) => {
+  const record = fromTrace.records.get(jsonPointer(segments));
+  if (!record) {
+    return { source: null, value, overridden: [], contributions: Array.isArray(value) ? [{ source: null, items: value }] : null };
+  }
+  return {
+    source: mapSource(record.source),
+    value: record.value,
+    overridden: record.overridden.map(entry => ({ ...entry, source: mapSource(entry.source) })),
+    reset: record.reset ? mapSource(record.reset) : null,
+    contributions: record.contributions ? record.contributions.map(entry => ({ ...entry, source: mapSource(entry.source) })) : null
+  };
+};
+
+function setAt(root, segments, value) {
+  if (!segments.length) return value;
+  const [head, ...rest] = segments;
+  const base = isPlainObject(root) ? root : {};
+  return { ...base, [head]: setAt(base[head], rest, value) };
+}
+
+function applyFileLayer(trace, data, source, prefix = [], strategies = null) {
+  const base = valueAt(trace.value, prefix);
+  walk(trace, base, data, prefix, fileIncoming(source), strategies);
+  trace.value = setAt(trace.value, prefix, deepMerge(isPlainObject(base) ? base : {}, data, strategies));
+}
+
+function overlayTrace(trace, fromTrace, mapSource, { keys = null, strategies = null } = {}) {
+  const data = keys
+    ? Object.fromEntries(keys.filter(key => hasOwn(fromTrace.value, key)).map(key => [key, fromTrace.value[key]]))
+    : fromTrace.value;
+  walk(trace, trace.value, data, [], traceIncoming(fromTrace, mapSource), strategies);
+  trace.value = deepMerge(trace.value, data, strategies);
+}
+
+// Arrays are leaves: cut a changed path at the first array on it (before or after the change).
+function leafSegments(before, after, segments) {
+  const cut = segments.findIndex((_segment, index) => {
+    const prefix = segments.slice(0, index);
+    return Array.isArray(valueAt(before, prefix)) || Array.isArray(valueAt(after, prefix));
+  });
+  return cut === -1 ? segments : segments.slice(0, cut);
+}
+
+// Record what a patch file changed, as set (or removed) by that file.
+function applyPatchLayer(trace, before, after, source) {
+  const incoming = fileIncoming(source);
+  const paths = new Map();
+  diffJson(before, after).forEach(change => {
+    const segments = leafSegments(before, after, parsePointer(change.path));
+    paths.set(jsonPointer(segments), segments);
+  });
+  paths.forEach(segments => {
+    const value = valueAt(after, segments);
+    if (value === undefined) {
+      removeSubtree(trace, segments);
+    } else if (isPlainObject(value) && Object.keys(value).length) {
+      removeSubtree(trace, segments);
+      walk(trace, undefined, value, segments, incoming);
+    } else {
+      setLeaf(trace, segments, incoming(segments, value));
+    }
+  });
+  trace.value = after;
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const compactSource = (source) => (source ? Object.fromEntries(Object.entries(source).filter(([, value]) => value !== undefined)) : null);
+
+// Leaf paths of a final value: objects are walked, arrays, scalars and empty objects are leaves.
+function leafPaths(value, segments = []) {
+  if (!isPlainObject(value) || (segments.length && !Object.keys(value).length)) return [segments];
+  return Object.keys(value).flatMap(key => leafPaths(value[key], [...segments, key]));
+}
+
+// Turn a trace into JSON-ready field records checked against the final value.
+// A value that differs from what the files set (or a field no file set) was changed by a load hook.
+function finalizeTrace(trace, finalValue, hooksRan) {
+  const fields = {};
+  const records = trace ? Array.from(trace.records.values()) : [];
+  records.forEach(record => {
+    const value = valueAt(finalValue, record.segments);
+    if (value === undefined) return;
+    const entry = { value, source: compactSource(record.source) };
+    const overridden = record.overridden.map(item => ({ value: item.value, source: compactSource(item.source) }));
+    if (hooksRan && !sameValue(value, record.value)) {
+      overridden.push({ value: record.value, source: entry.source });
+      entry.source = { kind: 'hook' };
+    }
+    if (overridden.length) entry.overridden = overridden;
+    if (record.reset) entry.reset = compactSource(record.reset);
+    if (record.contributions && Array.isArray(value)) {
+      const contributions = record.contributions
+        .filter(item => item.items.length || item.reset)
+        .map(item => ({ ...(item.reset ? { reset: true } : {}), items: item.items, source: compactSource(item.source) }));
+      if (contributions.length) entry.contributions = contributions;
+    }
+    fields[jsonPointer(record.segments)] = entry;
+  });
+  if (hooksRan) {
+    leafPaths(finalValue).forEach(segments => {
+      const key = jsonPointer(segments);
+      const covered = Object.keys(fields).some(field => field === key || key.startsWith(`${field}/`));
+      if (key && !covered) fields[key] = { value: valueAt(finalValue, segments), source: { kind: 'hook' } };
+    });
+  }
+  return Object.fromEntries(Object.keys(fields).sort().map(key => [key, fields[key]]));
+}
+
+/**
+ * Recorder threaded through the class and instance loaders (all methods are no-ops for values
+ * the loaders never pass). Sources are `{ file, kind, class?, via?, instance? }`, where kind is 'class',
+ * 'schema', 'instance', 'global' or 'patch', `class` names the class whose file set the value,
+ * `via: 'class-default'` marks instance values that came from the instance's class, and
+ * `via: 'extends'` those that came from the base instance named by `instance`.
+ */
+function createProvenanceRecorder() {
+  const classLayers = new Map();
+  const classTraces = new Map();
+  const instanceTraces = new Map();
+
+  return {
+    // A class definition (prefix []) or schema file (prefix ['schema']) for a class, in merge order.
+    classFile(name, data, source, prefix = []) {
+      if (!classLayers.has(name)) classLayers.set(name, []);
+      classLayers.get(name).push({ data, source: { ...source, class: name }, prefix });
+    },
+
+    // The files of every class in the lineage (ancestors first, the class last); mirrors resolveClass.
+    // strategies: the class's schemaMergeStrategies() node, as used by the loaders.
+    resolveClass(name, lineage, strategies = null) {
+      const trace = createTrace();
+      lineage.forEach(className => {
+        (classLayers.get(className) || []).forEach(layer => applyFileLayer(trace, layer.data, layer.source, layer.prefix, layer.prefix.length ? null : strategies));
+      });
+      classTraces.set(name, trace);
+    },
+
+    // An instance or global file, in merge order.
+    instanceFile(id, data, source, strategies = null) {
+      if (!instanceTraces.has(id)) instanceTraces.set(id, createTrace());
+      applyFileLayer(instanceTraces.get(id), data, source, [], strategies);
+    },
+
+    // A patch file applied to an instance or global (before: the instance as merged so far).
+    instancePatch(id, before, after, source) {
+      if (!instanceTraces.has(id)) instanceTraces.set(id, createTrace());
+      applyPatchLayer(instanceTraces.get(id), before, after, source);
+    },
+
+    // The base instance sits under the extending instance's own values (`extends`).
+    // base: the base data as merged, without the paths the instance $reset.
+    instanceExtends(id, baseId, base, strategies = null) {
+      const baseTrace = instanceTraces.get(baseId);
+      if (!baseTrace) return;
+      const trace = createTrace();
+      overlayTrace(trace, { ...baseTrace, value: base }, source => source && (source.via ? source : { ...source, via: 'extends', instance: baseId }));
+      if (instanceTraces.has(id)) overlayTrace(trace, instanceTraces.get(id), source => source, { strategies });
+      instanceTraces.set(id, trace);
+    },
+
+    // Class defaults sit under the instance's own values (applyClassDefaults).
+    classDefaults(id, className, keys, strategies = null) {
+      const classTrace = classTraces.get(className);
+      if (!classTrace) return;
+      const trace = createTrace();
+      overlayTrace(trace, classTrace, source => source && { ...source, via: 'class-default' }, { keys });
+      if (instanceTraces.has(id)) overlayTrace(trace, instanceTraces.get(id), source => source, { strategies });
+      instanceTraces.set(id, trace);
+    },
+
+    /**
+     * Provenance for the final model.
+     * @param {Object} final
+     * @param {Object<string, Object>} final.instances - Final instances by id (global as declared)
+     * @param {Map<string, Object>} final.classes - Resolved classes
+     * @param {boolean} [final.hooksRan] - onLoadComplete hooks committed changes
+     * @returns {{instances: Object, classes: Object}} `{ [id]: { class, fields: { [pointer]: record } } }` per section
+     */
+    finalize({ instances, classes, hooksRan = false }) {
+      const section = (traces, finals, classOf) => Object.fromEntries(
+        Object.keys(finals).sort().map(id => [id, { class: classOf(id, finals[id]), fields: finalizeTrace(traces.get(id), finals[id], hooksRan) }])
+      );
+      return {
+        instances: section(instanceTraces, instances, (_id, obj) => (classNames(obj.class).length ? obj.class : null)),
+        classes: section(classTraces, Object.fromEntries(classes), name => name)
+      };
+    }
+  };
+}
+
+// Accept a JSON Pointer (`/db/timeout`) or a dot path (`db.timeout`); '' selects every field.
+function toPointer(fieldPath) {
+  if (!fieldPath) return '';
+  if (fieldPath.startsWith('/')) return fieldPath;
+  return jsonPointer(fieldPath.split('.'));
+}
+
+/**
+ * Field records of one entity at or below a path.
+ * @param {Object} provenance - finalize() result (or meta/provenance.json)
+ * @param {Object} query
+ * @param {string} query.id - Instance id, or class name with `kind: 'classes'`
+ * @param {string} [query.path] - JSON Pointer or dot path
+ * @param {'instances'|'classes'} [query.kind='instances']
+ * @returns {{id: string, kind: string, class: string|null, path: string, fields: Object}|null} null when the entity is unknown
+ */
+function explainField(provenance, { id, path: fieldPath = '', kind = 'instances' }) {
+  const entity = provenance[kind] && provenance[kind][id];
+  if (!entity) return null;
+  const pointer = toPointer(fieldPath);
+  const fields = Object.fromEntries(
+    Object.entries(entity.fields).filter(([key]) => !pointer || key === pointer || key.startsWith(`${pointer}/`))
+  );
+  return { id, kind, class: entity.class, path: pointer, fields };
+}
+
+function describeSource(source, entityClass) {
+  if (!source) return 'unknown source';
+  if (source.kind === 'hook') return 'onLoadComplete hook';
+  const file = source.file ? displayPath(source.file) : 'unknown file';
+  if (source.via === 'extends') return `base instance '${source.instance}' (${file})`;
+  const ownClass = classNames(entityClass).includes(source.class);
+  if (source.via === 'class-default') {
+    return ownClass
+      ? `class default from '${source.class}' (${file})`
+      : `class default from parent class '${source.class}' (${file})`;
+  }
+  if ((source.kind === 'class' || source.kind === 'schema') && !ownClass) {
+    return `parent class '${source.class}' (${file})`;
+  }
+  return `${source.kind} ${file}`;
+}
+
+const formatValue = (value) => JSON.stringify(value);
+
+/** Render an explainField result as text lines. */
+function formatExplain(result) {
+  const lines = [];
+  const label = result.kind === 'classes' ? `class '${result.id}'` : `'${result.id}'${result.class ? ` (class '${classNames(result.class).join(', ')}')` : ''}`;
+  const entries = Object.entries(result.fields);
+  if (!entries.length) {
+    lines.push(`${label} ${result.path || '/'}: no value recorded`);
+    return lines;
+  }
+  entries.forEach(([pointer, entry]) => {
+    lines.push(`${label} ${pointer} = ${formatValue(entry.value)}`);
+    lines.push(`  set by ${describeSource(entry.source, result.class)}`);
+    if (entry.reset) {
+      lines.push(`  $reset by ${describeSource(entry.reset, result.class)}`);
+    }
+    if (entry.contributions && entry.contributions.length > 1) {
+      lines.push('  items:');
+      entry.contributions.forEach(item => {
+        lines.push(`    ${formatValue(item.items)} ${item.reset ? '($reset) ' : ''}from ${describeSource(item.source, result.class)}`);
+      });
+    }
+    if (entry.overridden) {
+      lines.push('  overrides (oldest first):');
+      entry.overridden.forEach(item => {
+        lines.push(`    ${formatValue(item.value)} from ${describeSource(item.source, result.class)}`);
+      });
+    }
+  });
+  return lines;
+}
+
+module.exports = {
+  createProvenanceRecorder,
+  explainField,
+  formatExplain
+};
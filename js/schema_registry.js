@@ -0,0 +1,208 @@
+const path = require('path');
+const Ajv = require('ajv');
+const Ajv2019 = require('ajv/dist/2019');
+const Ajv2020 = require('ajv/dist/2020');
+const { findJsonFiles, readJsonFile } = require('./core/fs_utils');
+const { deepMerge } = require('./core/merge_utils');
+const { parentsFor } = require('./core/canonical_helpers');
+const { resolveFragment } = require('./core/refs');
+const { applyValidationExtensions, loadValidationExtensions } = require('./validation_extensions');
+
+// Schemas Ajv knows about in a build: every merged class schema under `terrible:class/<name>` (and
+// under the `$id` the class's own schema declares, if any), and the shared definitions in each stack's `schemas/` directory under their `$id` (by default
+// `terrible:schema/<path>`), so any of them can `$ref` the others. One JSON Schema draft applies to
+// the whole build; stacks choose it by declaring `$schema` in their schemas.
+
+const CLASS_SCHEMA_PREFIX = 'terrible:class/';
+const SHARED_SCHEMA_PREFIX = 'terrible:schema/';
+const DEFAULT_DRAFT = 'draft-07';
+
+const SCHEMA_DRAFTS = Object.freeze({
+  'draft-07': { uri: 'http://json-schema.org/draft-07/schema#', Ajv },
+  '2019-09': { uri: 'https://json-schema.org/draft/2019-09/schema', Ajv: Ajv2019 },
+  '2020-12': { uri: 'https://json-schema.org/draft/2020-12/schema', Ajv: Ajv2020 }
+});
+
+const classSchemaId = (className) => `${CLASS_SCHEMA_PREFIX}${className}`;
+
+// The `$id` a class's schema declares itself; one its merged schema carries from a parent stays
+// with the parent.
+function ownSchemaId(def, resolvedClasses) {
+  const id = def.schema.$id;
+  if (typeof id !== 'string' || !id) return null;
+  const inherited = parentsFor(def).some(parent => {
+    const parentDef = resolvedClasses.get(parent);
+    return Boolean(parentDef && parentDef.schema && parentDef.schema.$id === id);
+  });
+  return inherited ? null : id;
+}
+
+// Draft name for a `$schema` URI (scheme and trailing `#` do not matter), or null when unsupported.
+function draftForUri(uri) {
+  const normalize = (value) => String(value).replace(/^https?:\/\//, '').replace(/#$/, '');
+  const match = Object.entries(SCHEMA_DRAFTS).find(([, draft]) => normalize(draft.uri) === normalize(uri));
+  return match ? match[0] : null;
+}
+
+// Default `$id` of a shared schema file: its path under schemas/ without `.schema.json`/`.json`.
+function sharedSchemaId(root, filePath) {
+  const rel = path.relative(root, filePath).split(path.sep).join('/');
+  return `${SHARED_SCHEMA_PREFIX}${rel.replace(/(\.schema)?\.json$/, '')}`;
+}
+
+/**
+ * Shared schemas from the `schemas/` directory of each root, in root order. Files with the same
+ * `$id` merge like class schemas (later roots win).
+ * @param {string[]} roots - Stack roots (defaults layer first)
+ * @returns {Map<string, {schema: Object, files: string[]}>} by `$id`
+ */
+function loadSharedSchemas(roots) {
+  const shared = new Map();
+  roots.forEach(root => {
+    const dir = path.join(root, 'schemas');
+    findJsonFiles(dir).forEach(filePath => {
+      const schema = readJsonFile(filePath);
+      const id = typeof schema.$id === 'string' && schema.$id ? schema.$id : sharedSchemaId(dir, filePath);
+      const entry = shared.get(id);
+      shared.set(id, entry
+        ? { schema: deepMerge(entry.schema, schema), files: [...entry.files, filePath] }
+        : { schema, files: [filePath] });
+    });
+  });
+  return shared;
+}
+
+/**
+ * The draft for a build: the one every `$schema` declaration names, or draft-07 when none does.
+ * Unsupported URIs and declarations naming different drafts are returned as problems.
+ * @param {Array<{label: string, schema: Object}>} entries - Class and shared schemas
+ * @returns {{draft: string, problems: Array<{code: string, message: string, label: string, uri: string}>}}
+ */
+function selectDraft(entries) {
+  const problems = [];
+  const declared = [];
+  entries
+    .filter(({ schema }) => schema && typeof schema === 'object' && schema.$schema !== undefined)
+    .forEach(({ label, schema }) => {
+      const draft = draftForUri(schema.$schema);
+      if (!draft) {
+        problems.push({ code: 'schema_draft_unknown', message: `Unsupported $schema ${JSON.stringify(schema.$schema)} in ${label}; supported drafts: ${Object.keys(SCHEMA_DRAFTS).join(', ')}`, label, uri: schema.$schema });
+        return;
+      }
+      declared.push({ label, draft, uri: schema.$schema });
+    });
+  const draft = declared.length ? declared[0].draft : DEFAULT_DRAFT;
+  declared
+    .filter(entry => entry.draft !== draft)
+    .forEach(entry => {
+      problems.push({ code: 'schema_draft_conflict', message: `${entry.label} declares JSON Schema ${entry.draft}, but ${declared[0].label} declares ${draft}; a build uses one draft`, label: entry.label, uri: entry.uri });
+    });
+  return { draft, problems };
+}
+
+/**
+ * Load the shared schemas, formats, and keywords for a set of stack roots and pick the build's draft.
+ * @param {string[]} roots - Stack roots (defaults layer first)
+ * @param {Map<string, Object>} resolvedClasses - Resolved classes with merged schemas
+ * @returns {{draft: string, shared: Map, formats: Map, keywords: Map, problems: Array}} problems as
+ *   from selectDraft and loadValidationExtensions
+ */
+function loadSchemaSet(roots, resolvedClasses) {
+  const shared = loadSharedSchemas(roots);
+  const entries = [
+    ...Array.from(resolvedClasses, ([name, def]) => ({ label: `class '${name}'`, schema: def && def.schema })),
+    ...Array.from(shared, ([id, entry]) => ({ label: `shared schema '${id}' (${entry.files[entry.files.length - 1]})`, schema: entry.schema }))
+  ];
+  const { draft, problems } = selectDraft(entries);
+  const { formats, keywords, problems: extensionProblems } = loadValidationExtensions(roots, SCHEMA_DRAFTS[draft].Ajv);
+  return { draft, shared, formats, keywords, problems: [...problems, ...extensionProblems] };
+}
+
+/**
+ * Ajv instance for a schema set with every shared and class schema registered (compiled on first
+ * use, see `ajv.getSchema(classSchemaId(name))`). A class schema declaring its own `$id` is also
+ * found under it, and its relative `$ref`s resolve against it. Schemas failing their draft's meta-schema, or
+ * that cannot be registered (e.g. a duplicate nested `$id`), are left out and go to onInvalid.
+ * @param {Map<string, Object>} resolvedClasses - Resolved classes
+ * @param {{draft?: string, shared?: Map, formats?: Map, keywords?: Map}} [schemas] - From loadSchemaSet
+ * @param {Function} [onInvalid] - (className, err) for class schemas, (null, err, sharedId) for shared ones
+ * @param {Function} [onWarning] - (message) for what Ajv warns about while compiling (an unknown format)
+ * @returns {Object} Ajv instance
+ */
+function createSchemaRegistry(resolvedClasses, schemas = {}, onInvalid = () => {}, onWarning = () => {}) {
+  const { draft = DEFAULT_DRAFT, shared = new Map() } = schemas;
+  const AjvClass = (SCHEMA_DRAFTS[draft] || SCHEMA_DRAFTS[DEFAULT_DRAFT]).Ajv;
+  const logger = { log: () => {}, warn: (message) => onWarning(String(message)), error: (message) => onWarning(String(message)) };
+  const ajv = applyValidationExtensions(new AjvClass({ allErrors: true, strict: false, logger }), schemas);
+  // Registered under `key`; with `id`, Ajv also knows the schema by that `$id` (without, the key is its `$id`).
+  const register = (schema, key, id, fail) => {
+    // Spell a recognized `$schema` the way Ajv registered the meta-schema.
+    const declared = schema.$schema !== undefined ? draftForUri(schema.$schema) : null;
+    const normalized = declared ? { ...schema, $schema: SCHEMA_DRAFTS[declared].uri } : schema;
+    const { $id: _declaredId, ...rest } = normalized;
+    try {
+      if (!ajv.validateSchema(normalized)) {
+        throw new Error(`schema is invalid: ${ajv.errorsText(ajv.errors)}`);
+      }
+      ajv.addSchema({ ...rest, $id: id || key }, key, undefined, false);
+    } catch (err) {
+      fail(err);
+    }
+  };
+  shared.forEach(({ schema }, id) => register(schema, id, null, err => onInvalid(null, err, id)));
+  resolvedClasses.forEach((def, name) => {
+    if (!def || !def.schema || typeof def.schema !== 'object') return;
+    register(def.schema, classSchemaId(name), ownSchemaId(def, resolvedClasses), err => onInvalid(name, err));
+  });
+  return ajv;
+}
+
+/**
+ * `$ref` lookup over the same documents createSchemaRegistry registers, without compiling: for
+ * walking schemas by hand (x-ref annotations, see core/refs.js). A relative reference resolves
+ * against the `$id` of the document it appears in, when that is a URL.
+ * @param {Map<string, Object>} resolvedClasses - Resolved classes
+ * @param {{shared?: Map}} [schemas] - From loadSchemaSet
+ * @returns {Function} (ref, baseId) => {schema, root, baseId}|null; root is the document holding
+ *   the schema, baseId its id
+ */
+function createRefResolver(resolvedClasses, { shared = new Map() } = {}) {
+  const documents = new Map();
+  shared.forEach(({ schema }, id) => documents.set(id, schema));
+  resolvedClasses.forEach((def, name) => {
+    if (!def || !def.schema || typeof def.schema !== 'object') return;
+    documents.set(classSchemaId(name), def.schema);
+    const own = ownSchemaId(def, resolvedClasses);
+    if (own && !documents.has(own)) documents.set(own, def.schema);
+  });
+  const absolute = (uri, baseId) => {
+    if (!baseId || /^[a-z][a-z0-9+.-]*:/i.test(uri)) return uri;
+    try {
+      return new URL(uri, baseId).href;
+    } catch (_err) {
+      return uri;
+    }
+  };
+  return (ref, baseId = null) => {
+    const hash = ref.indexOf('#');
+    const uri = absolute(hash === -1 ? ref : ref.slice(0, hash), baseId);
+    const root = documents.get(uri);
+    if (!root) return null;
+    const schema = resolveFragment(root, hash === -1 ? '' : ref.slice(hash + 1));
+    return schema === null ? null : { schema, root, baseId: typeof root.$id === 'string' && root.$id ? root.$id : uri };
+  };
+}
+
+module.exports = {
+  CLASS_SCHEMA_PREFIX,
+  DEFAULT_DRAFT,
+  SCHEMA_DRAFTS,
+  SHARED_SCHEMA_PREFIX,
+  classSchemaId,
+  createRefResolver,
+  createSchemaRegistry,
+  draftForUri,
+  loadSchemaSet,
+  loadSharedSchemas,
+  selectDraft
+};
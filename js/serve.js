@@ -0,0 +1,260 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const { createWatcher } = require('./watch');
+const { createLogger } = require('./logger');
+const { fmt } = require('./core/format');
+
+/** Reserved URL prefix for preview server endpoints (never mapped to build files). */
+const SERVE_PREFIX = '/__terrible';
+
+const CONTENT_TYPES = Object.freeze({
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.yaml': 'text/yaml; charset=utf-8',
+  '.yml': 'text/yaml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+});
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const RELOAD_SCRIPT = `<script>(function () {
+  var source = new EventSource('${SERVE_PREFIX}/events');
+  source.addEventListener('reload', function () { location.reload(); });
+})();</script>`;
+
+// Issue and error lines for a build result, errors first.
+function problemLines(result) {
+  const issueMessages = new Set(result.issues.map(issue => issue.message));
+  const extraErrors = result.errors.filter(message => !issueMessages.has(message)).map(message => ({ level: 'error', message }));
+  return [...extraErrors, ...result.issues]
+    .sort((a, b) => (a.level === b.level ? 0 : a.level === 'error' ? -1 : 1));
+}
+
+function problemList(problems) {
+  return problems
+    .map(problem => `<li class="${problem.level}"><strong>${escapeHtml(problem.level)}</strong> <pre>${escapeHtml(problem.message)}</pre></li>`)
+    .join('\n');
+}
+
+const OVERLAY_STYLE = `
+  .terrible-overlay { font: 14px/1.4 system-ui, sans-serif; color: #1f2328; }
+  .terrible-overlay ul { list-style: none; padding: 0; margin: 0; }
+  .terrible-overlay li { border-left: 4px solid #d4a72c; padding: 4px 8px; margin: 6px 0; background: #fff8c5; }
+  .terrible-overlay li.error { border-color: #cf222e; background: #ffebe9; }
+  .terrible-overlay pre { display: inline; white-space: pre-wrap; margin: 0; font: 12px/1.4 ui-monospace, monospace; }
+`;
+
+/** Full-page overlay served instead of build files while the last build is failing. */
+function renderErrorOverlay(result) {
+  const problems = problemLines(result);
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Build failed — terrible serve</title>
+<style>body { margin: 0; padding: 24px; background: #fff; } h1 { color: #cf222e; font: 600 20px system-ui, sans-serif; }${OVERLAY_STYLE}</style>
+</head>
+<body>
+<div class="terrible-overlay">
+<h1>Build failed</h1>
+<p>The page reloads when the next build succeeds. ${problems.length} problem(s) in ${escapeHtml(result.buildDir || 'the build')}:</p>
+<ul>
+${problemList(problems)}
+</ul>
+</div>
+${RELOAD_SCRIPT}
+</body>
+</html>
+`;
+}
+
+// Dismissible panel injected into served HTML when the (successful) build has validation issues.
+function issuesPanel(result) {
+  const problems = problemLines(result);
+  if (!problems.length) {
+    return '';
+  }
+  return `<div class="terrible-overlay" id="terrible-overlay" style="position:fixed;right:12px;bottom:12px;max-width:560px;max-height:50vh;overflow:auto;z-index:2147483647;background:#fff;border:1px solid #d0d7de;border-radius:6px;padding:8px 12px;box-shadow:0 4px 12px rgba(0,0,0,.15)">
+<style>${OVERLAY_STYLE}</style>
+<button type="button" onclick="this.parentNode.remove()" style="float:right">×</button>
+<strong>${problems.length} build issue(s)</strong>
+<ul>
+${problemList(problems)}
+</ul>
+</div>`;
+}
+
+// Insert markup before </body> (or append when the document has none).
+function injectIntoHtml(html, markup) {
+  const index = html.toLowerCase().lastIndexOf('</body>');
+  return index === -1 ? `${html}${markup}` : `${html.slice(0, index)}${markup}${html.slice(index)}`;
+}
+
+// Map a request path onto a file inside the build dir; null when it escapes the build dir.
+function resolveRequestPath(buildDir, urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath.split('?')[0].split('#')[0]);
+  } catch (_err) {
+    return null;
+  }
+  const target = path.resolve(buildDir, `.${path.posix.normalize(`/${decoded}`)}`);
+  const rel = path.relative(buildDir, target);
+  if (rel.startsWith('..') || path.isAbsolute(rel)) {
+    return null;
+  }
+  if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+    return path.join(target, 'index.html');
+  }
+  return target;
+}
+
+const wantsHtml = (req, filePath) => {
+  const ext = path.extname(filePath || '').toLowerCase();
+  return ext === '.html' || ext === '.htm' || (!ext && /text\/html/.test(req.headers.accept || ''));
+};
+
+/**
+ * Request handler for the preview server. `getState()` returns { result } for the latest build.
+ * - `${SERVE_PREFIX}/events`: server-sent events; a `reload` event follows every rebuild (see `clients`).
+ * - `${SERVE_PREFIX}/status`: JSON { ok, buildDir, issues, errors } for the latest build.
+ * - Anything else maps to a file in the build dir. While the latest build is failing, the error overlay
+ *   (or a plain-text error list for non-HTML files) is served instead of possibly stale files.
+ *   Served HTML gets the live reload script and, when the build has issues, an issues panel.
+ */
+function createRequestHandler(getState, clients = new Set()) {
+  return function handleRequest(req, res) {
+    const { result } = getState();
+    const urlPath = (req.url || '/').split('?')[0];
+
+    if (urlPath === `${SERVE_PREFIX}/events`) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+      res.write(': connected\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+    if (urlPath === `${SERVE_PREFIX}/status`) {
+      const body = JSON.stringify({ ok: result.ok, buildDir: result.buildDir, issues: result.issues, errors: result.errors }, null, 2);
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.json'], 'Cache-Control': 'no-store' });
+      res.end(body);
+      return;
+    }
+
+    const filePath = result.buildDir ? resolveRequestPath(result.buildDir, urlPath) : null;
+    if (!result.ok) {
+      if (wantsHtml(req, filePath || urlPath)) {
+        res.writeHead(500, { 'Content-Type': CONTENT_TYPES['.html'], 'Cache-Control': 'no-store' });
+        res.end(renderErrorOverlay(result));
+      } else {
+        res.writeHead(503, { 'Content-Type': CONTENT_TYPES['.txt'], 'Cache-Control': 'no-store' });
+        res.end(`Build failed:\n${problemLines(result).map(problem => `${problem.level}: ${problem.message}`).join('\n')}\n`);
+      }
+      return;
+    }
+    if (!filePath || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      res.writeHead(404, { 'Content-Type': CONTENT_TYPES['.html'], 'Cache-Control': 'no-store' });
+      res.end(injectIntoHtml(`<!doctype html><title>Not found</title><p>Not found: ${escapeHtml(urlPath)}</p>`, RELOAD_SCRIPT));
+      return;
+    }
+
+    const ext = path.extname(filePath).toLowerCase();
+    const headers = { 'Content-Type': CONTENT_TYPES[ext] || 'application/octet-stream', 'Cache-Control': 'no-store' };
+    if (ext === '.html' || ext === '.htm') {
+      const html = injectIntoHtml(fs.readFileSync(filePath, 'utf8'), `${issuesPanel(result)}${RELOAD_SCRIPT}`);
+      res.writeHead(200, headers);
+      res.end(html);
+      return;
+    }
+    res.writeHead(200, headers);
+    res.end(fs.readFileSync(filePath));
+  };
+}
+
+/**
+ * Preview server: builds with createWatcher, serves the build dir, and pushes a `reload` event to open
+ * pages after every rebuild. Options are createWatcher options plus `port` (default 4000) and `host`
+ * (default 127.0.0.1). Returns { server, watcher, clients, listen(callback), close() }.
+ */
+function createPreviewServer(options = {}) {
+  const { port = 4000, host = '127.0.0.1', onRebuild, ...watchOptions } = options;
+  const clients = new Set();
+  const state = { result: null };
+  const watcher = createWatcher({
+    ...watchOptions,
+    onRebuild(summary) {
+      state.result = summary.result;
+      clients.forEach(res => res.write(`event: reload\ndata: ${JSON.stringify({ ok: summary.result.ok })}\n\n`));
+      if (onRebuild) onRebuild(summary);
+    }
+  });
+  const server = http.createServer(createRequestHandler(() => state, clients));
+
+  return {
+    server,
+    watcher,
+    clients,
+    listen(callback) {
+      watcher.build();
+      server.listen(port, host, () => {
+        watcher.start();
+        if (callback) callback(server.address());
+      });
+    },
+    close() {
+      watcher.close();
+      clients.forEach(res => res.end());
+      clients.clear();
+      server.close();
+    }
+  };
+}
+
+// CLI entry: serve until interrupted.
+function runServe(options) {
+  const log = createLogger({ quiet: options.quiet });
+  const preview = createPreviewServer(options);
+  preview.server.on('error', (err) => {
+    log.error(`Preview server failed: ${err.message}`);
+    preview.close();
+    process.exit(1);
+  });
+  preview.listen((address) => {
+    log.info(`${fmt('Serving', 'cyan')} http://${address.address}:${address.port}/ (live reload on; Ctrl+C to stop)`);
+  });
+  process.on('SIGINT', () => {
+    preview.close();
+    process.exit(0);
+  });
+  return preview;
+}
+
+module.exports = {
+  SERVE_PREFIX,
+  createPreviewServer,
+  createRequestHandler,
+  renderErrorOverlay,
+  runServe
+};
@@ -1,10 +1,16 @@
 const path = require('path');
 const fs = require('fs');
-const { applyClassDefaults, loadResolvedClasses } = require('./class_loader');
-const { deepMerge, unwrapResets } = require('./core/merge_utils');
+const { applyClassDefaults, effectiveClass, loadResolvedClasses, mergeStrategiesForClass } = require('./class_loader');
+const { arrayResetValue, deepMerge, isPlainObject, isUnsetMarker, propertyStrategies, settleMerged, unwrapResets, withMergeContext } = require('./core/merge_utils');
 const { findJsonFiles, readJsonFile } = require('./core/fs_utils');
+const { applyJsonPatch, applyMergePatch, patchKind } = require('./core/patch_utils');
+const { PatchError } = require('./core/errors');
 const { isReservedId, isReservedInstanceKey } = require('./core/build_helpers');
+const { classNames } = require('./core/canonical_helpers');
+const { referenceIndex } = require('./core/refs');
+const { createRefResolver } = require('./schema_registry');
 const { asArray } = require('./core/object_utils');
+const { withDefaultsLayer } = require('./stack_paths');
 
 // Build a map of stack objects (excluding global) exposing resolved properties.
 function buildObjectMap(stackObjects, resolvedClasses) {
@@ -12,7 +18,7 @@ function buildObjectMap(stackObjects, resolvedClasses) {
     .filter(obj => obj && obj.id && !isReservedId(obj.id))
     .map(obj => {
       const className = obj.class || null;
-      const classDef = className ? resolvedClasses.get(className) : null;
+      const classDef = className ? effectiveClass(className, resolvedClasses) : null;
       const keys = new Set();
       if (classDef) {
         Object.keys(classDef).forEach(k => {
@@ -56,23 +62,26 @@ function collectClasses(resolvedClasses) {
   return { map: classMap, entries };
 }
 
-// Attach global metadata (objects/classes) to the merged stack map.
-function attachGlobalMetadata(merged, objectMap, classesData) {
+// Attach global metadata (objects/classes/reverse references) to the merged stack map.
+function attachGlobalMetadata(merged, objectMap, classesData, referencedBy) {
   const base = merged.get('global') || { id: 'global', build: [] };
   const updated = { ...base };
   updated.objects = objectMap;
   updated.classesById = classesData.map;
   updated.classEntries = classesData.entries;
+  updated.referencedBy = referencedBy;
   updated.id = 'global';
   return updated;
 }
 
-function attachGlobalMetadataToStack(stackObjects, resolvedClasses, merged) {
+// schemas (optional): the schema set from loadResolvedClasses, for x-refs behind a `$ref`.
+function attachGlobalMetadataToStack(stackObjects, resolvedClasses, merged, schemas) {
   const classesData = collectClasses(resolvedClasses);
   const objectMap = buildObjectMap(stackObjects, resolvedClasses);
+  const referencedBy = referenceIndex(stackObjects, resolvedClasses, createRefResolver(resolvedClasses, schemas));
 
   const enriched = new Map(merged);
-  enriched.set('global', attachGlobalMetadata(enriched, objectMap, classesData));
+  enriched.set('global', attachGlobalMetadata(enriched, objectMap, classesData, referencedBy));
 
   return enriched;
 }
@@ -99,7 +108,24 @@ function readStackObject(filePath, log) {
   return obj;
 }
 
+// Parse a patch overlay file: { "id": "<instance>", "patch": ... }. The id is required; patching
+// global takes an explicit "global" so a missing or mistyped id is not silently applied to it.
+function readPatchFile(filePath, kind) {
+  const data = readJsonFile(filePath);
+  if (!data || typeof data !== 'object' || Array.isArray(data) || data.patch === undefined) {
+    throw new PatchError(`Patch file ${filePath} must be an object with a 'patch' field (and the target 'id')`, { filePath });
+  }
+  if (typeof data.id !== 'string' || !data.id) {
+    throw new PatchError(`Patch file ${filePath} must name the target instance in 'id' ("global" for global)`, { filePath });
+  }
+  if (kind === 'json-patch' && !Array.isArray(data.patch)) {
+    throw new PatchError(`Patch file ${filePath} must hold an array of JSON Patch operations in 'patch'`, { filePath });
+  }
+  return { id: data.id, kind, patch: data.patch };
+}
+
 // Load all stack files from a directory (ordered) with optional required guard.
+// Returns { file, obj } entries, or { file, patch } for *.patch.json / *.merge-patch.json files.
 function loadStackFiles(dirPath, { required, log }) {
   let stackFiles = [];
   try {
@@ -117,7 +143,10 @@ function loadStackFiles(dirPath, { required, log }) {
     }
   }
 
-  return stackFiles.map(file => readStackObject(file, log));
+  return stackFiles.map(file => {
+    const kind = patchKind(file);
+    return kind ? { file, patch: readPatchFile(file, kind) } : { file, obj: readStackObject(file, log) };
+  });
 }
 
 function ensureDirectoriesExist(roots, label) {
@@ -153,18 +182,55 @@ function inspectInstanceRoots(roots) {
   });
 }
 
-// Core instance merging logic (shared by loadInstances and loadInstancesOnly)
-function mergeInstanceFiles(roots, log) {
+// Apply a patch file to the instance merged so far; failures (a failed `test` included) become
+// issues and leave the instance unchanged. Returns the patched instance or null.
+function applyPatchFile(target, { file, patch }, report) {
+  const meta = { file, id: patch.id, patch: patch.kind };
+  if (!target) {
+    report(`Patch ${file} targets unknown instance '${patch.id}'; patches apply to instances defined in earlier files.`, { ...meta, code: 'patch_unknown_instance' });
+    return null;
+  }
+  try {
+    const patched = patch.kind === 'merge-patch' ? applyMergePatch(target, patch.patch) : applyJsonPatch(target, patch.patch);
+    if (!patched || typeof patched !== 'object' || Array.isArray(patched)) {
+      throw new PatchError('the patched instance must be an object', {});
+    }
+    return { ...patched, id: patch.id };
+  } catch (err) {
+    if (!(err instanceof PatchError)) throw err;
+    const code = err.context.op === 'test' ? 'patch_test_failed' : 'patch_failed';
+    report(`Patch ${file} for '${patch.id}' failed: ${err.message}`, { ...meta, ...err.context, code });
+    return null;
+  }
+}
+
+// Core instance merging logic (shared by loadInstances and loadInstancesOnly).
+// optionalRoots (the defaults layer) may be empty; every other root must supply global or instance files.
+// provenance (optional): recorder fed every global and instance file in merge order.
+// resolvedClasses (optional): overlays of an instance use its class schema's merge strategies.
+// issues (optional): collector for patch failures (logged as errors without one).
+function mergeInstanceFiles(roots, log, { optionalRoots = [], provenance, resolvedClasses, issues } = {}) {
   ensureDirectoriesExist(roots, 'Instances');
 
   const inspections = inspectInstanceRoots(roots);
-  const emptyRoots = inspections.filter(entry => !entry.hasGlobal && !entry.hasInstances).map(entry => entry.root);
+  const emptyRoots = inspections
+    .filter(entry => !entry.hasGlobal && !entry.hasInstances && !optionalRoots.includes(entry.root))
+    .map(entry => entry.root);
   if (emptyRoots.length) {
     throw new Error(`No instance or global files found in ${emptyRoots.join(', ')}`);
   }
 
+  const report = (message, meta) => (issues ? issues.error(message, meta) : log.error(message));
   const merged = new Map();
+  const resets = new Map();
   let mergedGlobals = { id: 'global', build: [] };
+  const strategiesByClass = new Map();
+  const strategiesFor = (className) => {
+    const key = classNames(className).join('\n');
+    if (!resolvedClasses || !key) return null;
+    if (!strategiesByClass.has(key)) strategiesByClass.set(key, mergeStrategiesForClass(resolvedClasses, className));
+    return strategiesByClass.get(key);
+  };
 
   inspections.forEach(entry => {
     const { globalPath, instancesDir, hasGlobal } = entry;
@@ -173,30 +239,115 @@ function mergeInstanceFiles(roots, log) {
     if (hasGlobal) {
       try {
         const data = readJsonFile(globalPath);
-        mergedGlobals = deepMerge(mergedGlobals, data);
+        mergedGlobals = withMergeContext(globalPath, { filePath: globalPath }, () => deepMerge(mergedGlobals, data));
+        if (provenance) provenance.instanceFile('global', data, { file: globalPath, kind: 'global' });
       } catch (err) {
         log.error(`Failed to parse ${globalPath}: ${err.message}`);
       }
     }
 
-    files.forEach(obj => {
+    files.forEach(({ file, obj, patch }) => withMergeContext(file, { filePath: file }, () => {
+      if (patch) {
+        const target = patch.id === 'global' ? mergedGlobals : merged.get(patch.id);
+        const patched = applyPatchFile(target, { file, patch }, report);
+        if (!patched) return;
+        if (provenance) provenance.instancePatch(patch.id, target, patched, { file, kind: 'patch' });
+        if (patch.id === 'global') mergedGlobals = patched;
+        else merged.set(patch.id, patched);
+        return;
+      }
+      const strategies = merged.has(obj.id) ? strategiesFor(obj.class || merged.get(obj.id).class) : null;
+      if (provenance) provenance.instanceFile(obj.id, obj, { file, kind: obj.id === 'global' ? 'global' : 'instance' }, strategies);
       if (obj.id === 'global') {
         mergedGlobals = deepMerge(mergedGlobals, obj);
         return;
       }
+      resets.set(obj.id, [...(resets.get(obj.id) || []), ...resetPaths(obj)]);
       if (merged.has(obj.id)) {
-        const mergedObj = deepMerge(merged.get(obj.id), obj);
+        const mergedObj = deepMerge(merged.get(obj.id), obj, strategies);
         mergedObj.id = obj.id;
+        // Class lists (mixins) append across files; keep each class once.
+        if (Array.isArray(mergedObj.class)) mergedObj.class = classNames(mergedObj.class);
         merged.set(obj.id, mergedObj);
       } else {
-        // First occurrence - unwrap any $reset objects
-        merged.set(obj.id, unwrapResets(obj));
+        // First occurrence - unwrap any $reset objects; $merge directives wait for class defaults
+        merged.set(obj.id, unwrapResets(obj, { keepDirectives: true }));
       }
-    });
+    }));
   });
 
+  // global has no class defaults to merge with, so unwrap what no later file met.
+  mergedGlobals = unwrapResets(mergedGlobals);
   merged.set('global', mergedGlobals);
-  return { merged, global: mergedGlobals };
+  return { merged, global: mergedGlobals, resets };
+}
+
+// Paths of the $reset arrays in an instance file (first-occurrence merges unwrap them, so they
+// are kept for `extends`).
+function resetPaths(value, segments = []) {
+  if (!isPlainObject(value)) return [];
+  if (arrayResetValue(value) !== null) return [segments];
+  return Object.keys(value).flatMap(key => resetPaths(value[key], [...segments, key]));
+}
+
+function withoutPath(value, [head, ...rest]) {
+  if (!isPlainObject(value) || !Object.prototype.hasOwnProperty.call(value, head)) return value;
+  const next = { ...value };
+  if (rest.length) next[head] = withoutPath(value[head], rest);
+  else delete next[head];
+  return next;
+}
+
+// Keys of a base instance that stay with it: what it is, what it renders, and the hooks it runs.
+const NON_INHERITED_KEYS = Object.freeze(['id', 'build', 'hooks']);
+
+// Merge each instance declaring `extends: "<id>"` onto its base instance (itself resolved first),
+// in place: the base acts as a layer below the instance's files, so pending $merge directives and
+// $unset markers meet it, and paths the instance $reset drop the base's value. The base's id,
+// build list, and hooks are not inherited. Runs before class defaults; an instance without its
+// own `class` takes the base's.
+function resolveExtends(merged, { resets, resolvedClasses, issues, log, provenance }) {
+  const report = (message, meta) => (issues ? issues.error(message, meta) : log.error(message));
+  const resolved = new Set();
+  const resolve = (id, chain) => {
+    const obj = merged.get(id);
+    if (resolved.has(id) || obj.extends === undefined) return;
+    const baseId = obj.extends;
+    if (chain.includes(baseId)) {
+      const cycle = [...chain.slice(chain.indexOf(baseId)), id, baseId];
+      report(`Instance '${id}' extends itself through ${cycle.join(' -> ')}.`, { code: 'extends_cycle', id, cycle });
+      resolved.add(id);
+      return;
+    }
+    if (typeof baseId !== 'string' || isReservedId(baseId) || !merged.has(baseId)) {
+      report(`Instance '${id}' extends unknown instance ${JSON.stringify(baseId)}.`, { code: 'unknown_extends', id, extends: baseId });
+      resolved.add(id);
+      return;
+    }
+    resolve(baseId, [...chain, id]);
+    resolved.add(id);
+    const base = [...NON_INHERITED_KEYS.map(key => [key]), ...(resets.get(id) || [])].reduce(withoutPath, merged.get(baseId));
+    const strategies = resolvedClasses ? mergeStrategiesForClass(resolvedClasses, obj.class || base.class) : null;
+    const extended = withMergeContext(`instance '${id}'`, { id }, () => deepMerge(base, obj, strategies));
+    extended.id = id;
+    if (Array.isArray(extended.class)) extended.class = classNames(extended.class);
+    if (provenance) provenance.instanceExtends(id, baseId, base, strategies);
+    merged.set(id, extended);
+  };
+  Array.from(merged.keys()).filter(id => !isReservedId(id)).forEach(id => resolve(id, []));
+}
+
+// Unwrap the $merge directives no class default met and drop $unset keys, in place (objects are
+// shared with the merged map).
+// strategies (optional): the class's schemaMergeStrategies() node, to drop unmatched $delete elements.
+function settleDirectives(obj, strategies = null) {
+  Object.keys(obj).forEach(key => {
+    if (isUnsetMarker(obj[key])) {
+      delete obj[key];
+      return;
+    }
+    obj[key] = settleMerged(obj[key], propertyStrategies(strategies, key));
+  });
 }
 
 // Build ordered stackObjects array with global first
@@ -206,36 +357,73 @@ function buildStackObjectsArray(instancesById) {
     .filter(Boolean);
 }
 
+// Stack-wide rules from <root>/rules/**/*.json (a rule or a list of rules per file), in root order;
+// a later root's file replaces the one at the same relative path. `global.rules` is read at validation.
+function loadRuleFiles(roots) {
+  const files = new Map();
+  roots.forEach(root => {
+    const rulesDir = path.join(root, 'rules');
+    findJsonFiles(rulesDir).forEach(filePath => {
+      const name = path.relative(rulesDir, filePath).split(path.sep).join('/');
+      files.delete(name);
+      files.set(name, filePath);
+    });
+  });
+  return Array.from(files.values()).flatMap(filePath => {
+    const data = readJsonFile(filePath);
+    return Array.isArray(data)
+      ? data.map((rule, index) => ({ rule, source: filePath, path: `/${index}` }))
+      : [{ rule: data, source: filePath, path: '' }];
+  });
+}
+
 // First pass: load/merge classes + schemas deterministically from ordered roots.
-function loadClassesAndSchemas(classDirs, log) {
+function loadClassesAndSchemas(classDirs, log, provenance, issues) {
   const roots = asArray(classDirs);
   ensureDirectoriesExist(roots, 'Classes');
-  const { resolvedClasses } = loadResolvedClasses(roots, log);
-  return resolvedClasses;
+  return loadResolvedClasses(roots, log, provenance, issues);
 }
 
 // Second pass: load/merge instances/global using resolved classes.
-function loadInstances({ instanceDirs, resolvedClasses, log, issues }) {
+function loadInstances({ instanceDirs, defaultsDir, resolvedClasses, schemas, log, issues, provenance }) {
   const roots = asArray(instanceDirs);
   if (!roots.length) {
     throw new Error('At least one instances root is required.');
   }
 
-  const { merged, global: mergedGlobals } = mergeInstanceFiles(roots, log);
+  const layered = withDefaultsLayer(defaultsDir, roots);
+  const { merged, global: mergedGlobals, resets } = mergeInstanceFiles(layered, log, { optionalRoots: asArray(defaultsDir), provenance, resolvedClasses, issues });
+  resolveExtends(merged, { resets, resolvedClasses, issues, log, provenance });
 
   const stackObjects = Array.from(merged.values());
-  stackObjects.forEach(obj => applyClassDefaults(obj, resolvedClasses, log, issues));
+  stackObjects.forEach(obj => {
+    applyClassDefaults(obj, resolvedClasses, log, issues, provenance);
+    settleDirectives(obj, mergeStrategiesForClass(resolvedClasses, obj.class));
+  });
 
-  const withMetadata = attachGlobalMetadataToStack(stackObjects, resolvedClasses, merged);
+  const withMetadata = attachGlobalMetadataToStack(stackObjects, resolvedClasses, merged, schemas);
   return {
     stackObjects: buildStackObjectsArray(withMetadata),
     instancesById: withMetadata,
-    global: mergedGlobals
+    global: mergedGlobals,
+    rules: loadRuleFiles(layered)
+  };
+}
+
+// Recompute global metadata (objects/classes) for stack objects changed after loading (e.g. by hooks).
+function refreshGlobalMetadata(stackObjects, resolvedClasses, schemas) {
+  const merged = new Map(stackObjects.filter(obj => obj && obj.id).map(obj => [obj.id, obj]));
+  const withMetadata = attachGlobalMetadataToStack(Array.from(merged.values()), resolvedClasses, merged, schemas);
+  return {
+    stackObjects: buildStackObjectsArray(withMetadata),
+    instancesById: withMetadata
   };
 }
 
 // Load, merge, and resolve stack data from ordered stack/class/instance roots.
-function loadStack({ stackDirs, classDirs, instanceDirs, log, issues }) {
+// defaultsDir (optional) is layered first for both classes and instances.
+// provenance (optional): a createProvenanceRecorder() fed every merge layer.
+function loadStack({ stackDirs, classDirs, instanceDirs, defaultsDir, log, issues, provenance }) {
   const stacks = asArray(stackDirs);
   if (!stacks.length) {
     throw new Error('At least one stack directory is required.');
@@ -249,26 +437,30 @@ function loadStack({ stackDirs, classDirs, instanceDirs, log, issues }) {
   const classRoots = asArray(classDirs).length ? asArray(classDirs) : stacks;
   const instanceRoots = asArray(instanceDirs).length ? asArray(instanceDirs) : stacks;
 
-  const resolvedClasses = loadClassesAndSchemas(classRoots, log);
-  const { stackObjects, instancesById, global } = loadInstances({ instanceDirs: instanceRoots, resolvedClasses, log, issues });
+  const { resolvedClasses, schemas } = loadClassesAndSchemas(withDefaultsLayer(defaultsDir, classRoots), log, provenance, issues);
+  const { stackObjects, instancesById, global, rules } = loadInstances({ instanceDirs: instanceRoots, defaultsDir, resolvedClasses, schemas, log, issues, provenance });
 
   return {
     stackObjects,
     instancesById,
     resolvedClasses,
+    schemas,
+    rules,
     global
   };
 }
 
 // Load and merge instances only (no class resolution, no validation).
 // Returns raw merged instance data without class defaults applied.
-function loadInstancesOnly({ instanceDirs, log }) {
+function loadInstancesOnly({ instanceDirs, defaultsDir, log }) {
   const roots = asArray(instanceDirs);
   if (!roots.length) {
     throw new Error('At least one instances root is required.');
   }
 
-  const { merged, global: mergedGlobals } = mergeInstanceFiles(roots, log);
+  const { merged, global: mergedGlobals, resets } = mergeInstanceFiles(withDefaultsLayer(defaultsDir, roots), log, { optionalRoots: asArray(defaultsDir) });
+  resolveExtends(merged, { resets, log });
+  merged.forEach(obj => settleDirectives(obj));
 
   return {
     stackObjects: buildStackObjectsArray(merged),
@@ -277,4 +469,4 @@ function loadInstancesOnly({ instanceDirs, log }) {
   };
 }
 
-module.exports = { loadStack, loadInstancesOnly };
+module.exports = { loadStack, loadInstancesOnly, refreshGlobalMetadata };
@@ -3,7 +3,8 @@ const fs = require('fs');
 const path = require('path');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
-const { normalizeDirPath } = require('./core/fs_utils');
+const { normalizeDirPath, findJsonFiles, scanDir } = require('./core/fs_utils');
+const { version: toolVersion } = require('../package.json');
 const { PathError } = require('./core/errors');
 
 const repoRoot = path.join(__dirname, '..');
@@ -74,12 +75,63 @@ function stackHashFromDirs(stackDirs) {
   return stackHashFromPath(normalized.join('|'));
 }
 
+// Normalize file contents for hashing: JSON is re-serialized (formatting-insensitive, key order kept
+// since it drives merge/render order); text drops a BOM and CRLF line endings.
+function normalizeHashContent(filePath, text) {
+  const body = text.replace(/^\uFEFF/, '');
+  if (filePath.endsWith('.json')) {
+    try {
+      return JSON.stringify(JSON.parse(body));
+    } catch (err) {
+      // Unparseable JSON fails the build later; hash it as text.
+    }
+  }
+  return body.replace(/\r\n/g, '\n');
+}
+
+/**
+ * Hash the normalized contents of every class, class schema, shared schema (schemas/), validation module (validation/),
+ * instance, global, rule (rules/), template and hook module (hooks/, under every root) file plus the tool version.
+ * Files are keyed by source type, layer position and root-relative path, so the hash is independent of where
+ * the stacks live on disk but changes whenever an input (or its layer order) changes.
+ */
+function stackHashFromContents({ classDirs = [], instanceDirs = [], templateDirs = [], defaultsDir = null } = {}) {
+  const hash = crypto.createHash('sha256').update(`terrible@${toolVersion}\0`);
+  const addFile = (type, index, root, filePath) => {
+    const rel = path.relative(root, filePath).split(path.sep).join('/');
+    const content = normalizeHashContent(filePath, fs.readFileSync(filePath, 'utf8'));
+    hash.update(`${type}\0${index}\0${rel}\0${content.length}\0${content}\0`);
+  };
+  const addHooks = (type, index, root) => {
+    scanDir(path.join(root, 'hooks'), { pattern: '**/*.js' }).forEach(file => addFile(type, index, root, file));
+  };
+  withDefaultsLayer(defaultsDir, classDirs).forEach((root, index) => {
+    findJsonFiles(path.join(root, 'classes')).forEach(file => addFile('classes', index, root, file));
+    findJsonFiles(path.join(root, 'schemas')).forEach(file => addFile('schemas', index, root, file));
+    scanDir(path.join(root, 'validation'), { pattern: '**/*.js' }).forEach(file => addFile('validation', index, root, file));
+    addHooks('class-hooks', index, root);
+  });
+  withDefaultsLayer(defaultsDir, instanceDirs).forEach((root, index) => {
+    const globalPath = path.join(root, 'global.json');
+    if (fs.existsSync(globalPath)) addFile('global', index, root, globalPath);
+    findJsonFiles(path.join(root, 'instances')).forEach(file => addFile('instances', index, root, file));
+    findJsonFiles(path.join(root, 'rules')).forEach(file => addFile('rules', index, root, file));
+    addHooks('instance-hooks', index, root);
+  });
+  withDefaultsLayer(defaultsDir, templateDirs).forEach((root, index) => {
+    scanDir(path.join(root, 'templates')).forEach(file => addFile('templates', index, root, file));
+    addHooks('template-hooks', index, root);
+  });
+  return hash.digest('hex').slice(0, 12);
+}
+
 // Build directory name for a stack set; use a short prefix when combining.
-function buildDirNameFromDirs(stackDirs, { includeHash = true } = {}) {
+// `hash` overrides the path-derived hash (e.g. a content hash).
+function buildDirNameFromDirs(stackDirs, { includeHash = true, hash: hashOverride } = {}) {
   const dirs = Array.isArray(stackDirs) ? stackDirs : [stackDirs];
   const baseNames = dirs.map(d => path.basename(normalizeStackDir(d)));
   if (includeHash) {
-    const hash = stackHashFromDirs(dirs);
+    const hash = hashOverride || stackHashFromDirs(dirs);
     if (dirs.length === 1) {
       return `${baseNames[0]}-${hash}`;
     }
@@ -111,7 +163,7 @@ function resolveDirs(inputs, fallbackDirs) {
   return chosen.map(dir => (path.isAbsolute(dir) ? dir : path.resolve(process.cwd(), dir)));
 }
 
-function resolveBuildPaths({ buildRootInput, buildDirInput, buildNameInput, stackDirs, includeHash }) {
+function resolveBuildPaths({ buildRootInput, buildDirInput, buildNameInput, stackDirs, includeHash, stackHash }) {
   const resolvedBuildRoot = buildDirInput
     ? (path.isAbsolute(buildDirInput) ? path.dirname(buildDirInput) : path.resolve(process.cwd(), path.dirname(buildDirInput)))
     : (buildRootInput ? (path.isAbsolute(buildRootInput) ? buildRootInput : path.resolve(process.cwd(), buildRootInput)) : path.join(repoRoot, 'build'));
@@ -123,7 +175,7 @@ function resolveBuildPaths({ buildRootInput, buildDirInput, buildNameInput, stac
 
   const name = buildNameInput
     ? String(buildNameInput)
-    : buildDirNameFromDirs(stackDirs, { includeHash });
+    : buildDirNameFromDirs(stackDirs, { includeHash, hash: stackHash });
   return { buildRoot: resolvedBuildRoot, buildDir: path.join(resolvedBuildRoot, name) };
 }
 
@@ -180,6 +232,26 @@ function validateDirs(inputs, label = 'directory') {
   return { valid, errors };
 }
 
+/**
+ * Resolve the defaults layer directory (merged under every stack). Returns null when disabled.
+ * Throws PathError when a path is given but cannot be resolved.
+ */
+function resolveDefaultsDir(defaultsInput) {
+  if (!defaultsInput) {
+    return null;
+  }
+  return normalizeStackDir(defaultsInput);
+}
+
+// Prepend the defaults layer to ordered source roots (skipped when already listed explicitly).
+function withDefaultsLayer(defaultsDir, dirs) {
+  const roots = toArray(dirs);
+  if (!defaultsDir || roots.includes(defaultsDir)) {
+    return roots;
+  }
+  return [defaultsDir, ...roots];
+}
+
 module.exports = {
   getStackHash,
   getBuildDirName,
@@ -187,9 +259,12 @@ module.exports = {
   stackHashFromPath,
   buildDirNameFromPath,
   stackHashFromDirs,
+  stackHashFromContents,
   buildDirNameFromDirs,
   resolveStackDirs,
   resolveDirs,
   resolveBuildPaths,
-  validateDirs
+  resolveDefaultsDir,
+  validateDirs,
+  withDefaultsLayer
 };
@@ -2,11 +2,49 @@
 
 const path = require('path');
 const fs = require('fs');
-const { loadTemplates, renderTemplate, resolveOutputPath } = require('./template_utils');
+const crypto = require('crypto');
+const { loadTemplates, renderContext, renderTemplate, resolveOutputPath, partialHashIndex, templateDependencies } = require('./template_utils');
+const { createReadTracker, dataHashFor } = require('./read_tracker');
 const { createLogger } = require('../logger');
+const { TemplateError } = require('../core/errors');
+
+const relativeOutput = (buildDir, outPath) => path.relative(buildDir, outPath).split(path.sep).join('/');
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// Files recorded for a previous render are reusable only while they still hold the recorded bytes.
+function filesIntact(buildDir, files) {
+  return files.every(file => {
+    const absPath = path.join(buildDir, file.path);
+    return fs.existsSync(absPath) && sha256(fs.readFileSync(absPath)) === file.sha256;
+  });
+}
+
+// Incremental builds: reuse an output when its template, partials and every data path it read last
+// time are unchanged. Returns the previous record, or null when the output must be rendered.
+function reusableRecord(incremental, { templateKey, obj, relPath, buildDir, instancesById, canonical, view }) {
+  const previous = incremental.previous[relPath];
+  if (!previous || !previous.tracked || previous.template !== templateKey || previous.instance !== obj.id) {
+    return null;
+  }
+  const deps = incremental.dependencies(templateKey);
+  if (!deps || deps.templateHash !== previous.templateHash) {
+    return null;
+  }
+  const partialsChanged = Object.entries(previous.partials || {})
+    .some(([name, hash]) => incremental.partialHash(name) !== hash);
+  if (partialsChanged) {
+    return null;
+  }
+  const roots = { ctx: renderContext(obj, instancesById, { canonical, view }), obj, ids: instancesById, env: process.env };
+  if (dataHashFor(previous.reads || [], roots) !== previous.dataHash) {
+    return null;
+  }
+  return filesIntact(buildDir, previous.files || []) ? previous : null;
+}
 
 function writeTemplate(templateKey, filename, templates, buildDir, obj, instancesById, log, seenOutputs, options = {}) {
-  const { failOnCollisions = false, collisionState, canonical, services } = options;
+  const { failOnCollisions = false, collisionState, canonical, services, hooks, view, manifest, incremental } = options;
   const collision = (message) => {
     if (failOnCollisions) {
       if (collisionState) collisionState.fatal = true;
@@ -15,6 +53,18 @@ function writeTemplate(templateKey, filename, templates, buildDir, obj, instance
       log.warn(message);
     }
   };
+  const claim = (outPath, message) => {
+    if (seenOutputs) {
+      if (seenOutputs.has(outPath)) {
+        collision(message);
+        if (failOnCollisions) {
+          return false;
+        }
+      }
+      seenOutputs.add(outPath);
+    }
+    return true;
+  };
 
   const templateContent = templates[templateKey];
   if (templateContent === undefined) {
@@ -27,48 +77,95 @@ function writeTemplate(templateKey, filename, templates, buildDir, obj, instance
     return;
   }
 
-  const outputs = [];
-  const rendered = renderTemplate(
-    templateKey,
-    templateContent,
-    obj,
-    instancesById,
-    log,
-    { buildDir, outputs, canonical, services }
-  );
-  if (seenOutputs) {
-    if (seenOutputs.has(outPath)) {
-      collision(`Duplicate output path '${outPath}' from template '${templateKey}'`);
-      if (failOnCollisions) {
-        return;
-      }
+  const relPath = relativeOutput(buildDir, outPath);
+  if (incremental) {
+    const reused = reusableRecord(incremental, { templateKey, obj, relPath, buildDir, instancesById, canonical, view });
+    if (reused) {
+      incremental.reusedCount += 1;
+      incremental.outputs[relPath] = reused;
+      reused.files.forEach((file, index) => {
+        const filePath = path.join(buildDir, file.path);
+        const message = index === 0
+          ? `Duplicate output path '${filePath}' from template '${templateKey}'`
+          : `Duplicate output path '${filePath}' emitted from helper inside '${templateKey}'`;
+        if (claim(filePath, message) && manifest) {
+          manifest.push({ template: templateKey, instance: obj.id, ...file });
+        }
+      });
+      return;
     }
-    seenOutputs.add(outPath);
   }
-  fs.mkdirSync(path.dirname(outPath), { recursive: true });
-  fs.writeFileSync(outPath, rendered, 'utf8');
+
+  const outputs = [];
+  const tracker = incremental ? createReadTracker() : undefined;
+  let rendered;
+  try {
+    rendered = renderTemplate(
+      templateKey,
+      templateContent,
+      obj,
+      instancesById,
+      log,
+      { buildDir, outputs, canonical, services, view, tracker }
+    );
+  } catch (err) {
+    // Handlebars parses lazily, so syntax errors surface here too; name the template and instance.
+    throw new TemplateError(`Failed to render template '${templateKey}' for '${obj.id}': ${err.message}`, { template: templateKey, instance: obj.id });
+  }
+  if (!claim(outPath, `Duplicate output path '${outPath}' from template '${templateKey}'`)) {
+    return;
+  }
+  const files = [writeOutput(outPath, rendered, { templateKey, obj, hooks, buildDir, manifest })];
   outputs.forEach(extra => {
-    if (seenOutputs) {
-      if (seenOutputs.has(extra.path)) {
-        collision(`Duplicate output path '${extra.path}' emitted from helper inside '${templateKey}'`);
-        if (failOnCollisions) {
-          return;
-        }
-      }
-      seenOutputs.add(extra.path);
+    if (claim(extra.path, `Duplicate output path '${extra.path}' emitted from helper inside '${templateKey}'`)) {
+      files.push(writeOutput(extra.path, extra.content, { templateKey, obj, hooks, buildDir, manifest }));
     }
-    fs.mkdirSync(path.dirname(extra.path), { recursive: true });
-    fs.writeFileSync(extra.path, extra.content, 'utf8');
   });
+
+  if (incremental) {
+    const deps = incremental.dependencies(templateKey);
+    const { tracked, reads, dataHash } = tracker.result();
+    incremental.outputs[relPath] = {
+      template: templateKey,
+      instance: obj.id,
+      tracked: tracked && Boolean(deps),
+      templateHash: deps ? deps.templateHash : null,
+      partials: deps ? deps.partials : {},
+      reads,
+      dataHash,
+      files
+    };
+  }
+}
+
+// Write a rendered file, let onPostRenderFile hooks rewrite it in place, and record the final bytes.
+// Returns the file record { path, bytes, sha256 } (path relative to the build dir, posix separators).
+function writeOutput(outPath, content, { templateKey, obj, hooks, buildDir, manifest }) {
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, content, 'utf8');
+  let finalContent = content;
+  if (hooks && hooks.onPostRenderFile) {
+    const next = hooks.onPostRenderFile({ templateKey, obj, outputPath: outPath, content });
+    if (typeof next === 'string' && next !== content) {
+      fs.writeFileSync(outPath, next, 'utf8');
+      finalContent = next;
+    }
+  }
+  const bytes = Buffer.from(finalContent, 'utf8');
+  const file = { path: relativeOutput(buildDir, outPath), bytes: bytes.length, sha256: sha256(bytes) };
+  if (manifest) {
+    manifest.push({ template: templateKey, instance: obj.id, ...file });
+  }
+  return file;
 }
 
-function createHandlebarsEngine({ stackDirs, log, quiet }) {
+function createHandlebarsEngine({ stackDirs, defaultsDir, log, quiet }) {
   const logger = log || createLogger({ quiet });
   let templates = {};
   let templateStats = null;
 
   function prepare() {
-    const loaded = loadTemplates(stackDirs, logger);
+    const loaded = loadTemplates(stackDirs, logger, { defaultsDir });
     templates = loaded.templates;
     templateStats = loaded.stats;
     return { templates, templateStats };
@@ -111,7 +208,28 @@ function createHandlebarsEngine({ stackDirs, log, quiet }) {
     return plannedPaths;
   }
 
-  function renderAll({ snapshot, buildDir, failOnCollisions = false, canonical, services }) {
+  // Per-build incremental state: previous output records in, new records and reuse count out.
+  function createIncrementalState(previousOutputs) {
+    const index = partialHashIndex(templates);
+    const deps = new Map();
+    return {
+      previous: previousOutputs || {},
+      outputs: {},
+      reusedCount: 0,
+      partialHash: index.hashFor,
+      dependencies(templateKey) {
+        if (!deps.has(templateKey)) {
+          deps.set(templateKey, templateDependencies(templateKey, templates, index));
+        }
+        return deps.get(templateKey);
+      }
+    };
+  }
+
+  // hooks (optional): { onPreRender(), onRenderInstance(obj) → view data, onPostRenderFile(file) → content }.
+  // incremental (optional): { previous } output records from meta/incremental.json; unchanged outputs are
+  // reused and the result carries `incremental: { outputs, reusedCount }` for the next build.
+  function renderAll({ snapshot, buildDir, failOnCollisions = false, canonical, services, hooks, incremental }) {
     const instances = snapshot.instances || [];
     const instancesById = snapshot.instancesById || {};
     const outputPaths = new Set();
@@ -128,25 +246,33 @@ function createHandlebarsEngine({ stackDirs, log, quiet }) {
     planOutputs(instances, buildDir, collisionLog);
     if (collisionState.fatal) {
       logger.error('Output collisions detected during planning; aborting render (--fail-on-collisions).');
-      return { renderedCount: 0, collisionFatal: true };
+      return { renderedCount: 0, collisionFatal: true, manifest: [] };
+    }
+
+    if (hooks && hooks.onPreRender) {
+      hooks.onPreRender();
     }
 
     let renderedCount = 0;
+    const manifest = [];
+    const incrementalState = incremental ? createIncrementalState(incremental.previous) : undefined;
     instances
       .filter(obj => Array.isArray(obj.build) && obj.build.length > 0)
       .forEach(obj => {
         logger.info(`  - process ${obj.id}`);
+        const view = hooks && hooks.onRenderInstance ? hooks.onRenderInstance(obj) : undefined;
+        const writeOptions = { failOnCollisions, collisionState, canonical, services, hooks, view, manifest, incremental: incrementalState };
         obj.build.forEach(buildItem => {
           if (typeof buildItem === 'string') {
             const ext = path.extname(buildItem);
             const filename = obj.id + ext;
-            writeTemplate(buildItem, filename, templates, buildDir, obj, instancesById, logger, outputPaths, { failOnCollisions, collisionState, canonical, services });
+            writeTemplate(buildItem, filename, templates, buildDir, obj, instancesById, logger, outputPaths, writeOptions);
             renderedCount += 1;
             return;
           }
           if (typeof buildItem === 'object' && buildItem !== null) {
             Object.entries(buildItem).forEach(([templateKey, filename]) => {
-              writeTemplate(templateKey, filename, templates, buildDir, obj, instancesById, logger, outputPaths, { failOnCollisions, collisionState, canonical, services });
+              writeTemplate(templateKey, filename, templates, buildDir, obj, instancesById, logger, outputPaths, writeOptions);
               renderedCount += 1;
             });
             return;
@@ -157,10 +283,15 @@ function createHandlebarsEngine({ stackDirs, log, quiet }) {
 
     if (collisionState.fatal) {
       logger.error('Output collisions detected; build aborted due to --fail-on-collisions.');
-      return { renderedCount, collisionFatal: true };
+      return { renderedCount, collisionFatal: true, manifest };
     }
 
-    return { renderedCount, collisionFatal: false };
+    // manifest: one entry per written file, in render order: { template, instance, path, bytes, sha256 }.
+    const result = { renderedCount, collisionFatal: false, manifest };
+    if (incrementalState) {
+      result.incremental = { outputs: incrementalState.outputs, reusedCount: incrementalState.reusedCount };
+    }
+    return result;
   }
 
   return {
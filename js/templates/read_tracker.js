@@ -0,0 +1,166 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Records which data paths a template render reads, so incremental builds can tell whether
+// the inputs of an output changed without rendering it again.
+//
+// Render inputs are wrapped in read-only proxies rooted at a name (e.g. `ctx`, `obj`); every
+// own-property read records the path and a signature of the value found there, and every key
+// enumeration records the key list. Replaying the same paths against new data (dataHashFor)
+// yields the same hash exactly when everything the render looked at is unchanged.
+
+const hasOwn = (value, key) => Object.prototype.hasOwnProperty.call(value, key);
+
+// Only JSON-shaped data is tracked; Maps, class instances or functions make a render untrackable.
+function isPlainData(value) {
+  if (Array.isArray(value)) return true;
+  if (!value || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function signature(value) {
+  if (value === undefined) return 'u';
+  if (Array.isArray(value)) return 'a';
+  if (value !== null && typeof value === 'object') return 'o';
+  return `${typeof value}:${String(value)}`;
+}
+
+function keySignature(value) {
+  if (value === null || typeof value !== 'object') return 'u';
+  return JSON.stringify(Reflect.ownKeys(value).filter(key => typeof key === 'string'));
+}
+
+function valueAt(roots, segments) {
+  let current = roots;
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object' || !hasOwn(current, segment)) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+function hashReads(entries) {
+  const hash = crypto.createHash('sha256');
+  entries
+    .slice()
+    .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+    .forEach(entry => hash.update(`${entry.id}\0${entry.sig}\n`));
+  return hash.digest('hex');
+}
+
+/**
+ * Create a tracker for one render.
+ * - wrap(rootName, value): proxy for a render input; reads through it are recorded.
+ * - result(): { tracked, reads, dataHash }. Each read is `<kind><path>`: kind 'v' (value) or 'k' (keys),
+ *   path a JSON array of segments starting with the root name, e.g. `v["ctx","title"]`. `tracked` is
+ *   false when the render touched data that cannot be replayed (non-plain objects or functions).
+ */
+function createReadTracker() {
+  const reads = new Map();
+  const proxies = new Map();
+  let tracked = true;
+
+  const record = (kind, pathKey, sig) => {
+    const id = `${kind}${pathKey}`;
+    if (!reads.has(id)) {
+      reads.set(id, { id, sig });
+    }
+  };
+
+  function wrap(value, segments) {
+    if (value === null || typeof value !== 'object') {
+      if (typeof value === 'function') tracked = false;
+      return value;
+    }
+    // Roots may be exotic (process.env); nested values must be plain data.
+    if (segments.length > 1 && !isPlainData(value)) {
+      tracked = false;
+      return value;
+    }
+    const pathKey = JSON.stringify(segments);
+    if (proxies.has(pathKey)) {
+      return proxies.get(pathKey);
+    }
+
+    const childPath = (key) => JSON.stringify([...segments, key]);
+    const read = (key) => {
+      if (hasOwn(value, key)) {
+        const child = value[key];
+        record('v', childPath(key), signature(child));
+        return wrap(child, [...segments, key]);
+      }
+      record('v', childPath(key), 'u');
+      return undefined;
+    };
+
+    // The proxy target is an unfrozen stand-in so nested values can be returned as proxies even
+    // when the real data is deeply frozen (proxy invariants only constrain the target).
+    const proxy = new Proxy(Array.isArray(value) ? [] : {}, {
+      get(_target, key) {
+        if (typeof key === 'symbol' || (!hasOwn(value, key) && key in value)) {
+          return value[key];
+        }
+        return read(key);
+      },
+      has(_target, key) {
+        if (typeof key !== 'symbol') read(key);
+        return key in value;
+      },
+      ownKeys() {
+        record('k', pathKey, keySignature(value));
+        return Reflect.ownKeys(value);
+      },
+      getOwnPropertyDescriptor(_target, key) {
+        const desc = Reflect.getOwnPropertyDescriptor(value, key);
+        const child = typeof key === 'symbol' ? value[key] : read(key);
+        if (!desc) return undefined;
+        if (Array.isArray(value) && key === 'length') {
+          return { value: value.length, writable: true, enumerable: false, configurable: false };
+        }
+        return { value: child, writable: true, enumerable: desc.enumerable, configurable: true };
+      },
+      set: () => false,
+      defineProperty: () => false,
+      deleteProperty: () => false
+    });
+    proxies.set(pathKey, proxy);
+    return proxy;
+  }
+
+  return {
+    wrap(rootName, value) {
+      return wrap(value, [rootName]);
+    },
+    result() {
+      const entries = Array.from(reads.values());
+      return {
+        tracked,
+        reads: entries.map(entry => entry.id).sort(),
+        dataHash: hashReads(entries)
+      };
+    }
+  };
+}
+
+/**
+ * Recompute the data hash for recorded reads against current render inputs.
+ * @param {string[]} reads - Reads from a previous tracker result
+ * @param {Object} roots - Render inputs keyed by root name (same names passed to wrap)
+ * @returns {string}
+ */
+function dataHashFor(reads, roots) {
+  const entries = reads.map(id => {
+    const target = valueAt(roots, JSON.parse(id.slice(1)));
+    return { id, sig: id[0] === 'k' ? keySignature(target) : signature(target) };
+  });
+  return hashReads(entries);
+}
+
+module.exports = {
+  createReadTracker,
+  dataHashFor
+};
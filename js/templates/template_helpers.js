@@ -13,6 +13,7 @@ function registerHelpers(handlebars, { metaFromOptions: metaFn = templateResolut
   const metaFromOpts = metaFn || templateResolution.metaFromOptions;
   const {
     classInheritsFrom,
+    classNames,
     mergedSchemaFor,
     schemaRequires,
     schemaHasProp,
@@ -21,6 +22,7 @@ function registerHelpers(handlebars, { metaFromOptions: metaFn = templateResolut
     classLineage,
     requiredFieldsBySource,
     filterEntriesByInheritance,
+    globalsFromInstances,
     resolveTagValue
   } = templateResolution;
   const { entriesFrom, filterList, getByPath, targetIncludes, toArray } = dataUtils;
@@ -33,7 +35,7 @@ function registerHelpers(handlebars, { metaFromOptions: metaFn = templateResolut
       def = undefined;
     }
     const meta = metaFromOpts(opts);
-    return resolveTagValue(String(tag), def, meta.currentObj, meta.instancesById, meta.log, this);
+    return resolveTagValue(String(tag), def, meta.currentObj, meta.instancesById, meta.log, this, meta.env);
   });
 
   handlebars.registerHelper('json', function jsonHelper(value) {
@@ -176,6 +178,19 @@ function registerHelpers(handlebars, { metaFromOptions: metaFn = templateResolut
       .map(([key, items]) => ({ key, items }));
   });
 
+  // Instances whose x-ref fields name `id` (global.referencedBy), optionally only those inheriting from className.
+  handlebars.registerHelper('referenced_by', function referencedByHelper(id, className, options) {
+    const opts = arguments.length > 2 ? options : className;
+    const targetClass = arguments.length > 2 ? className : null;
+    const meta = metaFromOpts(opts);
+    const globalObj = globalsFromInstances(meta.instancesById) || {};
+    const instance = (refId) => (meta.instancesById.get ? meta.instancesById.get(refId) : meta.instancesById[refId]);
+    const ids = Array.from(new Set(((globalObj.referencedBy || {})[id] || []).map(ref => ref.id)));
+    return ids
+      .map(instance)
+      .filter(obj => obj && (!targetClass || classInheritsFrom(obj.class, targetClass, globalObj.classesById)));
+  });
+
   handlebars.registerHelper('filter_inherits', function filterInheritsHelper(entries, targetName, classesObj) {
     return filterEntriesByInheritance(entries, targetName, classesObj);
   });
@@ -264,6 +279,10 @@ function registerHelpers(handlebars, { metaFromOptions: metaFn = templateResolut
     if (arguments.length < 3) {
       return filterList(list, item => Boolean(item));
     }
+    // `class` may list several classes (mixins); match any of them.
+    if (pathStr === 'class') {
+      return filterList(list, item => classNames(getByPath(item, pathStr)).includes(value));
+    }
     return filterList(list, item => getByPath(item, pathStr) === value);
   });
 
@@ -9,13 +9,13 @@ function metaFromOptions(options) {
 }
 
 // Fetch an env value case-insensitively.
-function envValueForTag(tag) {
-  if (process.env[tag] !== undefined) {
-    return process.env[tag];
+function envValueForTag(tag, env = process.env) {
+  if (env[tag] !== undefined) {
+    return env[tag];
   }
   const upper = tag.toUpperCase();
-  if (process.env[upper] !== undefined) {
-    return process.env[upper];
+  if (env[upper] !== undefined) {
+    return env[upper];
   }
   return undefined;
 }
@@ -29,7 +29,8 @@ function globalsFromInstances(instancesById) {
 }
 
 // Resolve a template tag against context, stack/global data, env, or default.
-function resolveTagValue(tag, defaultValue, obj, instancesById, log, context) {
+// `env` defaults to process.env; incremental renders pass a tracked view of it.
+function resolveTagValue(tag, defaultValue, obj, instancesById, log, context, env) {
   const globalObj = globalsFromInstances(instancesById);
 
   if (context && Object.prototype.hasOwnProperty.call(context, tag)) {
@@ -60,7 +61,7 @@ function resolveTagValue(tag, defaultValue, obj, instancesById, log, context) {
     return globalObj[tag];
   }
 
-  const envValue = envValueForTag(tag);
+  const envValue = envValueForTag(tag, env);
   if (envValue !== undefined) {
     return envValue;
   }
@@ -114,14 +115,15 @@ function schemaProperties(className, classesObj) {
   return merged.properties;
 }
 
+// className may be a list of classes (an instance's mixins).
 function classLineage(className, classesObj) {
   if (!className || !classesObj) return [];
-  return helpers.classLineage(classesObj, className);
+  return helpers.classListLineage(classesObj, className);
 }
 
 // Find the class that last defined a property in schema merge order.
 function schemaPropertySource(className, prop, classesObj) {
-  if (!className || !prop || !classesObj || !classesObj[className]) {
+  if (!className || !prop || !classesObj) {
     return null;
   }
   const lineage = classLineage(className, classesObj);
@@ -173,6 +175,7 @@ function requiredFieldsBySource(className, classesObj) {
 
 module.exports = {
   classInheritsFrom,
+  classNames: helpers.classNames,
   entriesFrom,
   filterEntriesByInheritance,
   filterList,
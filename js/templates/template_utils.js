@@ -1,22 +1,37 @@
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const Handlebars = require('handlebars');
 const { scanDir } = require('../core/fs_utils');
 const { mapLikeToObject } = require('../core/object_utils');
+const { withDefaultsLayer } = require('../stack_paths');
 const { globalsFromInstances, metaFromOptions } = require('./template_resolution');
 const { registerHelpers } = require('./template_helpers');
 
 const handlebars = Handlebars.create();
 const templateCache = new Map();
+let registeredPartials = new Set();
+
+// Partial name for a template key: the path minus its extension.
+function partialNameFor(templateKey) {
+  const normalized = templateKey.replace(/\\/g, '/');
+  const ext = path.extname(normalized);
+  return ext ? normalized.slice(0, -ext.length) : normalized;
+}
 
 // Register every template as a partial, using the path (minus extension) as the name.
+// Partials from a previous load that no longer exist are dropped (in-process rebuilds).
 function registerPartials(templates) {
+  const names = new Set();
   Object.entries(templates).forEach(([templateKey, templateContent]) => {
-    const normalized = templateKey.replace(/\\/g, '/');
-    const ext = path.extname(normalized);
-    const partialName = ext ? normalized.slice(0, -ext.length) : normalized;
-    handlebars.registerPartial(partialName, templateContent);
+    const name = partialNameFor(templateKey);
+    names.add(name);
+    handlebars.registerPartial(name, templateContent);
+  });
+  registeredPartials.forEach(name => {
+    if (!names.has(name)) handlebars.unregisterPartial(name);
   });
+  registeredPartials = names;
 }
 
 function readTemplatesFromDir(baseDir) {
@@ -32,9 +47,10 @@ function readTemplatesFromDir(baseDir) {
 }
 
 // Load templates from an ordered list of stack roots, warn on overrides, and return stats.
-function loadTemplates(stackDirs, log) {
-  const dirs = Array.isArray(stackDirs) ? stackDirs : [stackDirs];
+function loadTemplates(stackDirs, log, { defaultsDir } = {}) {
+  const dirs = withDefaultsLayer(defaultsDir, Array.isArray(stackDirs) ? stackDirs : [stackDirs]);
   const templates = {};
+  const origins = {};
   const collisions = [];
   const perDirCounts = [];
 
@@ -45,10 +61,12 @@ function loadTemplates(stackDirs, log) {
     perDirCounts.push({ dir: tplDir, count: keys.length });
 
     keys.forEach(key => {
-      if (Object.prototype.hasOwnProperty.call(templates, key)) {
+      // Overriding a defaults-layer template is the intended use of defaults, so it is not a collision.
+      if (Object.prototype.hasOwnProperty.call(templates, key) && origins[key] !== defaultsDir) {
         collisions.push({ key, from: tplDir });
       }
       templates[key] = entries[key];
+      origins[key] = stackDir;
     });
   });
 
@@ -76,14 +94,16 @@ function loadTemplates(stackDirs, log) {
 }
 
 // Compile a template with caching to avoid repeated compilation.
+// Entries are keyed by template path and checked against the content, so rebuilds in the same process see edits.
 function compileTemplate(templateKey, templateContent, log) {
-  if (templateCache.has(templateKey)) {
-    return templateCache.get(templateKey);
+  const cached = templateCache.get(templateKey);
+  if (cached && cached.content === templateContent) {
+    return cached.compiled;
   }
 
   try {
     const compiled = handlebars.compile(templateContent, { noEscape: true });
-    templateCache.set(templateKey, compiled);
+    templateCache.set(templateKey, { content: templateContent, compiled });
     return compiled;
   } catch (err) {
     log.error(`Failed to compile template '${templateKey}': ${err.message}`);
@@ -91,14 +111,14 @@ function compileTemplate(templateKey, templateContent, log) {
   }
 }
 
-// Render a template with canonical context and attach metadata for helpers.
-function renderTemplate(templateKey, templateContent, obj, instancesById, log, metaExtras = {}) {
-  const compiled = compileTemplate(templateKey, templateContent, log);
+// Build the root render context for an object: global fields, then the object, then hook view data.
+function renderContext(obj, instancesById, { canonical, view } = {}) {
   const globalObj = globalsFromInstances(instancesById) || {};
-  const { canonical, services } = metaExtras;
-  const context = {
+  // `view` holds onRenderInstance hook data: visible to this render only, never written back to the object.
+  return {
     ...globalObj,
     ...obj,
+    ...(view || {}),
     global: globalObj,
     instances: mapLikeToObject(instancesById),
     instancesById: mapLikeToObject(instancesById),
@@ -106,6 +126,14 @@ function renderTemplate(templateKey, templateContent, obj, instancesById, log, m
     classesById: globalObj.classesById,
     canonical
   };
+}
+
+// Render a template with canonical context and attach metadata for helpers.
+// With metaExtras.tracker (incremental builds), the inputs are wrapped so every read is recorded.
+function renderTemplate(templateKey, templateContent, obj, instancesById, log, metaExtras = {}) {
+  const compiled = compileTemplate(templateKey, templateContent, log);
+  const { canonical, services, view, tracker } = metaExtras;
+  const context = renderContext(obj, instancesById, { canonical, view });
 
   const meta = {
     currentObj: obj,
@@ -115,10 +143,95 @@ function renderTemplate(templateKey, templateContent, obj, instancesById, log, m
     services,
     ...metaExtras
   };
+  if (tracker) {
+    meta.currentObj = tracker.wrap('obj', obj);
+    meta.instancesById = tracker.wrap('ids', instancesById);
+    meta.env = tracker.wrap('env', process.env);
+    return compiled(tracker.wrap('ctx', context), { data: { _terrible: meta } });
+  }
 
   return compiled(context, { data: { _terrible: meta } });
 }
 
+const hashContent = (content) => crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+
+// Collect partial names referenced by a template AST; '*' marks a dynamic (computed) reference.
+function partialRefs(ast) {
+  const refs = new Set();
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    if (node.type === 'PartialStatement' || node.type === 'PartialBlockStatement') {
+      const name = node.name || {};
+      if (name.type === 'PathExpression') {
+        if (!name.data) refs.add(name.original);
+      } else if (name.type === 'StringLiteral' || name.type === 'NumberLiteral') {
+        refs.add(String(name.value));
+      } else {
+        refs.add('*');
+      }
+    }
+    if (node.path && node.path.original === 'partial_exists') {
+      const [first] = node.params || [];
+      refs.add(first && first.type === 'StringLiteral' ? first.value : '*');
+    }
+    Object.keys(node).forEach(key => {
+      if (key !== 'loc') visit(node[key]);
+    });
+  };
+  visit(ast);
+  return refs;
+}
+
+// Current content hash for a partial name (null when missing); '*' hashes every partial.
+function partialHashIndex(templates) {
+  const contentByPartial = new Map(Object.entries(templates).map(([key, content]) => [partialNameFor(key), content]));
+  const hashes = new Map();
+  const hashFor = (name) => {
+    if (!hashes.has(name)) {
+      if (name === '*') {
+        const all = Array.from(contentByPartial.entries()).sort(([a], [b]) => (a < b ? -1 : 1));
+        hashes.set(name, hashContent(all.map(([key, content]) => `${key}\0${content}`).join('\0')));
+      } else {
+        const content = contentByPartial.get(name);
+        hashes.set(name, content === undefined ? null : hashContent(content));
+      }
+    }
+    return hashes.get(name);
+  };
+  return { hashFor, contentFor: (name) => contentByPartial.get(name) };
+}
+
+/**
+ * Content hash and transitive partial dependencies of a template, for incremental builds.
+ * Returns { templateHash, partials: { name: sha256 | null } } where null marks a missing partial and
+ * the '*' entry (dynamic partial names) hashes every partial. Returns null when the template does not parse.
+ */
+function templateDependencies(templateKey, templates, index = partialHashIndex(templates)) {
+  const partials = {};
+  const pending = [templates[templateKey]];
+  try {
+    while (pending.length) {
+      partialRefs(Handlebars.parse(pending.pop())).forEach(name => {
+        if (Object.prototype.hasOwnProperty.call(partials, name)) {
+          return;
+        }
+        partials[name] = index.hashFor(name);
+        const content = name === '*' ? undefined : index.contentFor(name);
+        if (content !== undefined) pending.push(content);
+      });
+    }
+  } catch (_err) {
+    return null;
+  }
+  return { templateHash: hashContent(templates[templateKey]), partials };
+}
+
 // Resolve an output path for a template, enforcing build-root safety.
 function resolveOutputPath(templateKey, filename, buildDir, log) {
   const normalizedFilename = filename.replace(/\\/g, '/');
@@ -165,4 +278,4 @@ function resolveOutputPath(templateKey, filename, buildDir, log) {
 
 registerHelpers(handlebars, { metaFromOptions, resolveOutputPath });
 
-module.exports = { loadTemplates, renderTemplate, resolveOutputPath };
+module.exports = { loadTemplates, renderContext, renderTemplate, resolveOutputPath, partialHashIndex, templateDependencies };
@@ -3,10 +3,15 @@
 const path = require('path');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
-const { runBuild, runClassesBuild, runInstancesBuild, runValidate } = require('./build');
+const { runBuild, runClassesBuild, runExplain, runInstancesBuild, runValidate } = require('./build');
 const { asArray } = require('./core/object_utils');
+const { PACKAGE_FORMATS } = require('./packaging');
+const { runWatch } = require('./watch');
+const { runServe } = require('./serve');
+const { runDiff } = require('./diff');
 
 const repoRoot = path.join(__dirname, '..');
+const repoDefaultsDir = path.join(repoRoot, 'defaults');
 
 // --- Shared option definitions ---
 const sharedBuildOptions = {
@@ -14,21 +19,45 @@ const sharedBuildOptions = {
   'build-name': { type: 'string', describe: 'Build directory name under the build root' },
   'build-dir': { type: 'string', describe: 'Full build directory path (overrides build-root/name)' },
   hash: { type: 'boolean', default: true, describe: 'Include hash suffix when auto-naming (use --no-hash to disable)' },
+  'content-hash': { type: 'boolean', default: false, describe: 'Derive the stack hash from normalized input file contents and the tool version instead of directory paths' },
   quiet: { type: 'boolean', default: false, describe: 'Suppress non-error output' }
 };
 
+const defaultsOption = { alias: 'd', type: 'string', default: repoDefaultsDir, defaultDescription: '<repo>/defaults', describe: 'Defaults layer merged first for classes, instances, global and templates (use --no-defaults to disable)' };
 const stackOption = { alias: 's', type: 'array', describe: 'Stack directory (repeatable)' };
 const classesFromOption = { type: 'array', describe: 'Directories to source classes from' };
 const instancesFromOption = { type: 'array', describe: 'Directories to source instances from' };
 const warningsAsErrorsOption = { type: 'boolean', default: false, describe: 'Treat validation warnings as errors' };
 const warnExtraFieldsOption = { type: 'boolean', default: false, describe: 'Warn when instances carry undeclared fields' };
 
+// Options shared by the long-running commands (watch, serve).
+const watchOptions = (y) =>
+  y
+    .positional('stacks', { describe: 'Stack directories (shorthand for both sources)', type: 'string' })
+    .option('stack', { ...stackOption, describe: 'Stack directory (repeatable, shorthand for both sources)' })
+    .option('classes-from', classesFromOption)
+    .option('instances-from', instancesFromOption)
+    .option('templates-from', { type: 'array', describe: 'Directories to source templates from (defaults to union of class/instance sources)' })
+    .option('defaults', defaultsOption)
+    .option('build-root', sharedBuildOptions['build-root'])
+    .option('build-name', sharedBuildOptions['build-name'])
+    .option('build-dir', sharedBuildOptions['build-dir'])
+    .option('hash', sharedBuildOptions.hash)
+    .option('quiet', sharedBuildOptions.quiet)
+    .option('warnings-as-errors', warningsAsErrorsOption)
+    .option('warn-extra-fields', warnExtraFieldsOption)
+    .option('fail-on-collisions', { type: 'boolean', default: false, describe: 'Treat duplicate output paths as fatal' })
+    .option('debounce', { type: 'number', default: 100, describe: 'Milliseconds to wait for further changes before rebuilding' })
+    .option('output', { alias: 'o', type: 'array', default: ['canonical', 'class-definitions', 'schemas', 'validation', 'templates'], describe: 'Output types (comma-separated or repeatable)' });
+
 // --- Helpers ---
 const parseOutputs = (outputArg) => {
   if (!outputArg) return new Set();
   return new Set(asArray(outputArg).flatMap(o => o.split(',')));
 };
 
+const getDefaultsDir = (argv) => (argv.defaults === false ? null : argv.defaults);
+
 const getCombinedStacks = (argv) => [...asArray(argv.stack), ...asArray(argv.stacks)].filter(Boolean);
 
 const requireDirs = (dirs, label, altHint) => {
@@ -39,12 +68,58 @@ const requireDirs = (dirs, label, altHint) => {
   return dirs;
 };
 
+// One diff side: an existing build dir, or source options (side-specific options win over shared ones).
+const getDiffSide = (argv, side) => {
+  const buildDir = argv[side];
+  if (buildDir) return { buildDir };
+
+  const stacks = asArray(argv[`${side}-stack`]).filter(Boolean);
+  const sideStacks = stacks.length ? stacks : getCombinedStacks(argv);
+  const hint = `a ${side} build dir, --${side}-stack or --stack`;
+  return {
+    classDirs: requireDirs(argv[`${side}-classes-from`] || argv['classes-from'] || (sideStacks.length ? sideStacks : null), `--${side}-classes-from`, hint),
+    instanceDirs: requireDirs(argv[`${side}-instances-from`] || argv['instances-from'] || (sideStacks.length ? sideStacks : null), `--${side}-instances-from`, hint),
+    templateDirs: argv[`${side}-templates-from`] || argv['templates-from']
+  };
+};
+
+// runBuild options plus debounce for watch and serve.
+const getWatchOptions = (argv) => {
+  const stacks = getCombinedStacks(argv);
+  const classDirs = requireDirs(argv['classes-from'] || (stacks.length ? stacks : null), '--classes-from', '--stack');
+  const instanceDirs = requireDirs(argv['instances-from'] || (stacks.length ? stacks : null), '--instances-from', '--stack');
+
+  return {
+    classDirs,
+    instanceDirs,
+    templateDirs: argv['templates-from'],
+    outputs: parseOutputs(argv.output),
+    buildRoot: argv['build-root'],
+    buildDir: argv['build-dir'],
+    buildName: argv['build-name'],
+    includeHash: argv.hash !== false,
+    warningsAsErrors: argv['warnings-as-errors'],
+    warnExtraFields: argv['warn-extra-fields'],
+    failOnCollisions: argv['fail-on-collisions'],
+    defaultsDir: getDefaultsDir(argv),
+    debounceMs: argv.debounce,
+    quiet: argv.quiet
+  };
+};
+
 const parser = yargs(hideBin(process.argv))
   .scriptName('terrible')
   .usage('Usage: terrible <command> [options]')
   .example('terrible build stacks/recipes', 'Build a single stack')
   .example('terrible build --stack stacks/a --stack stacks/b', 'Build multiple stacks')
   .example('terrible build --classes-from stacks/schemas --instances-from stacks/data', 'Separate sources')
+  .example('terrible build stacks/recipes --package tar.gz', 'Build and package the build dir')
+  .example('terrible build stacks/recipes --incremental', 'Re-render only changed outputs')
+  .example('terrible watch stacks/recipes', 'Rebuild on every source change')
+  .example('terrible serve stacks/recipes --port 8080', 'Preview the build with live reload')
+  .example('terrible diff build/dev build/prod', 'Compare two existing builds')
+  .example('terrible diff --classes-from stacks/app/common --left-instances-from stacks/app/dev --right-instances-from stacks/app/prod', 'Compare two source combinations')
+  .example('terrible explain web /port --stack stacks/app', 'Show which files set a field')
   .example('terrible validate stacks/mystack', 'Validate without rendering')
   .example('terrible classes stacks/schemas', 'Build class definitions only')
   .command(
@@ -57,11 +132,28 @@ const parser = yargs(hideBin(process.argv))
         .option('classes-from', classesFromOption)
         .option('instances-from', instancesFromOption)
         .option('templates-from', { type: 'array', describe: 'Directories to source templates from (defaults to union of class/instance sources)' })
+        .option('defaults', defaultsOption)
         .options(sharedBuildOptions)
         .option('warnings-as-errors', warningsAsErrorsOption)
         .option('warn-extra-fields', warnExtraFieldsOption)
         .option('fail-on-collisions', { type: 'boolean', default: false, describe: 'Treat duplicate output paths as fatal' })
-        .option('output', { alias: 'o', type: 'array', default: ['canonical', 'class-definitions', 'schemas', 'validation', 'templates'], describe: 'Output types (comma-separated or repeatable)' })
+        .option('incremental', { type: 'boolean', default: false, describe: 'Keep the build dir and re-render only outputs whose template, partials or read data changed' })
+        .option('package', { type: 'string', choices: PACKAGE_FORMATS, describe: 'Package the build dir into a deterministic archive' })
+        .option('package-file', { type: 'string', describe: 'Archive path (default: <build-dir>.<format> beside the build dir)' })
+        .option('output', { alias: 'o', type: 'array', default: ['canonical', 'class-definitions', 'schemas', 'validation', 'templates'], describe: 'Output types (comma-separated or repeatable; add manifest for meta/manifest.json, provenance for meta/provenance.json)' })
+  )
+  .command(
+    'watch [stacks..]',
+    'Build, then rebuild incrementally whenever classes, instances, templates or global.json change',
+    watchOptions
+  )
+  .command(
+    'serve [stacks..]',
+    'Serve the build dir on localhost, rebuilding on source changes and live-reloading open pages',
+    (y) =>
+      watchOptions(y)
+        .option('port', { alias: 'p', type: 'number', default: 4000, describe: 'Port to listen on (0 picks a free port)' })
+        .option('host', { type: 'string', default: '127.0.0.1', describe: 'Interface to bind' })
   )
   .command(
     'classes [stacks..]',
@@ -71,6 +163,7 @@ const parser = yargs(hideBin(process.argv))
         .positional('stacks', { describe: 'Stack directories to source classes from', type: 'string' })
         .option('stack', stackOption)
         .option('classes-from', { ...classesFromOption, describe: 'Directories to source classes from (alternative to --stack)' })
+        .option('defaults', defaultsOption)
         .options(sharedBuildOptions)
         .option('output', { alias: 'o', type: 'array', default: ['canonical', 'class-definitions', 'schemas'], describe: 'Output types: canonical, class-definitions, schemas' })
   )
@@ -82,9 +175,48 @@ const parser = yargs(hideBin(process.argv))
         .positional('stacks', { describe: 'Stack directories to source instances from', type: 'string' })
         .option('stack', stackOption)
         .option('instances-from', { ...instancesFromOption, describe: 'Stack roots to source instances from (defaults to --stack order)' })
+        .option('defaults', defaultsOption)
         .options(sharedBuildOptions)
         .option('output', { alias: 'o', type: 'array', default: ['canonical'], describe: 'Output types: canonical, instances' })
   )
+  .command(
+    'diff [left] [right]',
+    'Compare two builds: instances, classes, schema properties and rendered outputs',
+    (y) =>
+      ['left', 'right'].reduce(
+        (acc, side) => acc
+          .option(`${side}-stack`, { type: 'array', describe: `Stack directory for the ${side} side (repeatable)` })
+          .option(`${side}-classes-from`, { type: 'array', describe: `Class sources for the ${side} side` })
+          .option(`${side}-instances-from`, { type: 'array', describe: `Instance sources for the ${side} side` })
+          .option(`${side}-templates-from`, { type: 'array', describe: `Template sources for the ${side} side` }),
+        y
+          .positional('left', { describe: 'Existing build dir for the left side (instead of left source options)', type: 'string' })
+          .positional('right', { describe: 'Existing build dir for the right side (instead of right source options)', type: 'string' })
+          .option('stack', { ...stackOption, describe: 'Stack directory used by both sides unless overridden (repeatable)' })
+          .option('classes-from', { ...classesFromOption, describe: 'Class sources used by both sides unless overridden' })
+          .option('instances-from', { ...instancesFromOption, describe: 'Instance sources used by both sides unless overridden' })
+          .option('templates-from', { type: 'array', describe: 'Template sources used by both sides unless overridden' })
+      )
+        .option('defaults', defaultsOption)
+        .option('format', { type: 'string', choices: ['text', 'json'], default: 'text', describe: 'Report format' })
+        .option('context', { type: 'number', default: 3, describe: 'Context lines in output diffs' })
+        .option('exit-code', { type: 'boolean', default: false, describe: 'Exit with status 1 when the sides differ' })
+        .option('quiet', { type: 'boolean', default: false, describe: 'Suppress non-error output' })
+  )
+  .command(
+    'explain <id> [path]',
+    'Show which file set each field of an instance (or class) and what it overrode',
+    (y) =>
+      y
+        .positional('id', { describe: 'Instance id (or class name with --class)', type: 'string' })
+        .positional('path', { describe: 'Field path as a JSON Pointer (/a/b) or dot path (a.b); omit for every field', type: 'string', default: '' })
+        .option('stack', { ...stackOption, describe: 'Stack directory (repeatable, shorthand for both sources)' })
+        .option('classes-from', classesFromOption)
+        .option('instances-from', instancesFromOption)
+        .option('defaults', defaultsOption)
+        .option('class', { type: 'boolean', default: false, describe: 'Explain a resolved class instead of an instance' })
+        .option('format', { type: 'string', choices: ['text', 'json'], default: 'text', describe: 'Report format' })
+  )
   .command(
     'validate [stacks..]',
     'Validate instances against classes without rendering',
@@ -94,6 +226,7 @@ const parser = yargs(hideBin(process.argv))
         .option('stack', { ...stackOption, describe: 'Stack directory (repeatable, shorthand for both sources)' })
         .option('classes-from', classesFromOption)
         .option('instances-from', instancesFromOption)
+        .option('defaults', defaultsOption)
         .option('warnings-as-errors', warningsAsErrorsOption)
         .option('warn-extra-fields', warnExtraFieldsOption)
         .option('quiet', { type: 'boolean', default: false, describe: 'Suppress non-error output' })
@@ -138,22 +271,57 @@ if (command === 'build') {
     buildDir: argv['build-dir'],
     buildName: argv['build-name'],
     includeHash: argv.hash !== false,
+    contentHash: argv['content-hash'],
     warningsAsErrors: argv['warnings-as-errors'],
     warnExtraFields: argv['warn-extra-fields'],
     failOnCollisions: argv['fail-on-collisions'],
+    incremental: argv.incremental,
+    packageFormat: argv.package,
+    packageFile: argv['package-file'],
+    defaultsDir: getDefaultsDir(argv),
     quiet: argv.quiet
   });
+} else if (command === 'watch') {
+  runWatch(getWatchOptions(argv));
+} else if (command === 'serve') {
+  runServe({ ...getWatchOptions(argv), port: argv.port, host: argv.host });
+} else if (command === 'diff') {
+  runDiff({
+    left: getDiffSide(argv, 'left'),
+    right: getDiffSide(argv, 'right'),
+    defaultsDir: getDefaultsDir(argv),
+    format: argv.format,
+    context: argv.context,
+    exitCode: argv['exit-code'],
+    quiet: argv.quiet
+  });
+} else if (command === 'explain') {
+  const stacks = getCombinedStacks(argv);
+  const classDirs = requireDirs(argv['classes-from'] || (stacks.length ? stacks : null), '--classes-from', '--stack');
+  const instanceDirs = requireDirs(argv['instances-from'] || (stacks.length ? stacks : null), '--instances-from', '--stack');
+
+  runExplain({
+    classDirs,
+    instanceDirs,
+    defaultsDir: getDefaultsDir(argv),
+    id: argv.id,
+    path: argv.path,
+    kind: argv.class ? 'classes' : 'instances',
+    format: argv.format
+  });
 } else if (command === 'classes') {
   const stacks = getCombinedStacks(argv);
   const classDirs = requireDirs(argv['classes-from'] || (stacks.length ? stacks : null), '--classes-from', '--stack');
 
   runClassesBuild({
     classDirs,
+    defaultsDir: getDefaultsDir(argv),
     outputs: parseOutputs(argv.output),
     buildRoot: argv['build-root'],
     buildDir: argv['build-dir'],
     buildName: argv['build-name'],
     includeHash: argv.hash !== false,
+    contentHash: argv['content-hash'],
     quiet: argv.quiet
   });
 } else if (command === 'instances') {
@@ -162,11 +330,13 @@ if (command === 'build') {
 
   runInstancesBuild({
     instanceDirs,
+    defaultsDir: getDefaultsDir(argv),
     outputs: parseOutputs(argv.output),
     buildRoot: argv['build-root'],
     buildDir: argv['build-dir'],
     buildName: argv['build-name'],
     includeHash: argv.hash !== false,
+    contentHash: argv['content-hash'],
     quiet: argv.quiet
   });
 } else if (command === 'validate') {
@@ -177,6 +347,7 @@ if (command === 'build') {
   runValidate({
     classDirs,
     instanceDirs,
+    defaultsDir: getDefaultsDir(argv),
     outputs: parseOutputs(argv.output),
     warningsAsErrors: argv['warnings-as-errors'],
     warnExtraFields: argv['warn-extra-fields'],
@@ -1,5 +1,13 @@
-const Ajv = require('ajv');
 const { createIssueCollector } = require('./issue_collector');
+const { classInheritsFrom, classMro, classNames } = require('./core/canonical_helpers');
+const { instanceRefs } = require('./core/refs');
+const { checkRules } = require('./core/rules');
+const { deepMerge } = require('./core/merge_utils');
+const { jsonPointer } = require('./core/diff_utils');
+const { parsePointer } = require('./core/patch_utils');
+const { RESERVED_CLASS_KEYS } = require('./core/build_helpers');
+const { classSchemaId, createRefResolver, createSchemaRegistry } = require('./schema_registry');
+const { issueCodeFor } = require('./validation_extensions');
 
 // Format an Ajv error into a concise string.
 function formatAjvError(err) {
@@ -53,51 +61,155 @@ function collectExtraFields(obj, schema, basePath = '') {
   return extras;
 }
 
-// Validate stack objects against embedded class schemas.
-// - resolvedClasses: Map<string, object> with merged class definitions (including optional schema).
-// - options: { warningsAsErrors: boolean, warnExtraFields: boolean, log }
-function validateStack(stackObjects, resolvedClasses, options = {}) {
-  const { warningsAsErrors = false, warnExtraFields = false, log } = options;
-  const ajv = new Ajv({ allErrors: true, strict: false });
+// Ajv validators for class schemas, compiled once per class from the build's schema registry
+// (schemas: { draft, shared, formats, keywords } from loadSchemaSet), so class schemas can $ref each other and shared
+// schemas. A class without a schema gets null, as does one whose schema Ajv rejects.
+// One set serves every check of a build (class defaults, then instances), so problems are recorded
+// rather than reported: getValidator.listen(onInvalid, onWarning) replays those so far, forwards
+// later ones, and returns a function that stops forwarding. onInvalid(className, err) hears about a
+// rejected class schema, onInvalid(null, err, id) a shared one; onWarning(className, message) what
+// Ajv warns about while compiling a class's schema. getValidator.resolvedClasses is the Map it
+// was built for.
+function createClassValidators(resolvedClasses, schemas = {}) {
+  const problems = [];
+  const listeners = new Set();
+  const record = (problem) => {
+    problems.push(problem);
+    listeners.forEach(listener => listener(problem));
+  };
+  let compiling = null;
+  const ajv = createSchemaRegistry(resolvedClasses, schemas, (...args) => record({ invalid: args }), message => record({ warning: [compiling, message] }));
   const validators = new Map();
-  const collector = options.issues || createIssueCollector({ log, warningsAsErrors });
-
   const getValidator = (className) => {
     if (validators.has(className)) {
       return validators.get(className);
     }
-    const def = resolvedClasses.get(className);
-    if (!def || !def.schema) {
-      validators.set(className, null);
-      return null;
-    }
+    let validate = null;
+    compiling = className;
     try {
-      const validate = ajv.compile(def.schema);
-      validators.set(className, validate);
-      return validate;
+      validate = ajv.getSchema(classSchemaId(className)) || null;
     } catch (err) {
-      collector.error(`Invalid schema for class '${className}': ${err.message}`, {
-        code: 'schema_invalid',
-        class: className
-      });
-      validators.set(className, null);
-      return null;
+      record({ invalid: [className, err] });
+    } finally {
+      compiling = null;
     }
+    validators.set(className, validate);
+    return validate;
+  };
+  getValidator.resolvedClasses = resolvedClasses;
+  getValidator.listen = (onInvalid = () => {}, onWarning = () => {}) => {
+    const listener = ({ invalid, warning }) => (invalid ? onInvalid(...invalid) : onWarning(...warning));
+    problems.forEach(listener);
+    listeners.add(listener);
+    return () => listeners.delete(listener);
   };
+  return getValidator;
+}
+
+// JSON Pointer to the value an Ajv error is about (the extra key for additionalProperties).
+function errorPath(err) {
+  const segments = parsePointer(err.instancePath || '');
+  return jsonPointer(err.keyword === 'additionalProperties' ? [...segments, err.params.additionalProperty] : segments);
+}
 
-  const maybeWarnExtra = (obj, def) => {
+const valueAtPointer = (value, pointer) => parsePointer(pointer).reduce((node, key) => (node !== null && typeof node === 'object' ? node[key] : undefined), value);
+
+/**
+ * Defaults a resolved class sets that its own merged schema rejects. Defaults are partial data, so
+ * missing `required` fields and other constraints on the whole object are not checked (unknown keys
+ * under `additionalProperties: false` are), and reserved keys (`class`, `parent`, ...) are skipped.
+ * @param {Function} validate - Compiled validator for the class schema
+ * @param {Object} classDef - Resolved class
+ * @returns {Array<{path: string, keyword: string, message: string, value: *}>} path is a JSON Pointer
+ */
+function classDefaultErrors(validate, classDef) {
+  const defaults = Object.fromEntries(Object.entries(classDef || {}).filter(([key, value]) => !RESERVED_CLASS_KEYS.has(key) && value != null));
+  try {
+    if (!validate || validate(defaults)) {
+      return [];
+    }
+  } catch (_err) {
+    // A stack keyword that throws is reported when instances are validated.
+    return [];
+  }
+  return (validate.errors || [])
+    .filter(err => err.keyword !== 'required' && (err.instancePath || err.keyword === 'additionalProperties'))
+    .map(err => {
+      const path = errorPath(err);
+      return { path, keyword: err.keyword, message: formatAjvError({ ...err, instancePath: path }), value: valueAtPointer(defaults, path) };
+    });
+}
+
+// Validate stack objects against embedded class schemas.
+// - resolvedClasses: Map<string, object> with merged class definitions (including optional schema).
+// - options: { warningsAsErrors: boolean, warnExtraFields: boolean, log, schemas, rules }
+//   schemas: { draft, shared, formats, keywords, validators } from loadResolvedClasses (draft-07,
+//   the built-in formats, and no shared schemas without it). Its validators are reused when built
+//   for the same resolvedClasses (load hooks can replace them). Failed formats and stack keywords
+//   are reported under their own codes (schema_format, schema_keyword, or the code their
+//   definition names).
+//   rules: stack-wide rules from rules/ files ({ rule, source, path }, see core/rules.js), checked
+//   with `global.rules` after the objects themselves.
+function validateStack(stackObjects, resolvedClasses, options = {}) {
+  const { warningsAsErrors = false, warnExtraFields = false, log, schemas, rules = [] } = options;
+  const collector = options.issues || createIssueCollector({ log, warningsAsErrors });
+
+  const schemaWarnings = new Set();
+  const getValidator = schemas && schemas.validators && schemas.validators.resolvedClasses === resolvedClasses
+    ? schemas.validators
+    : createClassValidators(resolvedClasses, schemas);
+  const stopListening = getValidator.listen((className, err, sharedId) => {
+    if (!className) {
+      collector.error(`Invalid shared schema '${sharedId}': ${err.message}`, { code: 'schema_invalid', schema: sharedId });
+      return;
+    }
+    collector.error(`Invalid schema for class '${className}': ${err.message}`, {
+      code: 'schema_invalid',
+      class: className
+    });
+  }, (className, message) => {
+    const key = `${className}\n${message}`;
+    if (schemaWarnings.has(key)) {
+      return;
+    }
+    schemaWarnings.add(key);
+    const unknownFormat = /^unknown format "(.*)" ignored in schema at path "(.*)"$/.exec(message);
+    collector.add(warningsAsErrors ? 'error' : 'warn', `Schema for class '${className}': ${message}`, unknownFormat
+      ? { code: 'schema_format_unknown', class: className, format: unknownFormat[1], schemaPath: unknownFormat[2] }
+      : { code: 'schema_warning', class: className });
+  });
+
+  // Invalid class defaults are reported once by the class loader (class_default_invalid); an
+  // instance still holding such a default is not reported again.
+  const defaultErrors = new Map();
+  const inheritsInvalidDefault = (obj, className, err) => {
+    if (!defaultErrors.has(className)) {
+      defaultErrors.set(className, classDefaultErrors(getValidator(className), resolvedClasses.get(className)));
+    }
+    const path = errorPath(err);
+    return defaultErrors.get(className).some(entry => entry.path === path
+      && entry.keyword === err.keyword
+      && JSON.stringify(entry.value) === JSON.stringify(valueAtPointer(obj, path)));
+  };
+
+  // A field is extra when none of the object's classes declares it.
+  const maybeWarnExtra = (obj, names) => {
     if (!warnExtraFields) {
       return;
     }
-    if (!def || !def.schema || typeof def.schema !== 'object') {
+    const schemas = names
+      .map(name => resolvedClasses.get(name))
+      .filter(def => def && def.schema && typeof def.schema === 'object')
+      .map(def => def.schema);
+    if (!schemas.length) {
       return;
     }
-    const extras = collectExtraFields(obj, def.schema);
+    const extras = collectExtraFields(obj, schemas.reduce((acc, schema) => deepMerge(acc, schema)));
     if (!extras.length) {
       return;
     }
     const level = warningsAsErrors ? 'error' : 'warn';
-    collector.add(level, `Extra fields for '${obj.id}' (class '${obj.class}'): ${extras.join(', ')}`, {
+    collector.add(level, `Extra fields for '${obj.id}' (class '${names.join(', ')}'): ${extras.join(', ')}`, {
       code: 'extra_fields',
       class: obj.class,
       id: obj.id,
@@ -105,32 +217,97 @@ function validateStack(stackObjects, resolvedClasses, options = {}) {
     });
   };
 
+  // x-ref fields must name an existing instance that inherits from the declared class.
+  const resolveRef = createRefResolver(resolvedClasses, schemas);
+  const instancesById = new Map(stackObjects.filter(obj => obj && obj.id && obj.id !== 'global').map(obj => [obj.id, obj]));
+  const checkRefs = (obj, level) => {
+    instanceRefs(obj, resolvedClasses, resolveRef).forEach(ref => {
+      const target = instancesById.get(ref.target);
+      const meta = { id: obj.id, class: obj.class, instancePath: ref.path, target: ref.target, expectedClass: ref.class };
+      if (!target) {
+        collector.add(level, `Reference ${ref.path} in '${obj.id}' names unknown instance '${ref.target}'`, { code: 'unknown_ref', ...meta });
+      } else if (ref.class && !classInheritsFrom(classes, target.class, ref.class)) {
+        collector.add(level, `Reference ${ref.path} in '${obj.id}' names '${ref.target}' (class '${classNames(target.class).join(', ')}'), which does not inherit from '${ref.class}'`, {
+          code: 'ref_class_mismatch',
+          ...meta,
+          targetClass: target.class
+        });
+      }
+    });
+  };
+
+  // Every schema an object answers to: each listed class's merged schema (several for mixins), then
+  // the merged schemas of their ancestors, each once. A child schema can loosen what a parent
+  // requires (schema_incompatible); the ancestor's own schema still applies to the object.
+  const classes = Object.fromEntries(resolvedClasses);
+  const mroMemo = new Map();
+  const schemaClassesFor = (names) => {
+    const ancestors = names.flatMap(name => classMro(classes, name, mroMemo).slice(1).map(ancestor => ({ name, ancestor })));
+    const seen = new Set(names);
+    return [
+      ...names.map(name => ({ name, ancestor: null })),
+      ...ancestors.filter(entry => !seen.has(entry.ancestor) && seen.add(entry.ancestor))
+    ];
+  };
+
   stackObjects
     .filter(obj => obj && obj.class)
     .forEach(obj => {
-      const validator = getValidator(obj.class);
-      if (!validator) {
-        return;
-      }
-      const ok = validator(obj);
-      if (ok) {
-        maybeWarnExtra(obj, resolvedClasses.get(obj.class));
-        return;
-      }
+      const names = classNames(obj.class);
       const level = warningsAsErrors ? 'error' : 'warn';
-      (validator.errors || []).forEach(err => {
-      collector.add(level, `Schema validation ${level === 'error' ? 'failed' : 'warning'} for '${obj.id}' (class '${obj.class}'): ${formatAjvError(err)}`, {
-        code: 'schema_validation',
-        class: obj.class,
-        id: obj.id,
-          keyword: err.keyword,
-          instancePath: err.instancePath
+      // An error several schemas share (an inherited constraint) is reported for the first only.
+      const reported = new Set();
+      schemaClassesFor(names).forEach(({ name, ancestor }) => {
+        const schemaClass = ancestor || name;
+        const validator = getValidator(schemaClass);
+        // Checked as an instance of that class, so a schema's `class` const still holds.
+        const subject = { ...obj, class: schemaClass };
+        try {
+          if (!validator || validator(subject)) {
+            return;
+          }
+        } catch (err) {
+          collector.error(`Schema validation of '${obj.id}' (class '${schemaClass}') threw: ${err.message}`, {
+            code: 'schema_keyword_failed',
+            class: name,
+            ...(ancestor ? { ancestor } : {}),
+            id: obj.id
+          });
+          return;
+        }
+        (validator.errors || []).filter(err => !inheritsInvalidDefault(subject, schemaClass, err)).forEach(err => {
+          const key = [errorPath(err), err.keyword, err.message].join('\n');
+          if (reported.has(key)) {
+            return;
+          }
+          reported.add(key);
+          const label = ancestor ? `class '${name}', ancestor schema '${ancestor}'` : `class '${name}'`;
+          collector.add(level, `Schema validation ${level === 'error' ? 'failed' : 'warning'} for '${obj.id}' (${label}): ${formatAjvError(err)}`, {
+            code: issueCodeFor(err, schemas),
+            class: name,
+            ...(ancestor ? { ancestor } : {}),
+            id: obj.id,
+            keyword: err.keyword,
+            ...(err.keyword === 'format' ? { format: err.params.format } : {}),
+            instancePath: err.instancePath
+          });
         });
       });
-      maybeWarnExtra(obj, resolvedClasses.get(obj.class));
+      checkRefs(obj, level);
+      maybeWarnExtra(obj, names);
     });
 
+  // Like rule files, `global.rules` holds a rule or a list of rules.
+  const global = stackObjects.find(obj => obj && obj.id === 'global');
+  const globalRules = global && global.rules !== undefined
+    ? (Array.isArray(global.rules) ? global.rules : [global.rules]).map((rule, index) => ({ rule, source: 'global', path: Array.isArray(global.rules) ? `/rules/${index}` : '/rules' }))
+    : [];
+  checkRules(stackObjects, resolvedClasses, [...rules, ...globalRules], resolveRef).forEach(({ level, message, ...meta }) => {
+    collector.add(level === 'warn' && warningsAsErrors ? 'error' : level, message, meta);
+  });
+  stopListening();
+
   return { issues: collector.list(), hasErrors: collector.hasErrors() };
 }
 
-module.exports = { validateStack };
+module.exports = { classDefaultErrors, createClassValidators, validateStack };
@@ -0,0 +1,167 @@
+'use strict';
+
+const path = require('path');
+const { scanDir } = require('./core/fs_utils');
+const { BUILTIN_FORMATS } = require('./core/formats');
+
+// Stack-provided formats and keywords for schema validation: every `.js` module under a stack
+// root's `validation/` directory (later roots override the same relative path) may export
+//   formats:  { name: RegExp | (value) => boolean | { validate, type?, code? } }
+//   keywords: { name: <Ajv keyword definition> (plus an optional `code`) } or an array of
+//             definitions naming their `keyword`
+// Later definitions replace earlier ones and the built-in formats (see core/formats.js). `code` is
+// the issue code validation failures are reported under.
+
+const DEFAULT_FORMAT_CODE = 'schema_format';
+const DEFAULT_KEYWORD_CODE = 'schema_keyword';
+const FORMAT_TYPES = Object.freeze(['string', 'number']);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Load a module fresh from disk (bypassing the require cache) so rebuilds see edits.
+function loadModule(filePath) {
+  const resolved = require.resolve(filePath);
+  delete require.cache[resolved];
+  return require(resolved);
+}
+
+function discoverModuleFiles(roots) {
+  const files = new Map();
+  roots.forEach(root => {
+    const dir = path.join(root, 'validation');
+    scanDir(dir, { pattern: '**/*.js' }).forEach(filePath => {
+      const name = path.relative(dir, filePath).replace(/\\/g, '/');
+      files.delete(name);
+      files.set(name, filePath);
+    });
+  });
+  return Array.from(files.values());
+}
+
+// Format definition in Ajv's shape, or an error message.
+function normalizeFormat(def) {
+  const spec = def instanceof RegExp || typeof def === 'function' ? { validate: def } : def;
+  if (!isObject(spec) || !(spec.validate instanceof RegExp || typeof spec.validate === 'function')) {
+    return { error: 'expected a RegExp, a function, or { validate, type, code }' };
+  }
+  if (spec.type !== undefined && !FORMAT_TYPES.includes(spec.type)) {
+    return { error: `type must be one of ${FORMAT_TYPES.join(', ')}` };
+  }
+  if (spec.code !== undefined && (typeof spec.code !== 'string' || !spec.code)) {
+    return { error: 'code must be a non-empty string' };
+  }
+  return { format: { type: spec.type || 'string', validate: spec.validate }, code: spec.code || DEFAULT_FORMAT_CODE };
+}
+
+const builtinFormats = () => new Map(Object.entries(BUILTIN_FORMATS).map(([name, validate]) => [name, { format: { type: 'string', validate }, code: DEFAULT_FORMAT_CODE, file: null }]));
+
+function keywordEntries(keywords) {
+  if (Array.isArray(keywords)) {
+    return keywords.map(def => [isObject(def) ? def.keyword : undefined, def]);
+  }
+  return Object.entries(keywords).map(([name, def]) => [name, isObject(def) ? { ...def, keyword: name } : def]);
+}
+
+/**
+ * Formats and keywords available to a build's schemas: the built-in formats, then each stack's
+ * validation/ modules in root order. A keyword definition is tried on a scratch Ajv of the build's
+ * draft first, so one Ajv rejects (a clash with a standard keyword, a bad definition) is a problem
+ * rather than a failed build.
+ * @param {string[]} roots - Stack roots (defaults layer first)
+ * @param {Function} AjvClass - Ajv constructor for the build's draft
+ * @returns {{formats: Map, keywords: Map, problems: Array<{code: string, message: string, file: string}>}}
+ *   formats by name ({format, code, file}); keywords by name ({definition, code, file}); file is
+ *   null for built-ins
+ */
+function loadValidationExtensions(roots, AjvClass) {
+  const formats = builtinFormats();
+  const keywords = new Map();
+  const problems = [];
+
+  discoverModuleFiles(roots).forEach(file => {
+    let mod;
+    try {
+      mod = loadModule(file);
+    } catch (err) {
+      problems.push({ code: 'validation_module_failed', message: `Failed to load validation module ${file}: ${err.message}`, file });
+      return;
+    }
+    const invalid = (message, meta) => problems.push({ code: 'validation_definition_invalid', message: `Validation module ${file}: ${message}`, file, ...meta });
+    if (!isObject(mod) || (mod.formats === undefined && mod.keywords === undefined)) {
+      invalid('must export formats and/or keywords');
+      return;
+    }
+
+    if (mod.formats !== undefined && !isObject(mod.formats)) {
+      invalid('formats must be an object keyed by format name');
+    } else {
+      Object.entries(mod.formats || {}).forEach(([name, def]) => {
+        const { error, format, code } = normalizeFormat(def);
+        if (error) invalid(`format '${name}': ${error}`, { format: name });
+        else formats.set(name, { format, code, file });
+      });
+    }
+
+    if (mod.keywords !== undefined && !isObject(mod.keywords) && !Array.isArray(mod.keywords)) {
+      invalid('keywords must be an object keyed by keyword name or an array of definitions');
+      return;
+    }
+    keywordEntries(mod.keywords || {}).forEach(([name, def]) => {
+      if (typeof name !== 'string' || !name || !isObject(def)) {
+        invalid(`keyword ${JSON.stringify(name)}: expected an Ajv keyword definition`, { keyword: name });
+        return;
+      }
+      const { code = DEFAULT_KEYWORD_CODE, ...definition } = def;
+      if (typeof code !== 'string' || !code) {
+        invalid(`keyword '${name}': code must be a non-empty string`, { keyword: name });
+        return;
+      }
+      try {
+        new AjvClass({ strict: false }).addKeyword(definition);
+      } catch (err) {
+        invalid(`keyword '${name}': ${err.message}`, { keyword: name });
+        return;
+      }
+      keywords.set(name, { definition, code, file });
+    });
+  });
+
+  return { formats, keywords, problems };
+}
+
+/**
+ * Add a build's formats and keywords (from loadValidationExtensions; the built-in formats without
+ * them) to an Ajv instance.
+ * @param {Object} ajv - Ajv instance
+ * @param {{formats?: Map, keywords?: Map}} extensions
+ * @returns {Object} ajv
+ */
+function applyValidationExtensions(ajv, { formats = builtinFormats(), keywords = new Map() } = {}) {
+  formats.forEach(({ format }, name) => ajv.addFormat(name, format));
+  keywords.forEach(({ definition }) => ajv.addKeyword(definition));
+  return ajv;
+}
+
+/**
+ * Issue code for an Ajv error: the code of the format or stack keyword that failed, or
+ * `schema_validation` for the standard keywords.
+ * @param {Object} err - Ajv error
+ * @param {{formats?: Map, keywords?: Map}} extensions
+ * @returns {string}
+ */
+function issueCodeFor(err, { formats = new Map(), keywords = new Map() } = {}) {
+  if (err.keyword === 'format') {
+    const entry = formats.get(err.params && err.params.format);
+    return entry ? entry.code : DEFAULT_FORMAT_CODE;
+  }
+  const entry = keywords.get(err.keyword);
+  return entry ? entry.code : 'schema_validation';
+}
+
+module.exports = {
+  DEFAULT_FORMAT_CODE,
+  DEFAULT_KEYWORD_CODE,
+  applyValidationExtensions,
+  issueCodeFor,
+  loadValidationExtensions
+};
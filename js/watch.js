@@ -0,0 +1,220 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const { runBuild } = require('./build');
+const { createLogger } = require('./logger');
+const { fmt } = require('./core/format');
+const { validateDirs, resolveDefaultsDir } = require('./stack_paths');
+const { displayPath } = require('./core/fs_utils');
+
+// Entries watched under each source root, by the role the root plays in the build.
+// hooks/ is watched everywhere because hook modules are reloaded on every build.
+const WATCHED_ENTRIES = Object.freeze({
+  classes: ['classes', 'schemas', 'validation', 'hooks'],
+  instances: ['instances', 'global.json', 'rules', 'hooks'],
+  templates: ['templates', 'hooks']
+});
+
+const MAX_LISTED = 10;
+
+// Map each source root to the entries that matter for it (a root can serve several roles).
+function watchTargets({ classDirs = [], instanceDirs = [], templateDirs = [], defaultsDir = null }) {
+  const targets = new Map();
+  const add = (dirs, role) => dirs.forEach(dir => {
+    if (!targets.has(dir)) targets.set(dir, new Set());
+    WATCHED_ENTRIES[role].forEach(entry => targets.get(dir).add(entry));
+  });
+  add(classDirs, 'classes');
+  add(instanceDirs, 'instances');
+  add(templateDirs, 'templates');
+  if (defaultsDir) {
+    Object.keys(WATCHED_ENTRIES).forEach(role => add([defaultsDir], role));
+  }
+  return targets;
+}
+
+// True when a root-relative path (from fs.watch) falls under one of the watched entries.
+function isWatchedPath(entries, relPath) {
+  const normalized = String(relPath || '').replace(/\\/g, '/');
+  return entries.has(normalized) || entries.has(normalized.split('/')[0]);
+}
+
+// Validation issues plus logged errors that are not issues (template, render, hook failures).
+function buildMessages(result) {
+  const messages = new Set(result.issues.map(issue => `${issue.level}: ${issue.message}`));
+  const issueMessages = new Set(result.issues.map(issue => issue.message));
+  result.errors.forEach(message => {
+    if (!issueMessages.has(message)) messages.add(`error: ${message}`);
+  });
+  return messages;
+}
+
+const outputHashes = (manifest) => new Map(manifest.map(entry => [entry.path, entry.sha256]));
+
+/**
+ * Compare two build results (runBuild return values).
+ * Issues are compared by level and message. Outputs are compared by path and sha256 against the
+ * previous successful render, and are not compared when `next` failed (nothing was rendered).
+ * @returns {{issues: {added: string[], resolved: string[]}, outputs: {added: string[], removed: string[], changed: string[]}|null}}
+ */
+function diffBuildResults(previous, next, previousManifest = previous ? previous.manifest : []) {
+  const before = previous ? buildMessages(previous) : new Set();
+  const after = buildMessages(next);
+  const issues = {
+    added: Array.from(after).filter(message => !before.has(message)),
+    resolved: Array.from(before).filter(message => !after.has(message))
+  };
+  if (!next.ok) {
+    return { issues, outputs: null };
+  }
+  const old = outputHashes(previousManifest || []);
+  const current = outputHashes(next.manifest);
+  const outputs = { added: [], removed: [], changed: [] };
+  current.forEach((hash, file) => {
+    if (!old.has(file)) outputs.added.push(file);
+    else if (old.get(file) !== hash) outputs.changed.push(file);
+  });
+  old.forEach((_hash, file) => {
+    if (!current.has(file)) outputs.removed.push(file);
+  });
+  Object.values(outputs).forEach(list => list.sort());
+  return { issues, outputs };
+}
+
+function listLines(items, marker, color) {
+  const lines = items.slice(0, MAX_LISTED).map(item => `    ${fmt(marker, color)} ${item}`);
+  if (items.length > MAX_LISTED) {
+    lines.push(`    ${fmt(`… ${items.length - MAX_LISTED} more`, 'dim')}`);
+  }
+  return lines;
+}
+
+/** Render a diffBuildResults result as compact, indented lines. */
+function formatBuildDiff(diff) {
+  const lines = [];
+  const { issues, outputs } = diff;
+  if (issues.added.length || issues.resolved.length) {
+    lines.push(`  issues: ${fmt(`+${issues.added.length}`, issues.added.length ? 'yellow' : 'dim')} ${fmt(`-${issues.resolved.length}`, issues.resolved.length ? 'green' : 'dim')}`);
+    lines.push(...listLines(issues.added, '+', 'yellow'), ...listLines(issues.resolved, '-', 'green'));
+  }
+  if (!outputs) {
+    lines.push(`  outputs: ${fmt('not rendered (build failed)', 'red')}`);
+  } else if (outputs.added.length || outputs.removed.length || outputs.changed.length) {
+    lines.push(`  outputs: ${outputs.changed.length} changed, ${outputs.added.length} added, ${outputs.removed.length} removed`);
+    lines.push(...listLines(outputs.changed, '~', 'cyan'), ...listLines(outputs.added, '+', 'green'), ...listLines(outputs.removed, '-', 'yellow'));
+  }
+  if (!lines.length) {
+    lines.push(`  ${fmt('no output or issue changes', 'dim')}`);
+  }
+  return lines;
+}
+
+/**
+ * Watch source roots and re-run the build pipeline in-process on change.
+ * Options are runBuild options plus `debounceMs` (default 100) and `onRebuild(summary)`, called after each
+ * build with { changes, result, diff, durationMs }. Builds are incremental and never exit the process.
+ * Returns { build(changes), start(), close() }; build() runs synchronously and returns the summary.
+ */
+function createWatcher(options = {}) {
+  const { debounceMs = 100, onRebuild, quiet = false, silent = false, ...buildOptions } = options;
+  const log = createLogger({ quiet, silent });
+  const watchers = [];
+  const pending = new Set();
+  let timer = null;
+  let previous = null;
+  let lastManifest = [];
+
+  function build(changes = []) {
+    const started = Date.now();
+    // The first build prints the usual pipeline log; rebuilds only print the compact summary below.
+    const result = runBuild({
+      ...buildOptions,
+      incremental: true,
+      exitOnError: false,
+      quiet: previous ? true : quiet,
+      silent: previous ? true : silent
+    });
+    const diff = diffBuildResults(previous, result, lastManifest);
+    const summary = { changes, result, diff, durationMs: Date.now() - started };
+    if (previous) {
+      const changed = changes.length ? `${changes[0]}${changes.length > 1 ? ` (+${changes.length - 1} more)` : ''}` : 'rebuild';
+      const status = result.ok ? fmt('ok', 'green') : fmt('failed', 'red');
+      log.info(`${fmt('↻', 'cyan')} ${changed} → ${status} in ${summary.durationMs}ms`);
+      formatBuildDiff(diff).forEach(line => log.info(line));
+    }
+    previous = result;
+    if (result.ok) {
+      lastManifest = result.manifest;
+    }
+    if (onRebuild) onRebuild(summary);
+    return summary;
+  }
+
+  function flush() {
+    timer = null;
+    const changes = Array.from(pending).sort();
+    pending.clear();
+    build(changes);
+  }
+
+  function start() {
+    const classDirs = validateDirs(buildOptions.classDirs, 'class').valid;
+    const instanceDirs = validateDirs(buildOptions.instanceDirs, 'instance').valid;
+    const templateDirs = buildOptions.templateDirs && buildOptions.templateDirs.length
+      ? validateDirs(buildOptions.templateDirs, 'template').valid
+      : [...new Set([...classDirs, ...instanceDirs])];
+    let defaultsDir = null;
+    try {
+      defaultsDir = resolveDefaultsDir(buildOptions.defaultsDir);
+    } catch (_err) {
+      // The build already reported the missing defaults dir.
+    }
+    watchTargets({ classDirs, instanceDirs, templateDirs, defaultsDir }).forEach((entries, root) => {
+      const watcher = fs.watch(root, { recursive: true }, (_event, filename) => {
+        if (!filename || !isWatchedPath(entries, filename)) {
+          return;
+        }
+        pending.add(displayPath(path.join(root, filename.toString())));
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(flush, debounceMs);
+      });
+      watchers.push(watcher);
+    });
+    log.info(`${fmt('Watching', 'cyan')} ${watchers.length} source roots for changes (Ctrl+C to stop)`);
+  }
+
+  function close() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    watchers.splice(0).forEach(watcher => watcher.close());
+  }
+
+  return { build, start, close };
+}
+
+// CLI entry: initial build, then rebuild on change until interrupted.
+function runWatch(options) {
+  const watcher = createWatcher(options);
+  const { result } = watcher.build();
+  if (!result.buildDir) {
+    // Source paths did not resolve; there is nothing to watch.
+    process.exit(1);
+  }
+  watcher.start();
+  process.on('SIGINT', () => {
+    watcher.close();
+    process.exit(0);
+  });
+  return watcher;
+}
+
+module.exports = {
+  WATCHED_ENTRIES,
+  createWatcher,
+  diffBuildResults,
+  formatBuildDiff,
+  isWatchedPath,
+  runWatch,
+  watchTargets
+};
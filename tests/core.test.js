@@ -47,10 +47,10 @@ function assertThrows(fn, msg = 'Expected to throw') {
 }
 
 // --- Load modules under test ---
-const { isPlainObject, arrayResetValue, mergeArrays, deepMerge, mergeValue, unwrapResets } = require('../js/core/merge_utils');
+const { isPlainObject, arrayResetValue, mergeArrays, deepMerge, mergeValue, unwrapResets, schemaMergeStrategies, propertyStrategies, settleMerged } = require('../js/core/merge_utils');
 const { asArray, mapLikeToObject } = require('../js/core/object_utils');
 const { getByPath, toArray, entriesFrom, filterList, targetIncludes } = require('../js/core/data_utils');
-const { TerribleError, ConfigError, PathError, ParseError, ValidationError, MergeError, TemplateError } = require('../js/core/errors');
+const { TerribleError, ConfigError, PathError, ParseError, ValidationError, MergeError, TemplateError, HookError, PatchError } = require('../js/core/errors');
 const { readJsonFile, findJsonFiles, normalizeDirPath, scanDir } = require('../js/core/fs_utils');
 const fs = require('fs');
 const path = require('path');
@@ -171,6 +171,95 @@ test('unwrapResets recursively unwraps nested $reset', () => {
   });
 });
 
+test('deepMerge applies $merge directives', () => {
+  const base = { list: [1, 2], cfg: { a: 1, b: 2 }, opts: { level: 1, paths: ['/'] } };
+  const override = {
+    list: { $merge: 'prepend', value: [0, 1] },
+    cfg: { $merge: 'replace', value: { c: 3 } },
+    opts: { $merge: 'override-scalar-only', value: { level: 2, paths: ['/x'] } }
+  };
+  assertEqual(deepMerge(base, override), { list: [0, 1, 1, 2], cfg: { c: 3 }, opts: { level: 2, paths: ['/'] } });
+  assertEqual(deepMerge({ tags: ['a', 'b', 'a'] }, { tags: { $merge: 'unique', value: ['b', 'c'] } }), { tags: ['a', 'b', 'c'] });
+  assertEqual(deepMerge({ tags: ['a', 'b', 'a'] }, { tags: { $merge: 'union', value: ['b', 'c'] } }), { tags: ['a', 'b', 'a', 'c'] });
+});
+
+test('deepMerge keeps a directive pending until it meets a base', () => {
+  const pending = deepMerge({}, { list: { $merge: 'prepend', value: [1] } });
+  const merged = deepMerge(pending, { list: [2] });
+  assertEqual(merged, { list: { $merge: 'prepend', value: [1, 2] } });
+  assertEqual(mergeValue([9], merged.list), [1, 2, 9]);
+  assertEqual(unwrapResets(merged), { list: [1, 2] });
+});
+
+test('deepMerge rejects unknown strategies and invalid values', () => {
+  assertThrows(() => deepMerge({ a: [] }, { a: { $merge: 'sideways', value: [] } }));
+  assertThrows(() => deepMerge({ a: [] }, { a: { $merge: 'prepend', value: 'x' } }));
+  assertThrows(() => deepMerge({ a: [] }, { a: { $merge: 'replace' } }));
+});
+
+test('schemaMergeStrategies drives deepMerge and mergeValue', () => {
+  const strategies = schemaMergeStrategies({
+    properties: {
+      origins: { type: 'array', 'x-terrible-merge': 'replace' },
+      nested: { properties: { tags: { 'x-terrible-merge': 'unique' } } },
+      plain: { type: 'string' }
+    }
+  });
+  assertEqual(strategies, { properties: { origins: { strategy: 'replace' }, nested: { properties: { tags: { strategy: 'unique' } } } } });
+  assertEqual(
+    deepMerge({ origins: ['a'], nested: { tags: ['x'] } }, { origins: ['b'], nested: { tags: ['x', 'y'] } }, strategies),
+    { origins: ['b'], nested: { tags: ['x', 'y'] } }
+  );
+  assertEqual(mergeValue(['a'], ['b'], strategies.properties.origins), ['b']);
+  // Inline directives and $reset still win over the schema strategy.
+  assertEqual(deepMerge({ origins: ['a'] }, { origins: { $merge: 'append', value: ['b'] } }, strategies), { origins: ['a', 'b'] });
+  assertEqual(schemaMergeStrategies({ properties: { a: { type: 'string' } } }), null);
+  assertThrows(() => schemaMergeStrategies({ properties: { a: { 'x-terrible-merge': 'nope' } } }));
+});
+
+test('$mergeBy merges arrays of objects by key', () => {
+  const base = { ports: [{ name: 'http', port: 80 }, { name: 'admin', port: 9000 }] };
+  const merged = deepMerge(base, { ports: { $mergeBy: 'name', value: [{ name: 'http', tls: true }, { name: 'admin', $delete: true }, { name: 'grpc', port: 9090 }] } });
+  assertEqual(merged.ports, [{ name: 'http', port: 80, tls: true }, { name: 'grpc', port: 9090 }]);
+  // With nothing below it the directive stays pending; unmatched $delete elements are dropped at the end.
+  const pending = deepMerge(deepMerge({}, { ports: { $mergeBy: 'name', value: [{ name: 'x', $delete: true }] } }), { ports: [{ name: 'y' }] });
+  assertEqual(pending.ports, { $mergeBy: 'name', value: [{ name: 'x', $delete: true }, { name: 'y' }] });
+  assertEqual(unwrapResets(pending), { ports: [{ name: 'y' }] });
+  assertThrows(() => deepMerge(base, { ports: { $mergeBy: '', value: [] } }));
+  assertThrows(() => deepMerge(base, { ports: { $mergeBy: 'name', value: {} } }));
+});
+
+test('$unset and $delete markers remove keys from lower layers', () => {
+  const merged = deepMerge({ a: 1, nested: { b: 2, c: 3 }, list: [1] }, { a: { $unset: true }, nested: { c: { $delete: true } }, list: { $delete: true } });
+  assertEqual(merged, { a: { $unset: true }, nested: { b: 2, c: { $delete: true } }, list: { $delete: true } });
+  // Markers wait for a later base and are dropped when settled; a later layer can set the key again.
+  assertEqual(mergeValue({ x: 1 }, { $unset: true }), { $unset: true });
+  assertEqual(deepMerge(merged, { a: 5 }).a, 5);
+  assertEqual(unwrapResets(merged), { nested: { b: 2 } });
+  assertEqual(unwrapResets(merged, { keepDirectives: true }), merged);
+  // Only single-key markers count.
+  assertEqual(unwrapResets({ a: { $delete: true, name: 'x' } }), { a: { $delete: true, name: 'x' } });
+});
+
+test('x-terrible-merge-by keys arrays in schemas', () => {
+  const strategies = schemaMergeStrategies({
+    properties: {
+      routes: {
+        'x-terrible-merge-by': 'path',
+        items: { properties: { methods: { 'x-terrible-merge': 'unique' } } }
+      }
+    }
+  });
+  const defaults = [{ path: '/', methods: ['GET'] }, { path: '/old', methods: ['GET'] }];
+  const routes = mergeValue(defaults, [{ path: '/', methods: ['GET', 'POST'] }, { path: '/old', $delete: true }], propertyStrategies(strategies, 'routes'));
+  assertEqual(routes, [{ path: '/', methods: ['GET', 'POST'] }]);
+  // A $delete with no match waits for a later base, then settleMerged drops it.
+  const overlay = deepMerge({ routes: [{ path: '/a' }] }, { routes: [{ path: '/b', $delete: true }] }, strategies);
+  assertEqual(overlay.routes, [{ path: '/a' }, { path: '/b', $delete: true }]);
+  assertEqual(settleMerged(overlay, strategies), { routes: [{ path: '/a' }] });
+  assertThrows(() => schemaMergeStrategies({ properties: { a: { 'x-terrible-merge': 'replace', 'x-terrible-merge-by': 'id' } } }));
+});
+
 // ============================================================
 // object_utils tests
 // ============================================================
@@ -307,6 +396,14 @@ test('TemplateError has correct code', () => {
   assertEqual(new TemplateError('render failed').code, 'TEMPLATE_ERROR');
 });
 
+test('HookError has correct code', () => {
+  assertEqual(new HookError('hook failed').code, 'HOOK_ERROR');
+});
+
+test('PatchError has correct code', () => {
+  assertEqual(new PatchError('patch failed').code, 'PATCH_ERROR');
+});
+
 test('Error inheritance works correctly', () => {
   const err = new ConfigError('test');
   assertTrue(err instanceof TerribleError);
@@ -453,19 +550,21 @@ test('RESERVED_IDS is frozen', () => {
   assertTrue(Object.isFrozen(RESERVED_IDS));
 });
 
-test('isReservedInstanceKey identifies id, build, class', () => {
+test('isReservedInstanceKey identifies id, build, class, hooks', () => {
   assertTrue(isReservedInstanceKey('id'));
   assertTrue(isReservedInstanceKey('build'));
   assertTrue(isReservedInstanceKey('class'));
+  assertTrue(isReservedInstanceKey('hooks'));
   assertFalse(isReservedInstanceKey('name'));
   assertFalse(isReservedInstanceKey('tags'));
 });
 
-test('isReservedClassKey identifies class, parent, id, schema', () => {
+test('isReservedClassKey identifies class, parent, id, schema, hooks', () => {
   assertTrue(isReservedClassKey('class'));
   assertTrue(isReservedClassKey('parent'));
   assertTrue(isReservedClassKey('id'));
   assertTrue(isReservedClassKey('schema'));
+  assertTrue(isReservedClassKey('hooks'));
   assertFalse(isReservedClassKey('name'));
   assertFalse(isReservedClassKey('defaults'));
 });
@@ -532,7 +631,7 @@ test('issue collector addAll adds multiple errors', () => {
 // stack_paths tests
 // ============================================================
 console.log('\n📦 stack_paths');
-const { validateDirs, resolveStackDir } = require('../js/stack_paths');
+const { validateDirs, resolveStackDir, resolveDefaultsDir, withDefaultsLayer, stackHashFromContents } = require('../js/stack_paths');
 
 test('validateDirs returns valid dirs', () => {
   const { valid, errors } = validateDirs([tmpDir]);
@@ -563,6 +662,47 @@ test('resolveStackDir throws PathError for missing dir', () => {
   }
 });
 
+test('resolveDefaultsDir returns null when disabled', () => {
+  assertEqual(resolveDefaultsDir(null), null);
+  assertEqual(resolveDefaultsDir(false), null);
+});
+
+test('resolveDefaultsDir throws PathError for missing dir', () => {
+  assertThrows(() => resolveDefaultsDir('/nonexistent/defaults/12345'));
+});
+
+test('withDefaultsLayer prepends defaults once', () => {
+  assertEqual(withDefaultsLayer('/d', ['/a', '/b']), ['/d', '/a', '/b']);
+  assertEqual(withDefaultsLayer('/d', ['/a', '/d']), ['/a', '/d']);
+  assertEqual(withDefaultsLayer(null, ['/a']), ['/a']);
+});
+
+function writeHashStack(root, { item = '{"id": "a", "n": 1}', template = 'x\n' } = {}) {
+  fs.mkdirSync(path.join(root, 'classes'), { recursive: true });
+  fs.mkdirSync(path.join(root, 'instances'), { recursive: true });
+  fs.mkdirSync(path.join(root, 'templates'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'classes', 'item.json'), '{"class": "item"}');
+  fs.writeFileSync(path.join(root, 'instances', 'a.json'), item);
+  fs.writeFileSync(path.join(root, 'templates', 'a.txt'), template);
+  return { classDirs: [root], instanceDirs: [root], templateDirs: [root] };
+}
+
+test('stackHashFromContents ignores location and JSON formatting', () => {
+  const first = writeHashStack(path.join(tmpDir, 'hash-a', 'stack'));
+  const second = writeHashStack(path.join(tmpDir, 'hash-b', 'stack'), { item: '{\n  "id": "a",\n  "n": 1\n}\n', template: 'x\r\n' });
+  assertEqual(stackHashFromContents(first), stackHashFromContents(second));
+});
+
+test('stackHashFromContents changes with file contents', () => {
+  const first = writeHashStack(path.join(tmpDir, 'hash-c', 'stack'));
+  const second = writeHashStack(path.join(tmpDir, 'hash-d', 'stack'), { item: '{"id": "a", "n": 2}' });
+  const third = writeHashStack(path.join(tmpDir, 'hash-e', 'stack'), { template: 'y\n' });
+  const hash = stackHashFromContents(first);
+  assertTrue(hash !== stackHashFromContents(second), 'instance change should change hash');
+  assertTrue(hash !== stackHashFromContents(third), 'template change should change hash');
+  assertEqual(hash.length, 12);
+});
+
 test('scanDir returns empty for non-existent dir', () => {
   assertEqual(scanDir('/non/existent'), []);
 });
@@ -576,6 +716,465 @@ test('scanDir finds files matching pattern', () => {
   assertEqual(result.length, 2);
 });
 
+// ============================================================
+// packaging tests
+// ============================================================
+console.log('\n📦 packaging');
+const zlib = require('zlib');
+const { packageBuildDir, PACKAGE_FORMATS } = require('../js/packaging');
+
+const packDir = path.join(tmpDir, 'packtest');
+fs.mkdirSync(path.join(packDir, 'meta'), { recursive: true });
+fs.writeFileSync(path.join(packDir, 'b.txt'), 'bee');
+fs.writeFileSync(path.join(packDir, 'meta', 'a.json'), '{}');
+
+test('packageBuildDir tar.gz is byte-identical across runs', () => {
+  const first = fs.readFileSync(packageBuildDir(packDir, { outFile: path.join(tmpDir, 'one.tar.gz') }).file);
+  const second = fs.readFileSync(packageBuildDir(packDir, { outFile: path.join(tmpDir, 'two.tar.gz') }).file);
+  assertTrue(first.equals(second), 'archives should match');
+});
+
+test('packageBuildDir tar.gz lists files in sorted order', () => {
+  const result = packageBuildDir(packDir, { outFile: path.join(tmpDir, 'sorted.tar.gz') });
+  const tar = zlib.gunzipSync(fs.readFileSync(result.file));
+  const first = tar.subarray(0, 100).toString('utf8').replace(/\0+$/, '');
+  assertEqual(first, 'b.txt');
+  assertEqual(result.fileCount, 2);
+});
+
+test('packageBuildDir zip defaults to a sibling archive', () => {
+  const result = packageBuildDir(packDir, { format: 'zip' });
+  assertEqual(result.file, `${packDir}.zip`);
+  assertEqual(fs.readFileSync(result.file).readUInt32LE(0), 0x04034b50);
+});
+
+test('packageBuildDir rejects unknown formats', () => {
+  assertThrows(() => packageBuildDir(packDir, { format: 'rar' }));
+  assertEqual(PACKAGE_FORMATS, ['tar.gz', 'zip']);
+});
+
+// ============================================================
+// read_tracker / template dependency tests
+// ============================================================
+console.log('\n📦 read_tracker');
+const { createReadTracker, dataHashFor } = require('../js/templates/read_tracker');
+const { templateDependencies } = require('../js/templates/template_utils');
+
+test('read tracker records reads through frozen data', () => {
+  const data = Object.freeze({ name: 'a', tags: Object.freeze(['x', 'y']), nested: Object.freeze({ n: 1, m: 2 }) });
+  const tracker = createReadTracker();
+  const ctx = tracker.wrap('ctx', data);
+  assertEqual(ctx.name, 'a');
+  assertEqual(ctx.tags.map(tag => tag.toUpperCase()), ['X', 'Y']);
+  assertTrue(Array.isArray(ctx.tags));
+  assertEqual(ctx.missing, undefined);
+  const { tracked, reads, dataHash } = tracker.result();
+  assertTrue(tracked);
+  assertTrue(reads.includes('v["ctx","name"]'));
+  assertTrue(reads.includes('v["ctx","missing"]'));
+  assertTrue(!reads.some(read => read.includes('"nested"')), 'unread fields are not recorded');
+  assertEqual(dataHashFor(reads, { ctx: { ...data, nested: { n: 5 } } }), dataHash);
+  assertTrue(dataHashFor(reads, { ctx: { ...data, tags: ['x', 'z'] } }) !== dataHash);
+  assertTrue(dataHashFor(reads, { ctx: { ...data, missing: true } }) !== dataHash);
+});
+
+test('read tracker records key enumeration', () => {
+  const tracker = createReadTracker();
+  const ctx = tracker.wrap('ctx', { items: { a: 1, b: 2 } });
+  assertEqual(Object.keys(ctx.items), ['a', 'b']);
+  const { reads, dataHash } = tracker.result();
+  assertTrue(reads.includes('k["ctx","items"]'));
+  assertTrue(dataHashFor(reads, { ctx: { items: { a: 1, b: 2, c: 3 } } }) !== dataHash);
+});
+
+test('read tracker marks non-plain data untracked', () => {
+  const tracker = createReadTracker();
+  tracker.wrap('ctx', { when: new Date(0) }).when;
+  assertEqual(tracker.result().tracked, false);
+});
+
+test('templateDependencies follows partials transitively', () => {
+  const templates = {
+    'page.html': '{{> parts/header}} {{#if (partial_exists "parts/extra")}}x{{/if}}',
+    'parts/header.html': '{{> parts/logo}}',
+    'parts/logo.html': 'logo'
+  };
+  const deps = templateDependencies('page.html', templates);
+  assertEqual(Object.keys(deps.partials).sort(), ['parts/extra', 'parts/header', 'parts/logo']);
+  assertEqual(deps.partials['parts/extra'], null);
+  const dynamic = templateDependencies('dyn.html', { 'dyn.html': '{{> (lookup . "name")}}' });
+  assertTrue(typeof dynamic.partials['*'] === 'string');
+});
+
+console.log('\n📦 diff_utils');
+const { diffJson, jsonPointer, unifiedDiff } = require('../js/core/diff_utils');
+
+test('jsonPointer escapes ~ and /', () => {
+  assertEqual(jsonPointer([]), '');
+  assertEqual(jsonPointer(['a/b', 'c~d', 0]), '/a~1b/c~0d/0');
+});
+
+test('diffJson reports added, removed and changed leaves with paths', () => {
+  const changes = diffJson(
+    { port: 80, tags: ['a', 'b'], nested: { keep: 1, drop: true } },
+    { port: 8080, tags: ['a'], nested: { keep: 1, add: 'x' } }
+  );
+  assertEqual(changes, [
+    { path: '/nested/add', change: 'added', after: 'x' },
+    { path: '/nested/drop', change: 'removed', before: true },
+    { path: '/port', change: 'changed', before: 80, after: 8080 },
+    { path: '/tags/1', change: 'removed', before: 'b' }
+  ]);
+  assertEqual(diffJson({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), []);
+  assertEqual(diffJson({ a: [1] }, { a: { 0: 1 } }), [{ path: '/a', change: 'changed', before: [1], after: { 0: 1 } }]);
+});
+
+test('unifiedDiff emits hunks with context', () => {
+  assertEqual(unifiedDiff('same\n', 'same\n'), '');
+  const diff = unifiedDiff('1\n2\n3\n4\n5\n6\n7\n8\n9\n', '1\n2\n3\n4\nfive\n6\n7\n8\n9\n', { fromLabel: 'a/x', toLabel: 'b/x', context: 1 });
+  assertEqual(diff, '--- a/x\n+++ b/x\n@@ -4,3 +4,3 @@\n 4\n-5\n+five\n 6\n');
+  assertEqual(unifiedDiff('', 'a\n'), '--- a\n+++ b\n@@ -0,0 +1 @@\n+a\n');
+  assertTrue(unifiedDiff('a\n', 'a').includes('\\ No newline at end of file'));
+});
+
+console.log('\n📦 canonical_helpers');
+const { classInheritsFrom, classLineage, classListLineage, classMro, classNames, classParentConflicts } = require('../js/core/canonical_helpers');
+
+test('classMro linearizes diamonds once, later parents first', () => {
+  const classes = {
+    base: {},
+    left: { parent: 'base' },
+    right: { parent: 'base' },
+    both: { parent: ['left', 'right'] },
+    leaf: { parent: 'both' }
+  };
+  assertEqual(classMro(classes, 'leaf'), ['leaf', 'both', 'right', 'left', 'base']);
+  assertEqual(classLineage(classes, 'both'), ['base', 'left', 'right', 'both']);
+  assertEqual(classMro(classes, 'missing'), []);
+});
+
+test('classMro rejects inconsistent hierarchies and cycles', () => {
+  const classes = { a: {}, b: {}, x: { parent: ['a', 'b'] }, y: { parent: ['b', 'a'] }, z: { parent: ['x', 'y'] } };
+  let caught = null;
+  try {
+    classMro(classes, 'z');
+  } catch (err) {
+    caught = err;
+  }
+  assertTrue(caught instanceof MergeError);
+  assertEqual(caught.context.pending, ['a', 'b']);
+  assertThrows(() => classMro({ a: { parent: 'b' }, b: { parent: 'a' } }, 'a'));
+});
+
+test('classListLineage linearizes an instance class list like parents', () => {
+  const classes = { base: {}, service: { parent: 'base' }, monitored: { parent: 'base' }, tls: {} };
+  assertEqual(classNames(['service', 'tls', 'service', 3]), ['service', 'tls']);
+  assertEqual(classNames('service'), ['service']);
+  assertEqual(classListLineage(classes, ['service', 'monitored', 'tls']), ['base', 'service', 'monitored', 'tls']);
+  assertEqual(classListLineage(classes, ['service', 'missing']), ['base', 'service']);
+  assertEqual(classListLineage(classes, []), []);
+  assertThrows(() => classListLineage({ a: {}, b: {}, x: { parent: ['a', 'b'] } }, ['x', 'a']));
+  assertTrue(classInheritsFrom(classes, ['tls', 'monitored'], 'base'));
+  assertTrue(!classInheritsFrom(classes, ['tls'], 'base'));
+});
+
+test('classParentConflicts reports unrelated parents that disagree', () => {
+  const classes = {
+    base: { port: 1 },
+    left: { parent: 'base', port: 2, tls: { mode: 'strict' }, tags: ['l'] },
+    right: { parent: 'base', port: 3, tls: { mode: 'off' }, tags: ['r'] },
+    both: { parent: ['left', 'right'] }
+  };
+  assertEqual(classParentConflicts(classes, 'both', {}, ['parent']), [
+    { path: '/port', parents: ['left', 'right'], values: [2, 3], winner: 'right' },
+    { path: '/tls/mode', parents: ['left', 'right'], values: ['strict', 'off'], winner: 'right' }
+  ]);
+  assertEqual(classParentConflicts(classes, 'both', { port: 4, tls: { mode: 'on' } }, ['parent']), []);
+  // A parent inheriting from the other is not a conflict.
+  assertEqual(classParentConflicts({ ...classes, both: { parent: ['base', 'left'] } }, 'both', {}, ['parent']), []);
+});
+
+console.log('\n📦 patch_utils');
+const { applyJsonPatch, applyMergePatch, parsePointer, patchKind } = require('../js/core/patch_utils');
+
+test('parsePointer and patchKind', () => {
+  assertEqual(parsePointer(''), []);
+  assertEqual(parsePointer('/a~1b/c~0d/0'), ['a/b', 'c~d', '0']);
+  assertThrows(() => parsePointer('a'));
+  assertEqual(patchKind('/x/web.patch.json'), 'json-patch');
+  assertEqual(patchKind('/x/web.merge-patch.json'), 'merge-patch');
+  assertEqual(patchKind('/x/web.json'), null);
+});
+
+test('applyJsonPatch applies RFC 6902 operations to a copy', () => {
+  const doc = { list: [1, 2], nested: { a: 1 } };
+  const patched = applyJsonPatch(doc, [
+    { op: 'add', path: '/list/1', value: 9 },
+    { op: 'add', path: '/list/-', value: 3 },
+    { op: 'replace', path: '/nested/a', value: { deep: true } },
+    { op: 'copy', from: '/list/0', path: '/first' },
+    { op: 'move', from: '/nested', path: '/moved' },
+    { op: 'remove', path: '/list/0' },
+    { op: 'test', path: '/moved/a/deep', value: true }
+  ]);
+  assertEqual(patched, { list: [9, 2, 3], first: 1, moved: { a: { deep: true } } });
+  assertEqual(doc, { list: [1, 2], nested: { a: 1 } });
+});
+
+test('applyJsonPatch test compares objects regardless of key order', () => {
+  const doc = { a: { x: 1, y: 2 }, list: [{ k: 1, v: 2 }] };
+  assertEqual(applyJsonPatch(doc, [{ op: 'test', path: '/a', value: { y: 2, x: 1 } }, { op: 'test', path: '/list', value: [{ v: 2, k: 1 }] }]), doc);
+  assertThrows(() => applyJsonPatch(doc, [{ op: 'test', path: '/list', value: [{ k: 1 }] }]));
+});
+
+test('applyJsonPatch failures throw PatchError with the operation', () => {
+  let caught = null;
+  try {
+    applyJsonPatch({ a: 1 }, [{ op: 'test', path: '/a', value: 2 }]);
+  } catch (err) {
+    caught = err;
+  }
+  assertTrue(caught instanceof PatchError);
+  assertEqual([caught.context.index, caught.context.op, caught.context.expected, caught.context.actual], [0, 'test', 2, 1]);
+  assertThrows(() => applyJsonPatch({}, [{ op: 'remove', path: '/missing' }]));
+  assertThrows(() => applyJsonPatch({ a: [] }, [{ op: 'add', path: '/a/5', value: 1 }]));
+  assertThrows(() => applyJsonPatch({ a: {} }, [{ op: 'move', from: '/a', path: '/a/b' }]));
+  assertThrows(() => applyJsonPatch({}, [{ op: 'jump', path: '' }]));
+  assertThrows(() => applyJsonPatch({}, { op: 'add' }));
+});
+
+test('applyMergePatch follows RFC 7386', () => {
+  assertEqual(applyMergePatch({ a: 'b', c: { d: 'e', f: 'g' }, list: [1] }, { a: 'z', c: { f: null }, list: [2] }), { a: 'z', c: { d: 'e' }, list: [2] });
+  assertEqual(applyMergePatch({ a: 1 }, ['x']), ['x']);
+  assertEqual(applyMergePatch('text', { a: { b: null } }), { a: {} });
+});
+
+test('patches may not name __proto__', () => {
+  ['/__proto__', '/a/__proto__'].forEach(pointer => {
+    assertThrows(() => applyJsonPatch({ a: {} }, [{ op: 'add', path: pointer, value: { polluted: 1 } }]));
+  });
+  assertThrows(() => applyJsonPatch({ a: {} }, [{ op: 'copy', from: '/a/__proto__', path: '/b' }]));
+  assertEqual(applyJsonPatch({ a: {} }, [{ op: 'add', path: '/a/constructor', value: 1 }, { op: 'add', path: '/prototype', value: 2 }]), { a: { constructor: 1 }, prototype: 2 });
+  assertEqual(applyMergePatch({ constructor: 'x' }, { constructor: { prototype: 1 } }), { constructor: { prototype: 1 } });
+  assertThrows(() => applyJsonPatch({ a: {} }, [{ op: 'copy', from: '/a/constructor', path: '/b' }]), 'inherited members are not values');
+  let caught = null;
+  try {
+    applyMergePatch({}, JSON.parse('{"a": {"__proto__": {"polluted": 1}}}'));
+  } catch (err) {
+    caught = err;
+  }
+  assertTrue(caught instanceof PatchError);
+  assertEqual(caught.context.path, '/a/__proto__');
+  assertEqual({}.polluted, undefined);
+});
+
+console.log('\n📦 schema_compat');
+const { schemaIncompatibilities } = require('../js/core/schema_compat');
+
+test('schemaIncompatibilities accepts narrowing and reports loosening', () => {
+  const parent = {
+    type: 'object',
+    required: ['id', 'status'],
+    properties: {
+      status: { type: 'string', enum: ['a', 'b'] },
+      port: { type: 'number', minimum: 1, maximum: 100 },
+      tags: { type: 'array', items: { type: 'string' } }
+    }
+  };
+  const narrower = {
+    type: 'object',
+    required: ['id', 'status', 'port'],
+    properties: {
+      status: { type: 'string', const: 'a' },
+      port: { type: 'integer', minimum: 10, maximum: 100 },
+      tags: { type: 'array', items: { type: 'string', minLength: 1 } }
+    }
+  };
+  assertEqual(schemaIncompatibilities(parent, narrower), []);
+
+  const looser = {
+    type: 'object',
+    required: ['id'],
+    additionalProperties: false,
+    properties: {
+      status: { type: 'string', enum: ['a', 'c'] },
+      port: { type: ['number', 'string'], minimum: 0, maximum: 100 },
+      tags: { type: 'array', items: { type: 'integer' } }
+    }
+  };
+  assertEqual(schemaIncompatibilities(parent, looser).map(f => [f.kind, f.path, f.keyword]), [
+    ['dropped_required', '', 'required'],
+    ['widened_enum', '/properties/status', 'enum'],
+    ['widened_type', '/properties/port', 'type'],
+    ['widened_bound', '/properties/port', 'minimum'],
+    ['conflicting_type', '/properties/tags/items', 'type']
+  ]);
+  assertEqual(schemaIncompatibilities(parent, looser)[0].child, ['status']);
+});
+
+test('schemaIncompatibilities reports const and additionalProperties, and honors ignore', () => {
+  const parent = { additionalProperties: false, properties: { class: { const: 'base' }, kind: { const: 'x' } } };
+  const child = { properties: { class: { const: 'child' }, kind: { const: 'y' } } };
+  assertEqual(schemaIncompatibilities(parent, child, { ignore: ['/properties/class'] }).map(f => f.kind), ['widened_additional_properties', 'conflicting_const']);
+});
+
+console.log('\n📦 refs');
+const { collectRefs, referenceIndex, refSpec } = require('../js/core/refs');
+
+test('refSpec normalizes x-ref annotations', () => {
+  assertEqual(refSpec({ class: 'database' }), { class: 'database' });
+  assertEqual(refSpec('cache'), { class: 'cache' });
+  assertEqual(refSpec(true), { class: null });
+  assertEqual(refSpec(undefined), null);
+});
+
+test('collectRefs finds refs in strings, arrays, items, and maps', () => {
+  const schema = {
+    properties: {
+      db: { 'x-ref': 'database' },
+      caches: { type: 'array', 'x-ref': true },
+      routes: { items: { properties: { backend: { 'x-ref': 'service' } } } },
+      peers: { additionalProperties: { 'x-ref': true } },
+      note: { type: 'string' }
+    }
+  };
+  const value = { db: 'pg', caches: ['a', 1, 'b'], routes: [{ backend: 'api' }, {}], peers: { x: 'y' }, note: 'pg' };
+  assertEqual(collectRefs(value, schema).map(ref => [ref.path, ref.target, ref.class]), [
+    ['/db', 'pg', 'database'],
+    ['/caches/0', 'a', null],
+    ['/caches/2', 'b', null],
+    ['/routes/0/backend', 'api', 'service'],
+    ['/peers/x', 'y', null]
+  ]);
+});
+
+test('collectRefs follows $ref to local fragments and through a resolver', () => {
+  const schema = {
+    $id: 'https://example.com/app',
+    definitions: { link: { 'x-ref': 'service' }, node: { properties: { next: { $ref: '#/definitions/node' }, to: { $ref: '#/definitions/link' } } } },
+    properties: {
+      primary: { $ref: '#/definitions/link' },
+      chain: { $ref: '#/definitions/node' },
+      remote: { $ref: 'shared#/properties/owner' },
+      missing: { $ref: 'https://example.com/nowhere', 'x-ref': true }
+    }
+  };
+  const shared = { properties: { owner: { 'x-ref': 'team' } } };
+  const calls = [];
+  const resolveRef = (ref, baseId) => {
+    calls.push([ref, baseId]);
+    return ref === 'shared#/properties/owner' ? { schema: shared.properties.owner, root: shared, baseId: 'https://example.com/shared' } : null;
+  };
+  const value = { primary: 'api', chain: { to: 'a', next: { to: 'b' } }, remote: 'ops', missing: 'x' };
+  assertEqual(collectRefs(value, schema, resolveRef).map(ref => [ref.path, ref.target, ref.class]), [
+    ['/primary', 'api', 'service'],
+    ['/chain/to', 'a', 'service'],
+    ['/chain/next/to', 'b', 'service'],
+    ['/remote', 'ops', 'team'],
+    ['/missing', 'x', null]
+  ]);
+  assertEqual(calls, [['shared#/properties/owner', 'https://example.com/app'], ['https://example.com/nowhere', 'https://example.com/app']]);
+  assertEqual(collectRefs({ remote: 'ops' }, schema), [], 'other documents need a resolver');
+});
+
+test('referenceIndex lists resolved referrers by target', () => {
+  const classes = new Map([['svc', { class: 'svc', schema: { properties: { uses: { 'x-ref': true } } } }]]);
+  const objects = [
+    { id: 'global', uses: ['a'] },
+    { id: 'b', class: 'svc', uses: ['a', 'missing'] },
+    { id: 'a', class: 'svc', uses: ['b', 'b'] }
+  ];
+  assertEqual(referenceIndex(objects, classes), {
+    a: [{ id: 'b', class: 'svc', path: '/uses/0' }],
+    b: [{ id: 'a', class: 'svc', path: '/uses/0' }, { id: 'a', class: 'svc', path: '/uses/1' }]
+  });
+});
+
+console.log('\n📦 schema_registry');
+const { draftForUri, selectDraft } = require('../js/schema_registry');
+
+test('draftForUri and selectDraft pick one draft per build', () => {
+  assertEqual(draftForUri('https://json-schema.org/draft-07/schema'), 'draft-07');
+  assertEqual(draftForUri('https://json-schema.org/draft/2020-12/schema#'), '2020-12');
+  assertEqual(draftForUri('https://example.com/schema'), null);
+  assertEqual(selectDraft([{ label: 'a', schema: {} }]), { draft: 'draft-07', problems: [] });
+  const picked = selectDraft([
+    { label: 'a', schema: { $schema: 'https://json-schema.org/draft/2019-09/schema' } },
+    { label: 'b', schema: { $schema: 'http://json-schema.org/draft-07/schema#' } },
+    { label: 'c', schema: { $schema: 'urn:nope' } }
+  ]);
+  assertEqual(picked.draft, '2019-09');
+  assertEqual(picked.problems.map(p => [p.code, p.label]), [['schema_draft_unknown', 'c'], ['schema_draft_conflict', 'b']]);
+});
+
+console.log('\n📦 formats');
+const { BUILTIN_FORMATS } = require('../js/core/formats');
+
+test('built-in formats accept and reject the expected strings', () => {
+  const check = (name, good, bad) => {
+    good.forEach(value => assertTrue(BUILTIN_FORMATS[name](value), `${name} accepts ${value}`));
+    bad.forEach(value => assertTrue(!BUILTIN_FORMATS[name](value), `${name} rejects ${value}`));
+  };
+  check('hostname', ['example.com', 'db-1.internal', 'localhost.'], ['-db', 'a..b', 'under_score.com', '']);
+  check('cidr', ['10.0.0.0/8', '192.168.1.0/24', 'fd00::/8'], ['10.0.0.0/33', '10.0.0.0', 'fd00::/129', 'host/8']);
+  check('date', ['2024-02-29', '2023-12-31'], ['2023-02-29', '2023-13-01', '2023-1-1']);
+  check('date-time', ['2024-05-01T12:30:00Z', '2024-05-01T12:30:00.5+02:00'], ['2024-05-01T12:30:00', '2024-05-01']);
+  check('semver', ['1.2.3', '1.0.0-rc.1+build.5'], ['1.2', '01.2.3', 'v1.2.3']);
+  check('email', ['ops@example.com'], ['ops@', 'ops example@x.com']);
+  check('ipv4', ['127.0.0.1'], ['256.0.0.1', '1.2.3']);
+  check('regex', ['^a+$'], ['(']);
+  check('json-pointer', ['', '/a/~1b'], ['a', '/~2']);
+});
+
+console.log('\n📦 rules');
+const { checkRules } = require('../js/core/rules');
+
+test('checkRules reports unique, cardinality, and referenced violations', () => {
+  const classes = new Map([
+    ['node', { class: 'node' }],
+    ['db', { class: 'db', parent: 'node' }],
+    ['app', { class: 'app', schema: { properties: { db: { 'x-ref': 'db' } } } }]
+  ]);
+  const objects = [
+    { id: 'global' },
+    { id: 'a', class: 'db', port: 1, tags: ['x', 'y'] },
+    { id: 'b', class: 'db', port: 1, tags: ['y', 'y'] },
+    { id: 'c', class: 'node', port: 2 },
+    { id: 'web', class: 'app', db: 'a' }
+  ];
+  const run = (rule) => checkRules(objects, classes, [{ rule, source: 'global', path: '/rules/0' }]);
+  assertEqual(run({ type: 'unique', class: 'node', path: '/port' }).map(v => [v.code, v.id, v.duplicateOf]), [['rule_unique_violation', 'b', 'a']]);
+  assertEqual(run({ type: 'unique', class: 'node', path: '/tags', each: true }).map(v => [v.instancePath, v.value]), [['/tags/0', 'y']]);
+  assertEqual(run({ type: 'unique', class: 'node', path: ['/port', '/missing'] }), []);
+  assertEqual(run({ type: 'cardinality', class: 'node', where: { '/port': 1 }, max: 1 }).map(v => [v.count, v.ids]), [[2, ['a', 'b']]]);
+  assertEqual(run({ type: 'cardinality', class: 'db', min: 2 }), []);
+  assertEqual(run({ type: 'referenced', class: 'db', by: 'app' }).map(v => v.id), ['b']);
+  assertEqual(run({ type: 'referenced', class: 'db', by: 'ghost' }).map(v => [v.code, v.level]), [['rule_invalid', 'error']]);
+  assertEqual(run({ type: 'unique', class: 'db', path: 'port' })[0].code, 'rule_invalid');
+});
+
+test('checkRules unique compares object values regardless of key order', () => {
+  const classes = new Map([['svc', { class: 'svc' }]]);
+  const objects = [
+    { id: 'a', class: 'svc', endpoint: { host: 'db', port: 5432, tls: { on: true, ca: 'x' } } },
+    { id: 'b', class: 'svc', endpoint: { tls: { ca: 'x', on: true }, port: 5432, host: 'db' } },
+    { id: 'c', class: 'svc', endpoint: { host: 'db', port: 5433 } }
+  ];
+  const violations = checkRules(objects, classes, [{ rule: { type: 'unique', class: 'svc', path: '/endpoint' }, source: 'global', path: '/rules' }]);
+  assertEqual(violations.map(v => [v.id, v.duplicateOf]), [['b', 'a']]);
+});
+
+console.log('\n📦 json_positions');
+const { jsonPointerPosition, jsonValueOffsets } = require('../js/core/json_positions');
+
+test('jsonPointerPosition finds values and falls back to the nearest ancestor', () => {
+  const text = '{\n  "a": { "b": [1, "x\\"]", { "c": null }] },\n  "d/e": true,\n  "a": 2\n}';
+  assertEqual(jsonPointerPosition(text, '/d~1e'), { line: 3, column: 10, pointer: '/d~1e' });
+  assertEqual(jsonPointerPosition(text, '/a/zz'), { line: 4, column: 8, pointer: '/a' }, 'a duplicate key keeps its last occurrence');
+  assertEqual(jsonPointerPosition(text, ''), { line: 1, column: 1, pointer: '' });
+  assertEqual(Array.from(jsonValueOffsets('{"a": [1, }').keys()), ['', '/a', '/a/0'], 'malformed input keeps what was found');
+});
+
 // Cleanup temp directory
 cleanupTmp();
 
@@ -0,0 +1,6 @@
+module.exports = {
+  onLoadComplete(ctx) {
+    const dishes = ctx.canonical.instances.filter(inst => inst.class === 'dish');
+    ctx.mutator.setGlobal({ dish_count: dishes.length });
+  }
+};
@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+module.exports = {
+  onPreRender(ctx) {
+    fs.writeFileSync(path.join(ctx.buildDir, 'prerender.txt'), `${ctx.scope}\n`);
+  },
+  onPostRenderFile(ctx) {
+    const digest = crypto.createHash('sha256').update(ctx.content).digest('hex').slice(0, 12);
+    return `${ctx.content.trimEnd()}\n# ${ctx.templateKey} ${digest}\n`;
+  },
+  onFinalizeBuild(ctx) {
+    const summary = ctx.manifest.map(entry => `${entry.path} ${entry.instance} ${entry.bytes}`);
+    fs.writeFileSync(path.join(ctx.buildDir, 'meta', 'finalize.txt'), `${summary.join('\n')}\n`);
+  }
+};
@@ -0,0 +1,15 @@
+const fs = require('fs');
+const path = require('path');
+
+module.exports = {
+  onLoadComplete(ctx) {
+    const { id, prep_minutes: prep = 0, cook_minutes: cook = 0 } = ctx.instance;
+    ctx.mutator.upsertInstance({ id, total_minutes: prep + cook });
+  },
+  onPreRender(ctx) {
+    fs.appendFileSync(path.join(ctx.buildDir, 'prerender.txt'), `${ctx.scope}:${ctx.instance.id}\n`);
+  },
+  onRenderInstance(ctx) {
+    return { label: ctx.instance.id.toUpperCase() };
+  }
+};
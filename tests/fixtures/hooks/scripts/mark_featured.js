@@ -0,0 +1,10 @@
+module.exports = {
+  onLoadComplete(ctx) {
+    // Runs after the class hook, so the derived total is already on the working copy.
+    ctx.mutator.upsertInstance({ id: ctx.instance.id, featured: ctx.instance.total_minutes <= 10 });
+  },
+  onRenderInstance(ctx) {
+    // Instance hooks run after class hooks and see the view data they returned.
+    return { label: `${ctx.view.label}*` };
+  }
+};
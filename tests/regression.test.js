@@ -1,9 +1,15 @@
 const assert = require('assert');
+const crypto = require('crypto');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
+const zlib = require('zlib');
 
 const { runBuild, runClassesBuild, runInstancesBuild, runValidate } = require('../js/build');
+const { createWatcher } = require('../js/watch');
+const { SERVE_PREFIX, createPreviewServer } = require('../js/serve');
+const { diffBuilds, formatDiffText, readBuildSide } = require('../js/diff');
+const { explainField, formatExplain } = require('../js/provenance');
 const { loadStack } = require('../js/stack_loader');
 const { createLogger } = require('../js/logger');
 const { createIssueCollector } = require('../js/issue_collector');
@@ -14,6 +20,13 @@ function tempDir(prefix) {
   return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
 }
 
+// Write a file under a temp root, creating its directories; anything but a string is written as JSON.
+function writeFile(root, rel, data, space) {
+  const file = path.join(root, rel);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data, null, space));
+}
+
 function readCanonical(buildRoot, name) {
   const canonicalPath = path.join(buildRoot, name, 'canonical.json');
   const data = fs.readFileSync(canonicalPath, 'utf8');
@@ -426,6 +439,1113 @@ function testWarningsAsErrorsFlag() {
   assert.ok(errorCount > 0, '--warnings-as-errors should promote warnings to errors');
 }
 
+function testLoadCompleteHooks() {
+  const hookStack = path.join(__dirname, 'fixtures', 'hooks');
+  const buildRoot = tempDir('terrible-hooks-test-');
+  const buildName = 'hooks';
+  const canonical = runBuildWithStacks([hookStack], { buildRoot, buildName });
+
+  // Class hook derives total_minutes before validation (schema requires it).
+  assert.strictEqual(canonical.instancesById.soup.total_minutes, 25, 'class hook should derive total_minutes');
+  assert.strictEqual(canonical.instancesById.salad.total_minutes, 10, 'class defaults should apply before hooks run');
+  // Instance hook runs after class hook and sees its mutation.
+  assert.strictEqual(canonical.instancesById.salad.featured, true, 'instance hook should run after class hook');
+  assert.strictEqual(canonical.instancesById.soup.featured, undefined, 'instance hook should only apply to its instance');
+  // Global hook from hooks/ updates both raw global and the global stack object.
+  assert.strictEqual(canonical.global.dish_count, 2, 'global hook should update global');
+  assert.strictEqual(canonical.instancesById.global.dish_count, 2, 'global stack object should mirror setGlobal');
+  assert.strictEqual(canonical.instancesById.global.objects.soup.properties.total_minutes, 25, 'global.objects should be refreshed after hooks');
+
+  const validation = JSON.parse(fs.readFileSync(path.join(buildRoot, buildName, 'meta', 'validation.json'), 'utf8'));
+  assert.deepStrictEqual(validation.issues, [], 'validation should run against the committed snapshot');
+
+  const summary = fs.readFileSync(path.join(buildRoot, buildName, 'summary.txt'), 'utf8');
+  assert.ok(summary.includes('Hook Kitchen: 2 dishes'), 'templates should render hook-updated global');
+  assert.ok(summary.includes('- soup 25'), 'templates should render hook-derived fields');
+}
+
+function testRenderHooks() {
+  const hookStack = path.join(__dirname, 'fixtures', 'hooks');
+  const buildRoot = tempDir('terrible-render-hooks-test-');
+  const buildName = 'render-hooks';
+  const canonical = runBuildWithStacks([hookStack], { buildRoot, buildName });
+  const buildDir = path.join(buildRoot, buildName);
+  const read = (file) => fs.readFileSync(path.join(buildDir, file), 'utf8');
+
+  // onPreRender runs once, global → class → instance, before any output is written.
+  assert.strictEqual(read('prerender.txt'), 'global\nclass:salad\nclass:soup\n', 'onPreRender should run global hooks first, then class hooks per instance');
+
+  // onRenderInstance data reaches templates (class hook, then instance hook) but never the canonical snapshot.
+  const soup = read('soup.txt');
+  const salad = read('salad.txt');
+  assert.ok(soup.startsWith('SOUP (25 min)\n'), 'class onRenderInstance view data should render');
+  assert.ok(salad.startsWith('SALAD* (10 min)\n'), 'instance onRenderInstance should see and extend class view data');
+  assert.strictEqual(canonical.instancesById.salad.label, undefined, 'view data should not leak into canonical');
+
+  // onPostRenderFile rewrites each written file with the content it received.
+  const stamp = (content) => crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+  assert.strictEqual(soup, `SOUP (25 min)\n# dish.txt ${stamp('SOUP (25 min)\n')}\n`, 'onPostRenderFile should rewrite rendered output');
+  assert.ok(read('summary.txt').endsWith(`# summary.txt ${stamp('Hook Kitchen: 2 dishes\n- salad 10\n- soup 25\n')}\n`), 'onPostRenderFile should run for global outputs');
+}
+
+function testFinalizeBuildManifestAndPackage() {
+  const hookStack = path.join(__dirname, 'fixtures', 'hooks');
+  const buildRoot = tempDir('terrible-finalize-test-');
+  const buildName = 'finalize';
+  const buildDir = path.join(buildRoot, buildName);
+  runBuild({
+    classDirs: [hookStack],
+    instanceDirs: [hookStack],
+    outputs: new Set(['canonical', 'validation', 'templates', 'manifest']),
+    buildRoot,
+    buildName,
+    includeHash: false,
+    packageFormat: 'tar.gz',
+    quiet: true,
+    silent: true
+  });
+
+  // Manifest records the final (post-hook) bytes of every rendered file in render order.
+  const { files } = JSON.parse(fs.readFileSync(path.join(buildDir, 'meta', 'manifest.json'), 'utf8'));
+  assert.deepStrictEqual(files.map(entry => [entry.path, entry.template, entry.instance]), [
+    ['summary.txt', 'summary.txt', 'global'],
+    ['salad.txt', 'dish.txt', 'salad'],
+    ['soup.txt', 'dish.txt', 'soup']
+  ], 'manifest should list rendered outputs with template and source instance');
+  files.forEach(entry => {
+    const content = fs.readFileSync(path.join(buildDir, entry.path));
+    assert.strictEqual(entry.bytes, content.length, `manifest size should match ${entry.path}`);
+    assert.strictEqual(entry.sha256, crypto.createHash('sha256').update(content).digest('hex'), `manifest hash should match ${entry.path}`);
+  });
+
+  // onFinalizeBuild sees the same manifest.
+  const finalized = fs.readFileSync(path.join(buildDir, 'meta', 'finalize.txt'), 'utf8');
+  assert.strictEqual(finalized, files.map(entry => `${entry.path} ${entry.instance} ${entry.bytes}`).join('\n') + '\n', 'onFinalizeBuild should receive the manifest');
+
+  // The package runs after finalize hooks, so their files are included.
+  const tar = zlib.gunzipSync(fs.readFileSync(`${buildDir}.tar.gz`)).toString('latin1');
+  assert.ok(tar.includes('meta/finalize.txt'), 'package should include files written by onFinalizeBuild');
+  assert.ok(tar.includes('meta/manifest.json'), 'package should include the manifest');
+}
+
+function testDefaultsLayer() {
+  const fixtureRoot = path.join(__dirname, 'fixtures', 'defaults-layer');
+  const defaultsDir = path.join(fixtureRoot, 'defaults');
+  const stackDir = path.join(fixtureRoot, 'stack');
+  const buildRoot = tempDir('terrible-defaults-test-');
+  const buildName = 'defaults';
+  runBuild({
+    classDirs: [stackDir],
+    instanceDirs: [stackDir],
+    defaultsDir,
+    buildRoot,
+    buildName,
+    includeHash: false,
+    quiet: true,
+    silent: true,
+    warningsAsErrors: true
+  });
+  const canonical = readCanonical(buildRoot, buildName);
+  const buildDir = path.join(buildRoot, buildName);
+
+  // Classes and instances from the defaults layer merge first; stack values win.
+  assert.ok(canonical.classesById.service, 'defaults classes should load');
+  assert.strictEqual(canonical.instancesById.api.port, 8080, 'defaults class defaults should apply to stack instances');
+  assert.strictEqual(canonical.instancesById.monitoring.port, 9090, 'defaults instances should merge under stack overlays');
+  assert.strictEqual(canonical.instancesById.monitoring.owner, 'observability', 'stack overlay should override defaults instance');
+  assert.strictEqual(canonical.global.org, 'Example Org', 'defaults global should merge');
+  assert.strictEqual(canonical.global.region, 'us-east-1', 'stack global should override defaults global');
+
+  // Templates: stack overrides defaults of the same path; defaults partials are available.
+  assert.strictEqual(fs.readFileSync(path.join(buildDir, 'api.txt'), 'utf8'), 'api:8080 owned by payments\n', 'stack template should override defaults template');
+  assert.ok(fs.readFileSync(path.join(buildDir, 'services.txt'), 'utf8').endsWith('default footer\n'), 'defaults partials should be usable from stack templates');
+
+  // Each layer is reported in buildMeta, defaults first.
+  assert.strictEqual(canonical.buildMeta.defaultsDir, defaultsDir);
+  ['classes', 'instances', 'templates'].forEach(type => {
+    assert.deepStrictEqual(canonical.buildMeta.layers[type], [
+      { layer: 'defaults', dir: defaultsDir },
+      { layer: 'stack', dir: stackDir }
+    ], `buildMeta.layers.${type} should list defaults then stack`);
+  });
+  assert.deepStrictEqual(canonical.buildMeta.classOrder, [defaultsDir, stackDir], 'classOrder should include the defaults layer');
+}
+
+function testContentHashBuildNames() {
+  const fixture = path.join(__dirname, 'fixtures', 'defaults-layer', 'stack');
+  const copyA = path.join(tempDir('terrible-content-hash-a-'), 'stack');
+  const copyB = path.join(tempDir('terrible-content-hash-b-'), 'stack');
+  fs.cpSync(fixture, copyA, { recursive: true });
+  fs.cpSync(fixture, copyB, { recursive: true });
+  const buildRoot = tempDir('terrible-content-hash-build-');
+  const build = (stackDir) => {
+    const before = new Set(fs.readdirSync(buildRoot));
+    runBuild({ classDirs: [stackDir], instanceDirs: [stackDir], buildRoot, contentHash: true, outputs: new Set(['canonical']), quiet: true, silent: true });
+    const created = fs.readdirSync(buildRoot).find(name => !before.has(name)) || Array.from(before)[0];
+    return JSON.parse(fs.readFileSync(path.join(buildRoot, created, 'canonical.json'), 'utf8')).buildMeta;
+  };
+
+  // Same inputs in different locations produce the same hash and build dir name.
+  const metaA = build(copyA);
+  const metaB = build(copyB);
+  assert.strictEqual(metaA.hashMode, 'content');
+  assert.strictEqual(metaA.stackHash, metaB.stackHash, 'content hash should not depend on stack location');
+  assert.strictEqual(metaA.buildDirName, `stack-${metaA.stackHash}`, 'build dir name should use the content hash');
+  assert.strictEqual(metaA.buildDirName, metaB.buildDirName);
+
+  // Changing an input file changes the hash.
+  fs.appendFileSync(path.join(copyB, 'templates', 'service.txt'), 'changed\n');
+  const templateChanged = build(copyB).stackHash;
+  assert.notStrictEqual(templateChanged, metaA.stackHash, 'content hash should change when a template changes');
+
+  // Hook modules are inputs too.
+  const hookFile = path.join(copyB, 'hooks', 'stamp.js');
+  fs.mkdirSync(path.dirname(hookFile), { recursive: true });
+  fs.writeFileSync(hookFile, 'module.exports = { onLoadComplete() {} };\n');
+  const hookAdded = build(copyB).stackHash;
+  assert.notStrictEqual(hookAdded, templateChanged, 'content hash should change when a hook is added');
+  fs.writeFileSync(hookFile, 'module.exports = { onLoadComplete(ctx) { return ctx; } };\n');
+  assert.notStrictEqual(build(copyB).stackHash, hookAdded, 'content hash should change when a hook changes');
+}
+
+function testIncrementalBuild() {
+  const stackDir = path.join(tempDir('terrible-incremental-'), 'stack');
+  fs.cpSync(path.join(__dirname, 'fixtures', 'incremental'), stackDir, { recursive: true });
+  const buildRoot = tempDir('terrible-incremental-build-');
+  const buildDir = path.join(buildRoot, 'inc');
+  const outputs = ['api.txt', 'web.txt', 'worker.txt', 'index.txt'];
+  const build = (opts = {}) => runBuild({ classDirs: [stackDir], instanceDirs: [stackDir], buildRoot, quiet: true, silent: true, ...opts });
+  const incrementalBuild = () => build({ buildDir, incremental: true });
+  const read = (rel) => fs.readFileSync(path.join(buildDir, rel), 'utf8');
+  const editJson = (rel, edit) => {
+    const file = path.join(stackDir, rel);
+    fs.writeFileSync(file, JSON.stringify(edit(JSON.parse(fs.readFileSync(file, 'utf8'))), null, 2));
+  };
+  // Backdate outputs so reused files are recognizable by their unchanged mtime.
+  const backdate = () => outputs.forEach(rel => {
+    const file = path.join(buildDir, rel);
+    if (fs.existsSync(file)) fs.utimesSync(file, 1, 1);
+  });
+  const rerendered = () => outputs.filter(rel => fs.existsSync(path.join(buildDir, rel)) && fs.statSync(path.join(buildDir, rel)).mtimeMs > 1000);
+
+  incrementalBuild();
+  assert.strictEqual(read('web.txt'), 'web:8081 (standard)\n-- Example Org\n');
+  const state = JSON.parse(read('meta/incremental.json'));
+  assert.deepStrictEqual(Object.keys(state.outputs).sort(), ['api.txt', 'index.txt', 'web.txt', 'worker.txt']);
+  assert.deepStrictEqual(Object.keys(state.outputs['web.txt'].partials), ['parts/footer']);
+  assert.ok(state.outputs['web.txt'].reads.includes('v["ctx","port"]'), 'reads should record the fields a template used');
+
+  // Unchanged inputs: nothing re-renders, but untracked files are still cleaned.
+  backdate();
+  fs.writeFileSync(path.join(buildDir, 'stray.txt'), 'left over');
+  incrementalBuild();
+  assert.deepStrictEqual(rerendered(), []);
+  assert.ok(!fs.existsSync(path.join(buildDir, 'stray.txt')), 'files not recorded in the state should be cleaned');
+  assert.ok(fs.existsSync(path.join(buildDir, 'canonical.json')));
+
+  // A data change re-renders only the outputs that read it.
+  backdate();
+  editJson('instances/web.json', obj => ({ ...obj, port: 8181 }));
+  incrementalBuild();
+  assert.deepStrictEqual(rerendered(), ['web.txt']);
+  assert.strictEqual(read('web.txt'), 'web:8181 (standard)\n-- Example Org\n');
+
+  // A partial change re-renders every template that includes it.
+  backdate();
+  fs.writeFileSync(path.join(stackDir, 'templates', 'parts', 'footer.txt'), '== {{org}}\n');
+  incrementalBuild();
+  assert.deepStrictEqual(rerendered(), ['api.txt', 'web.txt', 'worker.txt']);
+
+  // Edited outputs are restored rather than trusted.
+  backdate();
+  fs.writeFileSync(path.join(buildDir, 'api.txt'), 'hand edited');
+  incrementalBuild();
+  assert.deepStrictEqual(rerendered(), ['api.txt']);
+
+  // Removing an instance prunes its output and re-renders outputs that listed it.
+  backdate();
+  fs.rmSync(path.join(stackDir, 'instances', 'worker.json'));
+  incrementalBuild();
+  assert.ok(!fs.existsSync(path.join(buildDir, 'worker.txt')), 'stale output should be pruned');
+  assert.deepStrictEqual(rerendered(), ['index.txt']);
+  assert.ok(!JSON.parse(read('meta/incremental.json')).outputs['worker.txt']);
+
+  // The incremental build dir matches a clean build of the same inputs.
+  build({ buildName: 'clean', outputs: new Set(['templates']) });
+  ['api.txt', 'web.txt', 'index.txt'].forEach(rel => {
+    assert.strictEqual(read(rel), fs.readFileSync(path.join(buildRoot, 'clean', rel), 'utf8'), `${rel} should match a clean build`);
+  });
+}
+
+function testWatchRebuilds() {
+  const stackDir = path.join(tempDir('terrible-watch-'), 'stack');
+  fs.cpSync(path.join(__dirname, 'fixtures', 'incremental'), stackDir, { recursive: true });
+  const buildRoot = tempDir('terrible-watch-build-');
+  const watcher = createWatcher({ classDirs: [stackDir], instanceDirs: [stackDir], buildRoot, buildName: 'watch', quiet: true, silent: true });
+
+  const initial = watcher.build();
+  assert.ok(initial.result.ok, 'initial watch build should succeed');
+  assert.deepStrictEqual(initial.diff.outputs.added, ['api.txt', 'index.txt', 'web.txt', 'worker.txt']);
+
+  // A data change reports only the outputs it changed.
+  fs.writeFileSync(path.join(stackDir, 'instances', 'web.json'), JSON.stringify({ id: 'web', class: 'service', port: 8181, build: ['service.txt'] }));
+  const changed = watcher.build(['instances/web.json']);
+  assert.ok(changed.result.ok);
+  assert.deepStrictEqual(changed.diff.outputs, { added: [], removed: [], changed: ['web.txt'] });
+  assert.deepStrictEqual(changed.diff.issues, { added: [], resolved: [] });
+
+  // New validation issues are reported; a broken template fails the build without exiting.
+  const writeWeb = (port) => fs.writeFileSync(path.join(stackDir, 'instances', 'web.json'), JSON.stringify({ id: 'web', class: 'service', port, build: ['service.txt'] }));
+  writeWeb('eighty');
+  const warned = watcher.build(['instances/web.json']);
+  assert.strictEqual(warned.diff.issues.added.length, 1);
+  assert.ok(warned.diff.issues.added[0].startsWith('warn: ') && warned.diff.issues.added[0].includes('port'), 'the new issue should name the invalid field');
+
+  const indexPath = path.join(stackDir, 'templates', 'index.txt');
+  const indexTemplate = fs.readFileSync(indexPath, 'utf8');
+  fs.writeFileSync(indexPath, '{{#each objects}}');
+  const failed = watcher.build(['templates/index.txt']);
+  assert.strictEqual(failed.result.ok, false);
+  assert.strictEqual(failed.diff.outputs, null, 'failed builds do not report output changes');
+  assert.ok(failed.diff.issues.added.some(message => message.startsWith('error: ')), 'the template error should be reported');
+
+  // Fixing everything resolves the issues; outputs are compared with the last successful build.
+  fs.writeFileSync(indexPath, indexTemplate);
+  writeWeb(8181);
+  fs.rmSync(path.join(stackDir, 'instances', 'worker.json'));
+  const fixed = watcher.build(['templates/index.txt', 'instances/web.json', 'instances/worker.json']);
+  assert.ok(fixed.result.ok);
+  assert.deepStrictEqual(fixed.diff.issues.added, []);
+  assert.strictEqual(fixed.diff.issues.resolved.length, 2);
+  assert.deepStrictEqual(fixed.diff.outputs, { added: [], removed: ['worker.txt'], changed: ['index.txt', 'web.txt'] });
+  watcher.close();
+}
+
+// Minimal request/response doubles for driving the preview server handler synchronously.
+function serveRequest(handler, url, headers = {}) {
+  const res = {
+    status: null,
+    headers: null,
+    body: '',
+    writeHead(status, responseHeaders) { this.status = status; this.headers = responseHeaders; },
+    write(chunk) { this.body += String(chunk); },
+    end(chunk) { if (chunk !== undefined) this.body += String(chunk); this.ended = true; }
+  };
+  handler({ url, headers, on() {} }, res);
+  return res;
+}
+
+function testServePreview() {
+  const stackDir = path.join(tempDir('terrible-serve-'), 'stack');
+  fs.cpSync(path.join(__dirname, 'fixtures', 'incremental'), stackDir, { recursive: true });
+  fs.writeFileSync(path.join(stackDir, 'templates', 'page.html'), '<html><body><h1>{{org}}</h1></body></html>\n');
+  fs.writeFileSync(path.join(stackDir, 'global.json'), JSON.stringify({ org: 'Example Org', build: [{ 'index.txt': 'index.txt' }, { 'page.html': 'page.html' }] }));
+  const buildRoot = tempDir('terrible-serve-build-');
+  const preview = createPreviewServer({ classDirs: [stackDir], instanceDirs: [stackDir], buildRoot, buildName: 'serve', quiet: true, silent: true });
+  const handler = preview.server.listeners('request')[0];
+  preview.watcher.build();
+
+  // Served HTML gets the live reload script; other files are served as-is.
+  const page = serveRequest(handler, '/page.html');
+  assert.strictEqual(page.status, 200);
+  assert.ok(page.body.includes('<h1>Example Org</h1>') && page.body.includes(`${SERVE_PREFIX}/events`), 'HTML should carry the reload script');
+  assert.ok(page.body.indexOf('EventSource') < page.body.indexOf('</body>'), 'the script goes before </body>');
+  const text = serveRequest(handler, '/api.txt');
+  assert.strictEqual(text.body, fs.readFileSync(path.join(buildRoot, 'serve', 'api.txt'), 'utf8'));
+  assert.strictEqual(serveRequest(handler, '/../../etc/passwd').status, 404, 'requests cannot escape the build dir');
+
+  // Rebuilds push a reload event to connected pages.
+  const events = serveRequest(handler, `${SERVE_PREFIX}/events`);
+  assert.strictEqual(preview.clients.size, 1);
+  const writeWeb = (port) => fs.writeFileSync(path.join(stackDir, 'instances', 'web.json'), JSON.stringify({ id: 'web', class: 'service', port, build: ['service.txt'] }));
+  writeWeb('eighty');
+  preview.watcher.build(['instances/web.json']);
+  assert.ok(events.body.includes('event: reload'), 'a reload event should follow the rebuild');
+
+  // Validation issues show as a panel on otherwise current pages.
+  const warned = serveRequest(handler, '/page.html');
+  assert.strictEqual(warned.status, 200);
+  assert.ok(warned.body.includes('terrible-overlay') && warned.body.includes('port'), 'the issues panel should list the warning');
+
+  // A failed build replaces every file with the error overlay instead of serving stale output.
+  const indexPath = path.join(stackDir, 'templates', 'index.txt');
+  const indexTemplate = fs.readFileSync(indexPath, 'utf8');
+  fs.writeFileSync(indexPath, '{{#each objects}}');
+  preview.watcher.build(['templates/index.txt']);
+  const overlay = serveRequest(handler, '/page.html');
+  assert.strictEqual(overlay.status, 500);
+  assert.ok(overlay.body.includes('Build failed') && overlay.body.includes('index.txt'), 'the overlay should name the broken template');
+  assert.ok(overlay.body.includes(`${SERVE_PREFIX}/events`), 'the overlay reloads once the build is fixed');
+  const plain = serveRequest(handler, '/api.txt');
+  assert.strictEqual(plain.status, 503);
+  assert.ok(plain.body.startsWith('Build failed:'));
+  const status = JSON.parse(serveRequest(handler, `${SERVE_PREFIX}/status`).body);
+  assert.strictEqual(status.ok, false);
+
+  fs.writeFileSync(indexPath, indexTemplate);
+  writeWeb(8081);
+  preview.watcher.build(['templates/index.txt', 'instances/web.json']);
+  const recovered = serveRequest(handler, '/page.html');
+  assert.strictEqual(recovered.status, 200);
+  assert.ok(!recovered.body.includes('terrible-overlay'), 'no panel once the issues are resolved');
+  preview.close();
+}
+
+function testDiffBuilds() {
+  const root = tempDir('terrible-diff-');
+  const devDir = path.join(root, 'dev');
+  const prodDir = path.join(root, 'prod');
+  fs.cpSync(path.join(__dirname, 'fixtures', 'incremental'), devDir, { recursive: true });
+  fs.cpSync(devDir, prodDir, { recursive: true });
+  fs.writeFileSync(path.join(prodDir, 'instances', 'web.json'), JSON.stringify({ id: 'web', class: 'service', port: 80, replicas: 3, build: ['service.txt'] }));
+  fs.rmSync(path.join(prodDir, 'instances', 'worker.json'));
+  fs.writeFileSync(path.join(prodDir, 'classes', 'service.json'), JSON.stringify({ class: 'service', tier: 'premium' }));
+  const schemaPath = path.join(prodDir, 'classes', 'service.schema.json');
+  const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  schema.properties.replicas = { type: 'integer' };
+  schema.properties.port.minimum = 1;
+  fs.writeFileSync(schemaPath, JSON.stringify(schema));
+
+  const build = (stackDir, name) => runBuild({ classDirs: [stackDir], instanceDirs: [stackDir], buildRoot: root, buildName: name, exitOnError: false, quiet: true, silent: true });
+  assert.ok(build(devDir, 'build-dev').ok && build(prodDir, 'build-prod').ok);
+  const dev = readBuildSide(path.join(root, 'build-dev'));
+  const prod = readBuildSide(path.join(root, 'build-prod'));
+
+  assert.strictEqual(diffBuilds(dev, dev).identical, true);
+  const report = diffBuilds(dev, prod);
+  assert.strictEqual(report.identical, false);
+  assert.deepStrictEqual(report.instances.added, []);
+  assert.deepStrictEqual(report.instances.removed, ['worker']);
+  assert.deepStrictEqual(report.instances.changed.map(entry => entry.id), ['api', 'web'], 'global is compared without its derived indexes');
+  assert.deepStrictEqual(report.instances.changed[1].changes, [
+    { path: '/port', change: 'changed', before: 8081, after: 80 },
+    { path: '/replicas', change: 'added', after: 3 },
+    { path: '/tier', change: 'changed', before: 'standard', after: 'premium' }
+  ]);
+  assert.deepStrictEqual(report.classes.changed, [{ class: 'service', changes: [{ path: '/tier', change: 'changed', before: 'standard', after: 'premium' }] }]);
+  assert.deepStrictEqual(report.schemas.changed[0].properties, { added: ['replicas'], removed: [], changed: ['port'] });
+  assert.ok(report.schemas.changed[0].changes.some(change => change.path === '/properties/port/minimum' && change.change === 'added'));
+
+  // Rendered outputs: build metadata is ignored, changed text files carry a unified diff.
+  assert.deepStrictEqual(report.outputs.removed, ['worker.txt']);
+  assert.deepStrictEqual(report.outputs.changed.map(entry => entry.path), ['api.txt', 'index.txt', 'web.txt']);
+  const webDiff = report.outputs.changed[2].diff;
+  assert.ok(webDiff.startsWith('--- a/web.txt\n+++ b/web.txt\n@@ -1,2 +1,2 @@\n-web:8081 (standard)\n+web:80 (premium)\n'), webDiff);
+
+  const text = formatDiffText(report).join('\n');
+  assert.ok(text.includes('properties: +replicas ~port'));
+  assert.ok(text.includes('/replicas: 3'));
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(report)), report, 'the report is plain JSON');
+
+  // Ids that are also Object.prototype members are entries like any other.
+  const side = (instancesById) => ({ buildDir: 'side', canonical: { instancesById, classesById: {} }, outputs: new Map() });
+  const named = diffBuilds(side({ toString: { id: 'toString' } }), side({ constructor: { id: 'constructor' } })).instances;
+  assert.deepStrictEqual([named.added, named.removed], [['constructor'], ['toString']]);
+}
+
+function testMergeStrategies() {
+  const fixture = path.join(__dirname, 'fixtures', 'merge-strategies');
+  const dirs = [path.join(fixture, 'base'), path.join(fixture, 'overlay')];
+  const buildRoot = tempDir('terrible-merge-strategies-');
+  const result = runBuild({ classDirs: dirs, instanceDirs: dirs, buildRoot, buildName: 'out', defaultsDir: null, exitOnError: false, quiet: true, silent: true });
+  assert.ok(result.ok, result.errors.join('\n'));
+  const canonical = readCanonical(buildRoot, 'out');
+
+  // x-terrible-merge on the parent schema: api's two files and its parent replace instead of appending.
+  assert.deepStrictEqual(canonical.classesById.api.allowed_origins, ['https://api.example.org']);
+  assert.deepStrictEqual(canonical.classesById.api.plugins, ['core', 'auth']);
+
+  const svc = canonical.instancesById.svc;
+  assert.deepStrictEqual(svc.allowed_origins, ['https://svc.example.com'], 'schema replace applies to class defaults');
+  assert.deepStrictEqual(svc.plugins, ['core', 'auth', 'metrics'], 'schema unique applies to class defaults');
+  assert.deepStrictEqual(svc.limits, { rps: 50, paths: ['/'] }, 'a $merge directive in an instance file applies to the class default');
+  assert.deepStrictEqual(svc.stages, ['lint', 'build', 'test']);
+  assert.deepStrictEqual(svc.owners, ['ops'], 'a directive with nothing below it is unwrapped');
+
+  assert.deepStrictEqual(canonical.global.regions, ['eu', 'us', 'ap']);
+  assert.deepStrictEqual(canonical.global.settings, { level: 2 });
+
+  // x-terrible-merge-by: elements merge by name across stacks, parents, overlays and class defaults.
+  assert.deepStrictEqual(canonical.classesById.api.listeners, [{ name: 'http', port: 8080 }, { name: 'grpc', port: 9090 }]);
+  assert.deepStrictEqual(svc.listeners, [{ name: 'http', port: 8080, tls: true }, { name: 'metrics', port: 9100 }]);
+  assert.deepStrictEqual(canonical.global.upstreams, [{ host: 'b', weight: 5 }]);
+
+  // Unknown strategies fail the build naming the file.
+  const badDir = tempDir('terrible-merge-bad-');
+  fs.cpSync(dirs[1], badDir, { recursive: true });
+  fs.writeFileSync(path.join(badDir, 'instances', 'svc.json'), JSON.stringify({ id: 'svc', stages: { $merge: 'sideways', value: [] } }));
+  const bad = runBuild({ classDirs: [dirs[0]], instanceDirs: [dirs[0], badDir], buildRoot, buildName: 'bad', defaultsDir: null, exitOnError: false, quiet: true, silent: true });
+  assert.strictEqual(bad.ok, false);
+  assert.ok(bad.errors.some(message => message.includes('"sideways"') && message.includes(path.join(badDir, 'instances', 'svc.json'))), bad.errors.join('\n'));
+}
+
+function testUnsetFields() {
+  const root = tempDir('terrible-unset-');
+  const write = (rel, data) => writeFile(root, rel, data);
+  write('base/classes/server.json', { class: 'server', debug: true, admin_token: 'changeme', tls: { enabled: true, verify: false, ciphers: ['rc4'] } });
+  write('base/classes/server.schema.json', {
+    type: 'object',
+    required: ['admin_token'],
+    properties: { tls: { type: 'object', required: ['enabled'] }, auth: { type: 'object', properties: { oidc: { type: 'object', required: ['issuer'] } } } }
+  });
+  write('base/classes/hardened.json', { class: 'hardened', parent: 'server' });
+  write('overlay/classes/hardened.json', { class: 'hardened', debug: { $unset: true } });
+  write('base/instances/web.json', { id: 'web', class: 'hardened', trace: true });
+  write('overlay/instances/web.json', { id: 'web', trace: { $delete: true }, tls: { verify: true, ciphers: { $unset: true } } });
+  const dirs = [path.join(root, 'base'), path.join(root, 'overlay')];
+  const build = (buildName) => runBuild({ classDirs: dirs, instanceDirs: dirs, buildRoot: root, buildName, defaultsDir: null, exitOnError: false, quiet: true, silent: true });
+
+  const result = build('out');
+  assert.ok(result.ok, result.errors.join('\n'));
+  const canonical = readCanonical(root, 'out');
+  assert.ok(!('debug' in canonical.classesById.hardened), 'a class file unsets a parent field');
+  const web = canonical.instancesById.web;
+  assert.ok(!('trace' in web), 'an overlay unsets an earlier instance root field');
+  assert.ok(!('debug' in web), 'the unset class field is not a default');
+  assert.deepStrictEqual(web.tls, { enabled: true, verify: true }, 'an instance unsets a nested class default');
+
+  // Unsetting a required field is recorded with the validation issues.
+  write('overlay/instances/web.json', { id: 'web', admin_token: { $unset: true } });
+  const unset = build('unset');
+  assert.ok(unset.issues.some(issue => issue.code === 'required_unset' && issue.field === 'admin_token'), JSON.stringify(unset.issues));
+  assert.ok(unset.issues.some(issue => issue.code === 'schema_validation' && issue.keyword === 'required'));
+  assert.ok(!('admin_token' in readCanonical(root, 'unset').instancesById.web));
+
+  // Nested required fields count too, whether an instance or a subclass unsets them.
+  write('base/classes/server.json', { class: 'server', admin_token: 'changeme', tls: { enabled: true }, auth: { oidc: { issuer: 'https://id.example.com' } } });
+  write('overlay/classes/hardened.json', { class: 'hardened', auth: { oidc: { issuer: { $unset: true } } } });
+  write('overlay/instances/web.json', { id: 'web', tls: { enabled: { $unset: true } } });
+  const nested = build('nested');
+  const unsets = nested.issues.filter(issue => issue.code === 'required_unset').map(issue => [issue.class, issue.id, issue.field, issue.instancePath]);
+  assert.deepStrictEqual(unsets, [['hardened', undefined, 'issuer', '/auth/oidc/issuer'], ['hardened', 'web', 'enabled', '/tls/enabled']], JSON.stringify(nested.issues));
+  assert.deepStrictEqual(readCanonical(root, 'nested').instancesById.web.tls, {});
+}
+
+function testPatchOverlays() {
+  const fixture = path.join(__dirname, 'fixtures', 'patches');
+  const root = tempDir('terrible-patches-');
+  const baseDir = path.join(fixture, 'base');
+  const overlayDir = path.join(root, 'overlay');
+  fs.cpSync(path.join(fixture, 'overlay'), overlayDir, { recursive: true });
+  const dirs = [baseDir, overlayDir];
+  const build = (buildName) => runBuild({ classDirs: dirs, instanceDirs: dirs, outputs: new Set(['canonical', 'provenance']), buildRoot: root, buildName, defaultsDir: null, exitOnError: false, quiet: true, silent: true });
+
+  const result = build('out');
+  assert.ok(result.ok, result.errors.join('\n'));
+  const canonical = readCanonical(root, 'out');
+  const edge = canonical.instancesById.edge;
+  assert.deepStrictEqual(edge.routes, [{ path: '/', upstreams: ['a', 'b', 'd'] }, { path: '/api', auth: { mode: 'oidc' } }]);
+  assert.deepStrictEqual(edge.api_upstreams, ['c']);
+  assert.ok(!('debug' in edge));
+  assert.strictEqual(edge.timeout_ms, 3000, 'class defaults still apply after patches');
+  assert.strictEqual(canonical.global.region, 'us');
+  assert.deepStrictEqual(canonical.global.flags, { beta: true });
+  const provenance = JSON.parse(fs.readFileSync(path.join(root, 'out', 'meta', 'provenance.json'), 'utf8'));
+  const patchFile = path.join(overlayDir, 'instances', 'tenant', 'edge.patch.json');
+  assert.deepStrictEqual(provenance.instances.edge.fields['/routes'].source, { file: patchFile, kind: 'patch' });
+  assert.strictEqual(provenance.instances.edge.fields['/routes'].overridden[0].source.file, path.join(baseDir, 'instances', 'edge.json'));
+
+  // A failed test op is a structured issue and the whole patch is skipped.
+  fs.writeFileSync(path.join(overlayDir, 'instances', 'tenant', 'stale.patch.json'), JSON.stringify({
+    id: 'edge',
+    patch: [{ op: 'remove', path: '/api_upstreams' }, { op: 'test', path: '/routes/0/path', value: '/old' }]
+  }));
+  const stale = build('stale');
+  assert.strictEqual(stale.ok, false);
+  const failed = stale.issues.find(issue => issue.code === 'patch_test_failed');
+  assert.ok(failed, JSON.stringify(stale.issues));
+  assert.deepStrictEqual([failed.id, failed.index, failed.path, failed.expected, failed.actual], ['edge', 1, '/routes/0/path', '/old', '/']);
+  assert.strictEqual(failed.file, path.join(overlayDir, 'instances', 'tenant', 'stale.patch.json'));
+  fs.rmSync(path.join(overlayDir, 'instances', 'tenant', 'stale.patch.json'));
+
+  // A patch must name its target; one without an id does not fall back to global.
+  fs.writeFileSync(path.join(overlayDir, 'instances', 'tenant', 'anonymous.merge-patch.json'), JSON.stringify({ patch: { region: 'eu' } }));
+  const anonymous = build('anonymous');
+  assert.strictEqual(anonymous.ok, false);
+  assert.ok(anonymous.errors.some(message => /anonymous\.merge-patch\.json must name the target instance in 'id'/.test(message)), anonymous.errors.join('\n'));
+}
+
+function testClassLinearization() {
+  const root = tempDir('terrible-c3-');
+  const write = (rel, data) => writeFile(root, rel, data);
+  write('stack/classes/base.json', { class: 'base', tags: ['base'], port: 80 });
+  write('stack/classes/cached.json', { class: 'cached', parent: 'base', tags: ['cached'], port: 8080 });
+  write('stack/classes/logged.json', { class: 'logged', parent: 'base', tags: ['logged'], port: 9090 });
+  write('stack/classes/service.json', { class: 'service', parent: ['cached', 'logged'], tags: ['service'] });
+  write('stack/instances/api.json', { id: 'api', class: 'service' });
+  const stack = path.join(root, 'stack');
+  const build = (buildName) => runBuild({ classDirs: [stack], instanceDirs: [stack], buildRoot: root, buildName, defaultsDir: null, exitOnError: false, quiet: true, silent: true });
+
+  const result = build('out');
+  assert.ok(result.ok, result.errors.join('\n'));
+  const canonical = readCanonical(root, 'out');
+  const service = canonical.classesById.service;
+  assert.deepStrictEqual(service.tags, ['base', 'cached', 'logged', 'service'], 'the shared ancestor applies once');
+  assert.deepStrictEqual(service.parent, ['cached', 'logged']);
+  assert.strictEqual(service.port, 9090, 'the later parent wins');
+  const node = canonical.classHierarchy[0].children.find(child => child.class === 'cached').children[0];
+  assert.deepStrictEqual(node.mro, ['service', 'logged', 'cached', 'base']);
+  const conflict = result.issues.find(issue => issue.code === 'class_parent_conflict');
+  assert.ok(conflict, JSON.stringify(result.issues));
+  assert.deepStrictEqual([conflict.class, conflict.path, conflict.parents, conflict.values, conflict.winner], ['service', '/port', ['cached', 'logged'], [8080, 9090], 'logged']);
+
+  // Parents that need opposite orders of the same ancestors cannot be linearized.
+  write('stack/classes/other.json', { class: 'other', parent: ['logged', 'cached'] });
+  write('stack/classes/service.json', { class: 'service', parent: ['cached', 'logged', 'other'] });
+  const bad = build('bad');
+  assert.strictEqual(bad.ok, false);
+  assert.ok(bad.errors.some(message => message.includes("Cannot linearize class 'service'")), bad.errors.join('\n'));
+}
+
+function testClassMixins() {
+  const root = tempDir('terrible-mixins-');
+  const write = (rel, data) => writeFile(root, rel, data);
+  write('stack/classes/base.json', { class: 'base', tags: ['base'], port: 80 });
+  write('stack/classes/service.json', { class: 'service', parent: 'base', tags: ['service'], port: 8080 });
+  write('stack/classes/monitored.json', { class: 'monitored', parent: 'base', tags: ['monitored'], metrics: { enabled: true } });
+  write('stack/classes/tls.json', { class: 'tls', port: 443, tls: { min: '1.2' } });
+  write('stack/classes/tls.schema.json', { type: 'object', required: ['cert'], properties: { cert: { type: 'string' } } });
+  write('stack/instances/api.json', { id: 'api', class: ['service', 'monitored', 'tls'], cert: 'api.pem', metrics: { path: '/metrics' } });
+  write('stack/instances/worker.json', { id: 'worker', class: 'service' });
+  write('stack/global.json', { build: [{ 'index.txt': 'index.txt' }] });
+  write('stack/templates/index.txt', [
+    'monitored:{{#each (filter_inherits (values objects) "monitored" classesById)}} {{id}}{{/each}}',
+    'base:{{#each (filter_inherits (values objects) "base" classesById)}} {{id}}{{/each}}',
+    'tls:{{#each (where (values objects) "class" "tls")}} {{id}}{{/each}}',
+    'api:{{#if (inherits objects.api.class "monitored" classesById)}} monitored{{/if}}',
+    'lineage:{{#each (class_lineage objects.api.class classesById)}} {{this}}{{/each}}',
+    ''
+  ].join('\n'));
+  const stack = path.join(root, 'stack');
+  const build = (buildName) => runBuild({ classDirs: [stack], instanceDirs: [stack], buildRoot: root, buildName, defaultsDir: null, exitOnError: false, quiet: true, silent: true });
+
+  const result = build('out');
+  assert.ok(result.ok, result.errors.join('\n'));
+  assert.deepStrictEqual(result.issues.filter(issue => issue.code === 'schema_validation'), []);
+  const canonical = readCanonical(root, 'out');
+  const api = canonical.instancesById.api;
+  assert.deepStrictEqual(api.class, ['service', 'monitored', 'tls']);
+  assert.deepStrictEqual(api.tags, ['base', 'service', 'monitored'], 'the shared ancestor applies once');
+  assert.strictEqual(api.port, 443, 'later classes win');
+  assert.deepStrictEqual([api.metrics, api.tls], [{ enabled: true, path: '/metrics' }, { min: '1.2' }]);
+  assert.deepStrictEqual(canonical.instancesById.global.objects.api.class, ['service', 'monitored', 'tls']);
+  assert.strictEqual(canonical.instancesById.global.objects.api.properties.port, 443);
+  assert.strictEqual(fs.readFileSync(path.join(root, 'out', 'index.txt'), 'utf8'), [
+    'monitored: api',
+    'base: api worker',
+    'tls: api',
+    'api: monitored',
+    'lineage: base service monitored tls',
+    ''
+  ].join('\n'));
+
+  // Every listed class validates the instance; unknown classes are reported.
+  write('stack/instances/api.json', { id: 'api', class: ['service', 'tls', 'missing'] });
+  const bad = build('bad');
+  const issues = bad.issues.map(issue => [issue.code, issue.class]);
+  assert.ok(issues.some(([code, cls]) => code === 'schema_validation' && cls === 'tls'), JSON.stringify(bad.issues));
+  assert.ok(issues.some(([code, cls]) => code === 'unknown_class' && cls === 'missing'), JSON.stringify(bad.issues));
+}
+
+function testInstanceExtends() {
+  const root = tempDir('terrible-extends-');
+  const write = (rel, data) => writeFile(root, rel, data);
+  write('stack/classes/region.json', { class: 'region', replicas: 2, tags: ['svc'] });
+  write('stack/instances/prod-eu-1.json', { id: 'prod-eu-1', class: 'region', region: 'eu-1', zones: ['a', 'b'], tags: ['prod'], limits: { cpu: 2, mem: 4 }, debug: true, build: [{ 'region.txt': 'eu-1.txt' }] });
+  write('stack/instances/prod-eu-2.json', {
+    id: 'prod-eu-2',
+    extends: 'prod-eu-1',
+    build: [{ 'region.txt': 'eu-2.txt' }],
+    region: 'eu-2',
+    zones: { $reset: true, value: ['c'] },
+    tags: ['eu2'],
+    limits: { mem: 8 },
+    debug: { $unset: true }
+  });
+  write('stack/instances/prod-eu-3.json', { id: 'prod-eu-3', extends: 'prod-eu-2', region: 'eu-3' });
+  write('stack/templates/region.txt', 'region={{region}} id={{id}}\n');
+  const stack = path.join(root, 'stack');
+  const build = (buildName) => runBuild({ classDirs: [stack], instanceDirs: [stack], outputs: new Set(['canonical', 'provenance', 'templates']), buildRoot: root, buildName, defaultsDir: null, exitOnError: false, quiet: true, silent: true });
+
+  const result = build('out');
+  assert.ok(result.ok, result.errors.join('\n'));
+  const { instancesById } = readCanonical(root, 'out');
+  const eu2 = instancesById['prod-eu-2'];
+  assert.deepStrictEqual(
+    [eu2.class, eu2.extends, eu2.region, eu2.zones, eu2.tags, eu2.limits, eu2.replicas],
+    ['region', 'prod-eu-1', 'eu-2', ['c'], ['svc', 'prod', 'eu2'], { cpu: 2, mem: 8 }, 2]
+  );
+  assert.ok(!('debug' in eu2), '$unset removes the base value');
+  assert.deepStrictEqual([instancesById['prod-eu-1'].build, eu2.build, instancesById['prod-eu-3'].build], [[{ 'region.txt': 'eu-1.txt' }], [{ 'region.txt': 'eu-2.txt' }], []], 'build lists are not inherited');
+  assert.strictEqual(fs.readFileSync(path.join(root, 'out', 'eu-1.txt'), 'utf8'), 'region=eu-1 id=prod-eu-1\n', 'the base output is not overwritten');
+  assert.strictEqual(fs.readFileSync(path.join(root, 'out', 'eu-2.txt'), 'utf8'), 'region=eu-2 id=prod-eu-2\n');
+  const eu3 = instancesById['prod-eu-3'];
+  assert.deepStrictEqual([eu3.extends, eu3.region, eu3.zones, eu3.limits], ['prod-eu-2', 'eu-3', ['c'], { cpu: 2, mem: 8 }]);
+  assert.ok(!('extends' in instancesById.global.objects['prod-eu-3'].properties), 'extends is reserved');
+  assert.deepStrictEqual(instancesById['prod-eu-1'].tags, ['svc', 'prod'], 'the base is unchanged');
+
+  const provenance = JSON.parse(fs.readFileSync(path.join(root, 'out', 'meta', 'provenance.json'), 'utf8'));
+  const fields = provenance.instances['prod-eu-3'].fields;
+  assert.deepStrictEqual([fields['/limits/cpu'].source.via, fields['/limits/cpu'].source.instance], ['extends', 'prod-eu-1']);
+  assert.deepStrictEqual([fields['/limits/mem'].source.via, fields['/limits/mem'].source.instance], ['extends', 'prod-eu-2']);
+  assert.strictEqual(fields['/region'].source.via, undefined);
+  assert.deepStrictEqual(provenance.instances['prod-eu-2'].fields['/zones'].contributions.map(item => item.items), [['c']]);
+
+  // Cycles and unknown bases fail the build.
+  write('stack/instances/prod-eu-1.json', { id: 'prod-eu-1', extends: 'prod-eu-3' });
+  write('stack/instances/lost.json', { id: 'lost', extends: 'nowhere' });
+  const bad = build('bad');
+  assert.strictEqual(bad.ok, false);
+  const codes = bad.issues.filter(issue => issue.level === 'error').map(issue => issue.code);
+  assert.ok(codes.includes('extends_cycle') && codes.includes('unknown_extends'), JSON.stringify(bad.issues));
+}
+
+function testClassDefaultValidation() {
+  const root = tempDir('terrible-class-defaults-');
+  const write = (rel, data) => writeFile(root, rel, data);
+  write('stack/classes/service.json', { class: 'service', port: -1, name: 'svc', limits: { cpu: 'lots' } });
+  write('stack/classes/service.schema.json', {
+    type: 'object',
+    required: ['id', 'owner'],
+    properties: {
+      port: { type: 'integer', minimum: 1 },
+      owner: { type: 'string' },
+      limits: { type: 'object', required: ['mem'], properties: { cpu: { type: 'number' }, mem: { type: 'number' } } }
+    }
+  });
+  write('stack/classes/api.json', { class: 'api', parent: 'service', name: 'api' });
+  ['a', 'b', 'c'].forEach(id => write(`stack/instances/${id}.json`, { id, class: 'api', owner: 'team', limits: { mem: 1 } }));
+  write('stack/instances/d.json', { id: 'd', class: 'api', owner: 'team', port: 0, limits: { mem: 1 } });
+  const stack = path.join(root, 'stack');
+
+  const result = runBuild({ classDirs: [stack], instanceDirs: [stack], buildRoot: root, buildName: 'out', defaultsDir: null, exitOnError: false, quiet: true, silent: true });
+  const defaults = result.issues.filter(issue => issue.code === 'class_default_invalid');
+  assert.deepStrictEqual(
+    defaults.map(issue => [issue.class, issue.definedBy, path.basename(issue.file), issue.instancePath, issue.value]),
+    [['service', 'service', 'service.json', '/port', -1], ['service', 'service', 'service.json', '/limits/cpu', 'lots']],
+    'each invalid default is reported once, on the class that set it; partial defaults are not missing fields'
+  );
+  const instanceIssues = result.issues.filter(issue => issue.code === 'schema_validation').map(issue => [issue.id, issue.instancePath]);
+  assert.deepStrictEqual(instanceIssues, [['d', '/port']], 'inherited invalid defaults are not reported per instance');
+
+  const strict = runBuild({ classDirs: [stack], instanceDirs: [stack], buildRoot: root, buildName: 'strict', defaultsDir: null, warningsAsErrors: true, exitOnError: false, quiet: true, silent: true });
+  assert.strictEqual(strict.ok, false);
+  assert.ok(strict.issues.some(issue => issue.code === 'class_default_invalid' && issue.level === 'error'));
+}
+
+function testSchemaCompatibility() {
+  const validationStack = path.join(__dirname, '..', 'stacks', 'validation-suite');
+  const buildRoot = tempDir('terrible-schema-compat-');
+  const result = runBuild({ classDirs: [validationStack], instanceDirs: [validationStack], buildRoot, buildName: 'out', defaultsDir: null, exitOnError: false, quiet: true, silent: true });
+  assert.ok(result.ok, result.errors.join('\n'));
+
+  const compat = result.issues.filter(issue => issue.code === 'schema_incompatible');
+  assert.deepStrictEqual(
+    compat.map(issue => [issue.class, issue.parent, issue.kind, issue.schemaPath]),
+    [
+      ['brief', 'article', 'dropped_required', ''],
+      ['brief', 'article', 'widened_enum', '/properties/status'],
+      ['brief', 'article', 'widened_type', '/properties/metadata/properties/priority'],
+      ['brief', 'article', 'widened_type', '/properties/slug']
+    ],
+    'only the class that loosens its parent schema is reported; its own class const is not'
+  );
+  assert.deepStrictEqual(compat[0].childValue, ['status', 'slug']);
+
+  const instanceIssues = (id) => result.issues
+    .filter(issue => issue.code === 'schema_validation' && issue.id === id)
+    .map(issue => [issue.class, issue.ancestor || null, issue.instancePath]);
+  assert.deepStrictEqual(
+    instanceIssues('brief_loose'),
+    [['brief', 'article', '/status'], ['brief', 'article', '/metadata/priority'], ['brief', 'article', '/slug']],
+    'an instance passing its own schema is still checked against its ancestors; record repeats article and is not reported twice'
+  );
+  assert.deepStrictEqual(instanceIssues('article_valid'), []);
+  assert.deepStrictEqual(instanceIssues('article_missing_field'), [['article', null, '']], 'errors shared with ancestor schemas are reported once');
+
+  const strict = runBuild({ classDirs: [validationStack], instanceDirs: [validationStack], buildRoot, buildName: 'strict', defaultsDir: null, warningsAsErrors: true, exitOnError: false, quiet: true, silent: true });
+  assert.strictEqual(strict.ok, false);
+  assert.ok(strict.issues.some(issue => issue.code === 'schema_incompatible' && issue.level === 'error'));
+}
+
+function testInstanceRefs() {
+  const root = tempDir('terrible-refs-');
+  const write = (rel, data) => writeFile(root, rel, data);
+  write('stack/classes/database.json', { class: 'database' });
+  write('stack/classes/postgres.json', { class: 'postgres', parent: 'database' });
+  write('stack/classes/cache.json', { class: 'cache' });
+  write('stack/classes/service.json', { class: 'service' });
+  write('stack/classes/service.schema.json', {
+    type: 'object',
+    properties: {
+      database: { type: 'string', 'x-ref': { class: 'database' } },
+      caches: { type: 'array', items: { type: 'string' }, 'x-ref': 'cache' },
+      peers: { type: 'object', additionalProperties: { type: 'string', 'x-ref': true } },
+      upstream: { $ref: 'terrible:schema/upstream' }
+    }
+  });
+  write('stack/schemas/upstream.json', { type: 'object', properties: { service: { type: 'string', 'x-ref': 'service' } } });
+  write('stack/instances/pg.json', { id: 'pg', class: 'postgres', build: [{ 'db.txt': 'db/pg.txt' }] });
+  write('stack/instances/redis.json', { id: 'redis', class: 'cache' });
+  write('stack/instances/api.json', { id: 'api', class: 'service', database: 'pg', caches: ['redis'], peers: { auth: 'worker' }, upstream: { service: 'worker' } });
+  write('stack/instances/worker.json', { id: 'worker', class: 'service', database: 'pg' });
+  write('stack/templates/db.txt', 'used by:{{#each (referenced_by id)}} {{id}}{{/each}}\nservices:{{#each (referenced_by id "service")}} {{id}}{{/each}}\n');
+  const stack = path.join(root, 'stack');
+  const build = (buildName, extra = {}) => runBuild({ classDirs: [stack], instanceDirs: [stack], buildRoot: root, buildName, defaultsDir: null, exitOnError: false, quiet: true, silent: true, ...extra });
+
+  const result = build('out');
+  assert.ok(result.ok, result.errors.join('\n'));
+  assert.deepStrictEqual(result.issues.filter(issue => /ref/.test(issue.code)), []);
+  const canonical = readCanonical(root, 'out');
+  assert.deepStrictEqual(canonical.referencedBy, {
+    pg: [{ id: 'api', class: 'service', path: '/database' }, { id: 'worker', class: 'service', path: '/database' }],
+    redis: [{ id: 'api', class: 'service', path: '/caches/0' }],
+    worker: [{ id: 'api', class: 'service', path: '/peers/auth' }, { id: 'api', class: 'service', path: '/upstream/service' }]
+  }, 'x-refs are found through $ref into shared schemas');
+  assert.deepStrictEqual(canonical.instancesById.global.referencedBy, canonical.referencedBy);
+  assert.strictEqual(fs.readFileSync(path.join(root, 'out', 'db', 'pg.txt'), 'utf8'), 'used by: api worker\nservices: api worker\n');
+
+  // Unknown targets and targets of the wrong class are reported; only resolved references are indexed.
+  write('stack/instances/worker.json', { id: 'worker', class: 'service', database: 'redis', caches: ['redis', 'memcached'], upstream: { service: 'ghost' } });
+  const broken = build('broken');
+  const refIssues = broken.issues.filter(issue => /ref/.test(issue.code)).map(issue => [issue.code, issue.id, issue.instancePath, issue.target]);
+  assert.deepStrictEqual(refIssues, [
+    ['ref_class_mismatch', 'worker', '/database', 'redis'],
+    ['unknown_ref', 'worker', '/caches/1', 'memcached'],
+    ['unknown_ref', 'worker', '/upstream/service', 'ghost']
+  ]);
+  assert.ok(broken.issues.every(issue => !/ref/.test(issue.code) || issue.level === 'warn'));
+  assert.deepStrictEqual(readCanonical(root, 'broken').referencedBy.redis.map(ref => [ref.id, ref.path]), [['api', '/caches/0'], ['worker', '/database'], ['worker', '/caches/0']]);
+
+  const strict = build('strict', { warningsAsErrors: true });
+  assert.strictEqual(strict.ok, false);
+}
+
+function testSchemaRefsAndDrafts() {
+  const root = tempDir('terrible-schema-refs-');
+  const write = (rel, data) => writeFile(root, rel, data);
+  write('stack/schemas/ingredient.json', {
+    type: 'object',
+    required: ['name', 'grams'],
+    properties: { name: { type: 'string' }, grams: { type: 'number', minimum: 0 } }
+  });
+  write('stack/schemas/units/weight.schema.json', { $id: 'https://example.com/weight', enum: ['g', 'kg'] });
+  write('stack/classes/unit.json', { class: 'unit' });
+  write('stack/classes/unit.schema.json', { $id: 'https://example.com/unit', type: 'object', properties: { symbol: { type: 'string', maxLength: 3 } } });
+  write('stack/classes/metric.json', { class: 'metric', parent: 'unit' });
+  write('stack/classes/recipe.json', { class: 'recipe' });
+  write('stack/classes/recipe.schema.json', {
+    type: 'object',
+    properties: {
+      ingredients: { type: 'array', items: { $ref: 'terrible:schema/ingredient' } },
+      unit: { $ref: 'https://example.com/weight' },
+      symbol: { $ref: 'terrible:class/unit#/properties/symbol' },
+      code: { $ref: 'https://example.com/unit#/properties/symbol' }
+    }
+  });
+  write('stack/instances/soup.json', { id: 'soup', class: 'recipe', ingredients: [{ name: 'leek', grams: 200 }], unit: 'g', symbol: 'g', code: 'kg' });
+  write('stack/instances/stew.json', { id: 'stew', class: 'recipe', ingredients: [{ name: 'beef', grams: -1 }, { grams: 5 }], unit: 'lb', symbol: 'gram', code: 'kilo' });
+  write('stack/instances/kg.json', { id: 'kg', class: 'metric', symbol: 'kilogram' });
+  const stack = path.join(root, 'stack');
+  const build = (buildName) => runBuild({ classDirs: [stack], instanceDirs: [stack], buildRoot: root, buildName, defaultsDir: null, exitOnError: false, quiet: true, silent: true });
+
+  const result = build('out');
+  assert.ok(result.ok, result.errors.join('\n'));
+  const schemaIssues = (res) => res.issues.filter(issue => issue.code === 'schema_validation').map(issue => [issue.id, issue.instancePath, issue.keyword]);
+  assert.deepStrictEqual(schemaIssues(result), [
+    ['kg', '/symbol', 'maxLength'],
+    ['stew', '/ingredients/0/grams', 'minimum'],
+    ['stew', '/ingredients/1', 'required'],
+    ['stew', '/unit', 'enum'],
+    ['stew', '/symbol', 'maxLength'],
+    ['stew', '/code', 'maxLength']
+  ], 'class schemas $ref shared schemas by default or declared $id, and other class schemas by either');
+  assert.strictEqual(readCanonical(root, 'out').buildMeta.schemaDraft, 'draft-07');
+
+  // A stack opts into a newer draft with $schema; 2020-12 keywords then apply.
+  write('stack/schemas/ingredient.json', {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    type: 'array',
+    prefixItems: [{ type: 'string' }, { type: 'number' }],
+    items: false
+  });
+  write('stack/instances/soup.json', { id: 'soup', class: 'recipe', ingredients: [['leek', 200]], unit: 'g', symbol: 'g' });
+  write('stack/instances/stew.json', { id: 'stew', class: 'recipe', ingredients: [['beef', 'lots'], ['salt', 1, 2]], unit: 'g', symbol: 'g' });
+  write('stack/instances/kg.json', { id: 'kg', class: 'metric', symbol: 'kg' });
+  const modern = build('modern');
+  assert.ok(modern.ok, modern.errors.join('\n'));
+  assert.strictEqual(readCanonical(root, 'modern').buildMeta.schemaDraft, '2020-12');
+  assert.deepStrictEqual(schemaIssues(modern).map(([id, pointer]) => [id, pointer]), [['stew', '/ingredients/0/1'], ['stew', '/ingredients/1']]);
+
+  // Schemas declaring different drafts fail the build, as do unresolvable references.
+  write('stack/classes/unit.schema.json', { $schema: 'http://json-schema.org/draft-07/schema#', type: 'object' });
+  write('stack/classes/recipe.schema.json', { type: 'object', properties: { unit: { $ref: 'terrible:schema/missing' } } });
+  const broken = build('broken');
+  assert.strictEqual(broken.ok, false);
+  const conflicts = broken.issues.filter(issue => issue.code === 'schema_draft_conflict');
+  assert.deepStrictEqual(conflicts.map(issue => issue.label.split(' (')[0]), ["shared schema 'terrible:schema/ingredient'"], 'the first declaration (classes, then shared schemas) sets the draft');
+  assert.ok(broken.issues.some(issue => issue.code === 'schema_invalid' && issue.class === 'recipe' && /missing/.test(issue.message)));
+}
+
+function testValidationExtensions() {
+  const root = tempDir('terrible-validation-ext-');
+  const write = (rel, data) => writeFile(root, rel, data);
+  write('stack/classes/service.json', { class: 'service' });
+  write('stack/classes/service.schema.json', {
+    type: 'object',
+    properties: {
+      host: { type: 'string', format: 'hostname' },
+      network: { type: 'string', format: 'cidr' },
+      version: { type: 'string', format: 'x-semver' },
+      port: { type: 'integer', 'x-port-range': [1024, 49151] }
+    }
+  });
+  write('stack/validation/formats.js', [
+    "module.exports = {",
+    "  formats: { 'x-semver': { validate: /^\\d+\\.\\d+\\.\\d+$/, code: 'bad_version' } },",
+    "  keywords: {",
+    "    'x-port-range': { type: 'number', schemaType: 'array', validate: ([min, max], port) => port >= min && port <= max, code: 'port_out_of_range' }",
+    "  }",
+    "};"
+  ].join('\n'));
+  write('stack/classes/job.json', { class: 'job' });
+  write('stack/classes/job.schema.json', { type: 'object', properties: { schedule: { type: 'string', format: 'cron' } } });
+  write('stack/instances/nightly.json', { id: 'nightly', class: 'job', schedule: '0 3 * * *' });
+  write('stack/instances/api.json', { id: 'api', class: 'service', host: 'api.example.com', network: '10.0.0.0/8', version: '1.2.3', port: 8080 });
+  write('stack/instances/db.json', { id: 'db', class: 'service', host: '-db-', network: '10.0.0.0/33', version: 'latest', port: 80 });
+  const stack = path.join(root, 'stack');
+  const build = (buildName) => runBuild({ classDirs: [stack], instanceDirs: [stack], buildRoot: root, buildName, defaultsDir: null, exitOnError: false, quiet: true, silent: true });
+
+  const result = build('out');
+  assert.ok(result.ok, result.errors.join('\n'));
+  const schemaIssues = (res) => res.issues.filter(issue => issue.id).map(issue => [issue.id, issue.instancePath, issue.code]);
+  assert.deepStrictEqual(schemaIssues(result), [
+    ['db', '/host', 'schema_format'],
+    ['db', '/network', 'schema_format'],
+    ['db', '/version', 'bad_version'],
+    ['db', '/port', 'port_out_of_range']
+  ], 'built-in and stack formats and keywords report under their own codes');
+  assert.strictEqual(result.issues.find(issue => issue.instancePath === '/host').format, 'hostname');
+  const unknown = result.issues.filter(issue => issue.code === 'schema_format_unknown');
+  assert.deepStrictEqual(unknown.map(issue => [issue.class, issue.format]), [['job', 'cron']], 'an unknown format is reported once, not ignored silently');
+
+  // Broken modules and definitions are build errors; a keyword that throws fails its instance.
+  write('stack/validation/broken.js', 'module.exports = {');
+  write('stack/validation/formats.js', [
+    "module.exports = {",
+    "  formats: { 'x-semver': 42 },",
+    "  keywords: { type: { validate: () => true }, 'x-port-range': { type: 'number', validate: () => { throw new Error('boom'); } } }",
+    "};"
+  ].join('\n'));
+  const broken = build('broken');
+  assert.strictEqual(broken.ok, false);
+  const codes = broken.issues.filter(issue => issue.level === 'error').map(issue => [issue.code, issue.format || issue.keyword || issue.id || path.basename(issue.file)]);
+  assert.deepStrictEqual(codes, [
+    ['validation_module_failed', 'broken.js'],
+    ['validation_definition_invalid', 'x-semver'],
+    ['validation_definition_invalid', 'type'],
+    ['schema_keyword_failed', 'api'],
+    ['schema_keyword_failed', 'db']
+  ]);
+}
+
+function testStackRules() {
+  const root = tempDir('terrible-stack-rules-');
+  const write = (rel, data) => writeFile(root, rel, data);
+  write('stack/classes/service.json', { class: 'service' });
+  write('stack/classes/service.schema.json', { type: 'object', properties: { databases: { type: 'array', items: { type: 'string', 'x-ref': 'database' } } } });
+  write('stack/classes/database.json', { class: 'database', primary: false });
+  write('stack/instances/api.json', { id: 'api', class: 'service', host: 'api.internal', port: 8080, aliases: ['api', 'www'], databases: ['main'] });
+  write('stack/instances/web.json', { id: 'web', class: 'service', host: 'web.internal', port: 8080, aliases: ['www'], databases: ['main'] });
+  write('stack/instances/main.json', { id: 'main', class: 'database', primary: true });
+  write('stack/instances/replica.json', { id: 'replica', class: 'database', primary: true });
+  write('stack/global.json', {
+    id: 'global',
+    rules: [{ name: 'one-primary', type: 'cardinality', class: 'database', where: { '/primary': true }, count: 1, message: 'exactly one primary database' }]
+  });
+  write('stack/rules/services.json', [
+    { type: 'unique', class: 'service', path: '/port' },
+    { type: 'unique', class: 'service', path: '/aliases', each: true, level: 'warn' },
+    { type: 'unique', class: 'service', path: ['/host', '/port'] }
+  ]);
+  write('stack/rules/databases.json', { name: 'db-used', type: 'referenced', class: 'database', by: 'service', path: '/databases' });
+  const stack = path.join(root, 'stack');
+  const build = (buildName, extra = {}) => runBuild({ classDirs: [stack], instanceDirs: [stack], buildRoot: root, buildName, defaultsDir: null, exitOnError: false, quiet: true, silent: true, ...extra });
+
+  const result = build('out');
+  assert.strictEqual(result.ok, false, 'rule violations are errors by default');
+  const ruleIssues = (res) => res.issues.filter(issue => issue.code.startsWith('rule_'));
+  assert.deepStrictEqual(ruleIssues(result).map(issue => [issue.code, issue.level, issue.id || null, issue.instancePath || null]), [
+    ['rule_unreferenced', 'error', 'replica', null],
+    ['rule_unique_violation', 'error', 'web', '/port'],
+    ['rule_unique_violation', 'warn', 'web', '/aliases/0'],
+    ['rule_cardinality_violation', 'error', null, null]
+  ], 'rule files in name order, then global.rules');
+  const [unreferenced, port, , primary] = ruleIssues(result);
+  assert.deepStrictEqual([port.value, port.duplicateOf, port.ids, port.ruleSource, port.rulePath], [8080, 'api', ['api', 'web'], path.join(stack, 'rules', 'services.json'), '/0']);
+  assert.deepStrictEqual([unreferenced.rule, unreferenced.by, unreferenced.rulePath], ['db-used', 'service', '']);
+  assert.deepStrictEqual([primary.rule, primary.ruleSource, primary.rulePath, primary.count, primary.ids], ['one-primary', 'global', '/rules/0', 2, ['main', 'replica']]);
+  assert.ok(/exactly one primary database/.test(primary.message));
+  const report = JSON.parse(fs.readFileSync(path.join(result.buildDir, 'meta', 'validation.json'), 'utf8'));
+  const reported = (report.issues || report).filter(issue => issue.code && issue.code.startsWith('rule_'));
+  assert.strictEqual(reported.length, 4, 'rule violations are written to meta/validation.json');
+
+  // Fixing the data clears the violations; malformed rules are errors of their own.
+  write('stack/instances/web.json', { id: 'web', class: 'service', host: 'web.internal', port: 8081, aliases: ['web'], databases: ['main', 'replica'] });
+  write('stack/instances/replica.json', { id: 'replica', class: 'database' });
+  const fixed = build('fixed');
+  assert.ok(fixed.ok, fixed.errors.join('\n'));
+  assert.deepStrictEqual(ruleIssues(fixed), []);
+  write('stack/rules/databases.json', [{ type: 'cardinality', class: 'database' }, { type: 'unique', class: 'nope', path: '/x' }]);
+  const invalid = build('invalid');
+  assert.deepStrictEqual(ruleIssues(invalid).map(issue => [issue.code, issue.rulePath]), [['rule_invalid', '/0'], ['rule_invalid', '/1']]);
+  assert.ok(/count, min, or max/.test(ruleIssues(invalid)[0].message) && /unknown class 'nope'/.test(ruleIssues(invalid)[1].message));
+}
+
+function testIssueLocations() {
+  const root = tempDir('terrible-issue-locations-');
+  const write = (rel, data) => writeFile(root, rel, data, 2);
+  write('base/classes/service.json', { class: 'service', port: 80 });
+  write('base/classes/service.schema.json', {
+    type: 'object',
+    required: ['name'],
+    properties: { name: { type: 'string' }, port: { type: 'integer', maximum: 65535 }, tags: { type: 'array', items: { type: 'string' } } }
+  });
+  write('base/classes/job.json', { class: 'job', retries: -1 });
+  write('base/classes/job.schema.json', { type: 'object', properties: { retries: { type: 'integer', minimum: 0 } } });
+  write('base/classes/batch.json', { class: 'batch', parent: 'job' });
+  write('base/classes/batch.schema.json', { properties: { retries: { minimum: -5 } } });
+  write('base/instances/api.json', { id: 'api', class: 'service', name: 'api', tags: ['a'] });
+  write('base/instances/web.json', { id: 'web', class: 'service', name: 'web' });
+  write('base/instances/worker.json', { id: 'worker', class: 'service' });
+  write('overlay/instances/api.json', { id: 'api', port: 70000, tags: [5] });
+  write('overlay/instances/web.patch.json', { id: 'web', patch: [{ op: 'add', path: '/port', value: 'http' }] });
+  write('overlay/rules/jobs.json', { type: 'cardinality', class: 'job', min: 1 });
+  const base = path.join(root, 'base');
+  const overlay = path.join(root, 'overlay');
+  const result = runBuild({ classDirs: [base], instanceDirs: [base, overlay], buildRoot: root, buildName: 'out', defaultsDir: null, exitOnError: false, quiet: true, silent: true });
+
+  const at = (issue) => issue && [path.relative(root, issue.file), issue.line, issue.column];
+  const find = (code, id, instancePath) => result.issues.find(issue => issue.code === code && (id === undefined || issue.id === id) && (instancePath === undefined || issue.instancePath === instancePath));
+  assert.deepStrictEqual(at(find('schema_validation', 'api', '/port')), [path.join('overlay', 'instances', 'api.json'), 3, 11], 'the overlay that set the winning value');
+  assert.deepStrictEqual(at(find('schema_validation', 'api', '/tags/1')), [path.join('overlay', 'instances', 'api.json'), 5, 5], 'an appended array item in the file that contributed it');
+  assert.deepStrictEqual(at(find('schema_validation', 'web', '/port')), [path.join('overlay', 'instances', 'web.patch.json'), 7, 16], 'the value of the patch operation');
+  assert.deepStrictEqual(at(find('schema_validation', 'worker', '')), [path.join('base', 'instances', 'worker.json'), 1, 1], 'a missing field points at the instance file');
+  assert.deepStrictEqual(at(find('class_default_invalid')), [path.join('base', 'classes', 'job.json'), 3, 14], 'a class default points at its class file');
+  assert.deepStrictEqual(at(find('schema_incompatible')), [path.join('base', 'classes', 'batch.schema.json'), 4, 18], 'a loosened keyword points at the child schema');
+  assert.deepStrictEqual(at(find('rule_cardinality_violation')), [path.join('overlay', 'rules', 'jobs.json'), 1, 1], 'a rule violation without an instance points at the rule');
+
+  const report = JSON.parse(fs.readFileSync(path.join(result.buildDir, 'meta', 'validation.json'), 'utf8'));
+  const written = (report.issues || report).find(issue => issue.code === 'schema_validation' && issue.id === 'api' && issue.instancePath === '/port');
+  assert.deepStrictEqual([written.line, written.column], [3, 11], 'meta/validation.json carries the positions');
+  assert.ok(!fs.existsSync(path.join(result.buildDir, 'meta', 'provenance.json')));
+
+  // With provenance requested, issues are placed through it, at the same positions.
+  const traced = runBuild({ classDirs: [base], instanceDirs: [base, overlay], buildRoot: root, buildName: 'traced', defaultsDir: null, exitOnError: false, quiet: true, silent: true, outputs: new Set(['validation', 'provenance']) });
+  assert.ok(fs.existsSync(path.join(traced.buildDir, 'meta', 'provenance.json')));
+  assert.deepStrictEqual(traced.issues.map(at), result.issues.map(at));
+}
+
+function testClassLocks() {
+  const root = tempDir('terrible-class-locks-');
+  const write = (rel, data) => writeFile(root, rel, data);
+  write('stack/classes/base.json', { class: 'base', abstract: true, tls_min: '1.2', audit: true, port: 80 });
+  write('stack/classes/base.schema.json', {
+    type: 'object',
+    properties: { tls_min: { type: 'string', 'x-terrible-final': true }, audit: { type: 'boolean', 'x-terrible-readonly': true } }
+  });
+  write('stack/classes/service.json', { class: 'service', parent: 'base', port: 8080, audit: false });
+  write('stack/classes/sealed.json', { class: 'sealed', parent: 'service', final: true });
+  write('stack/classes/store.json', { class: 'store', sealed: true, permits: ['sql'] });
+  write('stack/classes/sql.json', { class: 'sql', parent: 'store' });
+  write('stack/classes/postgres.json', { class: 'postgres', parent: 'sql' });
+  write('stack/instances/web.json', { id: 'web', class: 'service', port: 8443 });
+  const stack = path.join(root, 'stack');
+  const build = (buildName) => runBuild({ classDirs: [stack], instanceDirs: [stack], buildRoot: root, buildName, defaultsDir: null, exitOnError: false, quiet: true, silent: true });
+
+  const result = build('out');
+  assert.ok(result.ok, result.errors.join('\n'));
+  const canonical = readCanonical(root, 'out');
+  assert.strictEqual(canonical.classesById.base.abstract, true);
+  assert.ok(!('abstract' in canonical.classesById.service), 'class flags are not inherited');
+  assert.strictEqual(canonical.classesById.sealed.final, true);
+  assert.deepStrictEqual([canonical.classesById.store.sealed, canonical.classesById.store.permits], [true, ['sql']]);
+  assert.ok(!('sealed' in canonical.classesById.postgres), 'a permitted subclass is open unless sealed itself');
+  assert.strictEqual(canonical.classesById.service.audit, false, 'readonly values can change in subclasses');
+  assert.deepStrictEqual([canonical.instancesById.web.port, canonical.instancesById.web.tls_min], [8443, '1.2']);
+  assert.ok(!('abstract' in canonical.instancesById.web), 'class flags are not defaults');
+
+  write('stack/classes/weak.json', { class: 'weak', parent: 'sealed', tls_min: '1.0' });
+  write('stack/instances/web.json', { id: 'web', class: 'service', tls_min: '1.1', audit: false });
+  write('stack/instances/db.json', { id: 'db', class: 'service', audit: true });
+  write('stack/instances/raw.json', { id: 'raw', class: 'base' });
+  write('stack/classes/mongo.json', { class: 'mongo', parent: 'store' });
+  const bad = build('bad');
+  assert.strictEqual(bad.ok, false);
+  const codes = bad.issues.filter(issue => issue.level === 'error').map(issue => [issue.code, issue.class, issue.id || issue.parent || issue.field]);
+  assert.deepStrictEqual(codes.sort(), [
+    ['abstract_class_instance', 'base', 'raw'],
+    ['final_class_extended', 'weak', 'sealed'],
+    ['final_property_overridden', 'service', 'web'],
+    ['final_property_overridden', 'weak', 'tls_min'],
+    ['readonly_property_overridden', 'service', 'db'],
+    ['sealed_class_extended', 'mongo', 'store']
+  ]);
+  assert.deepStrictEqual(bad.issues.find(issue => issue.code === 'sealed_class_extended').permits, ['sql']);
+  const locked = readCanonical(root, 'bad');
+  assert.strictEqual(locked.classesById.weak.tls_min, '1.2', 'final values keep the inherited value');
+  assert.deepStrictEqual([locked.instancesById.web.tls_min, locked.instancesById.db.audit], ['1.2', false]);
+}
+
+function testMergeProvenance() {
+  const root = tempDir('terrible-provenance-');
+  const baseDir = path.join(root, 'base');
+  const overlayDir = path.join(root, 'overlay');
+  fs.cpSync(path.join(__dirname, 'fixtures', 'incremental'), baseDir, { recursive: true });
+  fs.mkdirSync(path.join(overlayDir, 'classes'), { recursive: true });
+  fs.mkdirSync(path.join(overlayDir, 'instances'), { recursive: true });
+  fs.writeFileSync(path.join(overlayDir, 'classes', 'service.json'), JSON.stringify({ class: 'service', tags: ['managed'] }));
+  fs.writeFileSync(path.join(overlayDir, 'instances', 'web.json'), JSON.stringify({ id: 'web', port: 80, tags: { $reset: true, value: ['edge'] } }));
+  const dirs = [baseDir, overlayDir];
+
+  const result = runBuild({
+    classDirs: dirs,
+    instanceDirs: dirs,
+    outputs: new Set(['canonical', 'provenance']),
+    buildRoot: root,
+    buildName: 'out',
+    defaultsDir: null,
+    exitOnError: false,
+    quiet: true,
+    silent: true
+  });
+  assert.ok(result.ok, result.errors.join('\n'));
+  const provenance = JSON.parse(fs.readFileSync(path.join(root, 'out', 'meta', 'provenance.json'), 'utf8'));
+
+  const web = provenance.instances.web;
+  assert.strictEqual(web.class, 'service');
+  assert.strictEqual(web.fields['/port'].value, 80);
+  assert.strictEqual(web.fields['/port'].source.file, path.join(overlayDir, 'instances', 'web.json'));
+  assert.deepStrictEqual(web.fields['/port'].overridden.map(entry => [entry.value, entry.source.file]), [[8081, path.join(baseDir, 'instances', 'web.json')]]);
+  assert.deepStrictEqual(web.fields['/tier'].source, { file: path.join(baseDir, 'classes', 'service.json'), kind: 'class', class: 'service', via: 'class-default' });
+  // Arrays record each contribution; the instance $reset only applies across instance layers, so the class default still appends.
+  assert.deepStrictEqual(web.fields['/tags'].value, ['managed', 'edge']);
+  assert.strictEqual(web.fields['/tags'].reset.file, path.join(overlayDir, 'instances', 'web.json'));
+  assert.deepStrictEqual(web.fields['/tags'].contributions.map(entry => [entry.items, entry.source.via || entry.source.kind]), [[['managed'], 'class-default'], [['edge'], 'instance']]);
+  assert.strictEqual(provenance.instances.global.fields['/org'].source.kind, 'global');
+  assert.deepStrictEqual(provenance.classes.service.fields['/tags'].source.file, path.join(overlayDir, 'classes', 'service.json'));
+
+  // Without the output type nothing is recorded.
+  assert.ok(runBuild({ classDirs: dirs, instanceDirs: dirs, buildRoot: root, buildName: 'plain', defaultsDir: null, exitOnError: false, quiet: true, silent: true }).ok);
+  assert.ok(!fs.existsSync(path.join(root, 'plain', 'meta', 'provenance.json')));
+
+  const explained = explainField(provenance, { id: 'web', path: 'tags' });
+  assert.deepStrictEqual(Object.keys(explained.fields), ['/tags']);
+  const text = formatExplain(explained).join('\n');
+  assert.ok(text.includes('$reset by'), text);
+  assert.strictEqual(explainField(provenance, { id: 'missing', path: '' }), null);
+}
+
 function run() {
   console.log('Running regression: instances include global + ordering...');
   testInstancesIncludeGlobalAndOrdering();
@@ -457,6 +1577,54 @@ function run() {
   testWarnExtraFieldsFlag();
   console.log('Running regression: --warnings-as-errors flag...');
   testWarningsAsErrorsFlag();
+  console.log('Running regression: onLoadComplete hooks...');
+  testLoadCompleteHooks();
+  console.log('Running regression: render hooks...');
+  testRenderHooks();
+  console.log('Running regression: onFinalizeBuild manifest and packaging...');
+  testFinalizeBuildManifestAndPackage();
+  console.log('Running regression: defaults layer...');
+  testDefaultsLayer();
+  console.log('Running regression: content-based stack hash...');
+  testContentHashBuildNames();
+  console.log('Running regression: incremental builds...');
+  testIncrementalBuild();
+  console.log('Running regression: watch rebuilds...');
+  testWatchRebuilds();
+  console.log('Running regression: serve preview...');
+  testServePreview();
+  console.log('Running regression: diff builds...');
+  testDiffBuilds();
+  console.log('Running regression: merge strategies...');
+  testMergeStrategies();
+  console.log('Running regression: $unset fields...');
+  testUnsetFields();
+  console.log('Running regression: patch overlays...');
+  testPatchOverlays();
+  console.log('Running regression: C3 class linearization...');
+  testClassLinearization();
+  console.log('Running regression: abstract/final/sealed classes and locked properties...');
+  testClassLocks();
+  console.log('Running regression: class mixins...');
+  testClassMixins();
+  console.log('Running regression: instance extends...');
+  testInstanceExtends();
+  console.log('Running regression: class default validation...');
+  testClassDefaultValidation();
+  console.log('Running regression: ancestor schemas and schema compatibility...');
+  testSchemaCompatibility();
+  console.log('Running regression: instance references...');
+  testInstanceRefs();
+  console.log('Running regression: schema $ref and drafts...');
+  testSchemaRefsAndDrafts();
+  console.log('Running regression: validation formats and keywords...');
+  testValidationExtensions();
+  console.log('Running regression: stack-wide rules...');
+  testStackRules();
+  console.log('Running regression: issue source locations...');
+  testIssueLocations();
+  console.log('Running regression: merge provenance...');
+  testMergeProvenance();
   console.log('All regression tests passed.');
 }
 